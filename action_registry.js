@@ -0,0 +1,174 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { validateParams } from './action_schema.js';
+import { isControlStep, validateControlStep } from './control_flow.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BUILTIN_ACTIONS_DIR = path.join(__dirname, 'actions');
+export const PLUGIN_ACTIONS_DIR = path.join(__dirname, 'plugins', 'actions');
+
+/**
+ * Single source of truth for every action the orchestrator and the planners know about.
+ *
+ * An action module exports its handler plus metadata:
+ *
+ *   export const meta = {
+ *     name: 'search',
+ *     description: 'Search for a keyword on Google',
+ *     params: { type: 'object', properties: { keyword: { type: 'string' } }, required: ['keyword'] },
+ *     returns: 'nothing'
+ *   };
+ *   export async function search(page, params, ctx) { ... }
+ *
+ * `ctx` is the action context { runId, profile, artifactsDir, index, path, vars, tabs, localFiles, signal } (see artifacts.js).
+ * `localFiles` is true when the user wrote the steps (workflow, CLI actions), false for AI-planned ones.
+ * `signal` is aborted when the step's timeout expires; long-running actions should stop when it fires.
+ * The handler is looked up as `export default`, then the export named after meta.name, then `handler`.
+ * Modules without `meta` (helpers such as mouse_helper.js) are ignored.
+ */
+export class ActionRegistry {
+  constructor() {
+    this.actions = new Map();
+  }
+
+  register(meta, handler, source = 'inline') {
+    if (!meta || !meta.name) throw new Error(`Action from ${source} has no meta.name`);
+    if (typeof handler !== 'function') throw new Error(`Action '${meta.name}' from ${source} has no handler function`);
+
+    if (this.actions.has(meta.name)) {
+      console.warn(`[ActionRegistry] '${meta.name}' from ${source} overrides ${this.actions.get(meta.name).source}`);
+    }
+
+    this.actions.set(meta.name, {
+      meta: {
+        description: '',
+        params: { type: 'object', properties: {} },
+        returns: 'nothing',
+        ...meta
+      },
+      handler,
+      source
+    });
+  }
+
+  has(name) {
+    return this.actions.has(name);
+  }
+
+  get(name) {
+    return this.actions.get(name)?.handler;
+  }
+
+  getMeta(name) {
+    return this.actions.get(name)?.meta;
+  }
+
+  names() {
+    return [...this.actions.keys()];
+  }
+
+  /**
+   * Check one { action, params } step against its action's param schema.
+   * Control steps (if / repeat / for_each / try) are checked together with their nested steps.
+   * @returns {string[]} Problems found (empty when valid).
+   */
+  validateStep(step) {
+    if (!step || typeof step.action !== 'string') {
+      return ['missing "action" name'];
+    }
+    if (isControlStep(step)) {
+      return validateControlStep(step, nested => this.validateStep(nested));
+    }
+    const meta = this.getMeta(step.action);
+    if (!meta) {
+      return [`unknown action '${step.action}' (available: ${this.names().join(', ')})`];
+    }
+    return validateParams(step.params || {}, meta.params);
+  }
+
+  /**
+   * Check a whole plan.
+   * @param {Array<{action: string, params?: object}>} steps
+   * @returns {string[]} Problems prefixed with the step index, e.g. "steps[1] (click): params.foo is not a known param".
+   */
+  validatePlan(steps) {
+    if (!Array.isArray(steps)) return ['plan must be a list of steps'];
+    const errors = [];
+    steps.forEach((step, index) => {
+      for (const problem of this.validateStep(step)) {
+        errors.push(`steps[${index}]${step?.action ? ` (${step.action})` : ''}: ${problem}`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Plain { name: handler } map, the shape the orchestrator dispatches on.
+   */
+  toHandlerMap() {
+    const map = {};
+    for (const [name, entry] of this.actions) {
+      map[name] = entry.handler;
+    }
+    return map;
+  }
+
+  /**
+   * Compact action list for LLM planner prompts.
+   * Params are rendered as { name: "type, required - description" } so models copy real param names.
+   */
+  describeForPrompt() {
+    return [...this.actions.values()].map(({ meta }) => {
+      const properties = meta.params?.properties || {};
+      const required = meta.params?.required || [];
+      const params = {};
+      for (const [key, schema] of Object.entries(properties)) {
+        const type = [].concat(schema.type || 'any').join('|');
+        const parts = [required.includes(key) ? `${type}, required` : `${type}, optional`];
+        if (schema.enum) parts.push(`one of ${schema.enum.join('/')}`);
+        params[key] = schema.description ? `${parts.join(', ')} - ${schema.description}` : parts.join(', ');
+      }
+      return { name: meta.name, description: meta.description, params, returns: meta.returns };
+    });
+  }
+}
+
+async function loadDirectory(registry, dir, label) {
+  if (!await fs.pathExists(dir)) return;
+
+  const files = (await fs.readdir(dir)).filter(f => f.endsWith('.js')).sort();
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    try {
+      const mod = await import(pathToFileURL(filePath).href);
+      if (!mod.meta) continue; // Helper module, not an action
+
+      const handler = mod.default || mod[mod.meta.name] || mod.handler;
+      registry.register(mod.meta, handler, `${label}/${file}`);
+    } catch (e) {
+      console.error(`[ActionRegistry] Failed to load ${label}/${file}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Discover built-in actions plus user plugins (plugins/actions/*.js).
+ * Plugins are loaded last, so a plugin can replace a built-in action of the same name.
+ * @param {object} [options]
+ * @param {string[]} [options.dirs] - Override the directories to scan.
+ * @returns {Promise<ActionRegistry>}
+ */
+export async function loadActionRegistry(options = {}) {
+  const registry = new ActionRegistry();
+  const dirs = options.dirs || [BUILTIN_ACTIONS_DIR, PLUGIN_ACTIONS_DIR];
+
+  for (const dir of dirs) {
+    const label = path.relative(__dirname, dir) || dir;
+    await loadDirectory(registry, dir, label);
+  }
+
+  console.log(`[ActionRegistry] Loaded ${registry.names().length} actions: ${registry.names().join(', ')}`);
+  return registry;
+}
@@ -0,0 +1,94 @@
+/**
+ * Minimal JSON Schema checker for action params.
+ * Supports the subset used by action `meta.params`: type, enum, required, properties,
+ * additionalProperties, items, minimum, maximum, minLength, pattern.
+ *
+ * Numeric and boolean strings ("5", "true") are accepted for integer/number/boolean
+ * because CLI --var values and LLM output are untyped; handlers already parseInt() them.
+ * A value that is exactly one "${name}" reference (a runtime variable such as a for_each item)
+ * is accepted for any type; the step is checked again once the reference is resolved.
+ */
+
+const REFERENCE_PATTERN = /^\$\{\s*[a-zA-Z_][\w.]*\s*\}$/;
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value.trim()));
+    case 'number': return (typeof value === 'number' && !isNaN(value)) || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+    case 'boolean': return typeof value === 'boolean' || value === 'true' || value === 'false';
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [at] - Path used in messages (e.g. "params.keyword").
+ * @returns {string[]} Problems found (empty when valid).
+ */
+export function validateParams(value, schema, at = 'params') {
+  if (!schema) return [];
+  if (typeof value === 'string' && REFERENCE_PATTERN.test(value)) return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${at} must be ${types.join(' or ')} (got ${Array.isArray(value) ? 'array' : typeof value})`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at} must match /${schema.pattern}/`);
+    }
+  }
+
+  if (schema.minimum !== undefined || schema.maximum !== undefined) {
+    const num = Number(value);
+    if (!isNaN(num)) {
+      if (schema.minimum !== undefined && num < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && num > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateParams(item, schema.items, `${at}[${i}]`)));
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${at}.${key} is required`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateParams(item, properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(properties);
+        errors.push(`${at}.${key} is not a known param${known.length ? ` (expected: ${known.join(', ')})` : ' (takes no params)'}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateParams(item, schema.additionalProperties, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
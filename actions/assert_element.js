@@ -0,0 +1,84 @@
+import { ActionError } from '../errors.js';
+import { assertionResult, pollAssertion } from '../assertions.js';
+
+export const meta = {
+  name: 'assert_element',
+  description: 'Check an element: visible/hidden/present/absent, how many match, or what text it has; records pass/fail',
+  params: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', description: 'CSS selector of the element' },
+      state: { type: 'string', enum: ['visible', 'hidden', 'attached', 'detached'], description: 'Expected state (default visible; detached = not in the page)' },
+      count: { type: 'integer', minimum: 0, description: 'Exact number of matching elements' },
+      minCount: { type: 'integer', minimum: 0, description: 'Minimum number of matching elements' },
+      text: { type: 'string', description: 'Text the (first) element must contain' },
+      timeout: { type: 'integer', minimum: 0, description: 'Seconds to keep checking before failing (default 5)' },
+      fatal: { type: 'boolean', description: 'Stop the run right away when the assertion fails' }
+    },
+    additionalProperties: false,
+    required: ['selector']
+  },
+  returns: '{ assertion, passed, expected, actual, message }'
+};
+
+async function inspect(locator) {
+  const count = await locator.count().catch(() => 0);
+  const first = locator.first();
+  return {
+    count,
+    visible: count > 0 && await first.isVisible().catch(() => false),
+    text: count > 0 ? await first.innerText({ timeout: 2000 }).catch(() => '') : null
+  };
+}
+
+/**
+ * Action: Assert an element.
+ *   { "selector": "#logout" }
+ *   { "selector": ".cart-item", "count": 3 }
+ *   { "selector": ".toast", "text": "Saved" }
+ *   { "selector": ".error", "state": "detached" }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @returns {Promise<{assertion: 'element', passed: boolean, expected: object, actual: object, message: string}>}
+ */
+export async function assert_element(page, params = {}) {
+  const { selector, text, fatal } = params;
+  if (!selector) {
+    throw new ActionError('Assert element action: selector is required', { code: 'INVALID_PARAMS' });
+  }
+  const count = params.count !== undefined ? parseInt(params.count) : undefined;
+  const minCount = params.minCount !== undefined ? parseInt(params.minCount) : undefined;
+  // A count check on its own should not also demand visibility (count: 0 would never pass)
+  const state = params.state || (count !== undefined || minCount !== undefined ? null : 'visible');
+  const timeoutMs = (params.timeout !== undefined ? parseInt(params.timeout) : 5) * 1000;
+
+  const expected = { state: state || undefined, count, minCount, text };
+  const checks = [];
+  if (state) checks.push(state);
+  if (count !== undefined) checks.push(`count ${count}`);
+  if (minCount !== undefined) checks.push(`count >= ${minCount}`);
+  if (text) checks.push(`text '${text}'`);
+
+  const locator = page.locator(selector);
+  const outcome = await pollAssertion(page, timeoutMs, async () => {
+    const actual = await inspect(locator);
+    const stateHolds = {
+      visible: actual.visible,
+      hidden: !actual.visible,
+      attached: actual.count > 0,
+      detached: actual.count === 0
+    };
+    const passed = (!state || stateHolds[state])
+      && (count === undefined || actual.count === count)
+      && (minCount === undefined || actual.count >= minCount)
+      && (!text || (actual.text || '').toLowerCase().includes(text.toLowerCase()));
+    return { passed, actual };
+  });
+
+  return assertionResult('element', {
+    passed: outcome.passed,
+    expected,
+    actual: outcome.actual,
+    message: `'${selector}' ${checks.join(', ')}`
+  }, fatal);
+}
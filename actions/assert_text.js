@@ -0,0 +1,60 @@
+import { ActionError } from '../errors.js';
+import { assertionResult, pollAssertion } from '../assertions.js';
+
+export const meta = {
+  name: 'assert_text',
+  description: 'Check that text is (or is not) on the page; records pass/fail and fails the run at the end',
+  params: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', description: 'Text to look for' },
+      selector: { type: 'string', description: 'Only look inside this element (default: whole page)' },
+      absent: { type: 'boolean', description: 'Assert the text is NOT present' },
+      caseSensitive: { type: 'boolean', description: 'Match case (default false)' },
+      timeout: { type: 'integer', minimum: 0, description: 'Seconds to keep checking before failing (default 5)' },
+      fatal: { type: 'boolean', description: 'Stop the run right away when the assertion fails' }
+    },
+    additionalProperties: false,
+    required: ['text']
+  },
+  returns: '{ assertion, passed, expected, actual, message }'
+};
+
+const EXCERPT_CHARS = 200;
+
+/**
+ * Action: Assert page text.
+ *   { "text": "Welcome back" }
+ *   { "text": "Error", "selector": "#status", "absent": true }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @returns {Promise<{assertion: 'text', passed: boolean, expected: string, actual: string, message: string}>}
+ */
+export async function assert_text(page, params = {}) {
+  const { text, selector, absent, caseSensitive, fatal } = params;
+  if (!text) {
+    throw new ActionError('Assert text action: text is required', { code: 'INVALID_PARAMS' });
+  }
+  const timeoutMs = (params.timeout !== undefined ? parseInt(params.timeout) : 5) * 1000;
+  const normalize = value => (caseSensitive ? value : value.toLowerCase());
+  const where = selector ? `'${selector}'` : 'page';
+
+  const outcome = await pollAssertion(page, timeoutMs, async () => {
+    const content = await page.locator(selector || 'body').first().innerText({ timeout: 2000 }).catch(() => null);
+    const found = content !== null && normalize(content).includes(normalize(text));
+    let actual = content === null ? `${where} not found` : content.replace(/\s+/g, ' ').trim();
+    if (found) {
+      actual = text;
+    } else if (actual.length > EXCERPT_CHARS) {
+      actual = `${actual.slice(0, EXCERPT_CHARS)}...`;
+    }
+    return { passed: absent ? content !== null && !found : found, actual };
+  });
+
+  return assertionResult('text', {
+    passed: outcome.passed,
+    expected: text,
+    actual: outcome.actual,
+    message: `${where} ${absent ? 'does not contain' : 'contains'} '${text}'`
+  }, fatal);
+}
@@ -0,0 +1,59 @@
+import { ActionError } from '../errors.js';
+import { assertionResult, pollAssertion } from '../assertions.js';
+
+export const meta = {
+  name: 'assert_url',
+  description: 'Check the current URL against a regex (or an exact URL); records pass/fail and fails the run at the end',
+  params: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'Regex the URL must match, e.g. "/dashboard" or "^https://shop\\.example\\.com/"' },
+      exact: { type: 'boolean', description: 'Compare the whole URL literally instead of as a regex' },
+      timeout: { type: 'integer', minimum: 0, description: 'Seconds to keep checking before failing (default 5)' },
+      fatal: { type: 'boolean', description: 'Stop the run right away when the assertion fails' }
+    },
+    additionalProperties: false,
+    required: ['url']
+  },
+  returns: '{ assertion, passed, expected, actual, message }'
+};
+
+/**
+ * Action: Assert the page URL.
+ *   { "url": "/checkout/success" }
+ *   { "url": "https://example.com/", "exact": true }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @returns {Promise<{assertion: 'url', passed: boolean, expected: string, actual: string, message: string}>}
+ */
+export async function assert_url(page, params = {}) {
+  const { url, exact, fatal } = params;
+  if (!url) {
+    throw new ActionError('Assert url action: url is required', { code: 'INVALID_PARAMS' });
+  }
+  let matches;
+  if (exact) {
+    matches = actual => actual === url;
+  } else {
+    let pattern;
+    try {
+      pattern = new RegExp(url, 'i');
+    } catch (e) {
+      throw new ActionError(`Assert url action: invalid pattern (${e.message})`, { code: 'INVALID_PARAMS' });
+    }
+    matches = actual => pattern.test(actual);
+  }
+  const timeoutMs = (params.timeout !== undefined ? parseInt(params.timeout) : 5) * 1000;
+
+  const outcome = await pollAssertion(page, timeoutMs, async () => {
+    const actual = page.url();
+    return { passed: matches(actual), actual };
+  });
+
+  return assertionResult('url', {
+    passed: outcome.passed,
+    expected: url,
+    actual: outcome.actual,
+    message: exact ? `URL is '${url}'` : `URL matches /${url}/`
+  }, fatal);
+}
@@ -0,0 +1,61 @@
+import { ActionError } from '../errors.js';
+import { assertionResult } from '../assertions.js';
+import { analyzeScreen } from '../vision_engine.js';
+
+export const meta = {
+  name: 'assert_visual',
+  description: 'Ask the vision model a yes/no question about the screen (e.g. "Is a product image shown?"); records pass/fail',
+  params: {
+    type: 'object',
+    properties: {
+      question: { type: 'string', description: 'Yes/no question about what is visible' },
+      expect: { type: 'boolean', description: 'Expected answer: true = yes (default), false = no' },
+      fatal: { type: 'boolean', description: 'Stop the run right away when the assertion fails' }
+    },
+    additionalProperties: false,
+    required: ['question']
+  },
+  returns: '{ assertion, passed, expected, actual, message } - actual is "yes", "no" or the unclear answer'
+};
+
+const YES = /^(yes|yeah|yep|true|có|đúng|phải)\b/i;
+const NO = /^(no|nope|false|không|sai)\b/i;
+
+/**
+ * Read a yes/no answer from the model's reply.
+ * @returns {'yes'|'no'|null}
+ */
+function parseAnswer(reply) {
+  const text = String(reply || '').replace(/^[^\p{L}]+/u, '');
+  if (YES.test(text)) return 'yes';
+  if (NO.test(text)) return 'no';
+  return null;
+}
+
+/**
+ * Action: Visual assertion with the vision model (vision_engine analyzeScreen).
+ * An unreachable model or an unclear answer counts as a failure.
+ *   { "question": "Is there a green success banner?" }
+ *   { "question": "Is a CAPTCHA shown?", "expect": false }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @returns {Promise<{assertion: 'visual', passed: boolean, expected: string, actual: string, message: string}>}
+ */
+export async function assert_visual(page, params = {}) {
+  const { question, fatal } = params;
+  if (!question) {
+    throw new ActionError('Assert visual action: question is required', { code: 'INVALID_PARAMS' });
+  }
+  const expected = params.expect === false || params.expect === 'false' ? 'no' : 'yes';
+
+  const reply = await analyzeScreen(page, `Look at this screenshot of a web page and answer the question with a single word, "yes" or "no".
+Question: ${question}`);
+  const answer = parseAnswer(reply);
+
+  return assertionResult('visual', {
+    passed: answer === expected,
+    expected,
+    actual: answer || (reply ? reply.trim().slice(0, 200) : 'no answer from the vision model'),
+    message: `"${question}" is answered ${expected}`
+  }, fatal);
+}
@@ -1,4 +1,18 @@
 import { humanMove } from './mouse_helper.js';
+import { classifyError, BrowserCrashError } from '../errors.js';
+
+export const meta = {
+  name: 'browse',
+  description: 'Scroll and move mouse naturally',
+  params: {
+    type: 'object',
+    properties: {
+      iterations: { type: 'integer', description: 'Number of scroll/read cycles (default 5)' }
+    },
+    additionalProperties: false
+  },
+  returns: 'nothing'
+};
 
 /**
  * Action: Simulate natural browsing behavior (scrolling and mouse movements).
@@ -40,7 +54,7 @@ export async function browse(page, params = {}) {
       if (isLongPause) console.log('Taking a moment to read...');
       await page.waitForTimeout(pauseDuration);
     } catch (e) {
-      if (e.message.includes('Target page, context or browser has been closed')) {
+      if (classifyError(e) instanceof BrowserCrashError) {
         console.warn('Browser closed during browse loop.');
         return;
       }
@@ -1,3 +1,5 @@
+import { CaptchaError } from '../errors.js';
+
 /**
  * Selectors for various Google/YouTube captchas
  */
@@ -53,11 +55,11 @@ export async function waitForCaptcha(page, timeout = 600000) {
         }
         await page.waitForTimeout(3000); // Check every 3 seconds
       }
-      throw new Error('CAPTCHA_TIMEOUT');
+      throw new CaptchaError('CAPTCHA_TIMEOUT');
     } catch (e) {
-      if (e.message === 'CAPTCHA_TIMEOUT') throw e;
+      if (e.code === 'CAPTCHA_TIMEOUT') throw e;
       console.error('Error during manual CAPTCHA resolution:', e.message);
-      throw new Error('CAPTCHA_ERROR');
+      throw new CaptchaError('CAPTCHA_ERROR', { cause: e });
     }
   }
 }
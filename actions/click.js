@@ -1,4 +1,20 @@
 import { humanMove } from './mouse_helper.js';
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'click',
+  description: 'Click on a result or selector. Without params clicks the first Google result',
+  params: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', description: 'CSS selector to click' },
+      text: { type: 'string', description: 'Visible text of the element to click' },
+      type: { type: 'string', enum: ['enter', 'verify', 'video'], description: '"enter" presses Enter, "verify" clicks a Cloudflare check, "video" clicks the first video result' }
+    },
+    additionalProperties: false
+  },
+  returns: 'nothing'
+};
 
 /**
  * Generic Click Action
@@ -208,6 +224,6 @@ export async function click(page, params = {}) {
   } else {
     const msg = `Target element '${selector || 'default'}' not visible.`;
     console.warn(msg);
-    throw new Error(msg);
+    throw new ActionError(msg, { code: 'ELEMENT_NOT_VISIBLE' });
   }
 }
@@ -0,0 +1,25 @@
+import { tabsFor } from '../tab_manager.js';
+
+export const meta = {
+  name: 'close_other_tabs',
+  description: 'Close every tab except the current one',
+  params: {
+    type: 'object',
+    properties: {},
+    additionalProperties: false
+  },
+  returns: '{ closed } - number of tabs closed'
+};
+
+/**
+ * Action: Close all other tabs (pop-ups, leftovers from earlier steps).
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (tabs).
+ * @returns {Promise<{closed: number}>}
+ */
+export async function close_other_tabs(page, params = {}, ctx = {}) {
+  const closed = await tabsFor(page, ctx).closeOthers();
+  console.log(`[TABS] Closed ${closed} other tab(s)`);
+  return { closed };
+}
@@ -0,0 +1,37 @@
+import { tabsFor } from '../tab_manager.js';
+
+export const meta = {
+  name: 'close_tab',
+  description: 'Close the current tab (or one picked by index, URL pattern or title) and continue in the tab that opened it',
+  params: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer', description: 'Tab position, 0-based; negative counts from the end' },
+      url: { type: 'string', description: 'Regex matched against the tab URL' },
+      title: { type: 'string', description: 'Regex or text matched against the tab title' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ closed, current } - URL of the closed tab and of the tab now in use'
+};
+
+/**
+ * Action: Close a tab. The last open tab cannot be closed.
+ *   {}                      - the current tab
+ *   { "url": "ads\\." }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (tabs).
+ * @returns {Promise<{closed: string, current: string}>}
+ */
+export async function close_tab(page, params = {}, ctx = {}) {
+  const { index, url, title } = params;
+  const tabs = tabsFor(page, ctx);
+  const picked = (index !== undefined && index !== null && index !== '') || url || title;
+  const target = picked ? await tabs.find({ index: index === '' ? undefined : index, url, title }) : tabs.page;
+
+  const closed = target.url();
+  console.log(`[TABS] Closing tab: ${closed}`);
+  await tabs.close(target);
+  return { closed, current: tabs.page.url() };
+}
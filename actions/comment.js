@@ -1,5 +1,19 @@
 import { generateContextAwareComment } from '../vision_engine.js';
 import { humanMove } from './mouse_helper.js';
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'comment',
+  description: 'Post a context-aware comment on the current YouTube video',
+  params: {
+    type: 'object',
+    properties: {
+      instruction: { type: 'string', description: 'What the comment should be about' }
+    },
+    additionalProperties: false
+  },
+  returns: 'nothing'
+};
 
 /**
  * Action: Post a comment on a YouTube video using Visual AI.
@@ -23,7 +37,7 @@ export async function comment(page, params = {}) {
         await page.waitForSelector('button#avatar-btn', { timeout: 5000 });
     } catch (e) {
         console.error('Comment action failed: Not logged in (Avatar not found).');
-        throw new Error('NOT_LOGGED_IN_ON_YOUTUBE');
+        throw new ActionError('NOT_LOGGED_IN_ON_YOUTUBE');
     }
 
     // 2. Scroll to comment section
@@ -0,0 +1,164 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { moveToElement } from './mouse_helper.js';
+import { findElement } from './element_helper.js';
+import { ActionError } from '../errors.js';
+import { resolveArtifactPath, writeArtifact, uniqueArtifactPath, artifactEntry } from '../artifacts.js';
+
+export const meta = {
+  name: 'download',
+  description: 'Click a link/button (or fetch a URL) and save the downloaded file under the run artifacts',
+  params: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', description: 'CSS selector of the link/button that starts the download' },
+      text: { type: 'string', description: 'Visible text of the link/button that starts the download' },
+      url: { type: 'string', description: 'File URL to fetch directly with the page cookies (e.g. an image src)' },
+      fileName: { type: 'string', description: 'Name to save as (default: the name suggested by the site)' },
+      timeout: { type: 'integer', minimum: 1, description: 'Seconds to wait for the download (default 60)' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ path, fileName, suggestedFilename, url, size, sha256, mimeType, downloadedAt, artifact }'
+};
+
+const DOWNLOADS_FOLDER = 'downloads';
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+// Keep the name portable: no folders, no characters Windows rejects
+function safeFileName(name) {
+  const base = path.basename(String(name || '')).replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').trim();
+  return base && base !== '.' && base !== '..' ? base : `download_${Date.now()}`;
+}
+
+function fileNameFromUrl(url, contentType) {
+  let name = '';
+  try {
+    name = decodeURIComponent(path.posix.basename(new URL(url).pathname));
+  } catch (e) {}
+  if (!path.extname(name) && contentType) {
+    const subtype = contentType.split(';')[0].split('/')[1];
+    if (subtype && /^[\w.+-]+$/.test(subtype)) name = `${name || 'download'}.${subtype.replace('jpeg', 'jpg').replace('+xml', '')}`;
+  }
+  return name;
+}
+
+function fileNameFromDisposition(header) {
+  if (!header) return null;
+  const encoded = header.match(/filename\*\s*=\s*[^']*''([^;]+)/i);
+  if (encoded) {
+    try { return decodeURIComponent(encoded[1].trim()); } catch (e) {}
+  }
+  const plain = header.match(/filename\s*=\s*"?([^";]+)"?/i);
+  return plain ? plain[1].trim() : null;
+}
+
+async function saveDownload(page, params, ctx, timeoutMs) {
+  const trigger = await findElement(page, params, 'Download action');
+  await moveToElement(page, trigger);
+  await page.waitForTimeout(300 + Math.random() * 500);
+
+  let download;
+  try {
+    [download] = await Promise.all([
+      page.waitForEvent('download', { timeout: timeoutMs }),
+      trigger.click()
+    ]);
+  } catch (e) {
+    throw new ActionError(`Download action: no download started within ${timeoutMs / 1000}s`, { code: 'DOWNLOAD_FAILED', cause: e });
+  }
+
+  const suggestedFilename = download.suggestedFilename();
+  const relativePath = await uniqueArtifactPath(ctx, path.join(DOWNLOADS_FOLDER, safeFileName(params.fileName || suggestedFilename)));
+  const filePath = resolveArtifactPath(ctx, relativePath);
+  console.log(`[DOWNLOAD] Saving "${suggestedFilename}"...`);
+  await download.saveAs(filePath);
+  const failure = await download.failure();
+  if (failure) {
+    throw new ActionError(`Download action: download failed (${failure})`, { code: 'DOWNLOAD_FAILED' });
+  }
+  return { filePath, relativePath, suggestedFilename, url: download.url(), mimeType: null };
+}
+
+// Fetch with the browser context's cookies, so the original file is saved rather than a screenshot of it
+async function saveUrl(page, params, ctx, timeoutMs) {
+  let url;
+  try {
+    url = new URL(params.url, page.url()).href;
+  } catch (e) {
+    throw new ActionError(`Download action: invalid url '${params.url}'`, { code: 'INVALID_PARAMS' });
+  }
+  let response;
+  try {
+    response = await page.context().request.get(url, { timeout: timeoutMs, headers: { referer: page.url() } });
+  } catch (e) {
+    throw new ActionError(`Download action: could not fetch ${url}`, { code: 'DOWNLOAD_FAILED', cause: e });
+  }
+  if (!response.ok()) {
+    throw new ActionError(`Download action: ${url} returned HTTP ${response.status()}`, { code: 'DOWNLOAD_FAILED' });
+  }
+
+  const headers = response.headers();
+  const suggestedFilename = fileNameFromDisposition(headers['content-disposition']) || fileNameFromUrl(url, headers['content-type']);
+  const relativePath = await uniqueArtifactPath(ctx, path.join(DOWNLOADS_FOLDER, safeFileName(params.fileName || suggestedFilename)));
+  console.log(`[DOWNLOAD] Fetching ${url}...`);
+  const filePath = await writeArtifact(ctx, relativePath, await response.body());
+  return { filePath, relativePath, suggestedFilename, url, mimeType: headers['content-type']?.split(';')[0] || null };
+}
+
+async function sha256Of(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Action: Download a file into the run's artifacts folder (downloads/).
+ * The file gets a `<name>.meta.json` sidecar with where it came from, its size and hash.
+ *
+ *   { "selector": "a.export-csv" }
+ *   { "text": "Download PDF", "fileName": "invoice.pdf" }
+ *   { "url": "${imageUrl}" }
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (artifacts folder, step index).
+ * @returns {Promise<{path: string, fileName: string, suggestedFilename: string, url: string, size: number, sha256: string, mimeType: string|null, downloadedAt: string, artifact: object}>}
+ */
+export async function download(page, params = {}, ctx = {}) {
+  const { selector, text, url } = params;
+  if ([selector, text, url].filter(Boolean).length !== 1) {
+    throw new ActionError('Download action: give exactly one of selector, text or url', { code: 'INVALID_PARAMS' });
+  }
+  if (params.fileName) resolveArtifactPath(ctx, path.join(DOWNLOADS_FOLDER, params.fileName)); // Reject bad names before clicking anything
+  const timeoutMs = (parseInt(params.timeout) || DEFAULT_TIMEOUT_SECONDS) * 1000;
+
+  const saved = url
+    ? await saveUrl(page, params, ctx, timeoutMs)
+    : await saveDownload(page, params, ctx, timeoutMs);
+
+  const stat = await fs.stat(saved.filePath);
+  const result = {
+    path: saved.filePath,
+    fileName: path.basename(saved.filePath),
+    suggestedFilename: saved.suggestedFilename,
+    url: saved.url,
+    size: stat.size,
+    sha256: await sha256Of(saved.filePath),
+    mimeType: saved.mimeType,
+    downloadedAt: new Date().toISOString(),
+    artifact: artifactEntry(ctx, 'download', saved.filePath, saved.url)
+  };
+  const { artifact, ...metadata } = result;
+  await writeArtifact(ctx, `${saved.relativePath}.meta.json`, {
+    ...metadata,
+    path: saved.relativePath,
+    pageUrl: page.url(),
+    runId: ctx.runId || null,
+    step: ctx.path ?? null
+  });
+
+  console.log(`[DOWNLOAD] Saved ${result.fileName} (${result.size} bytes) to ${result.path}`);
+  return result;
+}
@@ -0,0 +1,71 @@
+import { humanMove, moveToElement } from './mouse_helper.js';
+import { findElement } from './element_helper.js';
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'drag_and_drop',
+  description: 'Drag an element onto another element, or by an offset (sliders, sortable lists, drop zones)',
+  params: {
+    type: 'object',
+    properties: {
+      source: { type: 'string', description: 'CSS selector of the element to drag' },
+      target: { type: 'string', description: 'CSS selector of the drop target' },
+      offsetX: { type: 'number', description: 'Drag this many pixels right (negative: left) when there is no target' },
+      offsetY: { type: 'number', description: 'Drag this many pixels down (negative: up) when there is no target' }
+    },
+    additionalProperties: false,
+    required: ['source']
+  },
+  returns: 'nothing'
+};
+
+/**
+ * Action: Drag and drop with real mouse events (press, human-like move, release),
+ * which also drives HTML5 drag-and-drop in Chromium.
+ *   { "source": "#card-3", "target": "#column-done" }
+ *   { "source": ".slider-handle", "offsetX": 120 }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ */
+export async function drag_and_drop(page, params = {}) {
+  const { source, target } = params;
+  const offsetX = Number(params.offsetX) || 0;
+  const offsetY = Number(params.offsetY) || 0;
+  if (!target && !offsetX && !offsetY) {
+    throw new ActionError('Drag and drop action: target or offsetX/offsetY is required', { code: 'INVALID_PARAMS' });
+  }
+
+  const sourceElement = await findElement(page, { selector: source }, 'Drag and drop action');
+  const targetElement = target ? await findElement(page, { selector: target }, 'Drag and drop action') : null;
+
+  const from = await moveToElement(page, sourceElement);
+  if (!from) {
+    throw new ActionError(`Drag and drop action: '${source}' has no position on screen`, { code: 'ELEMENT_NOT_VISIBLE' });
+  }
+  const startX = from.x + from.width / 2;
+  const startY = from.y + from.height / 2;
+
+  console.log(`[DRAG_AND_DROP] Dragging '${source}' to ${target ? `'${target}'` : `offset (${offsetX}, ${offsetY})`}...`);
+  await page.waitForTimeout(200 + Math.random() * 300);
+  await page.mouse.down();
+  // A small first move starts the drag gesture before travelling
+  await page.mouse.move(startX + 5, startY + 5, { steps: 3 });
+  await page.waitForTimeout(100 + Math.random() * 200);
+
+  let endX = startX + offsetX;
+  let endY = startY + offsetY;
+  if (targetElement) {
+    // The target box is read after the drag starts: lists often reflow when an item is lifted
+    const to = await targetElement.boundingBox();
+    if (!to) {
+      await page.mouse.up();
+      throw new ActionError(`Drag and drop action: '${target}' has no position on screen`, { code: 'ELEMENT_NOT_VISIBLE' });
+    }
+    endX = to.x + to.width / 2;
+    endY = to.y + to.height / 2;
+  }
+  await humanMove(page, endX, endY);
+  await page.waitForTimeout(150 + Math.random() * 250);
+  await page.mouse.up();
+  await page.waitForTimeout(500 + Math.random() * 500);
+}
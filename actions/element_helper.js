@@ -0,0 +1,28 @@
+import { ActionError } from '../errors.js';
+
+/**
+ * Locate the element an action targets: a CSS selector, or visible text (link, then button, then any text).
+ * @param {import('playwright').Page} page
+ * @param {object} target
+ * @param {string} [target.selector]
+ * @param {string} [target.text]
+ * @param {string} label - Action name for the error message (e.g. 'Hover action').
+ * @param {object} [options]
+ * @param {boolean} [options.visible=true] - Require the element to be visible (file inputs, for instance, are often hidden).
+ * @returns {Promise<import('playwright').Locator>}
+ * @throws {ActionError} ELEMENT_NOT_VISIBLE when nothing matches.
+ */
+export async function findElement(page, { selector, text }, label, { visible = true } = {}) {
+  if (!selector && !text) {
+    throw new ActionError(`${label}: selector or text is required`, { code: 'INVALID_PARAMS' });
+  }
+  const locator = selector
+    ? page.locator(selector).first()
+    : page.getByRole('link', { name: text }).or(page.getByRole('button', { name: text })).or(page.getByText(text)).first();
+
+  const found = await locator.waitFor({ state: visible ? 'visible' : 'attached', timeout: 5000 }).then(() => true, () => false);
+  if (!found) {
+    throw new ActionError(`${label}: '${selector || text}' not found`, { code: 'ELEMENT_NOT_VISIBLE' });
+  }
+  return locator;
+}
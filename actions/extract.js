@@ -0,0 +1,201 @@
+import { humanMove } from './mouse_helper.js';
+import { ActionError } from '../errors.js';
+import { writeArtifact, resolveArtifactPath, artifactEntry } from '../artifacts.js';
+import { scanPageContent } from '../session_manager.js';
+import { AIEngine } from '../ai_engine.js';
+
+export const meta = {
+  name: 'extract',
+  description: 'Extract structured data from the page (field map of CSS selectors, or a natural-language description)',
+  params: {
+    type: 'object',
+    properties: {
+      fields: { type: 'object', description: 'Field name -> "css", "css@attribute" or { selector, attribute, html, list, table, fields }' },
+      description: { type: 'string', description: 'What to extract in plain words (AI mode, used when no fields are given)' },
+      next: { type: 'string', description: 'CSS selector of the "next page" link/button for pagination' },
+      maxPages: { type: 'integer', minimum: 1, description: 'Pages to extract when "next" is set (default 5)' },
+      output: { type: 'string', description: 'File name to also save the JSON under the run artifacts (e.g. products.json)' },
+      model: { type: 'string', description: 'AI model for description mode' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ data, pages, url, file?, artifact? } - list fields of every page are concatenated'
+};
+
+const DEFAULT_MAX_PAGES = 5;
+const MAX_TEXT_CHARS = 12000;
+
+/**
+ * Normalize a field spec: "h1", "a.title@href" or { selector, attribute, html, list, table, fields }.
+ */
+function normalizeField(spec, name) {
+  if (typeof spec === 'string') {
+    const shorthand = spec.match(/^(.+)@([\w-]+)$/);
+    return shorthand ? { selector: shorthand[1].trim(), attribute: shorthand[2] } : { selector: spec.trim() };
+  }
+  if (!spec || typeof spec !== 'object' || (!spec.selector && !spec.fields)) {
+    throw new ActionError(`Extract: field '${name}' needs a selector or nested fields`, { code: 'INVALID_PARAMS' });
+  }
+  const field = {
+    selector: spec.selector || null,
+    attribute: spec.attribute || null,
+    html: !!spec.html,
+    list: !!spec.list,
+    table: !!spec.table
+  };
+  if (spec.fields) field.fields = normalizeFields(spec.fields, name);
+  return field;
+}
+
+function normalizeFields(fields, parent = 'fields') {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    throw new ActionError(`Extract: ${parent} must be a non-empty map of field names to selectors`, { code: 'INVALID_PARAMS' });
+  }
+  const normalized = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    normalized[name] = normalizeField(spec, parent === 'fields' ? name : `${parent}.${name}`);
+  }
+  return normalized;
+}
+
+/**
+ * Runs inside the page: resolve a normalized field map against `document`.
+ */
+function extractFieldsInPage(fields) {
+  const readValue = (el, spec) => {
+    if (spec.attribute) {
+      if (el.getAttribute(spec.attribute) === null) return null;
+      // Absolute URLs for links and images
+      return spec.attribute === 'href' || spec.attribute === 'src' ? el[spec.attribute] : el.getAttribute(spec.attribute);
+    }
+    if (spec.html) return el.innerHTML;
+    return (el.innerText ?? el.textContent ?? '').trim();
+  };
+
+  const readTable = (table) => {
+    const cells = row => [...row.querySelectorAll('th, td')].map(cell => cell.innerText.trim());
+    const rows = [...table.querySelectorAll('tr')];
+    const headerRow = table.querySelector('thead tr') || (rows[0] && !rows[0].querySelector('td') ? rows[0] : null);
+    const headers = headerRow ? cells(headerRow) : null;
+    return rows
+      .filter(row => row !== headerRow)
+      .map(row => {
+        const values = cells(row);
+        if (!headers) return values;
+        const record = {};
+        headers.forEach((header, i) => { record[header || `column${i + 1}`] = values[i] ?? null; });
+        return record;
+      })
+      .filter(row => Object.keys(row).length > 0);
+  };
+
+  const extractFields = (root, map) => {
+    const record = {};
+    for (const [name, spec] of Object.entries(map)) {
+      record[name] = extractField(root, spec);
+    }
+    return record;
+  };
+
+  const extractField = (root, spec) => {
+    if (!spec.selector) return extractFields(root, spec.fields);
+    const read = el => (spec.table ? readTable(el) : spec.fields ? extractFields(el, spec.fields) : readValue(el, spec));
+    if (spec.list) return [...root.querySelectorAll(spec.selector)].map(read);
+    const el = root.querySelector(spec.selector);
+    return el ? read(el) : null;
+  };
+
+  return extractFields(document, fields);
+}
+
+async function extractWithAI(page, description, model) {
+  const scan = await scanPageContent(page);
+  const snapshot = {
+    url: page.url(),
+    title: await page.title().catch(() => ''),
+    text: (await page.evaluate(() => document.body.innerText).catch(() => '')).slice(0, MAX_TEXT_CHARS),
+    links: (scan.interactiveElements || []).filter(el => el.href).map(el => ({ text: el.text, href: el.href }))
+  };
+  const ai = new AIEngine(model);
+  return ai.extractData(description, snapshot);
+}
+
+// Lists are concatenated across pages, other values keep the first page's value
+function mergePages(pages) {
+  if (pages.length === 1) return pages[0];
+  if (pages.every(Array.isArray)) return pages.flat();
+  const merged = { ...pages[0] };
+  for (const data of pages.slice(1)) {
+    for (const [key, value] of Object.entries(data || {})) {
+      if (Array.isArray(merged[key]) && Array.isArray(value)) merged[key] = merged[key].concat(value);
+      else if (merged[key] === undefined || merged[key] === null) merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+async function goToNextPage(page, selector) {
+  const next = page.locator(selector).first();
+  if (!await next.isVisible().catch(() => false)) return false;
+
+  const box = await next.boundingBox();
+  if (box) await humanMove(page, box.x + box.width / 2, box.y + box.height / 2);
+  const previousUrl = page.url();
+  await next.click();
+  await page.waitForLoadState('domcontentloaded').catch(() => {});
+  // Client-side pagination keeps the URL; give it time to render
+  await page.waitForTimeout(page.url() === previousUrl ? 2500 : 1000 + Math.random() * 1000);
+  return true;
+}
+
+/**
+ * Action: Extract structured data from the current page.
+ *
+ * Field map mode:
+ *   { "fields": {
+ *       "title": "h1",
+ *       "links": { "selector": "a.result", "attribute": "href", "list": true },
+ *       "items": { "selector": ".product", "list": true, "fields": { "name": "h3", "price": ".price", "url": "a@href" } },
+ *       "specs": { "selector": "table.specs", "table": true }
+ *   }, "next": "a[rel=next]", "maxPages": 3, "output": "products.json" }
+ *
+ * Description mode (AI, grounded in the page text and the links found by scanPageContent):
+ *   { "description": "product names and prices" }
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (artifacts folder for `output`).
+ * @returns {Promise<{data: object|Array, pages: number, url: string, file?: string, artifact?: object}>}
+ */
+export async function extract(page, params = {}, ctx = {}) {
+  const { description, next, output, model } = params;
+  if (!params.fields && !description) {
+    throw new ActionError('Extract action: "fields" or "description" is required', { code: 'INVALID_PARAMS' });
+  }
+  const fields = params.fields ? normalizeFields(params.fields) : null;
+  if (output) resolveArtifactPath(ctx, output); // Reject bad paths before doing the work
+  const maxPages = next ? Math.max(1, parseInt(params.maxPages) || DEFAULT_MAX_PAGES) : 1;
+  const startUrl = page.url();
+
+  const pages = [];
+  while (true) {
+    console.log(`[EXTRACT] Page ${pages.length + 1}/${maxPages}: ${page.url()}`);
+    pages.push(fields
+      ? await page.evaluate(extractFieldsInPage, fields)
+      : await extractWithAI(page, description, model));
+
+    if (pages.length >= maxPages) break;
+    if (!await goToNextPage(page, next)) {
+      console.log('[EXTRACT] No next page. Done.');
+      break;
+    }
+  }
+
+  const result = { data: mergePages(pages), pages: pages.length, url: startUrl };
+  if (output) {
+    result.file = await writeArtifact(ctx, output, result.data);
+    result.artifact = artifactEntry(ctx, 'data', result.file, startUrl);
+    console.log(`[EXTRACT] Saved to ${result.file}`);
+  }
+  return result;
+}
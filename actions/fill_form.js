@@ -0,0 +1,239 @@
+import { moveToElement } from './mouse_helper.js';
+import { humanType } from './keyboard_helper.js';
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'fill_form',
+  description: 'Fill a form: map of field label/name/placeholder to value (text, select, checkbox, radio, date)',
+  params: {
+    type: 'object',
+    properties: {
+      fields: { type: 'object', description: 'Field label, name, id or placeholder -> value. Checkboxes take true/false, multi-selects and checkbox groups a list' },
+      form: { type: 'string', description: 'CSS selector of the form to fill (default: whole page)' },
+      submit: { type: ['boolean', 'string'], description: 'true clicks the submit button; a string names the button text or selector' },
+      strict: { type: 'boolean', description: 'Fail when a field cannot be matched (default: only report it)' }
+    },
+    additionalProperties: false,
+    required: ['fields']
+  },
+  returns: '{ filled, unmatched, failed, submitted }'
+};
+
+const TEXT_INPUT_TYPES = ['', 'text', 'email', 'password', 'search', 'tel', 'url', 'number'];
+// Typing into these depends on the browser locale, so their value is set directly (ISO format, e.g. 2024-05-31)
+const DIRECT_INPUT_TYPES = ['date', 'time', 'datetime-local', 'month', 'week', 'color', 'range'];
+const SUBMIT_NAMES = /^(submit|send|save|continue|next|sign up|register|apply|gửi|lưu|tiếp tục|tiếp theo|đăng ký)$/i;
+
+function cssString(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+function isChecked(value) {
+  return value === true || /^(true|yes|on|1|checked|có)$/i.test(String(value));
+}
+
+/**
+ * Find the element(s) for a field key: accessible label, then name/id, placeholder, then a labelled group.
+ */
+async function locateField(root, key) {
+  const candidates = [
+    root.getByLabel(key, { exact: true }),
+    root.locator(`[name=${cssString(key)}]`),
+    root.locator(`[id=${cssString(key)}]`),
+    root.getByPlaceholder(key, { exact: true }),
+    root.getByRole('radiogroup', { name: key }),
+    root.getByRole('group', { name: key }),
+    root.getByLabel(key),
+    root.getByPlaceholder(key)
+  ];
+  for (const candidate of candidates) {
+    if (await candidate.count().catch(() => 0) > 0) return candidate;
+  }
+  return null;
+}
+
+async function describeElement(locator) {
+  return locator.first().evaluate(el => ({
+    tag: el.tagName.toLowerCase(),
+    type: (el.getAttribute('type') || '').toLowerCase(),
+    role: el.getAttribute('role'),
+    editable: el.isContentEditable
+  }));
+}
+
+const OPTION_SELECTOR = 'input[type="radio"], input[type="checkbox"], [role="radio"], [role="checkbox"]';
+
+// Index of the option whose value attribute or label matches, or -1
+async function findOption(options, value) {
+  const wanted = String(value).trim().toLowerCase();
+  const count = await options.count();
+  for (let i = 0; i < count; i++) {
+    const { optionValue, label } = await options.nth(i).evaluate(el => ({
+      optionValue: el.getAttribute('value'),
+      label: (el.labels?.[0]?.innerText || el.getAttribute('aria-label') || el.closest('label')?.innerText || '').trim()
+    }));
+    if (optionValue?.toLowerCase() === wanted || label.toLowerCase() === wanted) return i;
+  }
+  return -1;
+}
+
+async function setChecked(page, locator, checked) {
+  await moveToElement(page, locator);
+  try {
+    await locator.setChecked(checked, { timeout: 5000 });
+  } catch (e) {
+    // Styled checkboxes hide the real input behind their label
+    await locator.setChecked(checked, { force: true, timeout: 5000 });
+  }
+}
+
+/**
+ * Radio group: pick the matching option. Checkbox group: check exactly the listed options.
+ * @param {import('playwright').Locator} options - The group's radio/checkbox elements.
+ */
+async function fillGroup(page, options, value) {
+  const values = [].concat(value);
+  const indexes = [];
+  for (const item of values) {
+    const index = await findOption(options, item);
+    if (index === -1) throw new Error(`no option '${item}'`);
+    indexes.push(index);
+  }
+
+  const isCheckboxGroup = await options.first().evaluate(el => el.type === 'checkbox' || el.getAttribute('role') === 'checkbox');
+  if (!isCheckboxGroup) {
+    return setChecked(page, options.nth(indexes[0]), true);
+  }
+  const count = await options.count();
+  for (let i = 0; i < count; i++) {
+    await setChecked(page, options.nth(i), indexes.includes(i));
+  }
+}
+
+async function fillField(page, locator, value) {
+  const count = await locator.count();
+  const info = await describeElement(locator);
+
+  // Radios/checkboxes sharing a name, or a labelled fieldset/radiogroup
+  if (count > 1 && ['radio', 'checkbox'].includes(info.type)) {
+    return fillGroup(page, locator, value);
+  }
+  if (!['input', 'select', 'textarea'].includes(info.tag) && !info.editable && (await locator.locator(OPTION_SELECTOR).count()) > 0) {
+    return fillGroup(page, locator.locator(OPTION_SELECTOR), value);
+  }
+
+  const field = locator.first();
+  if (info.tag === 'select') {
+    await moveToElement(page, field);
+    const values = [].concat(value).map(String);
+    // Match by visible label first, then by option value
+    await field.selectOption(values.map(label => ({ label })), { timeout: 5000 })
+      .catch(() => field.selectOption(values, { timeout: 5000 }));
+    return;
+  }
+  if (info.type === 'checkbox' || info.role === 'checkbox' || info.role === 'switch') {
+    return setChecked(page, field, isChecked(value));
+  }
+  if (info.type === 'radio' || info.role === 'radio') {
+    return setChecked(page, field, true);
+  }
+  if (info.type === 'file') {
+    throw new Error('file inputs are not filled by fill_form, use upload');
+  }
+  if (DIRECT_INPUT_TYPES.includes(info.type)) {
+    await moveToElement(page, field);
+    await field.fill(String(value), { timeout: 5000 });
+    return;
+  }
+  if (info.tag === 'textarea' || info.editable || (info.tag === 'input' && TEXT_INPUT_TYPES.includes(info.type))) {
+    await moveToElement(page, field);
+    await page.waitForTimeout(300 + Math.random() * 500);
+    await field.click({ timeout: 5000 });
+    await field.fill('');
+    await humanType(page, value);
+    return;
+  }
+  throw new Error(`unsupported field <${info.tag}${info.type ? ` type=${info.type}` : ''}>`);
+}
+
+async function findSubmitButton(root, submit) {
+  if (typeof submit === 'string') {
+    const byName = root.getByRole('button', { name: submit });
+    if (await byName.count().catch(() => 0) > 0) return byName.first();
+    const bySelector = root.locator(submit);
+    return await bySelector.count().catch(() => 0) > 0 ? bySelector.first() : null;
+  }
+  const candidates = [
+    root.locator('button[type="submit"], input[type="submit"]'),
+    root.getByRole('button', { name: SUBMIT_NAMES })
+  ];
+  for (const candidate of candidates) {
+    const visible = candidate.filter({ visible: true });
+    if (await visible.count().catch(() => 0) > 0) return visible.first();
+  }
+  return null;
+}
+
+/**
+ * Action: Fill a form by field label, name, id or placeholder.
+ * Text is typed with human timing; selects, checkboxes, radios and date inputs are set directly.
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} params.fields - e.g. { "Email": "me@example.com", "Country": "Vietnam", "Subscribe": true, "Gender": "Female" }
+ * @param {string} [params.form] - CSS selector of the form.
+ * @param {boolean|string} [params.submit] - Submit after filling (button text/selector, or true to detect it).
+ * @param {boolean} [params.strict] - Throw FORM_FIELD_NOT_FOUND instead of reporting unmatched fields.
+ * @returns {Promise<{filled: string[], unmatched: string[], failed: Array<{field: string, error: string}>, submitted: boolean}>}
+ */
+export async function fill_form(page, params = {}) {
+  const { fields, form, submit, strict } = params;
+  if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+    throw new ActionError('Fill form action: fields map is required', { code: 'INVALID_PARAMS' });
+  }
+
+  const root = form ? page.locator(form).first() : page.locator('body');
+  if (form && !await root.isVisible({ timeout: 5000 }).catch(() => false)) {
+    throw new ActionError(`Fill form action: form '${form}' not found`, { code: 'ELEMENT_NOT_VISIBLE' });
+  }
+
+  const report = { filled: [], unmatched: [], failed: [], submitted: false };
+  for (const [key, value] of Object.entries(fields)) {
+    const locator = await locateField(root, key);
+    if (!locator) {
+      console.warn(`[FILL_FORM] No field matches "${key}"`);
+      report.unmatched.push(key);
+      continue;
+    }
+    try {
+      console.log(`[FILL_FORM] Filling "${key}"...`);
+      await fillField(page, locator, value);
+      report.filled.push(key);
+      await page.waitForTimeout(400 + Math.random() * 800);
+    } catch (e) {
+      console.warn(`[FILL_FORM] Could not fill "${key}": ${e.message}`);
+      report.failed.push({ field: key, error: e.message });
+    }
+  }
+
+  if (strict && (report.unmatched.length > 0 || report.failed.length > 0)) {
+    const missing = [...report.unmatched, ...report.failed.map(f => f.field)];
+    throw new ActionError(`FORM_FIELD_NOT_FOUND: ${missing.join(', ')}`, { code: 'FORM_FIELD_NOT_FOUND' });
+  }
+
+  if (submit) {
+    const button = await findSubmitButton(root, submit);
+    if (button) {
+      await moveToElement(page, button);
+      await page.waitForTimeout(300 + Math.random() * 500);
+      await button.click();
+    } else {
+      console.log('[FILL_FORM] No submit button found. Pressing Enter...');
+      await page.keyboard.press('Enter');
+    }
+    report.submitted = true;
+    await page.waitForLoadState('domcontentloaded').catch(() => {});
+  }
+
+  console.log(`[FILL_FORM] Filled ${report.filled.length}/${Object.keys(fields).length} field(s)${report.unmatched.length ? `, unmatched: ${report.unmatched.join(', ')}` : ''}`);
+  return report;
+}
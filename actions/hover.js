@@ -0,0 +1,33 @@
+import { moveToElement } from './mouse_helper.js';
+import { findElement } from './element_helper.js';
+
+export const meta = {
+  name: 'hover',
+  description: 'Move the mouse over an element and rest there (opens hover menus and tooltips)',
+  params: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', description: 'CSS selector of the element' },
+      text: { type: 'string', description: 'Visible text of the element' },
+      duration: { type: 'number', minimum: 0, description: 'Seconds to keep the pointer there (default 1-2)' }
+    },
+    additionalProperties: false
+  },
+  returns: 'nothing'
+};
+
+/**
+ * Action: Hover an element.
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {string} [params.selector] - CSS selector.
+ * @param {string} [params.text] - Visible text.
+ * @param {number} [params.duration] - Seconds to rest on the element.
+ */
+export async function hover(page, params = {}) {
+  const element = await findElement(page, params, 'Hover action');
+  console.log(`[HOVER] Hovering '${params.selector || params.text}'...`);
+  await moveToElement(page, element);
+  const seconds = params.duration !== undefined ? Number(params.duration) : 1 + Math.random();
+  await page.waitForTimeout(seconds * 1000);
+}
@@ -0,0 +1,17 @@
+/**
+ * Types text one key at a time with jittered delays, like a person (timing from the login flow).
+ * @param {import('playwright').Page} page
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.delay=50] - Minimum delay per key (ms).
+ * @param {number} [options.jitter=150] - Random extra delay per key (ms).
+ * @param {boolean} [options.pause=true] - Wait 1-3s before the first key, as after focusing a field.
+ */
+export async function humanType(page, text, { delay = 50, jitter = 150, pause = true } = {}) {
+  if (pause) {
+    await page.waitForTimeout(1000 + Math.random() * 2000);
+  }
+  for (const char of String(text)) {
+    await page.keyboard.type(char, { delay: delay + Math.random() * jitter });
+  }
+}
@@ -1,12 +1,30 @@
 import { waitForCaptcha, detectCaptcha } from './captcha_helper.js';
 import { humanMove } from './mouse_helper.js';
+import { humanType } from './keyboard_helper.js';
+import { CaptchaError, ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'login',
+  description: 'Login to Google/account',
+  params: {
+    type: 'object',
+    properties: {
+      email: { type: 'string' },
+      password: { type: 'string' },
+      recoveryEmail: { type: 'string', description: 'Used if Google asks to confirm the recovery email' }
+    },
+    additionalProperties: false,
+    required: ['email', 'password']
+  },
+  returns: 'nothing'
+};
 
 async function handleCaptcha(page, isRetry) {
   if (await detectCaptcha(page)) {
     if (isRetry) {
       await waitForCaptcha(page);
     } else {
-      throw new Error('CAPTCHA_DETECTED');
+      throw new CaptchaError('CAPTCHA_DETECTED');
     }
   }
 }
@@ -99,10 +117,7 @@ export async function login(page, params = {}) {
     
     await humanClick(page, emailSelector); // Human move then click
     
-    await page.waitForTimeout(1000 + Math.random() * 2000);
-    for (const char of email) {
-      await page.keyboard.type(char, { delay: 50 + Math.random() * 150 });
-    }
+    await humanType(page, email);
     
     await page.waitForTimeout(800 + Math.random() * 1200);
     const nextBtnSelector = '#identifierNext, button:has-text("Next"), button:has-text("Tiếp theo")';
@@ -115,7 +130,7 @@ export async function login(page, params = {}) {
       if (await errorMsg.isVisible({ timeout: 3000 })) {
         const text = await errorMsg.innerText();
         console.error(`Login Error Detected: ${text}`);
-        throw new Error(`LOGIN_ERROR: ${text}`);
+        throw new ActionError(`LOGIN_ERROR: ${text}`, { code: 'LOGIN_ERROR' });
       }
     } catch (e) {
       // Ignore timeout, meaning no error message found
@@ -139,10 +154,7 @@ export async function login(page, params = {}) {
     // Focus and type password
     await humanClick(page, passwordSelector);
 
-    await page.waitForTimeout(1000 + Math.random() * 2000);
-    for (const char of password) {
-      await page.keyboard.type(char, { delay: 60 + Math.random() * 180 });
-    }
+    await humanType(page, password, { delay: 60, jitter: 180 });
     
     await page.waitForTimeout(1000 + Math.random() * 1500);
     const passwordNextSelector = '#passwordNext, button:has-text("Next"), button:has-text("Tiếp theo")';
@@ -169,9 +181,7 @@ export async function login(page, params = {}) {
         await humanClick(page, recoveryInputSelector);
         await page.waitForTimeout(1200 + Math.random() * 1800);
         
-        for (const char of params.recoveryEmail) {
-          await page.keyboard.type(char, { delay: 50 + Math.random() * 120 });
-        }
+        await humanType(page, params.recoveryEmail, { jitter: 120, pause: false });
         
         await page.waitForTimeout(1000 + Math.random() * 1000);
         const nextRecoverSelector = 'button:has-text("Next"), button:has-text("Tiếp theo")';
@@ -199,6 +209,6 @@ export async function login(page, params = {}) {
       console.warn('Detected a security challenge (Captcha/Phone). Manual intervention might be required.');
     }
     // Propagate for higher-level handling (retry logic)
-    if (error.message.includes('CAPTCHA')) throw error;
+    if (error instanceof CaptchaError) throw error;
   }
 }
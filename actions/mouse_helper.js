@@ -69,3 +69,18 @@ export async function sophisticatedMove(page, startX, startY, endX, endY) {
     if (Math.random() > 0.8) await page.waitForTimeout(Math.random() * 10); 
   }
 }
+
+/**
+ * Scroll an element into view and move the mouse to its center with humanMove.
+ * @param {import('playwright').Page} page
+ * @param {import('playwright').Locator} locator
+ * @returns {Promise<{x: number, y: number, width: number, height: number}|null>} The element box, or null when it has none (hidden).
+ */
+export async function moveToElement(page, locator) {
+  await locator.scrollIntoViewIfNeeded({ timeout: 5000 }).catch(() => {});
+  const box = await locator.boundingBox().catch(() => null);
+  if (box) {
+    await humanMove(page, box.x + box.width / 2, box.y + box.height / 2);
+  }
+  return box;
+}
@@ -1,3 +1,18 @@
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'navigate',
+  description: 'Go to a specific URL directly',
+  params: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'Absolute URL or domain (e.g. grok.com)' }
+    },
+    additionalProperties: false,
+    required: ['url']
+  },
+  returns: 'nothing'
+};
 
 /**
  * Generic Navigation Action
@@ -6,7 +21,7 @@
  */
 export async function navigate(page, params) {
   const { url } = params;
-  if (!url) throw new Error('Navigate action: URL is required');
+  if (!url) throw new ActionError('Navigate action: URL is required', { code: 'INVALID_PARAMS' });
   
   console.log(`[NAVIGATE] Going to: ${url}...`);
   
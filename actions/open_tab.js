@@ -0,0 +1,35 @@
+import { tabsFor } from '../tab_manager.js';
+
+export const meta = {
+  name: 'open_tab',
+  description: 'Open a new tab (optionally at a URL) and continue in it unless switch is false',
+  params: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'Page to load in the new tab (default blank)' },
+      switch: { type: 'boolean', description: 'Continue in the new tab (default true)' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ index, url } of the new tab'
+};
+
+/**
+ * Action: Open a tab. The new tab policy does not apply to tabs opened this way.
+ *   { "url": "https://mail.google.com" }
+ *   { "url": "https://example.com/report", "switch": false }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (tabs).
+ * @returns {Promise<{index: number, url: string}>}
+ */
+export async function open_tab(page, params = {}, ctx = {}) {
+  const tabs = tabsFor(page, ctx);
+  const stay = params.switch === false || params.switch === 'false';
+  let url = params.url || null;
+  if (url && !/^[a-z][a-z0-9+.-]*:/i.test(url)) url = `https://${url}`;
+
+  console.log(`[TABS] Opening tab${url ? `: ${url}` : ''}${stay ? ' (in the background)' : ''}`);
+  const newPage = await tabs.open(url, { switchTo: !stay });
+  return { index: tabs.indexOf(newPage), url: newPage.url() };
+}
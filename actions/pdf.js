@@ -0,0 +1,63 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { ActionError } from '../errors.js';
+import { resolveArtifactPath, uniqueArtifactPath, defaultArtifactName, artifactEntry } from '../artifacts.js';
+
+export const meta = {
+  name: 'pdf',
+  description: 'Save the current page as a PDF under the run artifacts (headless Chromium only)',
+  params: {
+    type: 'object',
+    properties: {
+      fileName: { type: 'string', description: 'File name under pdf/ (default: page_step<N>_<time>.pdf)' },
+      format: { type: 'string', description: 'Paper format: A4 (default), Letter, Legal, A3, ...' },
+      landscape: { type: 'boolean', description: 'Landscape orientation' },
+      printBackground: { type: 'boolean', description: 'Include background colors and images (default true)' },
+      media: { type: 'string', enum: ['screen', 'print'], description: 'CSS media to render with (default print)' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ path, artifact: { kind, path, url, createdAt, step, stepPath } }'
+};
+
+const PDF_FOLDER = 'pdf';
+
+/**
+ * Action: Print the page to PDF into the run's artifacts folder (pdf/).
+ * Chromium only renders PDFs headless: headed runs fail with PDF_UNSUPPORTED (use screenshot mode "full").
+ *   { "fileName": "receipt.pdf", "media": "screen" }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (artifacts folder, step index).
+ * @returns {Promise<{path: string, artifact: object}>}
+ */
+export async function pdf(page, params = {}, ctx = {}) {
+  const { fileName, landscape, media } = params;
+  const name = fileName
+    ? (path.extname(fileName) ? fileName : `${fileName}.pdf`)
+    : defaultArtifactName(ctx, 'page', 'pdf');
+  const relativePath = await uniqueArtifactPath(ctx, path.join(PDF_FOLDER, name));
+  const filePath = resolveArtifactPath(ctx, relativePath);
+  await fs.ensureDir(path.dirname(filePath));
+
+  console.log(`[PDF] Printing ${page.url()}...`);
+  if (media === 'screen') await page.emulateMedia({ media: 'screen' });
+  try {
+    await page.pdf({
+      path: filePath,
+      format: params.format || 'A4',
+      landscape: landscape === true || landscape === 'true',
+      printBackground: params.printBackground !== false && params.printBackground !== 'false'
+    });
+  } catch (e) {
+    if (/headless|not supported|PrintToPDF/i.test(e.message)) {
+      throw new ActionError('PDF action: PDFs can only be printed in headless mode (run with --headless) or use screenshot mode "full"', { code: 'PDF_UNSUPPORTED', cause: e });
+    }
+    throw e;
+  } finally {
+    if (media === 'screen') await page.emulateMedia({ media: null }).catch(() => {});
+  }
+
+  console.log(`[PDF] Saved to ${filePath}`);
+  return { path: filePath, artifact: artifactEntry(ctx, 'pdf', filePath, page.url()) };
+}
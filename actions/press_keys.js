@@ -0,0 +1,89 @@
+import { moveToElement } from './mouse_helper.js';
+import { findElement } from './element_helper.js';
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'press_keys',
+  description: 'Press keys or shortcuts, e.g. "Ctrl+L", "Escape", ["Tab", "Tab", "Enter"]',
+  params: {
+    type: 'object',
+    properties: {
+      keys: { type: ['string', 'array'], items: { type: 'string' }, description: 'Key or chord ("Ctrl+Shift+T", "Enter", "ArrowDown"), or a list pressed in order' },
+      selector: { type: 'string', description: 'CSS selector of the element to focus first (default: whatever has focus)' },
+      repeat: { type: 'integer', minimum: 1, description: 'Press the whole sequence this many times (default 1)' }
+    },
+    additionalProperties: false,
+    required: ['keys']
+  },
+  returns: 'nothing'
+};
+
+const KEY_ALIASES = {
+  ctrl: 'Control', control: 'Control',
+  cmd: 'Meta', command: 'Meta', meta: 'Meta', win: 'Meta',
+  // Ctrl on Windows/Linux, Cmd on macOS
+  mod: 'ControlOrMeta', controlormeta: 'ControlOrMeta',
+  alt: 'Alt', option: 'Alt', shift: 'Shift',
+  enter: 'Enter', return: 'Enter', esc: 'Escape', escape: 'Escape', tab: 'Tab', space: 'Space',
+  backspace: 'Backspace', delete: 'Delete', del: 'Delete', insert: 'Insert',
+  up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+  arrowup: 'ArrowUp', arrowdown: 'ArrowDown', arrowleft: 'ArrowLeft', arrowright: 'ArrowRight',
+  home: 'Home', end: 'End', pageup: 'PageUp', pagedown: 'PageDown', pgup: 'PageUp', pgdn: 'PageDown'
+};
+
+/**
+ * Normalize a chord to Playwright's syntax: "ctrl + shift + t" -> "Control+Shift+T", "cmd+=" -> "Meta+=".
+ * @param {string} chord
+ * @returns {string}
+ */
+export function normalizeChord(chord) {
+  const text = String(chord).trim();
+  // A lone "+" or a chord ending in "+" (e.g. "Ctrl++") means the plus key itself
+  const parts = text === '+' ? ['+'] : text.split(/\s*\+\s*/).map((part, i, all) => (part === '' && i === all.length - 1 ? '+' : part)).filter(Boolean);
+  if (parts.length === 0) {
+    throw new ActionError(`Press keys action: empty key in '${chord}'`, { code: 'INVALID_PARAMS' });
+  }
+  return parts.map((part, i) => {
+    const alias = KEY_ALIASES[part.toLowerCase()];
+    if (alias) return alias;
+    if (/^f\d{1,2}$/i.test(part)) return part.toUpperCase();
+    // Letters in a shortcut are upper-cased (Ctrl+l -> Control+L); single characters alone are typed as given
+    if (part.length === 1) return parts.length > 1 && i === parts.length - 1 ? part.toUpperCase() : part;
+    return part;
+  }).join('+');
+}
+
+/**
+ * Action: Press keys / keyboard shortcuts.
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {string|string[]} params.keys - "Ctrl+L", "Escape" or ["Tab", "Enter"].
+ * @param {string} [params.selector] - Element to focus first.
+ * @param {number} [params.repeat=1]
+ */
+export async function press_keys(page, params = {}) {
+  const chords = [].concat(params.keys ?? []).map(normalizeChord);
+  if (chords.length === 0) {
+    throw new ActionError('Press keys action: keys is required', { code: 'INVALID_PARAMS' });
+  }
+  const repeat = Math.max(1, parseInt(params.repeat) || 1);
+
+  if (params.selector) {
+    const element = await findElement(page, params, 'Press keys action');
+    await moveToElement(page, element);
+    await element.click();
+    await page.waitForTimeout(200 + Math.random() * 400);
+  }
+
+  console.log(`[PRESS_KEYS] ${chords.join(', ')}${repeat > 1 ? ` x${repeat}` : ''}`);
+  for (let round = 0; round < repeat; round++) {
+    for (const chord of chords) {
+      try {
+        await page.keyboard.press(chord, { delay: 40 + Math.random() * 80 });
+      } catch (e) {
+        throw new ActionError(`Press keys action: cannot press '${chord}' (${e.message.split('\n')[0]})`, { code: 'INVALID_PARAMS', cause: e });
+      }
+      await page.waitForTimeout(150 + Math.random() * 350);
+    }
+  }
+}
@@ -1,3 +1,17 @@
+export const meta = {
+  name: 'save_image',
+  description: 'Detect and save the generated image on page',
+  params: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string' },
+      index: { type: 'integer' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ path } of the saved image, or null'
+};
+
 /**
  * Action to save images from the page
  * Ensure we capture the final HIGH-RESOLUTION version, not the blurry preview.
@@ -0,0 +1,79 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { findElement } from './element_helper.js';
+import { ActionError } from '../errors.js';
+import { resolveArtifactPath, uniqueArtifactPath, defaultArtifactName, artifactEntry } from '../artifacts.js';
+
+export const meta = {
+  name: 'screenshot',
+  description: 'Save a screenshot (viewport, full page or one element) under the run artifacts, optionally masking form inputs',
+  params: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['viewport', 'full', 'element'], description: 'What to capture (default viewport; element when a selector is given)' },
+      selector: { type: 'string', description: 'CSS selector of the element to capture' },
+      fileName: { type: 'string', description: 'File name under screenshots/ (default: screenshot_step<N>_<time>.png)' },
+      redact: { type: ['boolean', 'array'], items: { type: 'string' }, description: 'true masks inputs, textareas and editable fields; or a list of CSS selectors to mask' },
+      format: { type: 'string', enum: ['png', 'jpeg'], description: 'Image format (default png, or from the file name)' },
+      quality: { type: 'integer', minimum: 1, maximum: 100, description: 'JPEG quality (default 80)' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ path, mode, artifact: { kind, path, url, createdAt, step, stepPath } }'
+};
+
+const SCREENSHOTS_FOLDER = 'screenshots';
+// Everything a user may have typed into (passwords, emails, card numbers, ...)
+const INPUT_SELECTORS = ['input:not([type=hidden]):not([type=submit]):not([type=button]):not([type=checkbox]):not([type=radio])', 'textarea', 'select', '[contenteditable=""]', '[contenteditable="true"]'];
+
+function redactionMasks(page, redact) {
+  if (!redact || redact === 'false') return [];
+  const selectors = Array.isArray(redact) ? redact : INPUT_SELECTORS;
+  return selectors.map(selector => page.locator(selector));
+}
+
+/**
+ * Action: Take a screenshot into the run's artifacts folder (screenshots/).
+ *   {}                                          - visible viewport
+ *   { "mode": "full", "redact": true }          - whole page with form fields masked
+ *   { "selector": "#invoice", "fileName": "invoice.png" }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (artifacts folder, step index).
+ * @returns {Promise<{path: string, mode: string, artifact: object}>}
+ */
+export async function screenshot(page, params = {}, ctx = {}) {
+  const { selector, fileName, redact } = params;
+  const mode = params.mode || (selector ? 'element' : 'viewport');
+  if (mode === 'element' && !selector) {
+    throw new ActionError('Screenshot action: mode "element" needs a selector', { code: 'INVALID_PARAMS' });
+  }
+  const format = params.format || (/\.jpe?g$/i.test(fileName || '') ? 'jpeg' : 'png');
+  const extension = format === 'jpeg' ? 'jpg' : 'png';
+  const name = fileName
+    ? (path.extname(fileName) ? fileName : `${fileName}.${extension}`)
+    : defaultArtifactName(ctx, 'screenshot', extension);
+  resolveArtifactPath(ctx, path.join(SCREENSHOTS_FOLDER, name)); // Reject bad names before capturing
+
+  const options = {
+    type: format,
+    mask: redactionMasks(page, redact),
+    animations: 'disabled'
+  };
+  if (format === 'jpeg') options.quality = parseInt(params.quality) || 80;
+
+  const relativePath = await uniqueArtifactPath(ctx, path.join(SCREENSHOTS_FOLDER, name));
+  const filePath = resolveArtifactPath(ctx, relativePath);
+  await fs.ensureDir(path.dirname(filePath));
+
+  console.log(`[SCREENSHOT] Capturing ${mode === 'element' ? `'${selector}'` : mode}${options.mask.length ? ' (redacted)' : ''}...`);
+  if (mode === 'element') {
+    const element = await findElement(page, { selector }, 'Screenshot action');
+    await element.screenshot({ ...options, path: filePath });
+  } else {
+    await page.screenshot({ ...options, path: filePath, fullPage: mode === 'full' });
+  }
+
+  console.log(`[SCREENSHOT] Saved to ${filePath}`);
+  return { path: filePath, mode, artifact: artifactEntry(ctx, 'screenshot', filePath, page.url()) };
+}
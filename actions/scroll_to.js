@@ -0,0 +1,84 @@
+import { humanMove, moveToElement } from './mouse_helper.js';
+import { findElement } from './element_helper.js';
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'scroll_to',
+  description: 'Scroll with the mouse wheel to an element, a percentage of the page, or the top/bottom',
+  params: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', description: 'CSS selector of the element to bring into view' },
+      text: { type: 'string', description: 'Visible text of the element to bring into view' },
+      percent: { type: 'number', minimum: 0, maximum: 100, description: 'Scroll position as a percentage of the page height' },
+      position: { type: 'string', enum: ['top', 'bottom'], description: 'Scroll to the top or bottom of the page' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ scrollY } - the final scroll position'
+};
+
+const MAX_WHEEL_STEPS = 80;
+
+async function scrollState(page) {
+  return page.evaluate(() => ({
+    y: window.scrollY,
+    max: Math.max(0, document.documentElement.scrollHeight - window.innerHeight),
+    width: window.innerWidth,
+    height: window.innerHeight
+  }));
+}
+
+/**
+ * Wheel towards a document Y position in uneven steps, stopping when the page no longer moves.
+ */
+async function wheelTo(page, targetY) {
+  let state = await scrollState(page);
+  const target = Math.min(Math.max(0, targetY), state.max);
+  // Wheel events go to the element under the pointer, so rest it somewhere in the page body
+  await humanMove(page, state.width * (0.3 + Math.random() * 0.4), state.height * (0.3 + Math.random() * 0.4));
+
+  for (let i = 0; i < MAX_WHEEL_STEPS; i++) {
+    const distance = target - state.y;
+    if (Math.abs(distance) < 40) break;
+    const step = Math.sign(distance) * Math.min(Math.abs(distance), 120 + Math.random() * 280);
+    await page.mouse.wheel(0, step);
+    await page.waitForTimeout(60 + Math.random() * 180);
+    if (Math.random() > 0.9) await page.waitForTimeout(400 + Math.random() * 800); // Reading pause
+
+    const previousY = state.y;
+    state = await scrollState(page);
+    if (Math.abs(state.y - previousY) < 1) break; // Inner scroll container or end of page
+  }
+  return state.y;
+}
+
+/**
+ * Action: Scroll to an element or a position.
+ *   { "selector": "#comments" }   { "percent": 50 }   { "position": "bottom" }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @returns {Promise<{scrollY: number}>}
+ */
+export async function scroll_to(page, params = {}) {
+  const { selector, text, percent, position } = params;
+  if ([selector || text, percent !== undefined, position].filter(Boolean).length !== 1) {
+    throw new ActionError('Scroll to action: give one of selector/text, percent or position', { code: 'INVALID_PARAMS' });
+  }
+
+  if (selector || text) {
+    const element = await findElement(page, params, 'Scroll to action', { visible: false });
+    console.log(`[SCROLL_TO] Scrolling to '${selector || text}'...`);
+    // Land with the element about a third of the way down the viewport
+    const elementY = await element.evaluate(el => el.getBoundingClientRect().top + window.scrollY - window.innerHeight / 3);
+    await wheelTo(page, elementY);
+    // Nested scroll containers do not move with the page wheel; finish with a direct scroll
+    await moveToElement(page, element);
+    return { scrollY: (await scrollState(page)).y };
+  }
+
+  const { max } = await scrollState(page);
+  const targetY = position === 'top' ? 0 : position === 'bottom' ? max : (Number(percent) / 100) * max;
+  console.log(`[SCROLL_TO] Scrolling to ${position || `${percent}%`}...`);
+  return { scrollY: await wheelTo(page, targetY) };
+}
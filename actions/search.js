@@ -1,11 +1,26 @@
 import { waitForCaptcha, detectCaptcha } from './captcha_helper.js';
+import { CaptchaError, ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'search',
+  description: 'Search for a keyword on Google (or the current site search box)',
+  params: {
+    type: 'object',
+    properties: {
+      keyword: { type: 'string', description: 'The search query' }
+    },
+    additionalProperties: false,
+    required: ['keyword']
+  },
+  returns: 'nothing'
+};
 
 async function handleCaptcha(page, isRetry) {
   if (await detectCaptcha(page)) {
     if (isRetry) {
       await waitForCaptcha(page);
     } else {
-      throw new Error('CAPTCHA_DETECTED');
+      throw new CaptchaError('CAPTCHA_DETECTED');
     }
   }
 }
@@ -18,7 +33,7 @@ async function handleCaptcha(page, isRetry) {
  */
 export async function search(page, params) {
   const { keyword } = params;
-  if (!keyword) throw new Error('Keyword is required for search action');
+  if (!keyword) throw new ActionError('Keyword is required for search action', { code: 'INVALID_PARAMS' });
 
   console.log(`Action: SEARCH '${keyword}'`);
 
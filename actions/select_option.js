@@ -0,0 +1,98 @@
+import { moveToElement } from './mouse_helper.js';
+import { findElement } from './element_helper.js';
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'select_option',
+  description: 'Choose option(s) in a dropdown: native <select> or a custom combobox/listbox',
+  params: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', description: 'CSS selector of the dropdown' },
+      label: { type: 'string', description: 'Label of the dropdown field (alternative to selector)' },
+      option: { type: ['string', 'array'], items: { type: 'string' }, description: 'Option text or value to choose; a list for multi-selects' },
+      index: { type: 'integer', minimum: 0, description: 'Choose the option at this position instead' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ selected } - the chosen option texts'
+};
+
+async function findDropdown(page, { selector, label }) {
+  if (selector) return findElement(page, { selector }, 'Select option action');
+  const byLabel = page.getByLabel(label).or(page.getByRole('combobox', { name: label })).first();
+  if (!await byLabel.waitFor({ state: 'visible', timeout: 5000 }).then(() => true, () => false)) {
+    throw new ActionError(`Select option action: no dropdown labelled '${label}'`, { code: 'ELEMENT_NOT_VISIBLE' });
+  }
+  return byLabel;
+}
+
+async function selectNative(dropdown, options, index) {
+  if (index !== undefined) {
+    return dropdown.selectOption({ index }, { timeout: 5000 });
+  }
+  // Match by visible text first, then by the option value
+  return dropdown.selectOption(options.map(label => ({ label })), { timeout: 5000 })
+    .catch(() => dropdown.selectOption(options, { timeout: 5000 }));
+}
+
+// Custom dropdowns render their options (role=option) only once opened
+async function selectCustom(page, dropdown, options, index) {
+  const selected = [];
+  const targets = index !== undefined ? [index] : options;
+  for (const target of targets) {
+    await dropdown.click();
+    await page.waitForTimeout(300 + Math.random() * 400);
+    const choices = page.getByRole('option');
+    const option = typeof target === 'number'
+      ? choices.nth(target)
+      : choices.filter({ hasText: target }).first();
+    if (!await option.waitFor({ state: 'visible', timeout: 5000 }).then(() => true, () => false)) {
+      await page.keyboard.press('Escape');
+      throw new ActionError(`Select option action: no option '${target}'`, { code: 'ELEMENT_NOT_VISIBLE' });
+    }
+    selected.push((await option.innerText()).trim());
+    await moveToElement(page, option);
+    await page.waitForTimeout(200 + Math.random() * 300);
+    await option.click();
+  }
+  return selected;
+}
+
+/**
+ * Action: Select dropdown option(s).
+ *   { "selector": "#country", "option": "Vietnam" }
+ *   { "label": "Sort by", "option": "Newest" }
+ *   { "selector": "select[name=size]", "index": 2 }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @returns {Promise<{selected: string[]}>}
+ */
+export async function select_option(page, params = {}) {
+  const { selector, label } = params;
+  const index = params.index !== undefined ? parseInt(params.index) : undefined;
+  if (!selector && !label) {
+    throw new ActionError('Select option action: selector or label is required', { code: 'INVALID_PARAMS' });
+  }
+  if (params.option === undefined && index === undefined) {
+    throw new ActionError('Select option action: option or index is required', { code: 'INVALID_PARAMS' });
+  }
+  const options = [].concat(params.option ?? []).map(String);
+
+  const dropdown = await findDropdown(page, { selector, label });
+  await moveToElement(page, dropdown);
+  await page.waitForTimeout(300 + Math.random() * 500);
+
+  const isNative = await dropdown.evaluate(el => el.tagName === 'SELECT');
+  let selected;
+  try {
+    selected = isNative
+      ? await selectNative(dropdown, options, index).then(() => dropdown.evaluate(el => [...el.selectedOptions].map(o => o.text.trim())))
+      : await selectCustom(page, dropdown, options, index);
+  } catch (e) {
+    if (e instanceof ActionError) throw e;
+    throw new ActionError(`Select option action: could not select ${index !== undefined ? `index ${index}` : options.join(', ')} (${e.message.split('\n')[0]})`, { cause: e });
+  }
+  console.log(`[SELECT_OPTION] Selected: ${selected.join(', ')}`);
+  return { selected };
+}
@@ -0,0 +1,42 @@
+import { ActionError } from '../errors.js';
+import { tabsFor } from '../tab_manager.js';
+
+export const meta = {
+  name: 'switch_tab',
+  description: 'Continue in another open tab, picked by index (0 = first, -1 = last), URL pattern or title',
+  params: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer', description: 'Tab position, 0-based; negative counts from the end' },
+      url: { type: 'string', description: 'Regex matched against the tab URL' },
+      title: { type: 'string', description: 'Regex or text matched against the tab title' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ index, url, title } of the tab switched to'
+};
+
+/**
+ * Action: Switch tabs. The first tab matching all given patterns wins.
+ *   { "index": 0 }
+ *   { "url": "checkout" }
+ *   { "title": "Inbox" }
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (tabs).
+ * @returns {Promise<{index: number, url: string, title: string}>}
+ */
+export async function switch_tab(page, params = {}, ctx = {}) {
+  const { index, url, title } = params;
+  if ((index === undefined || index === null || index === '') && !url && !title) {
+    throw new ActionError('Switch tab action: index, url or title is required', { code: 'INVALID_PARAMS' });
+  }
+  const tabs = tabsFor(page, ctx);
+  const target = await tabs.find({ index: index === '' ? undefined : index, url, title });
+  tabs.switchTo(target);
+  await target.waitForLoadState('domcontentloaded', { timeout: 10000 }).catch(() => {});
+
+  const result = { index: tabs.indexOf(target), url: target.url(), title: await target.title().catch(() => '') };
+  console.log(`[TABS] Switched to tab ${result.index}: ${result.url}`);
+  return result;
+}
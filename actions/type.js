@@ -1,3 +1,19 @@
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'type',
+  description: 'Type text into an input or the page',
+  params: {
+    type: 'object',
+    properties: {
+      text: { type: 'string' },
+      selector: { type: 'string', description: 'CSS selector of the input; auto-detected if omitted' }
+    },
+    additionalProperties: false,
+    required: ['text']
+  },
+  returns: 'nothing'
+};
 
 /**
  * Generic Typing Action
@@ -6,7 +22,7 @@
  */
 export async function type(page, params) {
   const { text, selector } = params;
-  if (!text) throw new Error('Type action: text is required');
+  if (!text) throw new ActionError('Type action: text is required', { code: 'INVALID_PARAMS' });
 
   let target = null;
 
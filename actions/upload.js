@@ -0,0 +1,149 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { moveToElement } from './mouse_helper.js';
+import { findElement } from './element_helper.js';
+import { ActionError } from '../errors.js';
+import { artifactsDirFor } from '../artifacts.js';
+import { getConfig } from '../config.js';
+
+export const meta = {
+  name: 'upload',
+  description: 'Attach local files to a file input (also hidden inputs and custom upload buttons that open a file chooser)',
+  params: {
+    type: 'object',
+    properties: {
+      files: { type: ['string', 'array'], items: { type: 'string' }, description: 'File path(s) relative to the run artifacts folder (e.g. a previous download) or the uploads folder; absolute paths only in workflow files and CLI actions' },
+      selector: { type: 'string', description: 'CSS selector of the file input, or of the button that opens the file chooser' },
+      text: { type: 'string', description: 'Visible text of the upload button/drop zone' },
+      index: { type: 'integer', minimum: 0, description: 'Which file input to use when the page has several (default 0)' }
+    },
+    additionalProperties: false,
+    required: ['files']
+  },
+  returns: '{ files, method } - method is "input" or "filechooser"'
+};
+
+const UPLOAD_NAMES = /upload|choose file|select file|browse|attach|add (photo|file|image|video)|tải lên|chọn tệp|chọn file|đính kèm/i;
+
+/**
+ * Resolve file paths. Relative paths are looked up in the artifacts folder first, then the uploads
+ * folder (paths.uploadsDir), and cannot leave them. Absolute paths need ctx.localFiles: AI plans,
+ * session mode and heal suggestions can be steered by page content and must not pick local files.
+ */
+export async function resolveFiles(files, ctx = {}) {
+  const list = [].concat(files).filter(Boolean);
+  if (list.length === 0) {
+    throw new ActionError('Upload action: at least one file is required', { code: 'INVALID_PARAMS' });
+  }
+  const roots = [artifactsDirFor(ctx), getConfig().paths.uploadsDir].map(dir => path.resolve(dir));
+  const resolved = [];
+  for (const file of list) {
+    if (path.isAbsolute(file) && !ctx.localFiles) {
+      throw new ActionError(`Upload action: absolute path ${file} is only allowed in workflow files and CLI actions (put the file in ${roots[1]})`, { code: 'INVALID_PARAMS' });
+    }
+    const candidates = path.isAbsolute(file)
+      ? [file]
+      : roots.map(root => path.resolve(root, file)).filter((candidate, i) => candidate.startsWith(roots[i] + path.sep));
+    if (candidates.length === 0) {
+      throw new ActionError(`Upload action: ${file} is outside the artifacts and uploads folders`, { code: 'INVALID_PARAMS' });
+    }
+    const found = await findFirstFile(candidates);
+    if (!found) {
+      throw new ActionError(`Upload action: file not found: ${file}`, { code: 'INVALID_PARAMS' });
+    }
+    resolved.push(found);
+  }
+  return resolved;
+}
+
+async function findFirstFile(candidates) {
+  for (const candidate of candidates) {
+    const stat = await fs.stat(candidate).catch(() => null);
+    if (stat?.isFile()) return candidate;
+  }
+  return null;
+}
+
+async function isFileInput(locator) {
+  return locator.evaluate(el => el.tagName === 'INPUT' && el.type === 'file').catch(() => false);
+}
+
+// Custom upload widgets hide the input and open the native dialog from a button
+async function uploadWithFileChooser(page, trigger, files) {
+  await moveToElement(page, trigger);
+  await page.waitForTimeout(300 + Math.random() * 500);
+  let chooser;
+  try {
+    [chooser] = await Promise.all([
+      page.waitForEvent('filechooser', { timeout: 10000 }),
+      trigger.click()
+    ]);
+  } catch (e) {
+    throw new ActionError('Upload action: clicking the upload button did not open a file chooser', { code: 'ELEMENT_NOT_VISIBLE', cause: e });
+  }
+  if (files.length > 1 && !chooser.isMultiple()) {
+    throw new ActionError(`Upload action: the file chooser accepts one file, got ${files.length}`, { code: 'INVALID_PARAMS' });
+  }
+  await chooser.setFiles(files);
+}
+
+async function uploadToInput(input, files) {
+  const multiple = await input.evaluate(el => el.multiple);
+  if (files.length > 1 && !multiple) {
+    throw new ActionError(`Upload action: the file input accepts one file, got ${files.length}`, { code: 'INVALID_PARAMS' });
+  }
+  // setInputFiles works on hidden inputs too and fires input/change like a real selection
+  await input.setInputFiles(files);
+}
+
+/**
+ * Action: Upload files.
+ * With a selector or text, that element is used: a file input directly, anything else as the button
+ * that opens the file chooser. Without one, the page's file inputs are used (visible or hidden),
+ * then a button that looks like an upload button.
+ *
+ *   { "files": "avatar.png" }
+ *   { "files": ["a.jpg", "b.jpg"], "selector": "#gallery-upload" }
+ *   { "files": "downloads/report.pdf", "text": "Attach file" }
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (artifacts folder for relative paths, localFiles for absolute ones).
+ * @returns {Promise<{files: string[], method: 'input'|'filechooser'}>}
+ */
+export async function upload(page, params = {}, ctx = {}) {
+  const { selector, text, index = 0 } = params;
+  const files = await resolveFiles(params.files, ctx);
+  console.log(`[UPLOAD] Uploading ${files.map(f => path.basename(f)).join(', ')}...`);
+
+  let method;
+  if (selector || text) {
+    // File inputs are usually hidden behind a styled button
+    const target = await findElement(page, { selector, text }, 'Upload action', { visible: false });
+    if (await isFileInput(target)) {
+      await uploadToInput(target, files);
+      method = 'input';
+    } else {
+      await uploadWithFileChooser(page, target, files);
+      method = 'filechooser';
+    }
+  } else {
+    const inputs = page.locator('input[type="file"]');
+    const count = await inputs.count();
+    if (count > index) {
+      await uploadToInput(inputs.nth(index), files);
+      method = 'input';
+    } else {
+      const button = page.getByRole('button', { name: UPLOAD_NAMES }).filter({ visible: true }).first();
+      if (await button.count() === 0) {
+        throw new ActionError('Upload action: no file input or upload button on the page', { code: 'ELEMENT_NOT_VISIBLE' });
+      }
+      await uploadWithFileChooser(page, button, files);
+      method = 'filechooser';
+    }
+  }
+
+  await page.waitForTimeout(1000 + Math.random() * 1000);
+  console.log(`[UPLOAD] Attached ${files.length} file(s) via ${method}`);
+  return { files, method };
+}
@@ -1,5 +1,12 @@
 import { analyzeScreen } from '../vision_engine.js';
 
+export const meta = {
+  name: 'visual_scan',
+  description: 'Analyze screen with AI and suggest actions',
+  params: { type: 'object', properties: {}, additionalProperties: false },
+  returns: 'nothing'
+};
+
 /**
  * Action: Perform a visual scan of the page using AI.
  * @param {import('playwright').Page} page
@@ -0,0 +1,24 @@
+export const meta = {
+  name: 'wait',
+  description: 'Pause for a fixed number of seconds',
+  params: {
+    type: 'object',
+    properties: {
+      duration: { type: ['integer', 'string'], description: 'Seconds to wait (default 5)' }
+    },
+    additionalProperties: false
+  },
+  returns: 'nothing'
+};
+
+/**
+ * Action: Wait for a fixed duration.
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {number} [params.duration=5] - Seconds to wait.
+ */
+export async function wait(page, params = {}) {
+  const duration = parseInt(params.duration) || 5;
+  console.log(`[WAIT] Waiting for ${duration} seconds...`);
+  await page.waitForTimeout(duration * 1000);
+}
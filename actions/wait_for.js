@@ -0,0 +1,168 @@
+import { ActionError } from '../errors.js';
+import { evaluateCondition, validateCondition } from '../control_flow.js';
+
+export const meta = {
+  name: 'wait_for',
+  description: 'Wait until the page is ready: an element appears/disappears, text shows up, the URL matches, a request completes or the page stops changing',
+  params: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', description: 'CSS selector to wait for' },
+      state: { type: 'string', enum: ['visible', 'hidden', 'attached', 'detached'], description: 'State of the selector to wait for (default visible)' },
+      text: { type: 'string', description: 'Text that must appear on the page' },
+      url: { type: 'string', description: 'Regex the page URL must match' },
+      request: { type: 'string', description: 'Regex of a request URL whose response must arrive (only requests finishing after this step starts count)' },
+      stable: { type: 'integer', minimum: 1, description: 'Milliseconds the page must go without DOM changes (e.g. 3000 for streamed AI output)' },
+      condition: { type: 'object', description: 'Control-flow condition ({ visible, hidden, url, text, not, all, any }) polled until it holds' },
+      timeout: { type: 'integer', minimum: 1, description: 'Seconds before giving up (default 30)' },
+      onTimeout: { type: 'string', enum: ['fail', 'continue', 'reload'], description: '"fail" (default) errors, "continue" goes on with met=false, "reload" reloads once and waits again' }
+    },
+    additionalProperties: false
+  },
+  returns: '{ met, waited, timedOut?, response? } - waited in ms; response is { url, status } for `request`'
+};
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+const POLL_INTERVAL_MS = 500;
+
+function toPattern(value, name) {
+  try {
+    return new RegExp(value, 'i');
+  } catch (e) {
+    throw new ActionError(`Wait for action: ${name} is not a valid pattern (${e.message})`, { code: 'INVALID_PARAMS' });
+  }
+}
+
+// The selector/text/url params expressed as one control-flow condition (selector states handled separately)
+function pollCondition(params) {
+  const parts = [];
+  if (params.text) parts.push({ text: params.text });
+  if (params.url) parts.push({ url: params.url });
+  if (params.condition) parts.push(params.condition);
+  return parts.length === 0 ? null : parts.length === 1 ? parts[0] : { all: parts };
+}
+
+class WaitTimeout extends Error {}
+
+/**
+ * Resolve when the DOM has had no mutations for `quietMs`.
+ * Navigations replace the document mid-wait; the wait then starts over on the new page.
+ */
+async function waitForStableDom(page, quietMs, remaining) {
+  while (remaining() > 0) {
+    const stable = await page.evaluate(({ quietMs, limitMs }) => new Promise(resolve => {
+      let quietTimer;
+      const finish = (result) => {
+        observer.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(limitTimer);
+        resolve(result);
+      };
+      const observer = new MutationObserver(() => {
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(() => finish(true), quietMs);
+      });
+      observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+      quietTimer = setTimeout(() => finish(true), quietMs);
+      const limitTimer = setTimeout(() => finish(false), limitMs);
+    }), { quietMs, limitMs: remaining() }).catch(() => null); // null: context destroyed by a navigation
+
+    if (stable === true) return;
+    if (stable === false) break;
+    await page.waitForLoadState('domcontentloaded', { timeout: Math.max(1, remaining()) }).catch(() => {});
+  }
+  throw new WaitTimeout('page kept changing');
+}
+
+async function waitOnce(page, params, ctx, responsePromise, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  const remaining = () => Math.max(0, deadline - Date.now());
+  const result = {};
+
+  if (params.selector) {
+    await page.locator(params.selector).first()
+      .waitFor({ state: params.state || 'visible', timeout: Math.max(1, remaining()) })
+      .catch(() => { throw new WaitTimeout(`'${params.selector}' not ${params.state || 'visible'}`); });
+  }
+
+  const condition = pollCondition(params);
+  if (condition) {
+    while (!await evaluateCondition(page, condition, ctx.vars)) {
+      if (remaining() === 0) throw new WaitTimeout(`condition ${JSON.stringify(condition)} not met`);
+      await page.waitForTimeout(Math.min(POLL_INTERVAL_MS, remaining()));
+    }
+  }
+
+  if (responsePromise) {
+    // Shares the deadline: it was started with the same timeout when this attempt began
+    const response = await responsePromise;
+    if (!response) throw new WaitTimeout(`no response matching '${params.request}'`);
+    await response.finished().catch(() => {});
+    result.response = { url: response.url(), status: response.status() };
+  }
+
+  if (params.stable) {
+    await waitForStableDom(page, parseInt(params.stable), remaining);
+  }
+  return result;
+}
+
+function startResponseWait(page, params, timeoutMs) {
+  if (!params.request) return null;
+  const pattern = toPattern(params.request, 'request');
+  return page.waitForResponse(response => pattern.test(response.url()), { timeout: timeoutMs }).catch(() => null);
+}
+
+/**
+ * Action: Wait for the page instead of sleeping a guessed duration.
+ * Several conditions can be combined; they are awaited in order (selector, text/url/condition,
+ * request, stable) within the same timeout.
+ *
+ *   { "selector": "[data-testid=send-button]", "stable": 2000, "timeout": 120 }
+ *   { "selector": ".spinner", "state": "hidden" }
+ *   { "text": "Payment received", "onTimeout": "continue" }
+ *   { "url": "/dashboard", "request": "/api/me" }
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} params
+ * @param {object} [ctx] - Action context (runtime variables for `condition`).
+ * @returns {Promise<{met: boolean, waited: number, timedOut?: string, response?: {url: string, status: number}}>}
+ */
+export async function wait_for(page, params = {}, ctx = {}) {
+  const { selector, text, url, request, stable, condition } = params;
+  if (!selector && !text && !url && !request && !stable && !condition) {
+    throw new ActionError('Wait for action: give at least one of selector, text, url, request, stable or condition', { code: 'INVALID_PARAMS' });
+  }
+  if (url) toPattern(url, 'url');
+  if (condition) {
+    const problems = validateCondition(condition, 'condition');
+    if (problems.length > 0) throw new ActionError(`Wait for action: ${problems.join('; ')}`, { code: 'INVALID_PARAMS' });
+  }
+  const timeoutMs = (parseInt(params.timeout) || DEFAULT_TIMEOUT_SECONDS) * 1000;
+  const onTimeout = params.onTimeout || 'fail';
+  const started = Date.now();
+
+  console.log(`[WAIT_FOR] Waiting up to ${timeoutMs / 1000}s for ${Object.keys(params).filter(k => !['timeout', 'onTimeout', 'state'].includes(k)).join(' + ')}...`);
+  let attempt = 0;
+  while (true) {
+    try {
+      const result = await waitOnce(page, params, ctx, startResponseWait(page, params, timeoutMs), timeoutMs);
+      const waited = Date.now() - started;
+      console.log(`[WAIT_FOR] Ready after ${(waited / 1000).toFixed(1)}s`);
+      return { met: true, waited, ...result };
+    } catch (e) {
+      if (!(e instanceof WaitTimeout)) throw e;
+      if (onTimeout === 'reload' && attempt++ === 0) {
+        console.warn(`[WAIT_FOR] Timed out (${e.message}). Reloading and waiting again...`);
+        await page.reload({ waitUntil: 'domcontentloaded' }).catch(() => {});
+        continue;
+      }
+      const waited = Date.now() - started;
+      if (onTimeout === 'continue') {
+        console.warn(`[WAIT_FOR] Timed out after ${(waited / 1000).toFixed(1)}s (${e.message}). Continuing.`);
+        return { met: false, waited, timedOut: e.message };
+      }
+      throw new ActionError(`Wait for action: timed out after ${timeoutMs / 1000}s: ${e.message}`, { code: 'WAIT_TIMEOUT' });
+    }
+  }
+}
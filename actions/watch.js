@@ -1,4 +1,19 @@
 import { humanMove } from './mouse_helper.js';
+import { ActionError } from '../errors.js';
+
+export const meta = {
+  name: 'watch',
+  description: 'Watch video for specific time',
+  params: {
+    type: 'object',
+    properties: {
+      duration: { type: ['string', 'number'], description: 'Seconds, range or percentage (e.g. "50-100s", 60, "30%")' },
+      skipAds: { type: 'boolean', description: 'Skip YouTube ads (default true)' }
+    },
+    additionalProperties: false
+  },
+  returns: 'nothing'
+};
 
 /**
  * Action: Watch a video for a specified duration, handling ads and simulating human behavior.
@@ -68,7 +83,7 @@ export async function watch(page, params = {}) {
 
     if (!videoState.found || !videoState.isVisible) {
       console.log('No visible video found. Signalling fallback to browse...');
-      throw new Error('NO_VIDEO_FOUND');
+      throw new ActionError('NO_VIDEO_FOUND');
     }
 
     if (!videoState.isPlaying) {
@@ -77,7 +92,7 @@ export async function watch(page, params = {}) {
       await page.waitForTimeout(1000);
     }
   } catch (e) {
-    if (e.message === 'NO_VIDEO_FOUND') throw e;
+    if (e.code === 'NO_VIDEO_FOUND') throw e;
     console.warn('Could not confirm video playback, proceeding anyway:', e.message);
   }
 
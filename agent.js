@@ -0,0 +1,1233 @@
+import { plugin } from 'playwright-with-fingerprints';
+import fs from 'fs-extra';
+import path from 'path';
+import { AIEngine } from './ai_engine.js';
+import { parseStructuredPrompt } from './prompt_parser.js';
+import { loadActionRegistry } from './action_registry.js';
+import { SessionManager } from './session_manager.js';
+import { BrowserManager } from './browser_manager.js';
+import { loadWorkflow, parseWorkflow, validateWorkflow, interpolate } from './workflow.js';
+import { isControlStep, runControlStep, describeStep } from './control_flow.js';
+import { RunCheckpoint } from './checkpoint.js';
+import { classifyError, BrowserCrashError, NetworkError, ProxyError, CaptchaError, ActionError } from './errors.js';
+import { buildRetryPolicy, loadRetryPolicy, resolveRetryRule, backoffDelay } from './retry_policy.js';
+import { ASSERTION_FAILED, summarizeAssertions } from './assertions.js';
+import { collectArtifacts } from './artifacts.js';
+import { EventChannel } from './events.js';
+import { TabManager, NEW_TAB_POLICIES } from './tab_manager.js';
+import { loadCookieImport, parseCookieImport, applyCookieImport } from './cookie_import.js';
+import { runPreflight, PREFLIGHT_FILES } from './preflight.js';
+import { exportProfileBundle, importProfileBundle, readBundleManifest, recordContextFile, CONTEXTS_INDEX } from './profile_bundle.js';
+import { PROFILE_CONTEXT_FILE } from './profile_templates.js';
+import { LOCK_FILE } from './profile_lock.js';
+import { getConfig } from './config.js';
+import axios from 'axios';
+
+/**
+ * Agent Runner
+ * Library entry point for launching a profile and running a prompt, workflow or session.
+ * open.js is a thin CLI wrapper around runAgent().
+ *
+ *   import { runAgent } from './agent.js';
+ *   const run = runAgent({ profile: 'aaa', workflow: 'flows/search.yaml', variables: { keyword: 'lofi' } });
+ *   run.events.on('action_finished', e => console.log(e.action, e.status));
+ *   const { success, results } = await run.result;
+ *
+ * Invalid input (bad workflow, invalid plan, missing checkpoint, profile in use) rejects `result`; failures while
+ * running resolve it with { success: false, error }. Runs with assert_* steps also get
+ * `assertions: { passed, failed, failures }`, and any failed assertion makes success false.
+ * `artifacts` lists the files actions saved (screenshots, PDFs, downloads, ...), see artifacts.js.
+ */
+
+// Profile entries a --new-profile run keeps (everything else is browser data or the old fingerprint)
+const KEPT_ON_NEW_PROFILE = new Set(['config.json', 'stats.json', PROFILE_CONTEXT_FILE, CONTEXTS_INDEX, 'runs', ...PREFLIGHT_FILES, LOCK_FILE]);
+
+// Helper: Fetch proxy from TMProxy (CURRENT ONLY)
+async function fetchProxyFromProvider(provider) {
+    if (!provider || !provider.api_key) return null;
+    try {
+        const apiKey = provider.api_key;
+        const endpoint = "https://tmproxy.com/api/proxy/get-current-proxy";
+        
+        console.log(`[ProxyFetch] Calling TMProxy: get-current-proxy...`);
+        const response = await axios.post(endpoint, {
+            api_key: apiKey
+        }, { timeout: 10000 });
+
+        const data = response.data;
+        if (data.code === 0 && data.data) {
+            const p = data.data;
+            const username = p.username || "";
+            const password = p.password || "";
+            const auth = username && password ? `${username}:${password}@` : "";
+            
+            if (p.socks5) return `socks5://${auth}${p.socks5}`;
+            if (p.https) return `http://${auth}${p.https}`;
+            if (p.http) return `http://${auth}${p.http}`;
+        } else {
+            console.warn(`[ProxyFetch] TMProxy: ${data.message || "Failed to get current proxy"}`);
+        }
+    } catch (e) {
+        console.error(`[ProxyFetch] Error: ${e.message}`);
+    }
+    return null;
+}
+
+// Helper: Proxy saved in the profile config (what BrowserManager.launch falls back to)
+async function savedProxy(profilePath) {
+  try {
+    const configPath = path.join(profilePath, 'config.json');
+    return await fs.pathExists(configPath) ? (await fs.readJson(configPath)).proxy || null : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper: Run an action, rejecting with ACTION_TIMEOUT when it runs longer than its step timeout (seconds).
+// The timeout aborts the signal handed to the action; Playwright calls already in flight keep
+// going until their page is closed, so the caller replaces the page (see runAction).
+function withTimeout(run, seconds, label) {
+  const controller = new AbortController();
+  const promise = run(controller.signal);
+  if (!seconds) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new ActionError(`Action '${label}' timed out after ${seconds}s`, { code: 'ACTION_TIMEOUT' });
+      controller.abort(error);
+      reject(error);
+    }, seconds * 1000);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Handle for one agent run: events, stop() and a promise of the outcome.
+ */
+export class AgentRun {
+  constructor(options = {}) {
+    this.options = options;
+    this.events = new EventChannel(options.eventsFd);
+    this.runId = null;
+    this.stopped = false;
+    this.stopReason = null;
+    this.context = null; // Current browser context, closed by stop()
+    this.releaseProfile = null; // Set once the run holds the profile lock
+    this.result = executeRun(this).catch((err) => {
+      // Invalid input or an unexpected crash: report it on the event stream, then reject
+      this.events.send('error', { name: err.name, code: err.code, message: err.message, fatal: true });
+      this.events.send('run_finished', { success: false, attempts: 0, error: err.message });
+      throw err;
+    }).finally(() => this.releaseProfile && this.releaseProfile());
+  }
+
+  /**
+   * Stop the run at the next safe point (between steps). The current step gets `graceMs`
+   * to finish before the browser is closed underneath it. Stats, history, the checkpoint and
+   * the final results are still written.
+   * @param {string} [reason]
+   * @param {object} [options]
+   * @param {number} [options.graceMs=10000]
+   * @returns {Promise<object>} Resolves with the run result once shutdown completes.
+   */
+  async stop(reason = 'Stop requested', { graceMs = 10000 } = {}) {
+    if (!this.stopped) {
+      this.stopped = true;
+      this.stopReason = reason;
+      console.log(`[Agent] Stopping (${reason}). Finishing the current step...`);
+      const timer = setTimeout(() => this.closeContext(), graceMs);
+      const clear = () => clearTimeout(timer);
+      this.result.then(clear, clear);
+    }
+    return this.result.catch(() => null);
+  }
+
+  async closeContext() {
+    if (!this.context) return;
+    console.log('[Agent] Grace period over. Closing browser.');
+    try {
+      await this.context.close();
+    } catch (e) {
+      // Context already closed
+    }
+  }
+}
+
+/**
+ * Start an agent run.
+ * @param {object} options
+ * @param {string} [options.profile='default']
+ * @param {string} [options.prompt] - Natural language task, planned by the AI (or ", then " steps).
+ * @param {string|object} [options.workflow] - Workflow file path or parsed workflow document.
+ * @param {object} [options.variables] - Workflow variable overrides.
+ * @param {string|string[]} [options.actions] - Plain action names ("search,browse").
+ * @param {string} [options.keyword] - Passed to `actions` that declare a keyword param.
+ * @param {Array<{action: string, params?: object}>} [options.steps] - Ready-made action sequence.
+ * @param {string} [options.resume] - Run ID of a checkpointed run to continue.
+ * @param {boolean} [options.session] - Generative session mode.
+ * @param {number} [options.sessionDuration=10] - Session minimum in minutes.
+ * @param {string} [options.sessionModel='qwen:latest'] - Model used in session mode.
+ * @param {string} [options.aiModel='deepseek-r1:latest'] - Model used to plan prompts.
+ * @param {string} [options.proxy]
+ * @param {object} [options.context] - Agent context (agent_name, proxy_provider, ...).
+ * @param {string} [options.contextFile] - Path to an agent context JSON file.
+ *   Without either, the profile's agent_context.json is used when it has one.
+ * @param {boolean} [options.headless]
+ * @param {boolean} [options.manual] - Open the browser and wait for the user to close it.
+ * @param {boolean} [options.exportCookies] - Launch headless and return the profile cookies.
+ * @param {string|object|Array} [options.importCookies] - Cookie/storage file path or parsed data (see cookie_import.js),
+ *   applied before any action runs. Without a prompt, workflow or actions the run only imports (headless).
+ * @param {string} [options.exportProfile] - Write the profile bundle (see profile_bundle.js) to this path. Launches headless
+ *   to read cookies and storage, then packs the profile once the browser is closed.
+ * @param {boolean} [options.includeUserData] - Also pack the Chromium user data dir into the bundle.
+ * @param {string} [options.importProfile] - Profile bundle to unpack (the profile defaults to the bundled name), then
+ *   apply its cookies and storage like importCookies.
+ * @param {boolean} [options.overwrite] - Let importProfile replace a profile that already has data.
+ * @param {boolean} [options.newProfile] - Wipe the profile (keeping config/stats) before launch.
+ * @param {object|string} [options.retryPolicy] - Policy overrides or a policy file path.
+ * @param {string} [options.newTabPolicy] - follow | ignore | close for tabs the agent did not open (default: config tabs.newTabPolicy).
+ * @param {boolean} [options.dryRun] - Plan and validate only.
+ * @param {string} [options.instanceId] - Web manager instance ID.
+ * @param {number} [options.eventsFd] - Also write NDJSON events to this file descriptor.
+ * @param {import('./action_registry.js').ActionRegistry} [options.actionRegistry]
+ * @param {BrowserManager} [options.browserManager]
+ * @returns {AgentRun}
+ */
+export function runAgent(options = {}) {
+  return new AgentRun(options);
+}
+
+/**
+ * Main Orchestrator
+ * @param {AgentRun} run
+ */
+async function executeRun(run) {
+  const options = run.options;
+  const events = run.events;
+  const config = getConfig();
+  const keyword = options.keyword || '';
+  const actionsOption = options.actions || '';
+  const prompt = options.prompt || '';
+  const workflowOption = options.workflow || null; // Declarative JSON/YAML step file or document
+  const resumeRunId = options.resume || ''; // Continue a checkpointed run from its failed step
+  const isNewProfile = options.newProfile || false;
+  const exportCookies = options.exportCookies || false;
+  const exportProfile = options.exportProfile || null; // Profile bundle path
+  const exportOnly = exportCookies || !!exportProfile;
+  // Profile bundle to unpack: the manifest is read up front so a wrong file fails before anything launches
+  const importProfile = options.importProfile || null;
+  const bundleManifest = importProfile ? await readBundleManifest(importProfile) : null;
+  // Cookie/storage seed, parsed up front so a bad file fails before anything launches
+  let importData = !options.importCookies ? null
+    : typeof options.importCookies === 'string' ? await loadCookieImport(options.importCookies)
+    : parseCookieImport(options.importCookies);
+  const isManual = options.manual || false;
+  const isHeadless = options.headless || false; // Run browser in headless mode
+  const sessionMode = options.session || false; // Enable generative session mode
+  const minSessionMinutes = parseInt(options.sessionDuration) || 10;
+  const aiModel = options.aiModel || 'deepseek-r1:latest'; // AI model for planning prompts
+  const instanceId = options.instanceId || null; // Instance ID from BrowserProcessManager
+  const importOnly = (!!importData || !!importProfile) && !prompt && !workflowOption && !resumeRunId && !actionsOption
+    && !(Array.isArray(options.steps) && options.steps.length > 0) && !sessionMode && !isManual && !exportOnly;
+  const newTabPolicy = options.newTabPolicy || config.tabs.newTabPolicy; // Unexpected tabs: follow | ignore | close
+  if (!NEW_TAB_POLICIES.includes(newTabPolicy)) {
+    throw new Error(`Unknown new tab policy '${newTabPolicy}' (expected: ${NEW_TAB_POLICIES.join(', ')})`);
+  }
+  events.setContext({ instanceId });
+  let proxy = options.proxy || '';
+
+  // Action Registry (built-in actions/ + plugins/actions/)
+  const actionRegistry = options.actionRegistry || await loadActionRegistry();
+  const ACTION_REGISTRY = actionRegistry.toHandlerMap();
+  const browserManager = options.browserManager || new BrowserManager();
+
+  const retryPolicy = typeof options.retryPolicy === 'object' && options.retryPolicy
+    ? buildRetryPolicy(options.retryPolicy)
+    : await loadRetryPolicy(options.retryPolicy);
+
+  // --- Load Agent Context EARLY ---
+  let agentContext = options.context || null;
+  if (!agentContext && options.contextFile) {
+    try {
+        agentContext = await fs.readJson(options.contextFile);
+        console.log(`[Session] Agent Context loaded: ${agentContext.agent_name}`);
+    } catch (e) {
+        console.error('[Session] Failed to load context file:', e.message);
+    }
+  }
+  // Fall back to the profile's default context (written by profile templates, see profile_templates.js)
+  const profileContextPath = options.profile ? path.join(config.paths.profilesDir, options.profile, PROFILE_CONTEXT_FILE) : null;
+  if (!agentContext && profileContextPath && await fs.pathExists(profileContextPath)) {
+    try {
+        agentContext = await fs.readJson(profileContextPath);
+        console.log(`[Session] Agent Context loaded from profile: ${agentContext.agent_name || options.profile}`);
+    } catch (e) {
+        console.error('[Session] Failed to load profile context:', e.message);
+    }
+  }
+  
+  // Log instance ID if provided (for multi-instance tracking)
+  if (instanceId) {
+    console.log(`[InstanceID] ${instanceId}`);
+  }
+
+  // --- Always fetch fresh proxy when Dynamic Mode is configured ---
+  if (agentContext && agentContext.proxy_provider && agentContext.proxy_provider.mode === 'dynamic') {
+      console.log('[Launch] Dynamic proxy mode detected. Fetching fresh proxy...');
+      const fetchedProxy = await fetchProxyFromProvider(agentContext.proxy_provider);
+      if (fetchedProxy) {
+          console.log(`[Launch] Using fresh proxy: ${fetchedProxy}`);
+          proxy = fetchedProxy;
+      } else if (!proxy) {
+          console.warn('[Launch] Could not fetch proxy and no fallback available.');
+      }
+  }
+
+  // 1. Determine Action Sequence & Profile Override
+  let actionSequence = [];
+  let profileName = options.profile || bundleManifest?.profile || 'default';
+  let checkpoint = null;
+  // Steps the user wrote (workflow, CLI actions, library steps) may name local files by absolute
+  // path; AI plans, session actions and heal suggestions may not (see actions/upload.js)
+  let localFiles = false;
+  
+  if (!exportOnly && !isManual && !importOnly) { // Skip planning if exporting/importing cookies or profiles, or manual mode
+      if (resumeRunId) {
+        // Resume: replay the stored plan from the first step that did not complete
+        if (!options.profile) {
+          profileName = await RunCheckpoint.findProfile(config.paths.profilesDir, resumeRunId) || profileName;
+        }
+        checkpoint = await RunCheckpoint.load(path.join(config.paths.profilesDir, profileName), resumeRunId);
+        run.runId = checkpoint.runId;
+        if (checkpoint.isComplete) {
+          console.log(`[Checkpoint] Run ${resumeRunId} already completed all ${checkpoint.steps.length} steps. Nothing to resume.`);
+          return { success: true, runId: checkpoint.runId, profile: profileName, results: checkpoint.results, attempts: 0 };
+        }
+        actionSequence = checkpoint.steps;
+        localFiles = checkpoint.localFiles;
+        console.log(`\n--- ⏯️ RESUMING RUN ${resumeRunId} at step ${checkpoint.nextIndex + 1}/${actionSequence.length} ---`);
+        actionSequence.forEach((step, idx) => {
+          const marker = idx < checkpoint.nextIndex ? '✔' : ' ';
+          console.log(`${marker} ${idx + 1}. ${describeStep(step)}`);
+        });
+        console.log('-----------------------------\n');
+      } else if (workflowOption) {
+        // Declarative workflow: load, interpolate and validate BEFORE launching the browser
+        const workflow = typeof workflowOption === 'string'
+          ? await loadWorkflow(workflowOption, options.variables || {})
+          : parseWorkflow(workflowOption, options.variables || {});
+
+        const problems = validateWorkflow(workflow, actionRegistry);
+        if (problems.length > 0) {
+          throw new Error(`Workflow '${workflow.name}' is invalid:\n  - ${problems.join('\n  - ')}`);
+        }
+
+        actionSequence = workflow.steps;
+        localFiles = true;
+        console.log(`\n--- 📄 WORKFLOW: ${workflow.name} (${actionSequence.length} steps) ---`);
+        actionSequence.forEach((step, idx) => {
+          console.log(`${idx + 1}. ${describeStep(step)}`);
+        });
+        console.log('-----------------------------\n');
+
+        if (workflow.profile && !options.profile) {
+          console.log(`>>> Profile set by workflow: ${workflow.profile}`);
+          profileName = workflow.profile;
+        }
+      } else if (prompt) { 
+        // Structured prompts ("search for X, then click first result, rồi xem 2 phút") skip AI planning
+        const parsed = parseStructuredPrompt(prompt, actionRegistry);
+        if (parsed) {
+            console.log('>>> Parsed structured prompt. Skipping AI planning for speed.');
+            actionSequence = parsed.actions;
+            localFiles = true;
+            actionSequence.forEach((step, idx) => {
+                 console.log(`${idx + 1}. ${describeStep(step)}`);
+            });
+            if (parsed.profile && !options.profile) {
+              console.log(`>>> Profile set by prompt: ${parsed.profile}`);
+              profileName = parsed.profile;
+            }
+        } else {
+            // Complex/Unstructured prompt -> Use AI
+            console.log('>>> Analyzing prompt with AI...');
+            const ai = new AIEngine(aiModel, actionRegistry);
+            const result = await ai.planActions(prompt);
+            actionSequence = result.actions;
+            
+            console.log('\n--- 🤖 AI PLANNED ACTIONS ---');
+            actionSequence.forEach((step, idx) => {
+                 console.log(`${idx + 1}. ${describeStep(step)}`);
+            });
+            console.log('-----------------------------\n');
+    
+            if (result.profile && !options.profile) {
+              console.log(`\n>>> Profile switch requested via prompt: ${result.profile}`);
+              profileName = result.profile;
+            } else if (result.profile && options.profile) {
+              console.log(`\n>>> AI suggested profile '${result.profile}' but keeping profile override '${options.profile}'`);
+            }
+        }
+      } else if (Array.isArray(options.steps) && options.steps.length > 0) {
+        actionSequence = options.steps.map(step => ({ ...step, params: step.params || {} }));
+        localFiles = true;
+      } else if (actionsOption) {
+        // Only hand the keyword to actions whose schema declares it
+        actionSequence = [].concat(actionsOption).join(',').split(',').filter(name => name.trim()).map(name => {
+          const action = name.trim();
+          const declaresKeyword = !!actionRegistry.getMeta(action)?.params?.properties?.keyword;
+          return { action, params: declaresKeyword && keyword ? { keyword } : {} };
+        });
+        localFiles = true;
+      } else {
+        actionSequence = [
+          { action: 'search', params: { keyword: 'playwright automation' } },
+          { action: 'browse', params: { iterations: 3 } }
+        ];
+      }
+      
+      // Validate every planned step against its action schema before launching anything
+      const planProblems = actionRegistry.validatePlan(actionSequence);
+      if (planProblems.length > 0) {
+          throw new Error(`Action plan is invalid:\n  - ${planProblems.join('\n  - ')}`);
+      }
+
+      if (options.dryRun) {
+          console.log('Dry run: exiting after planning.');
+          return { success: true, dryRun: true, profile: profileName, plan: actionSequence, results: [], attempts: 0 };
+      }
+  }
+
+
+  const profilePath = path.join(config.paths.profilesDir, profileName);
+  console.log(`Target Profile: ${profileName} (${profilePath})`);
+
+  // One browser per profile: hold the lock for the whole run, across browser restarts (profile_lock.js)
+  const profileLock = await browserManager.lockProfile(profileName, { instanceId });
+  profileLock.onLost = () => run.stop('Profile lock was taken over by another process');
+  run.releaseProfile = () => browserManager.unlockProfile(profileName);
+
+  // Remember the agent context file, so the profile bundle carries it
+  if (agentContext && options.contextFile) {
+    await recordContextFile(profilePath, options.contextFile).catch(e => console.warn(`[ProfileBundle] Could not record context file: ${e.message}`));
+  }
+
+  // --- PROFILE BUNDLE IMPORT ---
+  // Files first (under the lock); the bundled cookies and storage are applied once the browser is up
+  let profileImport = null;
+  if (importProfile) {
+    const imported = await importProfileBundle(importProfile, profilePath, { overwrite: !!options.overwrite });
+    profileImport = { profile: profileName, source: imported.profile, files: imported.files, userData: imported.userData, contexts: imported.contexts };
+    if (!importData && imported.storage) importData = parseCookieImport(imported.storage);
+    events.send('result', { kind: 'profile_import', data: profileImport });
+  }
+
+  // Checkpoint the action sequence so browser restarts (and --resume) skip completed steps
+  if (!sessionMode && !exportOnly && !isManual && !importOnly && !checkpoint) {
+    checkpoint = await RunCheckpoint.create(profilePath, profileName, actionSequence, { localFiles });
+  }
+  if (checkpoint) {
+    run.runId = checkpoint.runId;
+    console.log(`[Checkpoint] Run ID: ${checkpoint.runId} (resume with --resume ${checkpoint.runId})`);
+  }
+
+  events.setContext({ profile: profileName, runId: checkpoint ? checkpoint.runId : null });
+  events.send('run_started', {
+    mode: exportProfile ? 'export-profile' : exportCookies ? 'export-cookies' : importProfile && importOnly ? 'import-profile' : importOnly ? 'import-cookies' : isManual ? 'manual' : sessionMode ? 'session' : 'sequence',
+    steps: actionSequence,
+    resumeFrom: checkpoint ? checkpoint.nextIndex : 0
+  });
+
+  // --- Multi-Attempt Logic (limits, backoff and remediation come from the retry policy) ---
+  let attempt = 1;
+  let success = false;
+  let lastError = null;
+  let results = [];
+  let cookies = null;
+  let cookieImport = null;
+  let storageState = null;
+  let profileExport = null;
+
+  // A bundle without cookies or storage needs no browser
+  if (importOnly && !importData) success = true;
+
+  const finalHeadless = isHeadless || exportOnly || importOnly;
+
+  while (!success && !run.stopped) {
+    let context;
+    let page;
+    const isRetry = attempt > 1;
+
+    try {
+      console.log(`\n=== Execution Attempt ${attempt} (isRetry: ${isRetry}) ===`);
+
+      // Handle profile clearing only if explicitly requested: browser data and the fingerprint go,
+      // settings, stats, run checkpoints, preflight results and our lock stay
+      if (isNewProfile && fs.existsSync(profilePath) && !exportOnly) {
+        console.log(`Cleaning up profile at ${profilePath}...`);
+        try {
+          for (const name of await fs.readdir(profilePath)) {
+            if (!KEPT_ON_NEW_PROFILE.has(name)) await fs.remove(path.join(profilePath, name));
+          }
+        } catch (e) {
+          console.warn(`Could not clean up profile directory: ${e.message}`);
+        }
+      }
+
+      // 2. Browser Initialization
+      console.log('Fetching fingerprint...');
+      plugin.setServiceKey(config.fingerprint.serviceKey);
+
+      let fingerprint;
+      const fingerprintPath = path.join(profilePath, 'fingerprint.json');
+      const configPath = path.join(profilePath, 'config.json');
+
+      if (await fs.pathExists(fingerprintPath)) {
+          console.log('Loading saved fingerprint...');
+          try {
+              const fingerprintData = await fs.readFile(fingerprintPath, 'utf8');
+              if (fingerprintData && fingerprintData.length > 20) {
+                  // Parse fingerprint if it's a JSON string
+                  try {
+                      fingerprint = typeof fingerprintData === 'string' ? JSON.parse(fingerprintData) : fingerprintData;
+                  } catch (e) {
+                      fingerprint = fingerprintData; // Use as-is if not JSON
+                  }
+                  console.log('Fingerprint loaded successfully.');
+              } else {
+                  console.warn('Fingerprint file too small, will re-fetch');
+                  fingerprint = null;
+              }
+          } catch (e) {
+              console.error(`Failed to load fingerprint: ${e.message}`);
+              fingerprint = null;
+          }
+      } 
+      
+      if (!fingerprint) {
+          console.log('Fetching fingerprint via BrowserManager...');
+          try {
+              fingerprint = await browserManager.getFingerprint(profileName);
+          } catch (e) {
+              console.error(`Failed to get fingerprint: ${e.message}`);
+              // Fallback?
+              fingerprint = await plugin.fetch({ tags: ['Microsoft Windows', 'Chrome'] });
+          }
+      }
+
+      console.log('Launching browser...');
+
+      const launchArgs = [
+          '--remote-debugging-port=0' // Force random port
+      ];
+
+      // Fingerprint / proxy / profile consistency, stored in the profile (throws PreflightError in enforce mode).
+      // Export/import-only runs and retries skip the check (and its geo lookup), except a retry after a
+      // failed preflight, which re-checks the rotated proxy.
+      const preflight = await runPreflight({
+          profileName,
+          profilePath,
+          fingerprint,
+          proxy: browserManager.normalizeProxy(proxy || await savedProxy(profilePath)),
+          mode: config.preflight.mode,
+          skip: exportOnly || importOnly || (isRetry && lastError?.code !== 'PREFLIGHT_FAILED')
+      });
+      events.send('result', { kind: 'preflight', data: preflight });
+
+      // Mobile fingerprints get a phone-sized window (the fingerprint's screen when it has one)
+      if (preflight.windowSize) {
+          console.log(`[Launch] Mobile fingerprint detected. Setting window size ${preflight.windowSize}.`);
+          launchArgs.push(`--window-size=${preflight.windowSize}`);
+      }
+      
+      context = await browserManager.launch(profileName, {
+          headless: finalHeadless,
+          fingerprint,
+          proxy,
+          args: launchArgs
+      });
+      run.context = context;
+      if (run.stopped) throw new Error('Run stopped');
+
+      // Ensure a page exists immediately
+      page = context.pages()[0] || await context.newPage();
+
+      // --- COOKIE / STORAGE IMPORT ---
+      // Once per run, before any action: the persistent profile keeps the cookies and localStorage
+      // (sessionStorage seeding only covers the first browser of the run)
+      if (importData && !cookieImport) {
+          cookieImport = await applyCookieImport(context, importData);
+          events.send('result', { kind: 'cookie_import', data: cookieImport });
+          if (importOnly) {
+              success = true;
+              break;
+          }
+      }
+
+      // --- COOKIE EXPORT ---
+      if (exportCookies) {
+          cookies = await context.cookies();
+          console.log(`Exported ${cookies.length} cookies.`);
+          events.send('result', { kind: 'cookies', data: cookies });
+          success = true;
+          break;
+      }
+
+      // --- PROFILE EXPORT --- (packed after the loop, once the browser has closed)
+      if (exportProfile) {
+          storageState = await context.storageState();
+          console.log(`[ProfileBundle] Read ${storageState.cookies.length} cookies and storage for ${storageState.origins.length} origins.`);
+          success = true;
+          break;
+      }
+
+      // --- BACKGROUND HELPERS (Mouse & IP Check) ---
+      await context.addInitScript(({ instanceId, profileName, statusUrl }) => {
+        // 1. Mouse Visualization
+        window.addEventListener('DOMContentLoaded', () => {
+          if (document.getElementById('mouse-pointer-visualization')) return;
+          const box = document.createElement('div');
+          box.id = 'mouse-pointer-visualization';
+          box.style.position = 'fixed';
+          box.style.top = '0';
+          box.style.left = '0';
+          box.style.width = '20px';
+          box.style.height = '20px';
+          box.style.background = 'rgba(255, 0, 0, 0.7)';
+          box.style.borderRadius = '50%';
+          box.style.pointerEvents = 'none';
+          box.style.zIndex = '9999999';
+          box.style.transition = 'transform 0.1s linear';
+          document.body.appendChild(box);
+          document.addEventListener('mousemove', (e) => {
+            box.style.transform = `translate(${e.clientX - 10}px, ${e.clientY - 10}px)`;
+          });
+        });
+
+        // 2. Background IP Check (Reporting to Node Server)
+        if (instanceId) {
+            const checkIP = async () => {
+                try {
+                    const resp = await fetch('https://ipwho.is/');
+                    const data = await resp.json();
+                    if (data && data.ip) {
+                        await fetch(statusUrl, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({
+                                instanceId,
+                                profile: profileName,
+                                ip: data.ip,
+                                city: data.city,
+                                country: data.country
+                            })
+                        });
+                    }
+                } catch (e) {
+                    // Fail silently in background
+                }
+            };
+            checkIP();
+            // Check every 2 minutes
+            setInterval(checkIP, 120000);
+        }
+      }, { instanceId, profileName, statusUrl: `${config.webManager.url}/api/browser-status` });
+
+      // --- TAB MANAGEMENT ---
+      // Tabs the agent did not open go through the new tab policy; tab actions switch via ctx.tabs
+      const tabs = new TabManager(context, page, {
+        policy: newTabPolicy,
+        blocklist: config.tabs.blocklist,
+        onSwitch: (newPage) => { page = newPage; }
+      }).attach();
+
+      // 3. Manual Mode Check
+      if (isManual) {
+        console.log('>>> MANUAL MODE: Browser launched. Waiting for user to close window...');
+        
+        // Navigate to google if on about:blank
+        if (page.url() === 'about:blank') {
+            await page.goto('https://www.google.com');
+        }
+
+        // Loop to check if context is still open
+        while (context.pages().length > 0 && !run.stopped) {
+            await new Promise(r => setTimeout(r, 1000));
+        }
+        console.log('Browser closed by user.');
+        success = true;
+        break;
+      }
+
+      // 4. Execute Action Sequence (Only if NOT in session mode)
+      if (!sessionMode) {
+        results = [...checkpoint.results];
+        const startIndex = checkpoint.nextIndex;
+
+        if (startIndex > 0) {
+          console.log(`[Checkpoint] Skipping ${startIndex} completed step(s), continuing at step ${startIndex + 1}.`);
+          if (checkpoint.lastUrl && page.url() === 'about:blank') {
+            console.log(`[Checkpoint] Restoring page: ${checkpoint.lastUrl}`);
+            await page.goto(checkpoint.lastUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+          }
+        }
+
+        const vars = { ...(options.variables || {}), ...checkpoint.vars };
+
+        // A timed-out action may still be acting on its tab: continue on a fresh tab at the same URL.
+        // Closing the old tab makes the action's pending Playwright calls fail instead of racing the next step.
+        const replaceTimedOutPage = async () => {
+          const stale = page;
+          const url = stale.isClosed() ? null : stale.url();
+          console.warn(`[Workflow] Replacing the tab of the timed-out action${url ? ` (${url})` : ''}...`);
+          const fresh = await tabs.open();
+          await stale.close().catch(() => {});
+          if (url && url !== 'about:blank') {
+            await fresh.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 })
+              .catch(e => console.warn(`[Workflow] Could not reopen ${url}: ${e.message}`));
+          }
+        };
+
+        // Runs one action step with its onError policy. Control steps call back into it for nested steps.
+        const runAction = async (step, { index, path = String(index), defaultOnError = 'heal' }) => {
+          const actionFn = ACTION_REGISTRY[step.action];
+          const stepResults = [];
+          const stepStartedAt = Date.now();
+          let stepStatus = 'success';
+          let stepError = null;
+          if (actionFn) {
+            // Resolve runtime variables (loop items, saveAs results) and re-check the params
+            let params = step.params || {};
+            if (JSON.stringify(params).includes('${')) {
+              try {
+                params = interpolate(params, vars, `${path}.params`);
+              } catch (e) {
+                throw new ActionError(e.message, { code: 'INVALID_PARAMS' });
+              }
+              const problems = actionRegistry.validateStep({ action: step.action, params });
+              if (problems.length > 0) {
+                throw new ActionError(`Step ${path} (${step.action}): ${problems.join('; ')}`, { code: 'INVALID_PARAMS' });
+              }
+            }
+
+            const actionContext = { runId: checkpoint.runId, profile: profileName, artifactsDir: checkpoint.artifactsDir, index, path, vars, tabs, localFiles };
+            console.log(`\n--- Executing: ${step.action} ---`);
+            events.send('action_started', { index, path, action: step.action, params, attempt });
+            const onError = step.onError || defaultOnError;
+            const maxTries = onError === 'retry' ? (step.retries ?? 1) + 1 : 1;
+            let tries = 0;
+
+            while (true) {
+              tries++;
+              try {
+                // Pass isRetry down to actions
+                const result = await withTimeout(signal => actionFn(page, { ...params, isRetry }, { ...actionContext, signal }), step.timeout, step.action);
+                if (result) {
+                  stepResults.push({ action: step.action, result });
+                }
+                if (result?.assertion && result.passed === false) stepStatus = 'failed';
+                if (step.saveAs) vars[step.saveAs] = result ?? null;
+                break;
+              } catch (actionError) {
+                console.error(`Error in action '${step.action}': ${actionError.message}`);
+                if (actionError.code === 'ACTION_TIMEOUT') await replaceTimedOutPage();
+
+                if (onError === 'retry') {
+                  if (tries < maxTries) {
+                    console.log(`[Workflow] Retrying '${step.action}' (${tries}/${maxTries - 1})...`);
+                    continue;
+                  }
+                  throw actionError;
+                }
+                if (onError === 'continue') {
+                  console.warn(`[Workflow] onError=continue: skipping failed step '${step.action}'.`);
+                  stepResults.push({ action: step.action, error: actionError.message });
+                  stepStatus = 'skipped';
+                  stepError = actionError.message;
+                  break;
+                }
+                // A failed fatal assertion is a verdict about the page, there is nothing to heal
+                if (onError === 'abort' || actionError.code === ASSERTION_FAILED) {
+                  throw actionError;
+                }
+
+                // --- SELF-HEALING LOGIC ---
+                console.log('Attempting Visual Error Diagnosis...');
+                const { diagnoseAndSuggest } = await import('./vision_engine.js');
+                const suggestion = await diagnoseAndSuggest(page, `Execute action: ${step.action} with params ${JSON.stringify(params)}`, actionError.message);
+
+                const suggestionProblems = suggestion ? actionRegistry.validateStep(suggestion) : [];
+                if (suggestionProblems.length > 0) {
+                  console.warn(`Ignoring invalid remedial suggestion: ${suggestionProblems.join('; ')}`);
+                }
+
+                if (suggestion && suggestionProblems.length === 0 && ACTION_REGISTRY[suggestion.action]) {
+                  console.log(`\n>>> SELF-HEALING: Executing alternative action: ${suggestion.action} <<<`);
+                  events.send('healed', { index, path, action: step.action, error: actionError.message, remedial: suggestion });
+                  const remedialFn = ACTION_REGISTRY[suggestion.action];
+                  // The heal gets the step's timeout too, so a hanging remedial action cannot stall the run
+                  let remedialResult;
+                  try {
+                    remedialResult = await withTimeout(signal => remedialFn(page, { ...suggestion.params, isRetry }, { ...actionContext, localFiles: false, signal }), step.timeout, suggestion.action);
+                  } catch (remedialError) {
+                    if (remedialError.code === 'ACTION_TIMEOUT') await replaceTimedOutPage();
+                    throw remedialError;
+                  }
+                  if (remedialResult) {
+                      stepResults.push({ action: suggestion.action, result: remedialResult, healed: true });
+                  }
+                  console.log('>>> Remedial action completed. Resuming sequence. <<<\n');
+                  stepStatus = 'healed';
+                  stepError = actionError.message;
+                } else {
+                  console.warn('No effective remedial action found. Propagating error.');
+                  throw actionError;
+                }
+                break;
+              }
+            }
+          } else {
+            console.warn(`Unknown action: ${step.action}`);
+            stepStatus = 'skipped';
+            stepError = `Unknown action: ${step.action}`;
+          }
+          events.send('action_finished', {
+            index,
+            path,
+            action: step.action,
+            status: stepStatus,
+            result: stepResults.length ? stepResults : undefined,
+            error: stepError || undefined,
+            durationMs: Date.now() - stepStartedAt
+          });
+          return stepResults;
+        };
+
+        for (let stepIndex = startIndex; stepIndex < actionSequence.length; stepIndex++) {
+          if (run.stopped) break;
+          const step = actionSequence[stepIndex];
+          let stepResults;
+          if (isControlStep(step)) {
+            const flow = {
+              getPage: () => page,
+              vars,
+              isStopped: () => run.stopped,
+              runAction: (nested, at) => runAction(nested, { index: stepIndex, ...at })
+            };
+            stepResults = await runControlStep(step, flow, String(stepIndex));
+          } else {
+            stepResults = await runAction(step, { index: stepIndex });
+          }
+          results.push(...stepResults);
+          await checkpoint.completeStep(stepIndex, stepResults, page.isClosed() ? null : page.url(), vars);
+        }
+        events.send('result', { kind: 'actions', data: results });
+        if (run.stopped) throw new Error('Run stopped');
+        await checkpoint.finish();
+        console.log('\nAll actions completed successfully.');
+        console.log('Results:', JSON.stringify(results, null, 2));
+      }
+      
+      // 5. Session Mode - Continue generating actions until minimum duration reached
+      if (sessionMode) {
+        // 5. Start Session Mode (if enabled)
+        const aiModel = options.sessionModel || 'qwen:latest';
+        
+        console.log(`\n=== SESSION MODE ENABLED (${minSessionMinutes} min minimum) ===\n`);
+        
+        // Use the original prompt as the User Goal
+        const userGoal = prompt || "Browse naturally and interestingly";
+        
+        const session = new SessionManager(minSessionMinutes, userGoal, aiModel, agentContext, profileName, actionRegistry);
+        
+        // Initial Stat Load for AI context
+        try {
+          const initialStats = await browserManager.getStats(profileName);
+          session.updateStats(initialStats);
+        } catch (e) {}
+        
+        console.log(`\n>>> STARTING SESSION MODE (${minSessionMinutes} min) with Model: ${aiModel} <<<`);
+        console.log(`Goal: "${userGoal}"`);
+        
+        // Navigate to a starter page if on about:blank to give the session context
+        if (page.url() === 'about:blank') {
+           console.log('[Session] Starting from blank page. Navigating to Google...');
+           await page.goto('https://www.google.com', { waitUntil: 'domcontentloaded' });
+        }
+
+        session.start(page.url(), userGoal, actionSequence);
+        
+        // Status reporting loop (every 5 seconds) - lightweight, no screenshots
+        const statusInterval = setInterval(async () => {
+          try {
+            if (!page || page.isClosed()) {
+              clearInterval(statusInterval);
+              return;
+            }
+            
+            const currentUrl = page.url();
+            const status = session.getStatus();
+            
+            // Also fetch latest stats to display on dashboard
+            let stats = null;
+            try {
+              stats = await browserManager.getStats(profileName);
+            } catch (e) {}
+
+            // Send status update to server for dashboard
+            try {
+              const fetch = (await import('node-fetch')).default;
+              await fetch(`${config.webManager.url}/api/browser-status`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ 
+                  instanceId,
+                  profile: profileName,
+                  agentName: agentContext?.agent_name,
+                  avatarType: agentContext?.avatar_type,
+                  avatarColor: agentContext?.avatar_color,
+                  url: currentUrl,
+                  status: session.currentContext?.pageType || 'browsing',
+                  actionCount: status.actionsCompleted,
+                  lastAction: `${status.elapsedMinutes}/${minSessionMinutes} min`,
+                  aiFrequency: session.getCallFrequencyStatus(),
+                  stats: stats // Include RPG stats
+                })
+              });
+            } catch (e) {
+              // Server not available, skip
+            }
+          } catch (e) {
+            // Status update failed
+          }
+        }, 5000);
+        
+        while (!session.hasReachedMinimum() && !run.stopped) {
+          try {
+            // Safety check: is browser still connected?
+            const browserInstance = context.browser();
+            if (browserInstance && !browserInstance.isConnected()) {
+              throw new BrowserCrashError('BROWSER_DISCONNECTED');
+            }
+
+            // Page Recovery: If page was closed (e.g. by ChatGPT glitch), recover
+            if (!page || page.isClosed()) {
+                const allPages = context.pages();
+                if (allPages.length > 0) {
+                    // Switch to the last available page (likely the original one)
+                    tabs.switchTo(allPages[allPages.length - 1]);
+                    console.log(`[TabManager] Recovered focus to existing tab: ${page.url()}`);
+                } else {
+                    // No pages left, create new one
+                    console.warn('[Session] All pages closed. Recreating main page...');
+                    await tabs.open('https://www.google.com');
+                }
+            }
+
+            // Update context from current page
+            try {
+                session.updateContext(page.url());
+            } catch (e) {
+                // If accessing url fails, we might need one more check
+                if (!page || page.isClosed()) continue; 
+            }
+            
+            // Check if stuck on same URL
+            if (session.isStuckOnSameUrl()) {
+              console.log('[Session] Detected stuck on same URL. Triggering recovery...');
+              throw new Error('Stuck on same URL - triggering recovery');
+            }
+            
+            // DYNAMIC: Scan page content to detect available elements
+            const pageContent = await session.scanPageContent(page);
+            
+            if (pageContent.isErrorPage) {
+                console.log('\n[Session] ❌ Network error page detected.');
+                
+                // Step 1: Try reloading the current page
+                console.log('[Session] Step 1: Reloading page...');
+                try {
+                    await page.reload({ waitUntil: 'domcontentloaded', timeout: 15000 });
+                    await page.waitForTimeout(3000);
+                    const afterReload = await session.scanPageContent(page);
+                    if (!afterReload.isErrorPage) {
+                        console.log('[Session] ✅ Page recovered after reload!');
+                        continue; // Resume session loop
+                    }
+                } catch (e) {
+                    console.warn('[Session] Reload failed:', e.message);
+                }
+                
+                // Step 2: Try navigating to Google
+                console.log('[Session] Step 2: Navigating to Google...');
+                try {
+                    await page.goto('https://www.google.com', { waitUntil: 'domcontentloaded', timeout: 15000 });
+                    await page.waitForTimeout(3000);
+                    const afterGoogle = await session.scanPageContent(page);
+                    if (!afterGoogle.isErrorPage) {
+                        console.log('[Session] ✅ Google loaded. Resuming session from Google.');
+                        session.updateContext(page.url());
+                        continue; // Resume session loop
+                    }
+                } catch (e) {
+                    console.warn('[Session] Google navigation failed:', e.message);
+                }
+                
+                // Step 3: Rotate proxy (last resort)
+                console.log('[Session] Step 3: All recovery failed. Rotating proxy...');
+                throw new NetworkError('Network error page persisted after reload and Google fallback', { code: 'NETWORK_ERROR_PAGE' });
+            }
+            
+            // Generate next action chain based on actual page content (await async AI generation)
+            const actionChain = await session.generateNextAction(page, pageContent);
+            
+            if (!actionChain || !Array.isArray(actionChain) || actionChain.length === 0) {
+              console.log('[Session] No more actions or invalid chain. Ending session.');
+              break;
+            }
+            
+            // Execute each action in the chain sequentially
+            for (const nextAction of actionChain) {
+              if (run.stopped) break; // Safe point: between steps
+              // Display session status for each step
+              const status = session.getStatus();
+              console.log(`\n[Session] ${status.elapsedMinutes}/${minSessionMinutes} min | Step: ${nextAction.action} (${status.actionsCompleted + 1}) | Page: ${status.pageType}`);
+              
+              // Execute the action
+              let actionFn = ACTION_REGISTRY[nextAction.action];
+              
+              // Map 'read' to 'browse' if not explicitly defined
+              if (!actionFn && nextAction.action === 'read') {
+                  console.log('[Session] Mapping "read" action to "browse" implementation');
+                  actionFn = ACTION_REGISTRY['browse'];
+              }
+
+              if (actionFn) {
+                const sessionStepIndex = status.actionsCompleted;
+                const stepStartedAt = Date.now();
+                events.send('action_started', { index: sessionStepIndex, action: nextAction.action, params: nextAction.params, attempt, session: true });
+                try {
+                  await actionFn(page, { ...nextAction.params, isRetry }, { runId: null, profile: profileName, index: sessionStepIndex, path: String(sessionStepIndex), vars: {}, tabs });
+                  session.recordAction(nextAction.action, nextAction.params, 'success');
+                  events.send('action_finished', { index: sessionStepIndex, action: nextAction.action, status: 'success', durationMs: Date.now() - stepStartedAt, session: true });
+                  
+                  // Update RPG Stats
+                  const updatedStats = await browserManager.updateStats(profileName, nextAction.action, {
+                    url: page.url(),
+                    keyword: nextAction.params.keyword
+                  });
+                  session.updateStats(updatedStats); // Sync with AI
+                } catch (actionError) {
+                  events.send('action_finished', { index: sessionStepIndex, action: nextAction.action, status: 'skipped', error: actionError.message, durationMs: Date.now() - stepStartedAt, session: true });
+                  // Record error in stats
+                  const updatedStats = await browserManager.updateStats(profileName, 'error');
+                  session.updateStats(updatedStats); // Sync with AI
+
+                  if (actionError.code === 'NO_VIDEO_FOUND') {
+                    console.log('[Session] Fallback: No video found during watch. Switching to browse behavior...');
+                    const browseFn = ACTION_REGISTRY['browse'];
+                    if (browseFn) {
+                      await browseFn(page, { iterations: 10 });
+                      session.recordAction('browse', { iterations: 10, note: 'fallback from watch' }, 'success');
+                      await browserManager.updateStats(profileName, 'browse');
+                    }
+                  } else {
+                    console.warn(`[Session] Action error: ${actionError.message}. Skipping remaining chain.`);
+                    session.recordAction(nextAction.action, nextAction.params, 'error', actionError.message);
+                    break; // Stop current chain on error
+                  }
+                }
+              } else {
+                console.warn(`[Session] Unknown action: ${nextAction.action}`);
+              }
+              
+              // Brief pause between steps for stability
+              await page.waitForTimeout(2000);
+              session.updateContext(page.url());
+            }
+            
+          } catch (sessionError) {
+            if (run.stopped) break; // Browser closed by stop() - wrap up below
+            console.error(`[Session] Error during action: ${sessionError.message}`);
+            
+            // CRITICAL: Browser crash, proxy or network failure - cannot be recovered in-session
+            const typedError = classifyError(sessionError);
+            if (typedError instanceof BrowserCrashError || typedError instanceof ProxyError || typedError instanceof NetworkError) {
+              console.error(`[Session] CRITICAL: ${sessionError.message}. Restarting browser required.`);
+              throw typedError; // Outer retry loop applies the policy for this error class
+            }
+            
+            console.log('[Session] Recovering by starting a new task...');
+            
+            // Recovery strategy: Navigate to a safe page and start fresh
+            try {
+              const currentUrl = page.url();
+              
+              // If we're stuck on an error page or the same URL, navigate to a fresh start
+              if (sessionError.message.includes('Stuck on same URL') ||
+                  sessionError.message.includes('not visible') || 
+                  sessionError.message.includes('Target') || 
+                  sessionError.message.includes('closed')) {
+                const recoveryActions = [
+                  { url: 'https://www.youtube.com', type: 'youtube_home' },
+                  { url: 'https://news.google.com', type: 'news' },
+                  { url: 'https://github.com/trending', type: 'github_general' }
+                ];
+                
+                const recovery = recoveryActions[Math.floor(Math.random() * recoveryActions.length)];
+                console.log(`[Session] Navigating to ${recovery.url} to recover...`);
+                
+                await page.goto(recovery.url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+                session.updateContext(recovery.url);
+                session.resetStuckCounter(); // Reset stuck detection after recovery
+                session.updateContext(page.url());
+                
+                console.log(`[Session] Recovery successful. Context: ${session.currentContext.pageType}`);
+              }
+            } catch (recoveryError) {
+              console.warn(`[Session] Recovery navigation failed: ${recoveryError.message}`);
+              
+              // If recovery also fails with crash, propagate up
+              if (recoveryError.message.includes('crashed')) {
+                throw new BrowserCrashError('BROWSER_CRASHED', { cause: recoveryError });
+              }
+            }
+            
+            // Brief pause before continuing
+            await page.waitForTimeout(3000);
+          }
+        }
+        
+        clearInterval(statusInterval);
+        await session.saveHistory();
+        const finalStatus = session.end();
+        events.send('result', { kind: 'session', data: finalStatus });
+        console.log(run.stopped ? '\n=== SESSION STOPPED ===' : '\n=== SESSION COMPLETED ===');
+        console.log(`Duration: ${finalStatus.elapsedMinutes} minutes`);
+        console.log(`Actions: ${finalStatus.actionsCompleted}`);
+        console.log(`Final URL: ${finalStatus.currentUrl}`);
+      }
+      
+      success = true;
+
+    } catch (error) {
+      if (run.stopped) {
+        console.log(`[Agent] Run stopped (${run.stopReason}).`);
+        lastError = new Error(`Stopped: ${run.stopReason}`);
+        break;
+      }
+
+      lastError = classifyError(error);
+      const rule = resolveRetryRule(retryPolicy, lastError);
+      const fatal = rule.remediation === 'abort' || attempt >= rule.maxAttempts;
+
+      if (lastError instanceof CaptchaError) {
+        events.send('captcha', { code: lastError.code, message: lastError.message });
+      }
+      events.send('error', {
+        name: lastError.name,
+        code: lastError.code,
+        message: lastError.message,
+        attempt,
+        remediation: fatal ? 'abort' : rule.remediation,
+        fatal
+      });
+
+      if (fatal) {
+        const reason = rule.remediation === 'abort' ? 'not retryable' : `giving up after ${attempt} attempt(s)`;
+        console.error(`\nExecution failed (${lastError.name}${lastError.code ? ` ${lastError.code}` : ''}, ${reason}):`, lastError.message);
+        break;
+      }
+
+      console.error(`\n>>> ${lastError.name}: ${lastError.message}. Remediation: ${rule.remediation} (attempt ${attempt}/${rule.maxAttempts})`);
+      try { if (context) await context.close(); } catch (e) {}
+      context = undefined; // Already closed - skip the close in finally
+
+      if (rule.remediation === 'rotate_proxy') {
+        // Proxy is dead/expired - try to fetch a fresh one from dynamic provider
+        if (agentContext && agentContext.proxy_provider && agentContext.proxy_provider.mode === 'dynamic') {
+            const freshProxy = await fetchProxyFromProvider(agentContext.proxy_provider);
+            if (freshProxy) {
+                console.log(`[ProxyRefresh] Got fresh proxy: ${freshProxy}`);
+                proxy = freshProxy;
+            } else {
+                console.warn('[ProxyRefresh] Could not get fresh proxy. Retrying with no proxy...');
+                proxy = null;
+            }
+        } else {
+            console.warn('[ProxyRefresh] No dynamic proxy provider configured. Retrying with the same proxy...');
+        }
+      } else if (rule.remediation === 'refresh_fingerprint') {
+        console.log('[FingerprintRefresh] Discarding saved fingerprint. A new one will be fetched.');
+        await fs.remove(path.join(profilePath, 'fingerprint.json')).catch(() => {});
+      }
+
+      const delay = backoffDelay(rule, attempt);
+      if (delay > 0) {
+        console.log(`[RetryPolicy] Waiting ${Math.round(delay / 1000)}s before attempt ${attempt + 1}...`);
+        await new Promise(r => setTimeout(r, delay));
+      }
+      attempt++;
+    } finally {
+      // Leave a visible window up briefly so the final page can be seen; headless runs close at once
+      if (page && !page.isClosed() && !run.stopped && !finalHeadless) {
+        console.log('Closing browser in 5 seconds...');
+        await page.waitForTimeout(5000);
+      }
+      try {
+        if (context) await context.close();
+      } catch (e) {
+        // Already closed (crash, user or stop())
+      }
+      run.context = null;
+    }
+  }
+
+  if (run.stopped) success = false;
+
+  // Failed assertions do not stop the sequence; they decide the outcome once it is done
+  const assertions = summarizeAssertions(results);
+  if (lastError?.code === ASSERTION_FAILED && !success) {
+    assertions.failed++;
+    assertions.failures.push(lastError.message.replace(`${ASSERTION_FAILED}: `, ''));
+  }
+  if (success && assertions.failed > 0) {
+    success = false;
+    lastError = new ActionError(`${assertions.failed} assertion(s) failed: ${assertions.failures.join('; ')}`, { code: ASSERTION_FAILED });
+  }
+  if (assertions.passed + assertions.failed > 0) {
+    console.log(`\n[ASSERT] ${assertions.passed} passed, ${assertions.failed} failed`);
+  }
+
+  if (success && exportProfile) {
+    profileExport = await exportProfileBundle(profilePath, exportProfile, {
+      profile: profileName,
+      storage: storageState,
+      includeUserData: !!options.includeUserData
+    });
+    events.send('result', { kind: 'profile_export', data: profileExport });
+  }
+
+  if (!success && checkpoint && !checkpoint.isComplete) {
+    await checkpoint.fail(lastError || new Error('Execution failed'));
+    console.error(`[Checkpoint] Stopped at step ${checkpoint.nextIndex + 1}/${checkpoint.steps.length}. Resume with: --resume ${checkpoint.runId}`);
+  }
+
+  const outcome = {
+    success,
+    stopped: run.stopped,
+    runId: run.runId,
+    profile: profileName,
+    results,
+    cookies,
+    cookieImport,
+    profileExport,
+    profileImport,
+    error: success ? null : (lastError?.message || 'Execution failed'),
+    assertions: assertions.passed + assertions.failed > 0 ? assertions : undefined,
+    artifacts: collectArtifacts(results),
+    attempts: attempt
+  };
+  events.send('run_finished', { success, stopped: run.stopped, attempts: attempt, error: outcome.error || undefined, assertions: outcome.assertions });
+  return outcome;
+}
@@ -1,25 +1,119 @@
 import axios from 'axios';
-
-const LOCAL_AI_URL = 'http://localhost:5295/api/v1/localai/chat/completions';
+import { loadActionRegistry } from './action_registry.js';
+import { getConfig } from './config.js';
+import { CONTROL_FLOW_PROMPT } from './control_flow.js';
 
 /**
  * AI Engine to map natural language prompts to browser action sequences.
  */
 export class AIEngine {
-  constructor(model = 'deepseek-r1:latest') {
+  /**
+   * @param {string} model
+   * @param {import('./action_registry.js').ActionRegistry} [actionRegistry] - Loaded on first use if omitted.
+   */
+  constructor(model = 'deepseek-r1:latest', actionRegistry = null) {
     this.model = model;
-    this.actions = [
-      { name: 'navigate', description: 'Go to a specific URL directly', params: ['url'] },
-      { name: 'type', description: 'Type text into an input or the page', params: ['text', 'selector (optional)'] },
-      { name: 'save_image', description: 'Detect and save the generated image on page', params: [] },
-      { name: 'search', description: 'Search for a keyword on Google', params: ['keyword'] },
-      { name: 'browse', description: 'Scroll and move mouse naturally', params: ['iterations'] },
-      { name: 'click', description: 'Click on a result or selector', params: ['selector (optional)'] },
-      { name: 'login', description: 'Login to Google/account', params: ['email', 'password'] },
-      { name: 'comment', description: 'Post a context-aware comment', params: ['instruction (optional)'] },
-      { name: 'watch', description: 'Watch video for specific time', params: ['duration (e.g. 50-100s)'] },
-      { name: 'visual_scan', description: 'Analyze screen with AI and suggest actions', params: [] }
-    ];
+    this.actionRegistry = actionRegistry;
+  }
+
+  /**
+   * Action list for the planner prompt, generated from the action registry.
+   */
+  async getActionDescriptions() {
+    if (!this.actionRegistry) {
+      this.actionRegistry = await loadActionRegistry();
+    }
+    return this.actionRegistry.describeForPrompt();
+  }
+
+  /**
+   * Send a chat completion request to the Local AI and return the raw message content.
+   */
+  async _requestCompletion(messages) {
+    console.log(`Sending request to Local AI (Model: ${this.model})...`);
+    const response = await axios.post(getConfig().localAi.chatUrl, {
+      model: this.model,
+      messages,
+      stream: false
+    }, { timeout: 180000 }); // 180s for DeepSeek-R1 reasoning
+
+    const content = response.data.choices[0].message.content;
+    console.log('AI Response:', content);
+    return content;
+  }
+
+  /**
+   * Extract the JSON value from model output (```json block, largest {...} or the whole text).
+   */
+  _parseJson(content) {
+    // Clean up <think> tags if present (common in reasoning models)
+    content = content.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+
+    let parsed;
+
+    // Attempt 1: Extract from ```json code block
+    const codeBlockMatch = content.match(/```json([\s\S]*?)```/);
+    if (codeBlockMatch) {
+       try {
+          parsed = JSON.parse(codeBlockMatch[1]);
+       } catch (e) { console.warn('Failed to parse JSON code block:', e.message); }
+    }
+
+    // Attempt 2: Extract largest JSON object
+    if (!parsed) {
+      const jsonMatch = content.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        try {
+            parsed = JSON.parse(jsonMatch[0]);
+        } catch (e) { console.warn('Failed to parse regex-matched JSON:', e.message); }
+      }
+    }
+
+    // Attempt 3: Direct parse
+    if (!parsed) {
+      parsed = JSON.parse(content);
+    }
+    return parsed;
+  }
+
+  /**
+   * Extract the { profile, actions } plan from model output.
+   */
+  _parsePlan(content) {
+    const parsed = this._parseJson(content);
+    const plan = Array.isArray(parsed) ? { actions: parsed } : parsed;
+    if (!plan || !Array.isArray(plan.actions)) {
+      throw new Error('AI response has no "actions" list');
+    }
+    return plan;
+  }
+
+  /**
+   * Pull structured data matching a natural-language description out of a page snapshot.
+   * @param {string} description - e.g. "product names and prices"
+   * @param {object} snapshot - { url, title, text, links } of the page (see actions/extract.js).
+   * @returns {Promise<object|Array>} JSON chosen by the model, grounded in the snapshot.
+   */
+  async extractData(description, snapshot) {
+    const systemPrompt = `You extract structured data from web pages.
+Return ONLY JSON (an object or a list) containing: ${description}
+RULES:
+1. Use only values that appear in the PAGE CONTENT below. Never invent values; use null when something is missing.
+2. Use short camelCase keys. Lists of similar items must be JSON arrays of objects with the same keys.
+3. Copy URLs exactly from LINKS.`;
+
+    const userPrompt = `URL: ${snapshot.url}
+TITLE: ${snapshot.title}
+PAGE CONTENT:
+${snapshot.text}
+LINKS:
+${JSON.stringify(snapshot.links)}`;
+
+    const content = await this._requestCompletion([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ]);
+    return this._parseJson(content);
   }
 
   /**
@@ -29,6 +123,7 @@ export class AIEngine {
    */
   async planActions(prompt) {
     console.log(`AI is thinking about: "${prompt}"...`);
+    const actionCatalog = await this.getActionDescriptions();
     
     const systemPrompt = `You are a browser automation orchestrator. 
 Your job is to convert user instructions into a JSON sequence of browser actions.
@@ -43,9 +138,13 @@ CRITICAL RULES:
      * CRITICAL: If the user wants a VIDEO, prepend "Create a video of: " to the text.
    - "lưu ảnh/save image": {"action": "save_image", "params": {}}
    - "bấm/submit": {"action": "click", "params": {"type": "enter"}}
+   - Waiting for loading/generation: {"action": "wait_for", "params": {"selector": "...", "stable": 2000}} instead of a guessed 'wait'.
+   - Dropdowns, hover menus, shortcuts: use 'select_option', 'hover', 'press_keys' (e.g. "Ctrl+L"), 'scroll_to' and 'drag_and_drop' instead of 'browse'.
+   - Several sites at once: 'open_tab' with a url, then 'switch_tab' (index/url/title) to go back; links opening new tabs are followed automatically.
 5. USE ONLY THESE ACTIONS:
-${JSON.stringify(this.actions, null, 2)}
+${JSON.stringify(actionCatalog, null, 2)}
 6. PROFILE: Extract 'mở profile "xyz"' into ROOT "profile".
+7. CONTROL FLOW: ${CONTROL_FLOW_PROMPT}
 
 Example Output: {
   "profile": "bbb",
@@ -60,41 +159,29 @@ NOTE: Only add verification steps if explicitly asked or if navigation fails.
 `;
 
     try {
-      console.log(`Sending request to Local AI (Model: ${this.model})...`);
-      const response = await axios.post(LOCAL_AI_URL, {
-        model: this.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: prompt }
-        ],
-        stream: false
-      }, { timeout: 180000 }); // 180s for DeepSeek-R1 reasoning
-
-      let content = response.data.choices[0].message.content;
-      console.log('AI Response:', content);
-      
-      // Clean up <think> tags if present (common in reasoning models)
-      content = content.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
-
-      // Attempt 1: Extract from ```json code block
-      const codeBlockMatch = content.match(/```json([\s\S]*?)```/);
-      if (codeBlockMatch) {
-         try {
-            return JSON.parse(codeBlockMatch[1]);
-         } catch (e) { console.warn('Failed to parse JSON code block:', e.message); }
-      }
+      const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ];
+      const content = await this._requestCompletion(messages);
+      let plan = this._parsePlan(content);
 
-      // Attempt 2: Extract largest JSON object
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-            return JSON.parse(jsonMatch[0]);
-        } catch (e) { console.warn('Failed to parse regex-matched JSON:', e.message); }
+      // Validate against action schemas; give the model one chance to repair its own plan
+      let problems = this.actionRegistry.validatePlan(plan.actions);
+      if (problems.length > 0) {
+        console.warn(`AI plan has ${problems.length} invalid step(s). Asking model to repair:\n  - ${problems.join('\n  - ')}`);
+        const repaired = await this._requestCompletion([
+          ...messages,
+          { role: 'assistant', content },
+          { role: 'user', content: `Your plan is invalid:\n${problems.map(p => `- ${p}`).join('\n')}\nReturn the corrected JSON only, using ONLY the listed actions and their exact param names.` }
+        ]);
+        plan = { ...plan, ...this._parsePlan(repaired) };
+        problems = this.actionRegistry.validatePlan(plan.actions);
+        if (problems.length > 0) {
+          throw new Error(`AI plan still invalid after repair: ${problems.join('; ')}`);
+        }
       }
-      
-      // Attempt 3: Direct parse
-      const parsed = JSON.parse(content);
-      return Array.isArray(parsed) ? { actions: parsed } : parsed;
+      return plan;
     } catch (error) {
       console.error('AI Thinking Error:', error.message);
       if (error.response) {
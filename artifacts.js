@@ -0,0 +1,114 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getConfig } from './config.js';
+import { ActionError } from './errors.js';
+
+/**
+ * Run Artifacts
+ * Files produced by actions (extracted data, downloads, screenshots, ...) are stored per run in
+ * profiles/<profile>/runs/<runId>/artifacts/, next to the run's checkpoint.
+ *
+ * Actions receive the folder through their third argument, the action context:
+ *   { runId, profile, artifactsDir, index, path, vars }
+ * Runs without a checkpoint (session mode, direct handler calls) use data/artifacts/<profile>/.
+ *
+ * Actions that produce a file return an `artifact` entry in their result
+ * ({ kind, path, url, createdAt, step, stepPath }), so the run results (and the checkpoint)
+ * list every file with the page and step it came from. collectArtifacts() gathers them.
+ */
+
+/**
+ * Artifacts folder for an action context.
+ * @param {object} [ctx] - Action context.
+ */
+export function artifactsDirFor(ctx = {}) {
+  return ctx.artifactsDir || path.join(getConfig().paths.dataDir, 'artifacts', ctx.profile || 'default');
+}
+
+/**
+ * Resolve a file name inside the artifacts folder. Sub-folders are allowed, leaving the folder is not.
+ * @param {object} ctx - Action context.
+ * @param {string} fileName
+ */
+export function resolveArtifactPath(ctx, fileName) {
+  const dir = path.resolve(artifactsDirFor(ctx));
+  const resolved = path.resolve(dir, String(fileName));
+  if (!resolved.startsWith(dir + path.sep)) {
+    throw new ActionError(`Artifact path '${fileName}' is outside the run's artifacts folder`, { code: 'INVALID_PARAMS' });
+  }
+  return resolved;
+}
+
+/**
+ * Artifact-relative path that does not exist yet: "report.pdf" -> "report (1).pdf" when a previous
+ * step (or loop iteration) already saved that name.
+ * @param {object} ctx - Action context.
+ * @param {string} fileName - Relative to the artifacts folder.
+ * @returns {Promise<string>}
+ */
+export async function uniqueArtifactPath(ctx, fileName) {
+  const ext = path.extname(fileName);
+  const stem = fileName.slice(0, fileName.length - ext.length);
+  let candidate = fileName;
+  for (let i = 1; await fs.pathExists(resolveArtifactPath(ctx, candidate)); i++) {
+    candidate = `${stem} (${i})${ext}`;
+  }
+  return candidate;
+}
+
+/**
+ * Write an artifact. Strings and Buffers are written as-is, anything else as JSON.
+ * @param {object} ctx - Action context.
+ * @param {string} fileName
+ * @param {*} content
+ * @returns {Promise<string>} Absolute path of the written file.
+ */
+export async function writeArtifact(ctx, fileName, content) {
+  const filePath = resolveArtifactPath(ctx, fileName);
+  await fs.ensureDir(path.dirname(filePath));
+  if (typeof content === 'string' || Buffer.isBuffer(content)) {
+    await fs.writeFile(filePath, content);
+  } else {
+    await fs.writeJson(filePath, content, { spaces: 2 });
+  }
+  return filePath;
+}
+
+/**
+ * Default file name for a capture: "<prefix>_step3_20240531-142501.png" (nested steps: "step2.then-0").
+ * @param {object} ctx - Action context.
+ * @param {string} prefix
+ * @param {string} extension - Without the dot.
+ */
+export function defaultArtifactName(ctx, prefix, extension) {
+  const step = ctx.path !== undefined && ctx.path !== null ? `_step${String(ctx.path).replace(/[^\w.]+/g, '-').replace(/-$/, '')}` : '';
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${prefix}${step}_${stamp}.${extension}`;
+}
+
+/**
+ * Index entry for a file an action produced.
+ * @param {object} ctx - Action context.
+ * @param {string} kind - 'screenshot', 'pdf', 'download', 'data', ...
+ * @param {string} filePath - Absolute path of the file.
+ * @param {string|null} [url] - Page (or source) URL the file came from.
+ * @returns {{kind: string, path: string, url: string|null, createdAt: string, step: number|null, stepPath: string|null}}
+ */
+export function artifactEntry(ctx, kind, filePath, url = null) {
+  return {
+    kind,
+    path: filePath,
+    url,
+    createdAt: new Date().toISOString(),
+    step: ctx.index ?? null,
+    stepPath: ctx.path ?? null
+  };
+}
+
+/**
+ * All artifact entries in run results ({ action, result } items), in step order.
+ * @param {Array<{result?: object}>} results
+ */
+export function collectArtifacts(results = []) {
+  return results.map(item => item?.result?.artifact).filter(Boolean);
+}
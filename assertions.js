@@ -0,0 +1,72 @@
+import { ActionError } from './errors.js';
+
+/**
+ * Assertions
+ * The assert_* actions return a uniform entry that ends up in the run results:
+ *   { assertion: 'text', passed: false, expected: 'Welcome', actual: 'Sign in to continue', message: '...' }
+ *
+ * A failed assertion does not stop the run, so one run reports every check; the run then ends
+ * unsuccessful (open.js exits with code 2). With `fatal: true` it throws ASSERTION_FAILED instead,
+ * which is never self-healed.
+ */
+
+export const ASSERTION_FAILED = 'ASSERTION_FAILED';
+
+/**
+ * Build an assertion entry, logging it and throwing when the assertion is fatal.
+ * @param {string} assertion - 'text', 'url', 'element' or 'visual'.
+ * @param {object} outcome
+ * @param {boolean} outcome.passed
+ * @param {*} outcome.expected
+ * @param {*} outcome.actual
+ * @param {string} outcome.message - What was checked, e.g. "page contains 'Welcome'".
+ * @param {boolean} [fatal] - Throw instead of returning a failed entry.
+ * @returns {{assertion: string, passed: boolean, expected: *, actual: *, message: string}}
+ */
+export function assertionResult(assertion, { passed, expected, actual, message }, fatal = false) {
+  const entry = { assertion, passed, expected, actual, message };
+  if (passed) {
+    console.log(`[ASSERT] PASS: ${message}`);
+  } else {
+    console.error(`[ASSERT] FAIL: ${message} (actual: ${JSON.stringify(actual)})`);
+    if (fatal) throw new ActionError(`${ASSERTION_FAILED}: ${message}`, { code: ASSERTION_FAILED });
+  }
+  return entry;
+}
+
+/**
+ * Count assertion entries in run results ({ action, result } items).
+ * @param {Array<{result?: object}>} results
+ * @returns {{passed: number, failed: number, failures: string[]}}
+ */
+export function summarizeAssertions(results = []) {
+  const summary = { passed: 0, failed: 0, failures: [] };
+  for (const item of results) {
+    const entry = item?.result;
+    if (!entry || typeof entry.assertion !== 'string' || typeof entry.passed !== 'boolean') continue;
+    if (entry.passed) {
+      summary.passed++;
+    } else {
+      summary.failed++;
+      summary.failures.push(entry.message);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Poll `check` until it reports passed or the timeout runs out. Returns the last outcome.
+ * Lets assertions tolerate content that is still rendering without a separate wait step.
+ * @param {import('playwright').Page} page
+ * @param {number} timeoutMs
+ * @param {() => Promise<{passed: boolean}>} check
+ */
+export async function pollAssertion(page, timeoutMs, check) {
+  const deadline = Date.now() + timeoutMs;
+  let outcome = await check();
+  while (!outcome.passed && Date.now() < deadline) {
+    await page.waitForTimeout(Math.min(500, deadline - Date.now()));
+    outcome = await check();
+  }
+  return outcome;
+}
@@ -2,14 +2,24 @@
 import { plugin } from 'playwright-with-fingerprints';
 import fs from 'fs-extra';
 import path from 'path';
+import { classifyError, FingerprintError, ProxyError } from './errors.js';
+import { getConfig } from './config.js';
+import { FingerprintPool } from './fingerprint_pool.js';
+import { ProfileLock } from './profile_lock.js';
 
 export class BrowserManager {
     constructor(config = {}) {
-        this.serviceKey = config.serviceKey || 'dLeV7LSYY387fh9bVhxxxZcQVVQ4kR6eXSzOdnNJRfDj9eQ48be5ljPBzyBvPxfr';
-        this.baseDir = config.baseDir || './profiles';
+        this.serviceKey = config.serviceKey || getConfig().fingerprint.serviceKey;
+        this.baseDir = config.baseDir || getConfig().paths.profilesDir;
+        // New profiles take pre-fetched fingerprints from the pool (null = fetch at launch time)
+        this.fingerprintPool = config.fingerprintPool !== undefined
+            ? config.fingerprintPool
+            : (getConfig().fingerprint.pool.enabled ? new FingerprintPool() : null);
         
         // Configure plugin globally
         plugin.setServiceKey(this.serviceKey);
+
+        this.locks = new Map(); // profileName -> ProfileLock held by this manager
     }
 
     async ensureProfile(profileName) {
@@ -18,6 +28,28 @@ export class BrowserManager {
         return profilePath;
     }
 
+    /**
+     * Lock a profile for this process (see profile_lock.js). Re-locking a profile this manager
+     * already holds is a no-op, so a run can hold the lock across browser restarts.
+     * @param {string} profileName
+     * @param {object} [info] - Shown to others that find the profile busy (instanceId, runId).
+     * @throws {ProfileLockedError} When another live process holds the profile.
+     */
+    async lockProfile(profileName, info = {}) {
+        if (this.locks.has(profileName)) return this.locks.get(profileName);
+        const profilePath = await this.ensureProfile(profileName);
+        const lock = await ProfileLock.acquire(profilePath, { profile: profileName, ...info });
+        this.locks.set(profileName, lock);
+        return lock;
+    }
+
+    async unlockProfile(profileName) {
+        const lock = this.locks.get(profileName);
+        if (!lock) return;
+        this.locks.delete(profileName);
+        await lock.release();
+    }
+
     async cleanProfile(profileName) {
         const profilePath = path.resolve(this.baseDir, profileName);
         if (await fs.pathExists(profilePath)) {
@@ -30,6 +62,7 @@ export class BrowserManager {
                 }
                 
                 await fs.emptyDir(profilePath);
+                if (this.locks.has(profileName)) await this.locks.get(profileName).touch();
                 
                 if (await fs.pathExists(`${configPath}.bak`)) {
                     await fs.move(`${configPath}.bak`, configPath);
@@ -82,7 +115,11 @@ export class BrowserManager {
         let attempts = 0;
         while (attempts < 3) {
             try {
-                fingerprint = await plugin.fetch({ tags });
+                if (this.fingerprintPool) {
+                    ({ fingerprint } = await this.fingerprintPool.assign(profileName, tags));
+                } else {
+                    fingerprint = await plugin.fetch({ tags });
+                }
                 // Save it
                 await fs.outputFile(fingerprintPath, JSON.stringify(fingerprint), 'utf8');
                 return fingerprint;
@@ -92,7 +129,7 @@ export class BrowserManager {
                 await new Promise(r => setTimeout(r, 2000));
             }
         }
-        throw new Error('Failed to fetch fingerprint after 3 attempts');
+        throw new FingerprintError('Failed to fetch fingerprint after 3 attempts', { code: 'FINGERPRINT_FETCH_FAILED' });
     }
 
     normalizeProxy(proxy) {
@@ -130,13 +167,29 @@ export class BrowserManager {
 
     async launch(profileName, options = {}) {
         const profilePath = await this.ensureProfile(profileName);
-        let {
+        const {
             headless = false,
             proxy = null,
             fingerprint = null,
-            args = []
+            args = [],
+            instanceId = null
         } = options;
 
+        // Lock for the lifetime of the browser unless the caller already holds the profile (agent runs)
+        const ownsLock = !this.locks.has(profileName);
+        await this.lockProfile(profileName, { instanceId });
+        try {
+            const context = await this.launchLocked(profileName, profilePath, { headless, proxy, fingerprint, args });
+            if (ownsLock) context.once('close', () => this.unlockProfile(profileName));
+            return context;
+        } catch (e) {
+            if (ownsLock) await this.unlockProfile(profileName);
+            throw e;
+        }
+    }
+
+    // launch() once the profile lock is held
+    async launchLocked(profileName, profilePath, { headless, proxy, fingerprint, args }) {
         const configPath = path.join(profilePath, 'config.json');
         
         // Proxy Persistence Logic
@@ -179,7 +232,7 @@ export class BrowserManager {
                         plugin.useFingerprint(fingerprint);
                         break; // Success
                     } else {
-                        throw new Error('Fingerprint is empty');
+                        throw new FingerprintError('Fingerprint is empty', { code: 'FINGERPRINT_EMPTY' });
                     }
                  } catch (e) {
                      console.error(`Error applying fingerprint (Attempt ${fpAttempts + 1}/2):`, e.message);
@@ -194,7 +247,7 @@ export class BrowserManager {
                              console.error('Failed to refresh fingerprint:', err.message);
                          }
                      } else {
-                         throw e; // Fail on second attempt
+                         throw e instanceof FingerprintError ? e : new FingerprintError(e.message, { code: 'FINGERPRINT_APPLY_FAILED', cause: e }); // Fail on second attempt
                      }
                      fpAttempts++;
                  }
@@ -239,12 +292,12 @@ export class BrowserManager {
                     launchAttempt++;
                     await new Promise(r => setTimeout(r, 5000));
                 } else {
-                    throw e; // Non-proxy error, fail immediately
+                    throw classifyError(e); // Non-proxy error, fail immediately
                 }
             }
         }
         
-        throw new Error(`Failed to launch browser after ${maxLaunchAttempts} attempts. Last error: ${lastError?.message}`);
+        throw new ProxyError(`Failed to launch browser after ${maxLaunchAttempts} attempts. Last error: ${lastError?.message}`, { code: 'LAUNCH_FAILED', cause: lastError });
     }
 
     async getStats(profileName) {
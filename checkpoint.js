@@ -0,0 +1,145 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Run Checkpoint
+ * Persists the progress of an action sequence in the profile directory so a browser
+ * restart (BROWSER_CRASHED, proxy errors) or a manual `--resume <runId>` continues
+ * from the step that failed instead of re-running the whole sequence.
+ *
+ * Stored at profiles/<profile>/runs/<runId>/checkpoint.json:
+ * {
+ *   "runId": "run_1718000000000_ab12cd",
+ *   "profile": "aaa",
+ *   "status": "running" | "failed" | "completed",
+ *   "steps": [ { "action": "search", "params": { ... } }, ... ],
+ *   "nextIndex": 2,                 // first step that has not completed yet
+ *   "results": [ ... ],             // results of completed steps
+ *   "lastUrl": "https://...",       // page URL after the last completed step
+ *   "vars": { ... },                // runtime variables (saveAs results) after the last completed step
+ *   "localFiles": true,             // steps were written by the user, not planned by the AI (see actions/upload.js)
+ *   "error": null
+ * }
+ */
+export class RunCheckpoint {
+  constructor(profilePath, data) {
+    this.profilePath = profilePath;
+    this.data = data;
+  }
+
+  static runDir(profilePath, runId) {
+    return path.join(profilePath, 'runs', runId);
+  }
+
+  static generateRunId() {
+    return `run_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  /**
+   * Start a new run for an action sequence and write its first checkpoint.
+   * @param {string} profilePath
+   * @param {string} profileName
+   * @param {Array<{action: string, params: object}>} steps
+   * @param {object} [options]
+   * @param {boolean} [options.localFiles] - The steps come from a workflow, CLI actions or library steps.
+   */
+  static async create(profilePath, profileName, steps, { localFiles = false } = {}) {
+    const now = new Date().toISOString();
+    const checkpoint = new RunCheckpoint(profilePath, {
+      runId: RunCheckpoint.generateRunId(),
+      profile: profileName,
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      steps,
+      nextIndex: 0,
+      results: [],
+      lastUrl: null,
+      vars: {},
+      localFiles,
+      error: null
+    });
+    await checkpoint.save();
+    return checkpoint;
+  }
+
+  /**
+   * Load an existing run.
+   * @param {string} profilePath
+   * @param {string} runId
+   */
+  static async load(profilePath, runId) {
+    const file = path.join(RunCheckpoint.runDir(profilePath, runId), 'checkpoint.json');
+    if (!await fs.pathExists(file)) {
+      throw new Error(`No checkpoint for run '${runId}' in ${profilePath}`);
+    }
+    return new RunCheckpoint(profilePath, await fs.readJson(file));
+  }
+
+  /**
+   * Locate the profile that owns a run when no --profile was given.
+   * @param {string} profilesDir - Directory holding all profiles.
+   * @param {string} runId
+   * @returns {Promise<string|null>} Profile name, or null if not found.
+   */
+  static async findProfile(profilesDir, runId) {
+    if (!await fs.pathExists(profilesDir)) return null;
+    for (const name of await fs.readdir(profilesDir)) {
+      const file = path.join(RunCheckpoint.runDir(path.join(profilesDir, name), runId), 'checkpoint.json');
+      if (await fs.pathExists(file)) return name;
+    }
+    return null;
+  }
+
+  get runId() { return this.data.runId; }
+  get steps() { return this.data.steps; }
+  get nextIndex() { return this.data.nextIndex; }
+  get results() { return this.data.results; }
+  get lastUrl() { return this.data.lastUrl; }
+  get vars() { return this.data.vars || {}; }
+  get localFiles() { return this.data.localFiles === true; }
+  get isComplete() { return this.data.nextIndex >= this.data.steps.length; }
+
+  get dir() {
+    return RunCheckpoint.runDir(this.profilePath, this.data.runId);
+  }
+
+  /** Files produced by actions during this run (see artifacts.js). */
+  get artifactsDir() {
+    return path.join(this.dir, 'artifacts');
+  }
+
+  async save() {
+    this.data.updatedAt = new Date().toISOString();
+    // outputJson recreates the run directory if the profile was cleaned between attempts
+    await fs.outputJson(path.join(this.dir, 'checkpoint.json'), this.data, { spaces: 2 });
+  }
+
+  /**
+   * Record that step `index` finished (succeeded, healed or skipped via onError=continue).
+   * @param {number} index
+   * @param {object[]} stepResults - Entries this step added to the results list.
+   * @param {string} [url] - Page URL after the step, restored on resume.
+   * @param {object} [vars] - Runtime variables after the step, restored on resume.
+   */
+  async completeStep(index, stepResults = [], url = null, vars = null) {
+    this.data.nextIndex = index + 1;
+    this.data.results.push(...stepResults);
+    if (url && url !== 'about:blank') this.data.lastUrl = url;
+    if (vars) this.data.vars = { ...vars };
+    this.data.status = 'running';
+    this.data.error = null;
+    await this.save();
+  }
+
+  async fail(error) {
+    this.data.status = 'failed';
+    this.data.error = error?.message || String(error);
+    await this.save();
+  }
+
+  async finish() {
+    this.data.status = 'completed';
+    await this.save();
+  }
+}
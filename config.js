@@ -0,0 +1,241 @@
+import fs from 'fs-extra';
+import path from 'path';
+import minimist from 'minimist';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PROJECT_ROOT = __dirname;
+export const DEFAULT_CONFIG_FILE = 'browser-control.config.json';
+
+/**
+ * Central Configuration
+ * Endpoints, keys and directories, merged from (lowest to highest priority):
+ *
+ *   1. DEFAULT_CONFIG below
+ *   2. Project config file: browser-control.config.json in the project root,
+ *      or the file named by BROWSER_CONTROL_CONFIG / --config
+ *   3. BROWSER_CONTROL_CONFIG_JSON - a whole config layer as inline JSON
+ *      (the web manager hands its resolved config to child processes this way)
+ *   4. Individual environment variables (see ENV_VARS)
+ *   5. CLI flags in dotted form, e.g. --webManager.port 3100 --localAi.baseUrl http://gpu-box:5295
+ *      (entry points only: open.js and the web manager pass their argv to configure(); library
+ *      callers such as an app embedding runAgent() never have their own flags read as ours)
+ *
+ * Env and flag values arrive as strings; they are converted to the type of the DEFAULT_CONFIG entry
+ * they set ("false" -> false, "5" -> 5, JSON or comma-separated lists -> arrays).
+ *
+ * Relative paths are resolved against the project root, so two stacks on one host only need
+ * different ports and directories, e.g.:
+ *   BROWSER_CONTROL_PORT=3100 BROWSER_CONTROL_PROFILES_DIR=./profiles-b npm start
+ */
+export const DEFAULT_CONFIG = {
+  webManager: {
+    host: 'localhost',
+    port: 3000,
+    url: null // Defaults to http://<host>:<port>
+  },
+  localAi: {
+    baseUrl: 'http://localhost:5295',
+    chatPath: '/api/v1/localai/chat/completions',
+    generatePath: '/api/v1/localai/generate'
+  },
+  fingerprint: {
+    serviceKey: '', // Set in the config file or BROWSER_CONTROL_SERVICE_KEY; empty uses the free fingerprint tier
+    pool: {
+      enabled: true, // New profiles take pre-fetched fingerprints from <dataDir>/fingerprints (fingerprint_pool.js)
+      size: 5, // Fingerprints kept ready per tag set
+      tagSets: [['Microsoft Windows', 'Chrome']], // Tag sets the web manager keeps stocked
+      refillMinutes: 10
+    }
+  },
+  preflight: {
+    mode: 'warn' // enforce | warn | off - fingerprint/proxy/profile consistency check before launch (preflight.js)
+  },
+  tabs: {
+    newTabPolicy: 'follow', // follow | ignore | close - what to do with tabs the agent did not open (tab_manager.js)
+    blocklist: [] // Extra URL regexes for tabs that are always closed (on top of the built-in ad list)
+  },
+  paths: {
+    profilesDir: './profiles',
+    dataDir: './data',
+    screenshotsDir: './screenshots',
+    uploadsDir: './uploads' // Files the upload action may attach by relative path (actions/upload.js)
+  }
+};
+
+// Environment variable -> dotted config key
+export const ENV_VARS = {
+  BROWSER_CONTROL_HOST: 'webManager.host',
+  BROWSER_CONTROL_PORT: 'webManager.port',
+  BROWSER_CONTROL_WEB_URL: 'webManager.url',
+  BROWSER_CONTROL_AI_URL: 'localAi.baseUrl',
+  BROWSER_CONTROL_SERVICE_KEY: 'fingerprint.serviceKey',
+  BROWSER_CONTROL_FINGERPRINT_POOL: 'fingerprint.pool.enabled',
+  BROWSER_CONTROL_FINGERPRINT_POOL_SIZE: 'fingerprint.pool.size',
+  BROWSER_CONTROL_PREFLIGHT: 'preflight.mode',
+  BROWSER_CONTROL_NEW_TABS: 'tabs.newTabPolicy',
+  BROWSER_CONTROL_PROFILES_DIR: 'paths.profilesDir',
+  BROWSER_CONTROL_DATA_DIR: 'paths.dataDir',
+  BROWSER_CONTROL_SCREENSHOTS_DIR: 'paths.screenshotsDir',
+  BROWSER_CONTROL_UPLOADS_DIR: 'paths.uploadsDir'
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return result;
+}
+
+function setPath(target, dottedKey, value) {
+  const keys = dottedKey.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function coerceValue(value, defaultValue, key) {
+  if (typeof value !== 'string') {
+    // minimist already turns numeric flags into numbers
+    if (typeof value === 'number' && typeof defaultValue === 'boolean') return value !== 0;
+    return typeof defaultValue === 'string' && (typeof value === 'number' || typeof value === 'boolean') ? String(value) : value;
+  }
+  if (typeof defaultValue === 'boolean') {
+    const normalized = value.trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+    if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+    throw new Error(`Config ${key} must be true or false, got '${value}'`);
+  }
+  if (typeof defaultValue === 'number') {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) throw new Error(`Config ${key} must be a number, got '${value}'`);
+    return number;
+  }
+  if (Array.isArray(defaultValue)) {
+    if (value.trim().startsWith('[')) {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        throw new Error(`Config ${key} is not a valid JSON list: ${e.message}`);
+      }
+    }
+    if (defaultValue.some(Array.isArray)) throw new Error(`Config ${key} must be a JSON list of lists`);
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+// Convert a string-valued layer (env vars, CLI flags) to the types of the matching defaults
+function coerceLayer(layer, defaults = DEFAULT_CONFIG, prefix = '') {
+  const result = {};
+  for (const [key, value] of Object.entries(layer)) {
+    const dottedKey = prefix + key;
+    const defaultValue = isPlainObject(defaults) ? defaults[key] : undefined;
+    result[key] = isPlainObject(value) && isPlainObject(defaultValue)
+      ? coerceLayer(value, defaultValue, `${dottedKey}.`)
+      : coerceValue(value, defaultValue, dottedKey);
+  }
+  return result;
+}
+
+// Only keep CLI flags that address a known config section (minimist nests dotted flags)
+function pickConfigFlags(args) {
+  const layer = {};
+  for (const section of Object.keys(DEFAULT_CONFIG)) {
+    if (isPlainObject(args[section])) layer[section] = args[section];
+  }
+  return layer;
+}
+
+function finalize(config) {
+  const resolveDir = dir => path.resolve(PROJECT_ROOT, String(dir));
+  const webManager = { ...config.webManager, port: parseInt(config.webManager.port) || DEFAULT_CONFIG.webManager.port };
+  webManager.url = (webManager.url || `http://${webManager.host}:${webManager.port}`).replace(/\/+$/, '');
+
+  const baseUrl = String(config.localAi.baseUrl).replace(/\/+$/, '');
+  return {
+    ...config,
+    webManager,
+    localAi: {
+      ...config.localAi,
+      baseUrl,
+      chatUrl: baseUrl + config.localAi.chatPath,
+      generateUrl: baseUrl + config.localAi.generatePath
+    },
+    paths: {
+      profilesDir: resolveDir(config.paths.profilesDir),
+      dataDir: resolveDir(config.paths.dataDir),
+      screenshotsDir: resolveDir(config.paths.screenshotsDir),
+      uploadsDir: resolveDir(config.paths.uploadsDir)
+    }
+  };
+}
+
+/**
+ * Build the merged configuration.
+ * @param {object} [options]
+ * @param {string[]} [options.argv] - CLI arguments, e.g. process.argv.slice(2) (default: none).
+ * @param {object} [options.env] - Environment (default: process.env).
+ * @param {object} [options.overrides] - Extra top layer, e.g. from library callers.
+ */
+export function loadConfig({ argv = [], env = process.env, overrides = {} } = {}) {
+  const args = minimist(argv);
+  let config = DEFAULT_CONFIG;
+
+  const configFile = args.config || env.BROWSER_CONTROL_CONFIG;
+  const filePath = path.resolve(PROJECT_ROOT, configFile || DEFAULT_CONFIG_FILE);
+  if (fs.pathExistsSync(filePath)) {
+    config = deepMerge(config, fs.readJsonSync(filePath));
+  } else if (configFile) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  if (env.BROWSER_CONTROL_CONFIG_JSON) {
+    try {
+      config = deepMerge(config, JSON.parse(env.BROWSER_CONTROL_CONFIG_JSON));
+    } catch (e) {
+      throw new Error(`BROWSER_CONTROL_CONFIG_JSON is not valid JSON: ${e.message}`);
+    }
+  }
+
+  const envLayer = {};
+  for (const [name, key] of Object.entries(ENV_VARS)) {
+    if (env[name] !== undefined && env[name] !== '') setPath(envLayer, key, env[name]);
+  }
+  config = deepMerge(config, coerceLayer(envLayer));
+
+  config = deepMerge(config, coerceLayer(pickConfigFlags(args)));
+  config = deepMerge(config, overrides);
+  return finalize(config);
+}
+
+let current = null;
+
+/**
+ * The process-wide configuration, loaded on first use (without CLI flags unless configure() got them).
+ */
+export function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+/**
+ * Replace the process-wide configuration with one that adds `overrides` on top
+ * (for library callers that do not use env vars or flags).
+ * @param {object} overrides
+ * @param {object} [options]
+ * @param {string[]} [options.argv] - CLI arguments; only entry points pass process.argv.slice(2).
+ */
+export function configure(overrides = {}, { argv = [] } = {}) {
+  current = loadConfig({ argv, overrides });
+  return current;
+}
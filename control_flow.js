@@ -0,0 +1,376 @@
+import { interpolate } from './workflow.js';
+import { classifyError, AutomationError, ActionError } from './errors.js';
+
+/**
+ * Control Flow Steps
+ * Plans and workflows can mix action steps with these control steps:
+ *
+ *   { "action": "if", "condition": { "visible": "#cookie-banner" }, "then": [...], "else": [...] }
+ *   { "action": "repeat", "times": 5, "until": { "text": "No more results" }, "steps": [...] }
+ *   { "action": "for_each", "items": { "selector": "a#video-title", "attribute": "href", "limit": 3 }, "as": "link",
+ *     "steps": [ { "action": "navigate", "params": { "url": "${link}" } } ] }
+ *   { "action": "try", "steps": [...], "catch": [...] }
+ *
+ * Conditions: { visible: selector }, { hidden: selector }, { url: regex }, { text: substring },
+ * combined with { not: c }, { all: [c, ...] }, { any: [c, ...] }. Several keys in one object must all hold.
+ *
+ * for_each items: a list, a "${name}" reference (e.g. a list stored by an earlier step's `saveAs`),
+ * or { selector, attribute?, limit? } to collect element texts/attributes from the page.
+ * Loop steps see ${item} and ${index} (renamed with `as` / `indexAs`), catch steps see ${error};
+ * these references are resolved when the step runs.
+ *
+ * Steps inside `try` abort on error instead of self-healing unless they set onError.
+ * Browser, network, proxy and captcha errors are never caught: they go to the retry policy.
+ * A control step is a single checkpoint step, so a resume re-runs the whole block.
+ */
+
+export const CONTROL_STEPS = {
+  if: { fields: ['condition'], blocks: ['then', 'else'], required: ['condition', 'then'] },
+  repeat: { fields: ['times', 'until', 'indexAs'], blocks: ['steps'], required: ['steps'] },
+  for_each: { fields: ['items', 'as', 'indexAs'], blocks: ['steps'], required: ['items', 'steps'] },
+  try: { fields: [], blocks: ['steps', 'catch'], required: ['steps'] }
+};
+
+// Blocks that may be empty (e.g. "catch": [] swallows the error)
+const OPTIONAL_BLOCKS = ['else', 'catch'];
+
+export const CONDITION_KEYS = ['visible', 'hidden', 'url', 'text', 'not', 'all', 'any'];
+
+// `repeat` with only `until` stops after this many iterations
+export const DEFAULT_MAX_REPEAT = 20;
+
+const IDENTIFIER_PATTERN = /^[a-zA-Z_]\w*$/;
+const REFERENCE_PATTERN = /^\$\{\s*[a-zA-Z_][\w.]*\s*\}$/;
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isReference(value) {
+  return typeof value === 'string' && REFERENCE_PATTERN.test(value);
+}
+
+/**
+ * True when the step is a control step (if / repeat / for_each / try) rather than an action.
+ */
+export function isControlStep(step) {
+  return !!step && Object.hasOwn(CONTROL_STEPS, step.action);
+}
+
+/**
+ * Runtime variables a block of a control step defines for its nested steps.
+ * @param {object} step
+ * @param {string} block - 'then', 'else', 'steps' or 'catch'.
+ * @returns {string[]}
+ */
+export function blockVariables(step, block) {
+  if (step.action === 'for_each' && block === 'steps') return [step.as || 'item', step.indexAs || 'index'];
+  if (step.action === 'repeat' && block === 'steps') return [step.indexAs || 'index'];
+  if (step.action === 'try' && block === 'catch') return ['error'];
+  return [];
+}
+
+/**
+ * Check a condition object's shape.
+ * @param {object|string} condition
+ * @param {string} at - Path used in messages (e.g. "condition").
+ * @returns {string[]} Problems found (empty when valid).
+ */
+export function validateCondition(condition, at) {
+  if (isReference(condition)) return [];
+  if (!isPlainObject(condition) || Object.keys(condition).length === 0) {
+    return [`${at} must be an object with one of ${CONDITION_KEYS.join(', ')}`];
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(condition)) {
+    if (!CONDITION_KEYS.includes(key)) {
+      errors.push(`${at}.${key} is not a known condition (known: ${CONDITION_KEYS.join(', ')})`);
+    } else if (key === 'not') {
+      errors.push(...validateCondition(value, `${at}.not`));
+    } else if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${at}.${key} must be a non-empty list of conditions`);
+      } else {
+        value.forEach((item, i) => errors.push(...validateCondition(item, `${at}.${key}[${i}]`)));
+      }
+    } else if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${at}.${key} must be a non-empty string`);
+    } else if (key === 'url' && !isReference(value)) {
+      try {
+        new RegExp(value);
+      } catch (e) {
+        errors.push(`${at}.url is not a valid pattern: ${e.message}`);
+      }
+    }
+  }
+  return errors;
+}
+
+function validateItems(items) {
+  if (Array.isArray(items) || isReference(items)) return [];
+  if (isPlainObject(items) && typeof items.selector === 'string' && items.selector.trim()) {
+    const unknown = Object.keys(items).filter(key => !['selector', 'attribute', 'limit'].includes(key));
+    if (unknown.length > 0) return [`items.${unknown[0]} is not allowed (allowed: selector, attribute, limit)`];
+    if (items.limit !== undefined && !(parseInt(items.limit) > 0)) return ['items.limit must be a positive integer'];
+    return [];
+  }
+  return ['items must be a list, a "${name}" reference or { selector, attribute?, limit? }'];
+}
+
+/**
+ * Check a control step and (through validateStep) everything nested in it.
+ * @param {object} step
+ * @param {(step: object) => string[]} validateStep - Validates nested steps (ActionRegistry.validateStep).
+ * @returns {string[]} Problems found (empty when valid).
+ */
+export function validateControlStep(step, validateStep) {
+  const spec = CONTROL_STEPS[step.action];
+  const allowed = ['action', ...spec.fields, ...spec.blocks];
+  const errors = [];
+
+  for (const key of Object.keys(step)) {
+    if (!allowed.includes(key)) {
+      errors.push(`'${key}' is not allowed on '${step.action}' (allowed: ${allowed.slice(1).join(', ')})`);
+    }
+  }
+  for (const key of spec.required) {
+    if (step[key] === undefined) errors.push(`'${key}' is required`);
+  }
+
+  for (const block of spec.blocks) {
+    const nested = step[block];
+    if (nested === undefined) continue;
+    if (!Array.isArray(nested) || (nested.length === 0 && !OPTIONAL_BLOCKS.includes(block))) {
+      errors.push(`'${block}' must be a ${OPTIONAL_BLOCKS.includes(block) ? '' : 'non-empty '}list of steps`);
+      continue;
+    }
+    nested.forEach((child, i) => {
+      for (const problem of validateStep(child)) {
+        errors.push(`${block}[${i}]${child?.action ? ` (${child.action})` : ''}: ${problem}`);
+      }
+    });
+  }
+
+  if (step.condition !== undefined) errors.push(...validateCondition(step.condition, 'condition'));
+  if (step.until !== undefined) errors.push(...validateCondition(step.until, 'until'));
+
+  if (step.action === 'repeat') {
+    if (step.times === undefined && step.until === undefined) {
+      errors.push("'times' or 'until' is required");
+    } else if (step.times !== undefined && !isReference(step.times) && !(Number.isInteger(Number(step.times)) && Number(step.times) > 0)) {
+      errors.push("'times' must be a positive integer");
+    }
+  }
+  if (step.action === 'for_each' && step.items !== undefined) errors.push(...validateItems(step.items));
+
+  for (const key of ['as', 'indexAs']) {
+    if (step[key] !== undefined && !IDENTIFIER_PATTERN.test(step[key])) {
+      errors.push(`'${key}' must be a variable name (letters, digits, _)`);
+    }
+  }
+  return errors;
+}
+
+async function checkCondition(page, condition) {
+  for (const [key, value] of Object.entries(condition)) {
+    let holds;
+    switch (key) {
+      case 'visible':
+        holds = await page.locator(value).first().isVisible().catch(() => false);
+        break;
+      case 'hidden':
+        holds = !await page.locator(value).first().isVisible().catch(() => false);
+        break;
+      case 'url':
+        holds = new RegExp(value, 'i').test(page.url());
+        break;
+      case 'text': {
+        const bodyText = await page.locator('body').innerText({ timeout: 5000 }).catch(() => '');
+        holds = bodyText.toLowerCase().includes(String(value).toLowerCase());
+        break;
+      }
+      case 'not':
+        holds = !await checkCondition(page, value);
+        break;
+      case 'all':
+        holds = true;
+        for (const item of value) {
+          if (!await checkCondition(page, item)) { holds = false; break; }
+        }
+        break;
+      case 'any':
+        holds = false;
+        for (const item of value) {
+          if (await checkCondition(page, item)) { holds = true; break; }
+        }
+        break;
+      default:
+        throw new ActionError(`Unknown condition '${key}'`, { code: 'INVALID_PARAMS' });
+    }
+    if (!holds) return false;
+  }
+  return true;
+}
+
+/**
+ * Evaluate a condition against the current page.
+ * @param {import('playwright').Page} page
+ * @param {object} condition
+ * @param {object} [vars] - Runtime variables referenced by the condition.
+ * @returns {Promise<boolean>}
+ */
+export async function evaluateCondition(page, condition, vars = {}) {
+  return checkCondition(page, interpolate(condition, vars, 'condition'));
+}
+
+async function resolveItems(page, items, vars, path) {
+  const resolved = interpolate(items, vars, `${path}.items`);
+  if (Array.isArray(resolved)) return resolved;
+
+  if (isPlainObject(resolved) && resolved.selector) {
+    const values = await page.locator(resolved.selector).evaluateAll((elements, attribute) => elements.map(el => {
+      if (!attribute) return el.innerText.trim();
+      if (el.getAttribute(attribute) === null) return null;
+      // Absolute URLs for links and images
+      return attribute === 'href' || attribute === 'src' ? el[attribute] : el.getAttribute(attribute);
+    }), resolved.attribute || null);
+    const found = values.filter(value => value !== null && value !== '');
+    return resolved.limit ? found.slice(0, parseInt(resolved.limit)) : found;
+  }
+
+  throw new ActionError(`for_each at ${path}: items did not resolve to a list`, { code: 'INVALID_PARAMS' });
+}
+
+/**
+ * Run a list of steps (actions and nested control steps) in order.
+ * @param {object[]} steps
+ * @param {object} flow - See runControlStep.
+ * @param {string} path - Location of the list, e.g. "2.then".
+ * @returns {Promise<object[]>} Result entries of every step.
+ */
+export async function runSteps(steps, flow, path) {
+  const results = [];
+  for (let i = 0; i < steps.length; i++) {
+    if (flow.isStopped()) break;
+    const step = steps[i];
+    const stepPath = `${path}[${i}]`;
+    const stepResults = isControlStep(step)
+      ? await runControlStep(step, flow, stepPath)
+      : await flow.runAction(step, { path: stepPath, defaultOnError: flow.defaultOnError });
+    results.push(...stepResults);
+  }
+  return results;
+}
+
+// Set loop variables for the duration of a block, restoring outer values afterwards
+async function withVariables(flow, values, fn) {
+  const previous = {};
+  for (const name of Object.keys(values)) previous[name] = flow.vars[name];
+  Object.assign(flow.vars, values);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete flow.vars[name];
+      else flow.vars[name] = value;
+    }
+  }
+}
+
+/**
+ * Execute a control step.
+ * @param {object} step
+ * @param {object} flow
+ * @param {() => import('playwright').Page} flow.getPage - Current page.
+ * @param {object} flow.vars - Runtime variables (loop items, saveAs results). Mutated.
+ * @param {(step: object, at: {path: string, defaultOnError?: string}) => Promise<object[]>} flow.runAction
+ *   Runs one action step with its onError policy and returns the result entries it produced.
+ * @param {() => boolean} flow.isStopped
+ * @param {string} [flow.defaultOnError] - onError for nested steps that do not set one.
+ * @param {string} path - Location used in logs and events, e.g. "3" or "3.then[0]".
+ * @returns {Promise<object[]>} Result entries of every nested step.
+ */
+export async function runControlStep(step, flow, path) {
+  const page = flow.getPage();
+
+  switch (step.action) {
+    case 'if': {
+      const branch = await evaluateCondition(page, step.condition, flow.vars) ? 'then' : 'else';
+      console.log(`[Flow] ${path} if -> ${branch}`);
+      return runSteps(step[branch] || [], flow, `${path}.${branch}`);
+    }
+
+    case 'repeat': {
+      const maxIterations = step.times !== undefined
+        ? parseInt(interpolate(step.times, flow.vars, `${path}.times`))
+        : DEFAULT_MAX_REPEAT;
+      const indexAs = step.indexAs || 'index';
+      const results = [];
+      for (let index = 0; index < maxIterations && !flow.isStopped(); index++) {
+        console.log(`[Flow] ${path} repeat ${index + 1}/${maxIterations}`);
+        results.push(...await withVariables(flow, { [indexAs]: index }, () => runSteps(step.steps, flow, `${path}.steps`)));
+        if (step.until && await evaluateCondition(flow.getPage(), step.until, flow.vars)) {
+          console.log(`[Flow] ${path} repeat: 'until' condition met after ${index + 1} iteration(s)`);
+          return results;
+        }
+      }
+      if (step.until) console.warn(`[Flow] ${path} repeat: 'until' condition not met after ${maxIterations} iteration(s)`);
+      return results;
+    }
+
+    case 'for_each': {
+      const items = await resolveItems(page, step.items, flow.vars, path);
+      const as = step.as || 'item';
+      const indexAs = step.indexAs || 'index';
+      console.log(`[Flow] ${path} for_each over ${items.length} item(s)`);
+      const results = [];
+      for (let index = 0; index < items.length && !flow.isStopped(); index++) {
+        results.push(...await withVariables(flow, { [as]: items[index], [indexAs]: index }, () => runSteps(step.steps, flow, `${path}.steps`)));
+      }
+      return results;
+    }
+
+    case 'try': {
+      try {
+        return await runSteps(step.steps, { ...flow, defaultOnError: 'abort' }, `${path}.steps`);
+      } catch (e) {
+        const error = classifyError(e);
+        // Infrastructure failures need a browser restart, not a fallback
+        if (flow.isStopped() || (error instanceof AutomationError && !(error instanceof ActionError))) throw error;
+        console.warn(`[Flow] ${path} try: caught '${error.message}', running catch steps`);
+        const results = [{ action: 'try', error: error.message, caught: true }];
+        results.push(...await withVariables(flow, { error: error.message }, () => runSteps(step.catch || [], flow, `${path}.catch`)));
+        return results;
+      }
+    }
+
+    default:
+      throw new ActionError(`Unknown control step '${step.action}'`, { code: 'INVALID_PARAMS' });
+  }
+}
+
+/**
+ * One-line summary of a step for plan listings.
+ */
+export function describeStep(step) {
+  if (!isControlStep(step)) return `[${String(step.action).toUpperCase()}] ${JSON.stringify(step.params || {})}`;
+  const spec = CONTROL_STEPS[step.action];
+  const fields = {};
+  for (const key of spec.fields) {
+    if (step[key] !== undefined) fields[key] = step[key];
+  }
+  const blocks = spec.blocks
+    .filter(block => Array.isArray(step[block]))
+    .map(block => `${block}: ${step[block].length} step(s)`);
+  return `[${step.action.toUpperCase()}] ${JSON.stringify(fields)} ${blocks.join(', ')}`;
+}
+
+/**
+ * Control-flow section for LLM planner prompts.
+ */
+export const CONTROL_FLOW_PROMPT = `Besides actions, "actions" may contain control steps (use them only when the user asks for conditions, loops or fallbacks):
+- {"action": "if", "condition": {...}, "then": [steps], "else": [steps]}
+- {"action": "repeat", "times": 3, "until": {...}, "steps": [steps]}
+- {"action": "for_each", "items": {"selector": "css", "attribute": "href", "limit": 3}, "as": "item", "steps": [steps using "\${item}"]}
+- {"action": "try", "steps": [steps], "catch": [fallback steps]}
+Conditions: {"visible": "css"}, {"hidden": "css"}, {"url": "regex"}, {"text": "substring"}, {"not": c}, {"all": [c]}, {"any": [c]}.`;
@@ -0,0 +1,255 @@
+import fs from 'fs-extra';
+
+/**
+ * Cookie & Storage Import
+ * Seeds a profile with cookies and web storage exported elsewhere. Accepted inputs (auto-detected):
+ *
+ *   - Playwright cookies: [{ name, value, domain, path, expires, httpOnly, secure, sameSite }]
+ *     (also what GET /api/cookies/:profile returns)
+ *   - EditThisCookie / Cookie-Editor: [{ name, value, domain, hostOnly, expirationDate, sameSite: "no_restriction", ... }]
+ *   - Netscape cookies.txt: domain, includeSubdomains, path, secure, expiry, name, value (tab separated,
+ *     "#HttpOnly_" prefixed lines are HttpOnly)
+ *   - Storage state: { cookies: [...], origins: [{ origin, localStorage, sessionStorage }] }, where each
+ *     storage is a [{ name, value }] list (Playwright storageState) or a plain { key: value } object
+ *
+ * Cookies go in with context.addCookies(). localStorage is written by opening each origin on a
+ * stubbed blank page, so it lands in the persistent profile without loading the real site.
+ * sessionStorage only lives as long as a tab, so it is seeded into every tab of the run that
+ * opens the origin (keys the page already set are left alone).
+ *
+ *   node open.js --profile aaa --import-cookies ./cookies.txt                # import only
+ *   node open.js --profile aaa --import-cookies ./state.json --workflow flows/check.yaml
+ */
+
+// EditThisCookie / Chrome extension names -> Playwright
+const SAME_SITE = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None'
+};
+
+const BLANK_PAGE = '<!DOCTYPE html><html><head></head><body></body></html>';
+
+/**
+ * One cookie in any supported JSON shape -> Playwright cookie, or null when unusable.
+ */
+function normalizeCookie(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.name || raw.value === undefined) return null;
+  let domain = raw.domain ? String(raw.domain) : '';
+  if (!domain && !raw.url) return null;
+
+  // EditThisCookie marks domain cookies with hostOnly: false (the domain may lack the leading dot)
+  if (domain && raw.hostOnly === false && !domain.startsWith('.')) domain = `.${domain}`;
+  if (domain && raw.hostOnly === true) domain = domain.replace(/^\./, '');
+
+  let expires = raw.expires ?? raw.expirationDate ?? raw.expiry;
+  expires = raw.session || expires === undefined || expires === null || Number(expires) <= 0 ? -1 : Math.floor(Number(expires));
+  const secure = !!raw.secure;
+  let sameSite = SAME_SITE[String(raw.sameSite || '').toLowerCase()];
+  // Chromium rejects SameSite=None without Secure
+  if (sameSite === 'None' && !secure) sameSite = 'Lax';
+
+  const cookie = {
+    name: String(raw.name),
+    value: String(raw.value),
+    expires,
+    httpOnly: !!raw.httpOnly,
+    secure
+  };
+  if (domain) {
+    cookie.domain = domain;
+    cookie.path = raw.path || '/';
+  } else {
+    cookie.url = raw.url;
+  }
+  if (sameSite) cookie.sameSite = sameSite;
+  return cookie;
+}
+
+/**
+ * Netscape cookies.txt -> Playwright cookies.
+ */
+function parseNetscape(text) {
+  const cookies = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine;
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+    const fields = line.split('\t');
+    if (fields.length < 7) continue;
+    const [domain, includeSubdomains, cookiePath, secure, expiry, name, ...value] = fields;
+    cookies.push(normalizeCookie({
+      name,
+      value: value.join('\t'),
+      domain: includeSubdomains.toUpperCase() === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+      path: cookiePath,
+      secure: secure.toUpperCase() === 'TRUE',
+      expires: Number(expiry),
+      httpOnly
+    }));
+  }
+  return cookies.filter(Boolean);
+}
+
+// [{ name, value }] or { key: value } -> [{ name, value }]
+function normalizeStorage(storage) {
+  if (!storage) return [];
+  if (Array.isArray(storage)) {
+    return storage.filter(item => item && item.name !== undefined).map(item => ({ name: String(item.name), value: String(item.value ?? '') }));
+  }
+  if (typeof storage === 'object') {
+    return Object.entries(storage).map(([name, value]) => ({ name, value: typeof value === 'string' ? value : JSON.stringify(value) }));
+  }
+  return [];
+}
+
+function normalizeOrigins(origins) {
+  const list = Array.isArray(origins)
+    ? origins
+    : Object.entries(origins || {}).map(([origin, entry]) => ({ origin, ...entry })); // { "<origin>": { localStorage, sessionStorage } }
+  const result = [];
+  for (const entry of list) {
+    let origin;
+    try {
+      origin = new URL(entry.origin).origin;
+    } catch (e) {
+      throw new Error(`Invalid storage origin '${entry.origin}'`);
+    }
+    result.push({
+      origin,
+      localStorage: normalizeStorage(entry.localStorage),
+      sessionStorage: normalizeStorage(entry.sessionStorage)
+    });
+  }
+  return result;
+}
+
+/**
+ * Parse cookie / storage data in any supported format.
+ * @param {string|object|Array} input - File contents, or already-parsed JSON.
+ * @returns {{cookies: object[], origins: Array<{origin: string, localStorage: object[], sessionStorage: object[]}>, skipped: number}}
+ * @throws {Error} When the input is in no supported format.
+ */
+export function parseCookieImport(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    const text = input.replace(/^\uFEFF/, '').trim();
+    if (!text) throw new Error('Cookie import is empty');
+    if (!/^[[{]/.test(text)) {
+      const cookies = parseNetscape(text);
+      if (cookies.length === 0) throw new Error('No cookies found (expected cookie JSON or a Netscape cookies.txt file)');
+      return { cookies, origins: [], skipped: 0 };
+    }
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Cookie import is not valid JSON: ${e.message}`);
+    }
+  }
+
+  let rawCookies;
+  let origins = [];
+  if (Array.isArray(data)) {
+    rawCookies = data;
+  } else if (data && typeof data === 'object' && (data.cookies || data.origins)) {
+    rawCookies = data.cookies || [];
+    origins = normalizeOrigins(data.origins);
+  } else {
+    throw new Error('Unsupported cookie import: expected a cookie array or { cookies, origins }');
+  }
+  if (!Array.isArray(rawCookies)) throw new Error('Cookie import: "cookies" must be an array');
+
+  const cookies = rawCookies.map(normalizeCookie).filter(Boolean);
+  return { cookies, origins, skipped: rawCookies.length - cookies.length };
+}
+
+/**
+ * Read and parse a cookie / storage file.
+ * @param {string} filePath
+ */
+export async function loadCookieImport(filePath) {
+  if (!await fs.pathExists(filePath)) throw new Error(`Cookie import file not found: ${filePath}`);
+  return parseCookieImport(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Write localStorage for one origin from a stubbed page (no request reaches the real site).
+ */
+async function seedLocalStorage(context, origin, items) {
+  const page = await context.newPage();
+  try {
+    await page.route('**/*', route => route.fulfill({ status: 200, contentType: 'text/html', body: BLANK_PAGE }));
+    await page.goto(`${origin}/`, { waitUntil: 'domcontentloaded', timeout: 15000 });
+    await page.evaluate(entries => {
+      for (const { name, value } of entries) window.localStorage.setItem(name, value);
+    }, items);
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * Apply parsed import data to a (persistent) browser context.
+ * @param {import('playwright').BrowserContext} context
+ * @param {ReturnType<typeof parseCookieImport>} data
+ * @returns {Promise<{cookies: number, skipped: number, origins: number, localStorage: number, sessionStorage: number}>}
+ */
+export async function applyCookieImport(context, data) {
+  const summary = { cookies: 0, skipped: data.skipped || 0, origins: data.origins.length, localStorage: 0, sessionStorage: 0 };
+
+  if (data.cookies.length > 0) {
+    try {
+      await context.addCookies(data.cookies);
+      summary.cookies = data.cookies.length;
+    } catch (e) {
+      // One bad cookie fails the whole batch: add them one by one and skip the rejected ones
+      console.warn(`[CookieImport] Batch import failed (${e.message}). Importing one by one...`);
+      for (const cookie of data.cookies) {
+        try {
+          await context.addCookies([cookie]);
+          summary.cookies++;
+        } catch (err) {
+          summary.skipped++;
+          console.warn(`[CookieImport] Skipped cookie '${cookie.name}' (${cookie.domain || cookie.url}): ${err.message}`);
+        }
+      }
+    }
+  }
+
+  for (const { origin, localStorage } of data.origins) {
+    if (localStorage.length === 0) continue;
+    try {
+      await seedLocalStorage(context, origin, localStorage);
+      summary.localStorage += localStorage.length;
+    } catch (e) {
+      console.warn(`[CookieImport] Could not write localStorage for ${origin}: ${e.message}`);
+    }
+  }
+
+  const sessionOrigins = Object.fromEntries(data.origins
+    .filter(entry => entry.sessionStorage.length > 0)
+    .map(entry => [entry.origin, entry.sessionStorage]));
+  if (Object.keys(sessionOrigins).length > 0) {
+    await context.addInitScript(origins => {
+      const items = origins[window.location.origin];
+      if (!items) return;
+      try {
+        for (const { name, value } of items) {
+          if (window.sessionStorage.getItem(name) === null) window.sessionStorage.setItem(name, value);
+        }
+      } catch (e) {
+        // Storage disabled for this document
+      }
+    }, sessionOrigins);
+    summary.sessionStorage = Object.values(sessionOrigins).reduce((sum, items) => sum + items.length, 0);
+  }
+
+  console.log(`[CookieImport] Imported ${summary.cookies} cookies${summary.skipped ? ` (${summary.skipped} skipped)` : ''}, ${summary.localStorage} localStorage and ${summary.sessionStorage} sessionStorage entries for ${summary.origins} origins.`);
+  return summary;
+}
@@ -1,14 +1,15 @@
 
 import { BrowserManager } from './browser_manager.js';
+import { getConfig } from './config.js';
 import fs from 'fs-extra';
 import path from 'path';
 
 async function test() {
-    const manager = new BrowserManager({ baseDir: './browser-laucher/profiles' });
+    const manager = new BrowserManager();
     const profileName = "debug_keys_test";
     
     // Create Config
-    const profilePath = path.resolve('./profiles', profileName);
+    const profilePath = path.join(getConfig().paths.profilesDir, profileName);
     await fs.remove(profilePath);
     await fs.ensureDir(profilePath);
     await fs.writeJson(path.join(profilePath, 'config.json'), { tags: ['Android', 'Firefox'] });
@@ -0,0 +1,102 @@
+/**
+ * Error Taxonomy
+ * Typed errors thrown by actions and BrowserManager so retry decisions are made on the
+ * error class instead of substring-matching messages in several places.
+ *
+ * Every error carries a `code`. For the legacy signals the message IS the code
+ * ('CAPTCHA_DETECTED', 'BROWSER_CRASHED', 'NO_VIDEO_FOUND', ...), so existing
+ * `error.message === '...'` checks keep working.
+ */
+
+const CODE_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+
+export class AutomationError extends Error {
+  static defaultCode = 'AUTOMATION_ERROR';
+
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string} [options.code] - Defaults to the message when it is a CODE, else the class default.
+   * @param {Error} [options.cause] - Original (usually Playwright) error.
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || (CODE_PATTERN.test(message) ? message : this.constructor.defaultCode);
+  }
+}
+
+/** Page-level network failure (DNS, reset, timeout). The browser itself is still alive. */
+export class NetworkError extends AutomationError {
+  static defaultCode = 'NETWORK_ERROR';
+}
+
+/** Proxy is dead, expired, malformed or refused the tunnel. */
+export class ProxyError extends AutomationError {
+  static defaultCode = 'PROXY_ERROR';
+}
+
+/** A CAPTCHA blocked the flow (CAPTCHA_DETECTED, CAPTCHA_TIMEOUT, CAPTCHA_ERROR). */
+export class CaptchaError extends AutomationError {
+  static defaultCode = 'CAPTCHA_DETECTED';
+}
+
+/** Browser, context or page crashed or disconnected. Needs a browser restart. */
+export class BrowserCrashError extends AutomationError {
+  static defaultCode = 'BROWSER_CRASHED';
+}
+
+/** Fingerprint could not be fetched or applied. */
+export class FingerprintError extends AutomationError {
+  static defaultCode = 'FINGERPRINT_ERROR';
+}
+
+/** Fingerprint, proxy and profile config contradict each other (preflight.js). */
+export class PreflightError extends AutomationError {
+  static defaultCode = 'PREFLIGHT_FAILED';
+}
+
+/** Another live process holds the profile's lock (profile_lock.js). `holder` is its lock record. */
+export class ProfileLockedError extends AutomationError {
+  static defaultCode = 'PROFILE_LOCKED';
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.holder = options.holder || null;
+  }
+}
+
+/** An action could not do its job (element missing, not logged in, bad params, ...). */
+export class ActionError extends AutomationError {
+  static defaultCode = 'ACTION_FAILED';
+}
+
+// Raw (Playwright / plugin) message fragments -> error class. Checked in order.
+const MESSAGE_RULES = [
+  [ProxyError, ['Failed to get proxy ip', 'Incorrect format', 'ERR_PROXY_CONNECTION_FAILED', 'ERR_TUNNEL_CONNECTION_FAILED']],
+  [BrowserCrashError, ['BROWSER_CRASHED', 'BROWSER_DISCONNECTED', 'Page crashed', 'Target crashed', 'Browser closed', 'Target page, context or browser has been closed', 'Target closed']],
+  [NetworkError, ['ERR_CONNECTION_RESET', 'ERR_NAME_NOT_RESOLVED', 'ERR_CONNECTION_TIMED_OUT', 'ERR_CONNECTION_CLOSED', 'ERR_INTERNET_DISCONNECTED']],
+  [CaptchaError, ['CAPTCHA_']],
+  [FingerprintError, ['FINGERPRINT_RETRY']]
+];
+
+/**
+ * Map any thrown value to a typed error. Typed errors are returned unchanged; unknown
+ * errors are returned as-is (the retry policy treats them as 'Error').
+ * @param {*} error
+ * @returns {Error}
+ */
+export function classifyError(error) {
+  if (error instanceof AutomationError) return error;
+  if (!(error instanceof Error)) error = new Error(String(error));
+
+  const message = error.message || '';
+  for (const [ErrorClass, fragments] of MESSAGE_RULES) {
+    const fragment = fragments.find(f => message.includes(f));
+    if (fragment) {
+      // Keep the legacy code for bare codes (e.g. 'CAPTCHA_TIMEOUT'), else use the class default
+      return new ErrorClass(message, { cause: error, code: CODE_PATTERN.test(message) ? message : undefined });
+    }
+  }
+  return error;
+}
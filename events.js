@@ -0,0 +1,120 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+
+/**
+ * Run Event Protocol
+ * Machine-readable NDJSON events, one JSON object per line, written to a dedicated file
+ * descriptor (normally fd 3, passed as --events-fd 3) so they never mix with human log lines
+ * on stdout/stderr.
+ *
+ * Every event: { "type": "...", "ts": "<ISO time>", "runId"?, "profile"?, "instanceId"?, ...payload }
+ *
+ *   run_started     { mode, steps, attempt? }
+ *   action_started  { index, path, action, params, attempt }
+ *   action_finished { index, path, action, status: 'success'|'healed'|'skipped'|'failed', result?, error?, durationMs }
+ *   healed          { index, path, action, remedial: { action, params } }
+ *   captcha         { code, message }
+ *   error           { name, code, message, attempt, remediation, fatal }
+ *   result          { kind: 'actions'|'cookies'|'cookie_import'|'preflight'|'profile_export'|'profile_import'|'session', data }
+ *   run_finished    { success, attempts, error?, assertions?: { passed, failed, failures } }
+ *
+ * `index` is the top-level step; `path` also locates steps nested in control steps ("2.then[0]").
+ *
+ * In-process consumers (runAgent handles) subscribe with events.on('event', fn) for every event,
+ * or events.on('<type>', fn) for one type.
+ */
+
+export const EVENT_TYPES = [
+  'run_started',
+  'action_started',
+  'action_finished',
+  'healed',
+  'captcha',
+  'error',
+  'result',
+  'run_finished'
+];
+
+export class EventChannel extends EventEmitter {
+  /**
+   * @param {number|string|null} fd - File descriptor to also write NDJSON to (optional).
+   */
+  constructor(fd = null) {
+    super();
+    this.fd = fd !== null && fd !== undefined && fd !== '' ? parseInt(fd) : null;
+    this.base = {};
+  }
+
+  /** True when events are written to a file descriptor. */
+  get enabled() {
+    return this.fd !== null && !isNaN(this.fd);
+  }
+
+  /**
+   * Fields added to every following event (runId, profile, instanceId).
+   */
+  setContext(fields) {
+    Object.assign(this.base, fields);
+  }
+
+  send(type, payload = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type '${type}'`);
+    }
+    const event = { type, ts: new Date().toISOString(), ...this.base, ...payload };
+
+    this.emit('event', event);
+    // EventEmitter throws on 'error' without a listener - only dispatch it when someone listens
+    if (type !== 'error' || this.listenerCount('error') > 0) {
+      this.emit(type, event);
+    }
+
+    if (!this.enabled) return;
+    const line = JSON.stringify(event) + '\n';
+    try {
+      // Synchronous so events written right before process.exit() are not lost
+      fs.writeSync(this.fd, line);
+    } catch (e) {
+      console.warn(`[Events] Cannot write to fd ${this.fd} (${e.code || e.message}). Event stream disabled.`);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * Parse an NDJSON event stream (e.g. child.stdio[3]) and call onEvent for each event.
+ * Lines that are not valid JSON are reported through onInvalid and skipped.
+ * @param {import('stream').Readable} readable
+ * @param {(event: object) => void} onEvent
+ * @param {(line: string, error: Error) => void} [onInvalid]
+ */
+export function readEvents(readable, onEvent, onInvalid = () => {}) {
+  let buffer = '';
+
+  const handleLine = (line) => {
+    line = line.trim();
+    if (!line) return;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      return onInvalid(line, e);
+    }
+    onEvent(event);
+  };
+
+  readable.setEncoding('utf8');
+  readable.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      handleLine(line);
+    }
+  });
+  readable.on('end', () => {
+    handleLine(buffer);
+    buffer = '';
+  });
+}
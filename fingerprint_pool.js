@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { FingerprintError } from './errors.js';
+import { getConfig } from './config.js';
+
+/**
+ * Fingerprint Pool
+ * Keeps fingerprints fetched ahead of time on disk, so creating a profile does not wait on the
+ * FingerprintSwitcher service. A background filler tops every configured tag set up to `size`;
+ * assign() hands a profile one of them (or fetches one directly when the pool is empty).
+ *
+ * Every fingerprint is identified by the hash of its content and is given out once: assigning
+ * moves it from available/ to assigned/, and fetched fingerprints already seen are dropped.
+ *
+ *   data/fingerprints/
+ *     available/<tag key>/<id>.json   { id, tags, fetchedAt, fingerprint }
+ *     assigned/<id>.json              { id, tags, fetchedAt, fingerprint, profile, assignedAt }
+ *
+ * Moves are atomic renames, so the web manager's filler and several open.js processes can
+ * share one pool. Configured under fingerprint.pool (config.js).
+ */
+
+export const DEFAULT_TAGS = ['Microsoft Windows', 'Chrome'];
+
+// Fetch through the plugin by default (loaded lazily, so pool bookkeeping works without it)
+async function fetchFromService(tags) {
+  const { plugin } = await import('playwright-with-fingerprints');
+  plugin.setServiceKey(getConfig().fingerprint.serviceKey);
+  return plugin.fetch({ tags });
+}
+
+/**
+ * Folder-safe key for a tag set. Order and case do not matter.
+ * @param {string[]} tags
+ */
+export function tagKey(tags) {
+  return [...tags]
+    .map(tag => String(tag).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''))
+    .sort()
+    .join('+') || 'any';
+}
+
+/**
+ * Content hash identifying a fingerprint.
+ * @param {object|string} fingerprint
+ */
+export function fingerprintId(fingerprint) {
+  const content = typeof fingerprint === 'string' ? fingerprint : JSON.stringify(fingerprint);
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 24);
+}
+
+export class FingerprintPool {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Pool folder (default: <dataDir>/fingerprints).
+   * @param {number} [options.size] - Fingerprints to keep per tag set (default: config fingerprint.pool.size).
+   * @param {string[][]} [options.tagSets] - Tag sets the filler keeps stocked (default: config fingerprint.pool.tagSets).
+   * @param {(tags: string[]) => Promise<object|string>} [options.fetch] - Fingerprint source (default: the FingerprintSwitcher service).
+   */
+  constructor(options = {}) {
+    const poolConfig = getConfig().fingerprint.pool;
+    this.dir = options.dir || path.join(getConfig().paths.dataDir, 'fingerprints');
+    this.size = parseInt(options.size ?? poolConfig.size) || 0;
+    this.tagSets = options.tagSets || poolConfig.tagSets;
+    this.fetch = options.fetch || fetchFromService;
+    this._filling = null;
+  }
+
+  availableDir(tags) {
+    return path.join(this.dir, 'available', tagKey(tags));
+  }
+
+  get assignedDir() {
+    return path.join(this.dir, 'assigned');
+  }
+
+  async _ids(dir) {
+    if (!await fs.pathExists(dir)) return [];
+    return (await fs.readdir(dir)).filter(name => name.endsWith('.json')).map(name => name.slice(0, -5)).sort();
+  }
+
+  /**
+   * Number of unassigned fingerprints for a tag set.
+   * @param {string[]} [tags]
+   */
+  async count(tags = DEFAULT_TAGS) {
+    return (await this._ids(this.availableDir(tags))).length;
+  }
+
+  // Seen before (waiting in this tag set or given to a profile)?
+  async _isKnown(id, tags) {
+    return await fs.pathExists(path.join(this.assignedDir, `${id}.json`))
+      || await fs.pathExists(path.join(this.availableDir(tags), `${id}.json`));
+  }
+
+  // Fetch one fingerprint and wrap it in a pool record, or null when it is a duplicate
+  async _fetchRecord(tags) {
+    const fingerprint = await this.fetch(tags);
+    if (!fingerprint) throw new Error('Fingerprint service returned nothing');
+    const id = fingerprintId(fingerprint);
+    if (await this._isKnown(id, tags)) return null;
+    return { id, tags, fetchedAt: new Date().toISOString(), fingerprint };
+  }
+
+  /**
+   * Fetch fingerprints until the tag set has `target` available. Stops at the first fetch error
+   * (the next fill tries again).
+   * @param {string[]} [tags]
+   * @param {object} [options]
+   * @param {number} [options.target] - Default: pool size.
+   * @returns {Promise<number>} Fingerprints added.
+   */
+  async fill(tags = DEFAULT_TAGS, { target = this.size } = {}) {
+    const dir = this.availableDir(tags);
+    await fs.ensureDir(dir);
+    let missing = target - await this.count(tags);
+    let added = 0;
+    let duplicates = 0;
+    while (missing > 0) {
+      let record;
+      try {
+        record = await this._fetchRecord(tags);
+      } catch (e) {
+        console.warn(`[FingerprintPool] Fetch for ${JSON.stringify(tags)} failed: ${e.message}`);
+        break;
+      }
+      if (!record) {
+        // The service keeps handing out fingerprints we already have: try again later
+        if (++duplicates >= target) break;
+        continue;
+      }
+      await fs.writeJson(path.join(dir, `${record.id}.json`), record);
+      added++;
+      missing--;
+    }
+    if (added > 0) console.log(`[FingerprintPool] Added ${added} fingerprint(s) for ${JSON.stringify(tags)} (${await this.count(tags)} available)`);
+    return added;
+  }
+
+  /**
+   * Fill every configured tag set once. Concurrent calls share the running fill.
+   * @returns {Promise<number>} Fingerprints added.
+   */
+  fillAll() {
+    if (!this._filling) {
+      this._filling = (async () => {
+        let added = 0;
+        for (const tags of this.tagSets) {
+          added += await this.fill(tags);
+        }
+        return added;
+      })().finally(() => { this._filling = null; });
+    }
+    return this._filling;
+  }
+
+  /**
+   * Keep the pool stocked in the background: fill now, then every `intervalMs`.
+   * @param {object} [options]
+   * @param {number} [options.intervalMs] - Default: config fingerprint.pool.refillMinutes.
+   * @returns {() => void} Stops the filler.
+   */
+  startFiller({ intervalMs = (Number(getConfig().fingerprint.pool.refillMinutes) || 10) * 60 * 1000 } = {}) {
+    const run = () => this.fillAll().catch(e => console.warn(`[FingerprintPool] Fill failed: ${e.message}`));
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    console.log(`[FingerprintPool] Filler started: ${this.size} per tag set, ${this.tagSets.length} tag set(s), every ${Math.round(intervalMs / 60000)} min`);
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Give a profile a fingerprint no other profile has had. Takes one from the pool, or fetches
+   * one directly when the tag set is empty.
+   * @param {string} profile
+   * @param {string[]} [tags]
+   * @returns {Promise<{id: string, tags: string[], fetchedAt: string, fingerprint: object|string, profile: string, assignedAt: string, source: 'pool'|'service'}>}
+   * @throws {FingerprintError} FINGERPRINT_FETCH_FAILED when the pool is empty and the service fails.
+   */
+  async assign(profile, tags = DEFAULT_TAGS) {
+    await fs.ensureDir(this.assignedDir);
+    const dir = this.availableDir(tags);
+
+    for (const id of await this._ids(dir)) {
+      const target = path.join(this.assignedDir, `${id}.json`);
+      try {
+        // Atomic claim: another process may take the same file first
+        await fs.move(path.join(dir, `${id}.json`), target, { overwrite: false });
+      } catch (e) {
+        continue;
+      }
+      const record = { ...await fs.readJson(target), profile, assignedAt: new Date().toISOString() };
+      await fs.writeJson(target, record);
+      console.log(`[FingerprintPool] Assigned ${id} to '${profile}' from the pool (${await this.count(tags)} left for ${JSON.stringify(tags)})`);
+      return { ...record, source: 'pool' };
+    }
+
+    console.warn(`[FingerprintPool] Pool empty for ${JSON.stringify(tags)}. Fetching directly...`);
+    let fetched;
+    try {
+      fetched = await this._fetchRecord(tags);
+    } catch (e) {
+      throw new FingerprintError(`Fingerprint pool is empty and fetching failed: ${e.message}`, { code: 'FINGERPRINT_FETCH_FAILED', cause: e });
+    }
+    if (!fetched) {
+      throw new FingerprintError('Fingerprint pool is empty and the service returned an already used fingerprint', { code: 'FINGERPRINT_FETCH_FAILED' });
+    }
+    const record = { ...fetched, profile, assignedAt: new Date().toISOString() };
+    await fs.writeJson(path.join(this.assignedDir, `${record.id}.json`), record);
+    console.log(`[FingerprintPool] Assigned ${record.id} to '${profile}' (fetched)`);
+    return { ...record, source: 'service' };
+  }
+
+  /**
+   * Which profile owns a fingerprint.
+   * @param {string} id
+   * @returns {Promise<string|null>}
+   */
+  async ownerOf(id) {
+    const file = path.join(this.assignedDir, `${id}.json`);
+    if (!await fs.pathExists(file)) return null;
+    return (await fs.readJson(file)).profile;
+  }
+
+  /**
+   * Every assignment, oldest first: [{ id, profile, tags, assignedAt }].
+   * @param {string} [profile] - Only this profile's fingerprints.
+   */
+  async assignments(profile = null) {
+    const list = [];
+    for (const id of await this._ids(this.assignedDir)) {
+      const { tags, profile: owner, assignedAt } = await fs.readJson(path.join(this.assignedDir, `${id}.json`));
+      if (!profile || owner === profile) list.push({ id, profile: owner, tags, assignedAt });
+    }
+    return list.sort((a, b) => String(a.assignedAt).localeCompare(String(b.assignedAt)));
+  }
+
+  /**
+   * Pool overview: { size, tagSets: [{ tags, available }], assigned }.
+   */
+  async stats() {
+    const tagSets = [];
+    for (const tags of this.tagSets) {
+      tagSets.push({ tags, available: await this.count(tags) });
+    }
+    return { size: this.size, tagSets, assigned: (await this._ids(this.assignedDir)).length };
+  }
+}
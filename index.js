@@ -0,0 +1,37 @@
+/**
+ * Public library API (package "main").
+ * Run agents from your own Node code instead of spawning open.js:
+ *
+ *   import { runAgent } from 'browser-laucher';
+ *   const run = runAgent({ profile: 'aaa', prompt: 'search for lofi music, then watch 60 seconds' });
+ *   run.events.on('event', e => console.log(e.type));
+ *   setTimeout(() => run.stop('time is up'), 10 * 60 * 1000);
+ *   const { success, results } = await run.result;
+ */
+export { runAgent, AgentRun } from './agent.js';
+export { ActionRegistry, loadActionRegistry } from './action_registry.js';
+export { parseWorkflow, parseWorkflowText, loadWorkflow } from './workflow.js';
+export { parseStructuredPrompt } from './prompt_parser.js';
+export { EVENT_TYPES } from './events.js';
+export { RunCheckpoint } from './checkpoint.js';
+export { summarizeAssertions, ASSERTION_FAILED } from './assertions.js';
+export { collectArtifacts } from './artifacts.js';
+export { parseCookieImport, applyCookieImport } from './cookie_import.js';
+export { FingerprintPool } from './fingerprint_pool.js';
+export { runPreflight } from './preflight.js';
+export { ProfileLock } from './profile_lock.js';
+export { exportProfileBundle, importProfileBundle, readBundleManifest } from './profile_bundle.js';
+export { ProfileTemplates } from './profile_templates.js';
+export { buildRetryPolicy, loadRetryPolicy, DEFAULT_RETRY_POLICY } from './retry_policy.js';
+export {
+  AutomationError,
+  NetworkError,
+  ProxyError,
+  CaptchaError,
+  BrowserCrashError,
+  FingerprintError,
+  PreflightError,
+  ProfileLockedError,
+  ActionError,
+  classifyError
+} from './errors.js';
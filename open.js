@@ -1,852 +1,120 @@
-import { plugin } from 'playwright-with-fingerprints';
 import minimist from 'minimist';
-import fs from 'fs-extra';
-import path from 'path';
-import { AIEngine } from './ai_engine.js';
-import * as searchAction from './actions/search.js';
-import * as browseAction from './actions/browse.js';
-import * as clickAction from './actions/click.js';
-import * as loginAction from './actions/login.js';
-import * as commentAction from './actions/comment.js';
-import * as visualScanAction from './actions/visual_scan.js';
-import * as watchAction from './actions/watch.js';
-import * as navigateAction from './actions/navigate.js';
-import * as typeAction from './actions/type.js';
-import * as saveImageAction from './actions/save_image.js';
-import { SessionManager } from './session_manager.js';
-import { BrowserManager } from './browser_manager.js';
-import axios from 'axios';
-
-let agentContext = null;
-
-// Helper: Report Status to Web Manager
-async function reportStatus(args, data) {
-    if (!args['instance-id']) return;
-    try {
-        await axios.post('http://localhost:3000/api/browser-status', {
-            instanceId: args['instance-id'],
-            profile: args.profile,
-            agentName: data.agentName || (typeof agentContext !== 'undefined' && agentContext?.agent_name),
-            avatarType: data.avatarType || (typeof agentContext !== 'undefined' && agentContext?.avatar_type),
-            avatarColor: data.avatarColor || (typeof agentContext !== 'undefined' && agentContext?.avatar_color),
-            ...data
-        });
-    } catch (e) {
-        // Ignore connection errors
-    }
-}
-
-// Helper: Fetch proxy from TMProxy (CURRENT ONLY)
-async function fetchProxyFromProvider(provider) {
-    if (!provider || !provider.api_key) return null;
-    try {
-        const apiKey = provider.api_key;
-        const endpoint = "https://tmproxy.com/api/proxy/get-current-proxy";
-        
-        console.log(`[ProxyFetch] Calling TMProxy: get-current-proxy...`);
-        const response = await axios.post(endpoint, {
-            api_key: apiKey
-        }, { timeout: 10000 });
-
-        const data = response.data;
-        if (data.code === 0 && data.data) {
-            const p = data.data;
-            const username = p.username || "";
-            const password = p.password || "";
-            const auth = username && password ? `${username}:${password}@` : "";
-            
-            if (p.socks5) return `socks5://${auth}${p.socks5}`;
-            if (p.https) return `http://${auth}${p.https}`;
-            if (p.http) return `http://${auth}${p.http}`;
-        } else {
-            console.warn(`[ProxyFetch] TMProxy: ${data.message || "Failed to get current proxy"}`);
-        }
-    } catch (e) {
-        console.error(`[ProxyFetch] Error: ${e.message}`);
-    }
-    return null;
-}
-
-// Action Registry
-const ACTION_REGISTRY = {
-  navigate: navigateAction.navigate,
-  type: typeAction.type,
-  save_image: saveImageAction.save_image,
-  search: searchAction.search,
-  browse: browseAction.browse,
-  click: clickAction.click,
-  login: loginAction.login,
-  comment: commentAction.comment,
-  watch: watchAction.watch,
-  visual_scan: visualScanAction.visual_scan,
-  wait: async (page, params) => {
-    const duration = parseInt(params.duration) || 5;
-    console.log(`[WAIT] Waiting for ${duration} seconds...`);
-    await page.waitForTimeout(duration * 1000);
-  }
-};
-
-const browserManager = new BrowserManager();
+import { runAgent } from './agent.js';
+import { parseVarArgs } from './workflow.js';
+import { readEvents } from './events.js';
+import { configure } from './config.js';
 
 /**
- * Main Orchestrator
+ * CLI entry point. Maps flags onto runAgent() options (see agent.js) and turns the
+ * run result into an exit code: 0 success (or stopped), 1 failure, 2 failed assertions.
  */
 async function main() {
   const args = minimist(process.argv.slice(2));
   console.log('RAW ARGV:', process.argv);
   console.log('PARSED ARGS:', JSON.stringify(args));
-  const keyword = args.keyword || '';
-  const actionsArg = args.action || '';
-  const prompt = args.prompt || '';
-  const isNewProfile = args['new-profile'] || false;
-  const exportCookies = args['export-cookies'] || false;
-  const isManual = args['manual'] || false;
-  const isHeadless = args['headless'] || false; // Run browser in headless mode
-  const sessionMode = args['session'] || false; // Enable generative session mode
-  const minSessionMinutes = parseInt(args['session-duration']) || 10;
-  const aiModel = args['ai-model'] || 'deepseek-r1:latest'; // NEW: AI model for browser automation
-  const cliTags = args['tags']; // Raw CLI arg for overrides
-  const instanceId = args['instance-id'] || null; // Instance ID from BrowserProcessManager
-  const proxyArg = args['proxy'] || ''; // CLI override
-  let proxy = proxyArg;
 
-  // --- Load Agent Context EARLY ---
-  if (args['context-file']) {
-    try {
-        agentContext = await fs.readJson(args['context-file']);
-        console.log(`[Session] Agent Context loaded: ${agentContext.agent_name}`);
-    } catch (e) {
-        console.error('[Session] Failed to load context file:', e.message);
-    }
-  }
-  
-  // Log instance ID if provided (for multi-instance tracking)
-  if (instanceId) {
-    console.log(`[InstanceID] ${instanceId}`);
+  // Only the CLI reads config flags (--config, --paths.profilesDir ...); see config.js
+  try {
+    configure({}, { argv: process.argv.slice(2) });
+  } catch (e) {
+    console.error(`[Config] ${e.message}`);
+    process.exit(1);
   }
 
-  // --- Always fetch fresh proxy when Dynamic Mode is configured ---
-  if (agentContext && agentContext.proxy_provider && agentContext.proxy_provider.mode === 'dynamic') {
-      console.log('[Launch] Dynamic proxy mode detected. Fetching fresh proxy...');
-      const fetchedProxy = await fetchProxyFromProvider(agentContext.proxy_provider);
-      if (fetchedProxy) {
-          console.log(`[Launch] Using fresh proxy: ${fetchedProxy}`);
-          proxy = fetchedProxy;
-      } else if (!proxy) {
-          console.warn('[Launch] Could not fetch proxy and no fallback available.');
-      }
+  let variables;
+  try {
+    variables = { ...parseVarArgs(args['var']), ...parseVarArgs(args['var-json'], { json: true }) };
+  } catch (e) {
+    console.error(`[Workflow] ${e.message}`);
+    process.exit(1);
   }
 
-  // 1. Determine Action Sequence & Profile Override
-  let actionSequence = [];
-  let profileName = args.profile || 'default';
-  
-  if (!exportCookies && !isManual) { // Skip planning if exporting cookies or manual mode
-      if (prompt) { 
-        // OPTIMIZATION: If prompt looks like a structured command (contains 'then'), skip AI planning
-        if (prompt.includes(', then ') || prompt.includes(', and then ')) {
-            console.log('>>> Detected structured prompt. Skipping AI planning for speed.');
-            // Simple heuristic parsing
-            actionSequence = prompt.split(/, then |, and then /).map(step => {
-                const s = step.trim().toLowerCase();
-                let action = 'browse';
-                let params = {};
-                
-                if (s.startsWith('search for ')) {
-                    action = 'search';
-                    params = { keyword: s.replace('search for ', '').replace(/'/g, '') };
-                } else if (s.includes('click')) {
-                    action = 'click';
-                    // Support variations: 'click first result', 'click result', 'click [text]'
-                    if (s.includes('first result')) {
-                        params = { element: 'first result' };
-                    } else if (s.includes('result')) {
-                        params = { element: 'result' };
-                    } else {
-                        params = { element: s.replace('click ', '') };
-                    }
-                } else if (s.startsWith('read')) {
-                    action = 'browse'; // Map 'read' to 'browse'
-                    const match = s.match(/(\d+) seconds/);
-                    params = { duration: match ? parseInt(match[1]) : 60 };
-                } else if (s.startsWith('watch')) {
-                    action = 'watch';
-                    const match = s.match(/(\d+) seconds/);
-                    params = { duration: match ? parseInt(match[1]) : 60 };
-                } else if (s.includes('browse')) {
-                    action = 'browse';
-                    const match = s.match(/(\d+) seconds/);
-                    params = { duration: match ? parseInt(match[1]) : 60 };
-                }
-                
-                return { action, params };
-            });
-            
-            // Default profile if not specified
-            if (!profileName || profileName === 'default') {
-                // If we skipped AI, we don't get a profile suggestion, so keep current
-            }
-        } else {
-            // Complex/Unstructured prompt -> Use AI
-            console.log('>>> Analyzing prompt with AI...');
-            const ai = new AIEngine(aiModel);
-            const result = await ai.planActions(prompt);
-            actionSequence = result.actions;
-            
-            console.log('\n--- 🤖 AI PLANNED ACTIONS ---');
-            actionSequence.forEach((step, idx) => {
-                 console.log(`${idx + 1}. [${step.action.toUpperCase()}] ${JSON.stringify(step.params)}`);
-            });
-            console.log('-----------------------------\n');
-    
-            if (result.profile && !args.profile) {
-              console.log(`\n>>> Profile switch requested via prompt: ${result.profile}`);
-              profileName = result.profile;
-            } else if (result.profile && args.profile) {
-              console.log(`\n>>> AI suggested profile '${result.profile}' but keeping CLI override '${args.profile}'`);
-            }
-        }
-      } else if (actionsArg) {
-        actionSequence = actionsArg.split(',').map(name => ({
-          action: name.trim(),
-          params: { keyword }
-        }));
-      } else {
-        actionSequence = [
-          { action: 'search', params: { keyword: 'playwright automation' } },
-          { action: 'browse', params: { iterations: 3 } }
-        ];
-      }
-      
-      if (args['dry-run']) {
-          console.log('Detected --dry-run flag. Exiting after planning.');
-          process.exit(0);
-      }
+  const run = runAgent({
+    profile: args.profile,
+    prompt: args.prompt,
+    workflow: args['workflow'], // Declarative JSON/YAML step file
+    variables,
+    actions: args.action,
+    keyword: args.keyword,
+    resume: args['resume'], // Continue a checkpointed run from its failed step
+    session: args['session'], // Enable generative session mode
+    sessionDuration: args['session-duration'],
+    sessionModel: args.model,
+    aiModel: args['ai-model'], // AI model for planning prompts
+    proxy: args['proxy'], // CLI override
+    contextFile: args['context-file'],
+    headless: args['headless'], // Run browser in headless mode
+    manual: args['manual'],
+    exportCookies: args['export-cookies'],
+    importCookies: args['import-cookies'], // Cookie JSON, cookies.txt or storage state file
+    exportProfile: args['export-profile'], // Profile bundle (.tar.gz, see profile_bundle.js)
+    includeUserData: args['include-user-data'],
+    importProfile: args['import-profile'],
+    overwrite: args['overwrite'],
+    newProfile: args['new-profile'],
+    retryPolicy: args['retry-policy'],
+    newTabPolicy: args['new-tabs'], // follow | ignore | close
+    dryRun: args['dry-run'],
+    instanceId: args['instance-id'], // Instance ID from BrowserProcessManager
+    eventsFd: args['events-fd'] // NDJSON run events (see events.js)
+  });
+
+  // Without an event channel, print cookies on stdout so the CLI stays usable on its own
+  if (args['export-cookies'] && !run.events.enabled) {
+    run.events.on('result', (event) => {
+      if (event.kind === 'cookies') console.log(JSON.stringify(event.data));
+    });
   }
 
-
-  const profilePath = path.resolve(`./profiles/${profileName}`);
-  console.log(`Target Profile: ${profileName} (${profilePath})`);
-
-  // --- Multi-Attempt Logic ---
-  let attempt = 1;
-  const maxAttempts = 3;
-  let success = false;
-
-  while (attempt <= maxAttempts && !success) {
-    let context;
-    let page;
-    const isRetry = attempt > 1;
-
-    try {
-      console.log(`\n=== Execution Attempt ${attempt} (isRetry: ${isRetry}) ===`);
-
-      // Handle profile clearing only if explicitly requested
-      if (isNewProfile && fs.existsSync(profilePath) && !exportCookies) {
-        console.log(`Cleaning up profile at ${profilePath}...`);
-        try {
-          // Preserve config.json and stats.json if they exist
-          const configPath = path.join(profilePath, 'config.json');
-          const statsPath = path.join(profilePath, 'stats.json');
-          
-          if (await fs.pathExists(configPath)) {
-             await fs.copy(configPath, `${configPath}.bak`);
-          }
-          if (await fs.pathExists(statsPath)) {
-             await fs.copy(statsPath, `${statsPath}.bak`);
-          }
-          
-          await fs.remove(profilePath);
-          await fs.mkdirp(profilePath);
-          
-          if (await fs.pathExists(`${configPath}.bak`)) {
-             await fs.move(`${configPath}.bak`, configPath, { overwrite: true });
-          }
-          if (await fs.pathExists(`${statsPath}.bak`)) {
-             await fs.move(`${statsPath}.bak`, statsPath, { overwrite: true });
-          }
-        } catch (e) {
-          console.warn(`Could not remove/restore profile directory: ${e.message}`);
-        }
-      }
-
-      // 2. Browser Initialization
-      console.log('Fetching fingerprint...');
-      plugin.setServiceKey('dLeV7LSYY387fh9bVhxxxZcQVVQ4kR6eXSzOdnNJRfDj9eQ48be5ljPBzyBvPxfr');
-
-      let fingerprint;
-      const fingerprintPath = path.join(profilePath, 'fingerprint.json');
-      const configPath = path.join(profilePath, 'config.json');
-
-      if (await fs.pathExists(fingerprintPath)) {
-          console.log('Loading saved fingerprint...');
-          try {
-              const fingerprintData = await fs.readFile(fingerprintPath, 'utf8');
-              if (fingerprintData && fingerprintData.length > 20) {
-                  // Parse fingerprint if it's a JSON string
-                  try {
-                      fingerprint = typeof fingerprintData === 'string' ? JSON.parse(fingerprintData) : fingerprintData;
-                  } catch (e) {
-                      fingerprint = fingerprintData; // Use as-is if not JSON
-                  }
-                  console.log('Fingerprint loaded successfully.');
-              } else {
-                  console.warn('Fingerprint file too small, will re-fetch');
-                  fingerprint = null;
-              }
-          } catch (e) {
-              console.error(`Failed to load fingerprint: ${e.message}`);
-              fingerprint = null;
-          }
-      } 
-      
-      if (!fingerprint) {
-          console.log('Fetching fingerprint via BrowserManager...');
-          try {
-              fingerprint = await browserManager.getFingerprint(profileName);
-          } catch (e) {
-              console.error(`Failed to get fingerprint: ${e.message}`);
-              // Fallback?
-              fingerprint = await plugin.fetch({ tags: ['Microsoft Windows', 'Chrome'] });
-          }
-      }
-
-      console.log('Launching browser...');
-      const finalHeadless = isHeadless || !!exportCookies;
-
-      const launchArgs = [
-          '--remote-debugging-port=0' // Force random port
-      ];
-
-      // Check for Mobile Fingerprint to resize window
-      if (fingerprint) {
-          let ua = "";
-          if (typeof fingerprint === 'object' && fingerprint.navigator && fingerprint.navigator.userAgent) {
-              ua = fingerprint.navigator.userAgent.toLowerCase();
-          } else if (typeof fingerprint === 'string') {
-              ua = fingerprint.toLowerCase();
-          }
-
-          if (ua.includes('android') || ua.includes('iphone') || ua.includes('ipad')) {
-              console.log('[Launch] Mobile fingerprint detected. Setting small window size.');
-              launchArgs.push('--window-size=450,900');
-          }
-      }
-      
-      context = await browserManager.launch(profileName, {
-          headless: finalHeadless,
-          fingerprint,
-          proxy,
-          args: launchArgs
-      });
-
-      // Ensure a page exists immediately
-      page = context.pages()[0] || await context.newPage();
-
-      // --- COOKIE EXPORT ---
-      if (exportCookies) {
-          const cookies = await context.cookies();
-          console.log('__COOKIES_START__');
-          console.log(JSON.stringify(cookies));
-          console.log('__COOKIES_END__');
-          await context.close();
-          return process.exit(0);
-      }
-
-      // --- BACKGROUND HELPERS (Mouse & IP Check) ---
-      await context.addInitScript(({ instanceId, profileName }) => {
-        // 1. Mouse Visualization
-        window.addEventListener('DOMContentLoaded', () => {
-          if (document.getElementById('mouse-pointer-visualization')) return;
-          const box = document.createElement('div');
-          box.id = 'mouse-pointer-visualization';
-          box.style.position = 'fixed';
-          box.style.top = '0';
-          box.style.left = '0';
-          box.style.width = '20px';
-          box.style.height = '20px';
-          box.style.background = 'rgba(255, 0, 0, 0.7)';
-          box.style.borderRadius = '50%';
-          box.style.pointerEvents = 'none';
-          box.style.zIndex = '9999999';
-          box.style.transition = 'transform 0.1s linear';
-          document.body.appendChild(box);
-          document.addEventListener('mousemove', (e) => {
-            box.style.transform = `translate(${e.clientX - 10}px, ${e.clientY - 10}px)`;
-          });
-        });
-
-        // 2. Background IP Check (Reporting to Node Server)
-        if (instanceId) {
-            const checkIP = async () => {
-                try {
-                    const resp = await fetch('https://ipwho.is/');
-                    const data = await resp.json();
-                    if (data && data.ip) {
-                        await fetch('http://localhost:3000/api/browser-status', {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({
-                                instanceId,
-                                profile: profileName,
-                                ip: data.ip,
-                                city: data.city,
-                                country: data.country
-                            })
-                        });
-                    }
-                } catch (e) {
-                    // Fail silently in background
-                }
-            };
-            checkIP();
-            // Check every 2 minutes
-            setInterval(checkIP, 120000);
-        }
-      }, { instanceId, profileName });
-
-      // --- TAB MANAGEMENT ---
-      // Listen for new pages (tabs) and switch focus
-      context.on('page', async (newPage) => {
-        console.log('[TabManager] New tab detected! Switching focus...');
-        page = newPage; // Update the main page reference
-        console.log(`[TabManager] Now on: ${page.url()}`);
-      });
-
-      // 3. Manual Mode Check
-      if (isManual) {
-        console.log('>>> MANUAL MODE: Browser launched. Waiting for user to close window...');
-        
-        // Navigate to google if on about:blank
-        if (page.url() === 'about:blank') {
-            await page.goto('https://www.google.com');
-        }
-
-        // Loop to check if context is still open
-        while (context.pages().length > 0) {
-            await new Promise(r => setTimeout(r, 1000));
-        }
-        console.log('Browser closed by user.');
-        return process.exit(0);
-      }
-
-      // 4. Execute Action Sequence (Only if NOT in session mode)
-      if (!sessionMode) {
-        let initialActionsSucceeded = true;
-        const results = [];
-        for (const step of actionSequence) {
-          const actionFn = ACTION_REGISTRY[step.action];
-          if (actionFn) {
-            console.log(`\n--- Executing: ${step.action} ---`);
-            try {
-              // Pass isRetry down to actions
-              const result = await actionFn(page, { ...step.params, isRetry });
-              if (result) {
-                results.push({ action: step.action, result });
-              }
-            } catch (actionError) {
-              console.error(`Error in action '${step.action}': ${actionError.message}`);
-              
-              // --- SELF-HEALING LOGIC ---
-              console.log('Attempting Visual Error Diagnosis...');
-              const { diagnoseAndSuggest } = await import('./vision_engine.js');
-              const suggestion = await diagnoseAndSuggest(page, `Execute action: ${step.action} with params ${JSON.stringify(step.params)}`, actionError.message);
-              
-              if (suggestion && ACTION_REGISTRY[suggestion.action]) {
-                console.log(`\n>>> SELF-HEALING: Executing alternative action: ${suggestion.action} <<<`);
-                const remedialFn = ACTION_REGISTRY[suggestion.action];
-                const remedialResult = await remedialFn(page, { ...suggestion.params, isRetry });
-                if (remedialResult) {
-                    results.push({ action: suggestion.action, result: remedialResult, healed: true });
-                }
-                console.log('>>> Remedial action completed. Resuming sequence. <<<\n');
-              } else {
-                console.warn('No effective remedial action found. Propagating error.');
-                throw actionError;
-              }
-            }
-          } else {
-            console.warn(`Unknown action: ${step.action}`);
-          }
-        }
-        console.log('\nAll actions completed successfully.');
-        console.log('__RESULTS_START__');
-        console.log(JSON.stringify(results, null, 2));
-        console.log('__RESULTS_END__');
-      }
-      
-      // 5. Session Mode - Continue generating actions until minimum duration reached
-      if (sessionMode) {
-        // 5. Start Session Mode (if enabled)
-        // Parse model from args, default to qwen:latest if not set
-        const aiModel = args.model || 'qwen:latest';
-        const minSessionMinutes = parseInt(args['session-duration']) || 10;
-        
-        console.log(`\n=== SESSION MODE ENABLED (${minSessionMinutes} min minimum) ===\n`);
-        
-        // Use the original prompt as the User Goal
-        const userGoal = prompt || "Browse naturally and interestingly";
-        
-        // Load Agent Context from file if provided
-        let agentContext = null;
-        if (args['context-file']) {
-            try {
-                if (await fs.pathExists(args['context-file'])) {
-                    agentContext = await fs.readJson(args['context-file']);
-                    console.log(`[Session] Loaded agent context for: ${agentContext.agent_name}`);
-                }
-            } catch (e) {
-                console.error('[Session] Failed to load context file:', e.message);
-            }
-        }
-
-        const session = new SessionManager(minSessionMinutes, userGoal, aiModel, agentContext, args.profile || 'default');
-        
-        // Initial Stat Load for AI context
-        try {
-          const initialStats = await browserManager.getStats(profileName);
-          session.updateStats(initialStats);
-        } catch (e) {}
-        
-        console.log(`\n>>> STARTING SESSION MODE (${minSessionMinutes} min) with Model: ${aiModel} <<<`);
-        console.log(`Goal: "${userGoal}"`);
-        
-        // Navigate to a starter page if on about:blank to give the session context
-        if (page.url() === 'about:blank') {
-           console.log('[Session] Starting from blank page. Navigating to Google...');
-           await page.goto('https://www.google.com', { waitUntil: 'domcontentloaded' });
-        }
-
-        session.start(page.url(), userGoal, actionSequence);
-        
-        // Status reporting loop (every 5 seconds) - lightweight, no screenshots
-        const statusInterval = setInterval(async () => {
-          try {
-            if (!page || page.isClosed()) {
-              clearInterval(statusInterval);
-              return;
-            }
-            
-            const currentUrl = page.url();
-            const status = session.getStatus();
-            
-            // Also fetch latest stats to display on dashboard
-            let stats = null;
-            try {
-              stats = await browserManager.getStats(profileName);
-            } catch (e) {}
-
-            // Send status update to server for dashboard
-            try {
-              const fetch = (await import('node-fetch')).default;
-              await fetch('http://localhost:3000/api/browser-status', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ 
-                  instanceId,
-                  profile: profileName,
-                  agentName: agentContext?.agent_name,
-                  avatarType: agentContext?.avatar_type,
-                  avatarColor: agentContext?.avatar_color,
-                  url: currentUrl,
-                  status: session.currentContext?.pageType || 'browsing',
-                  actionCount: status.actionsCompleted,
-                  lastAction: `${status.elapsedMinutes}/${minSessionMinutes} min`,
-                  aiFrequency: session.getCallFrequencyStatus(),
-                  stats: stats // Include RPG stats
-                })
-              });
-            } catch (e) {
-              // Server not available, skip
-            }
-          } catch (e) {
-            // Status update failed
-          }
-        }, 5000);
-        
-        while (!session.hasReachedMinimum()) {
-          try {
-            // Safety check: is browser still connected?
-            const browserInstance = context.browser();
-            if (browserInstance && !browserInstance.isConnected()) {
-              throw new Error('BROWSER_DISCONNECTED');
-            }
-
-            // Page Recovery: If page was closed (e.g. by ChatGPT glitch), recover
-            if (!page || page.isClosed()) {
-                const allPages = context.pages();
-                if (allPages.length > 0) {
-                    // Switch to the last available page (likely the original one)
-                    page = allPages[allPages.length - 1];
-                    console.log(`[TabManager] Recovered focus to existing tab: ${page.url()}`);
-                    try { await page.bringToFront(); } catch(e) {}
-                } else {
-                    // No pages left, create new one
-                    console.warn('[Session] All pages closed. Recreating main page...');
-                    page = await context.newPage();
-                    await page.goto('https://www.google.com', { waitUntil: 'domcontentloaded' });
-                }
-            }
-
-            // Update context from current page
-            try {
-                session.updateContext(page.url());
-            } catch (e) {
-                // If accessing url fails, we might need one more check
-                if (!page || page.isClosed()) continue; 
-            }
-            
-            // Check if stuck on same URL
-            if (session.isStuckOnSameUrl()) {
-              console.log('[Session] Detected stuck on same URL. Triggering recovery...');
-              throw new Error('Stuck on same URL - triggering recovery');
-            }
-            
-            // DYNAMIC: Scan page content to detect available elements
-            const pageContent = await session.scanPageContent(page);
-            
-            if (pageContent.isErrorPage) {
-                console.log('\n[Session] ❌ Network error page detected.');
-                
-                // Step 1: Try reloading the current page
-                console.log('[Session] Step 1: Reloading page...');
-                try {
-                    await page.reload({ waitUntil: 'domcontentloaded', timeout: 15000 });
-                    await page.waitForTimeout(3000);
-                    const afterReload = await session.scanPageContent(page);
-                    if (!afterReload.isErrorPage) {
-                        console.log('[Session] ✅ Page recovered after reload!');
-                        continue; // Resume session loop
-                    }
-                } catch (e) {
-                    console.warn('[Session] Reload failed:', e.message);
-                }
-                
-                // Step 2: Try navigating to Google
-                console.log('[Session] Step 2: Navigating to Google...');
-                try {
-                    await page.goto('https://www.google.com', { waitUntil: 'domcontentloaded', timeout: 15000 });
-                    await page.waitForTimeout(3000);
-                    const afterGoogle = await session.scanPageContent(page);
-                    if (!afterGoogle.isErrorPage) {
-                        console.log('[Session] ✅ Google loaded. Resuming session from Google.');
-                        session.updateContext(page.url());
-                        continue; // Resume session loop
-                    }
-                } catch (e) {
-                    console.warn('[Session] Google navigation failed:', e.message);
-                }
-                
-                // Step 3: Rotate proxy (last resort)
-                console.log('[Session] Step 3: All recovery failed. Rotating proxy...');
-                await page.waitForTimeout(5000);
-                throw new Error('BROWSER_CRASHED'); // Force rotation by crashing to outer loop
-            }
-            
-            // Generate next action chain based on actual page content (await async AI generation)
-            const actionChain = await session.generateNextAction(page, pageContent);
-            
-            if (!actionChain || !Array.isArray(actionChain) || actionChain.length === 0) {
-              console.log('[Session] No more actions or invalid chain. Ending session.');
-              break;
-            }
-            
-            // Execute each action in the chain sequentially
-            for (const nextAction of actionChain) {
-              // Display session status for each step
-              const status = session.getStatus();
-              console.log(`\n[Session] ${status.elapsedMinutes}/${minSessionMinutes} min | Step: ${nextAction.action} (${status.actionsCompleted + 1}) | Page: ${status.pageType}`);
-              
-              // Execute the action
-              let actionFn = ACTION_REGISTRY[nextAction.action];
-              
-              // Map 'read' to 'browse' if not explicitly defined
-              if (!actionFn && nextAction.action === 'read') {
-                  console.log('[Session] Mapping "read" action to "browse" implementation');
-                  actionFn = ACTION_REGISTRY['browse'];
-              }
-
-              if (actionFn) {
-                try {
-                  await actionFn(page, { ...nextAction.params, isRetry });
-                  session.recordAction(nextAction.action, nextAction.params, 'success');
-                  
-                  // Update RPG Stats
-                  const updatedStats = await browserManager.updateStats(profileName, nextAction.action, {
-                    url: page.url(),
-                    keyword: nextAction.params.keyword
-                  });
-                  session.updateStats(updatedStats); // Sync with AI
-                } catch (actionError) {
-                  // Record error in stats
-                  const updatedStats = await browserManager.updateStats(profileName, 'error');
-                  session.updateStats(updatedStats); // Sync with AI
-
-                  if (actionError.message === 'NO_VIDEO_FOUND') {
-                    console.log('[Session] Fallback: No video found during watch. Switching to browse behavior...');
-                    const browseFn = ACTION_REGISTRY['browse'];
-                    if (browseFn) {
-                      await browseFn(page, { iterations: 10 });
-                      session.recordAction('browse', { iterations: 10, note: 'fallback from watch' }, 'success');
-                      await browserManager.updateStats(profileName, 'browse');
-                    }
-                  } else {
-                    console.warn(`[Session] Action error: ${actionError.message}. Skipping remaining chain.`);
-                    session.recordAction(nextAction.action, nextAction.params, 'error', actionError.message);
-                    break; // Stop current chain on error
-                  }
-                }
-              } else {
-                console.warn(`[Session] Unknown action: ${nextAction.action}`);
-              }
-              
-              // Brief pause between steps for stability
-              await page.waitForTimeout(2000);
-              session.updateContext(page.url());
-            }
-            
-          } catch (sessionError) {
-            console.error(`[Session] Error during action: ${sessionError.message}`);
-            
-            // CRITICAL: Detect browser crash or Network failure - cannot be recovered in-session
-            if (sessionError.message.includes('Page crashed') || 
-                sessionError.message.includes('Target crashed') ||
-                sessionError.message.includes('Browser closed') ||
-                sessionError.message.includes('ERR_PROXY_CONNECTION_FAILED') ||
-                sessionError.message.includes('ERR_TUNNEL_CONNECTION_FAILED') ||
-                sessionError.message.includes('ERR_CONNECTION_RESET') ||
-                sessionError.message.includes('ERR_NAME_NOT_RESOLVED') ||
-                sessionError.message.includes('ERR_CONNECTION_TIMED_OUT') ||
-                sessionError.message.includes('ERR_CONNECTION_CLOSED')) {
-              console.error(`[Session] CRITICAL: ${sessionError.message}. Restarting browser required.`);
-              throw new Error('BROWSER_CRASHED'); // Signal outer retry loop to restart
-            }
-            
-            console.log('[Session] Recovering by starting a new task...');
-            
-            // Recovery strategy: Navigate to a safe page and start fresh
-            try {
-              const currentUrl = page.url();
-              
-              // If we're stuck on an error page or the same URL, navigate to a fresh start
-              if (sessionError.message.includes('Stuck on same URL') ||
-                  sessionError.message.includes('not visible') || 
-                  sessionError.message.includes('Target') || 
-                  sessionError.message.includes('closed')) {
-                const recoveryActions = [
-                  { url: 'https://www.youtube.com', type: 'youtube_home' },
-                  { url: 'https://news.google.com', type: 'news' },
-                  { url: 'https://github.com/trending', type: 'github_general' }
-                ];
-                
-                const recovery = recoveryActions[Math.floor(Math.random() * recoveryActions.length)];
-                console.log(`[Session] Navigating to ${recovery.url} to recover...`);
-                
-                await page.goto(recovery.url, { waitUntil: 'domcontentloaded', timeout: 15000 });
-                session.updateContext(recovery.url);
-                session.resetStuckCounter(); // Reset stuck detection after recovery
-                session.updateContext(page.url());
-                
-                console.log(`[Session] Recovery successful. Context: ${session.currentContext.pageType}`);
-              }
-            } catch (recoveryError) {
-              console.warn(`[Session] Recovery navigation failed: ${recoveryError.message}`);
-              
-              // If recovery also fails with crash, propagate up
-              if (recoveryError.message.includes('crashed')) {
-                throw new Error('BROWSER_CRASHED');
-              }
-            }
-            
-            // Brief pause before continuing
-            await page.waitForTimeout(3000);
-          }
-        }
-        
-        clearInterval(statusInterval);
-        const finalStatus = session.end();
-        console.log('\n=== SESSION COMPLETED ===');
-        console.log(`Duration: ${finalStatus.elapsedMinutes} minutes`);
-        console.log(`Actions: ${finalStatus.actionsCompleted}`);
-        console.log(`Final URL: ${finalStatus.currentUrl}`);
-      }
-      
-      success = true;
-
-    } catch (error) {
-      if (error.message === 'BROWSER_CRASHED' && attempt < maxAttempts) {
-        console.error('\n>>> BROWSER CRASHED! Restarting with new fingerprint...');
-        // Close current context if still available
-        try {
-          if (context) await context.close();
-        } catch (e) {
-          // Context already dead, ignore
-        }
-        attempt++;
-      } else if (error.message === 'CAPTCHA_DETECTED' && attempt < maxAttempts) {
-        console.error('\n>>> CAPTCHA detected on first attempt. Retrying...');
-        attempt++;
-      } else if (error.message === 'FINGERPRINT_RETRY' && attempt < maxAttempts) {
-        console.error('\n>>> Retrying with fresh fingerprint...');
-        attempt++;
-      } else if ((error.message.includes('Failed to get proxy ip') ||
-                  error.message.includes('Failed to launch browser') ||
-                  error.message.includes('Incorrect format')) && attempt < maxAttempts) {
-        // Proxy is dead/expired - try to fetch a fresh one from dynamic provider
-        console.error(`\n>>> Proxy error: ${error.message}. Trying to refresh proxy...`);
-        if (agentContext && agentContext.proxy_provider && agentContext.proxy_provider.mode === 'dynamic') {
-            const freshProxy = await fetchProxyFromProvider(agentContext.proxy_provider);
-            if (freshProxy) {
-                console.log(`[ProxyRefresh] Got fresh proxy: ${freshProxy}`);
-                proxy = freshProxy;
-            } else {
-                console.warn('[ProxyRefresh] Could not get fresh proxy. Retrying with no proxy...');
-                proxy = null;
-            }
-        }
-        try { if (context) await context.close(); } catch (e) {}
-        attempt++;
-      } else if ((error.message.includes('Page crashed') || 
-                  error.message.includes('Target page, context or browser has been closed') || 
-                  error.message.includes('Target closed') || 
-                  error.message.includes('ERR_CONNECTION_TIMED_OUT') ||
-                  error.message.includes('ERR_PROXY_CONNECTION_FAILED') ||
-                  error.message.includes('ERR_TUNNEL_CONNECTION_FAILED') ||
-                  error.message.includes('ERR_CONNECTION_RESET') ||
-                  error.message.includes('ERR_NAME_NOT_RESOLVED') ||
-                  error.message.includes('ERR_CONNECTION_CLOSED')) && attempt < maxAttempts) {
-        console.error(`\n>>> Browser Crash/Network Error detected: ${error.message}. Retrying...`);
-        attempt++;
-      } else if (error.message === 'CAPTCHA_TIMEOUT') {
-        console.error('\n>>> Manual CAPTCHA resolution timed out. Closing...');
-        break;
-      } else {
-        console.error('\nExecution failed:', error.message);
-        break;
-      }
-    } finally {
-      console.log('Closing browser in 5 seconds...');
-      if (page && !page.isClosed()) {
-        await page.waitForTimeout(5000);
-      }
-      if (typeof context !== 'undefined') {
-        await context.close();
-      }
+  // Graceful stop: SIGINT/SIGTERM, or a {"type":"stop"} line on stdin (Windows has no SIGTERM
+  // for child processes, so the web manager uses stdin there). A second request exits at once.
+  let stopRequested = false;
+  const requestStop = (reason) => {
+    if (stopRequested) {
+      console.warn('[Agent] Second stop request. Exiting immediately.');
+      process.exit(1);
     }
+    stopRequested = true;
+    run.stop(reason);
+  };
+  process.on('SIGINT', () => requestStop('SIGINT'));
+  process.on('SIGTERM', () => requestStop('SIGTERM'));
+  if (!process.stdin.isTTY) {
+    readEvents(process.stdin, (message) => {
+      if (message.type === 'stop') requestStop(message.reason || 'stop requested');
+    });
+  }
+
+  let result;
+  try {
+    result = await run.result;
+  } catch (e) {
+    // Invalid workflow, plan, checkpoint or retry policy - nothing was launched
+    console.error(`\n>>> ${e.message}`);
+    process.exit(1);
   }
 
-  if (success) {
+  // The run is over; stop listening for stop requests so nothing keeps the process alive
+  process.stdin.destroy();
+
+  if (result.success) {
+    process.exit(0);
+  } else if (result.stopped) {
+    console.log('\n>>> Stopped on request.');
     process.exit(0);
+  } else if (result.assertions?.failed > 0) {
+    console.error(`\n>>> ${result.assertions.failed} assertion(s) failed:`);
+    result.assertions.failures.forEach(failure => console.error(`  - ${failure}`));
+    process.exit(2);
   } else {
     console.error('\n>>> Process finished with FAILURE status.');
-    console.log('Closing in 20 seconds...');
-    setTimeout(() => process.exit(1), 20000);
+    process.exitCode = 1;
   }
 }
 
 main().catch((err) => {
   console.error('\n!!! CRITICAL ERROR !!!');
   console.error(err);
-  console.log('\nClosing in 20 seconds...');
-  setTimeout(() => process.exit(1), 20000);
+  process.stdin.destroy();
+  process.exitCode = 1;
 });
@@ -0,0 +1,303 @@
+import fs from 'fs-extra';
+import path from 'path';
+import axios from 'axios';
+import { PreflightError } from './errors.js';
+
+/**
+ * Preflight Check
+ * Runs before BrowserManager.launch() and compares what the browser is about to claim:
+ *
+ *   - the fingerprint (user agent, navigator.platform, language, screen, touch points)
+ *   - the proxy exit IP's country (looked up through the proxy; SOCKS proxies cannot be checked before launch)
+ *   - the profile config (tags, optional "country" the exit IP must be in)
+ *
+ * Every check is 'ok', 'warn' (suspicious, e.g. en-US browser behind a Vietnamese IP) or 'fail'
+ * (contradictory, e.g. Windows tags with an Android fingerprint, a mobile UA with a desktop screen).
+ * The latest result is written to <profile>/preflight.json and appended to <profile>/preflight_history.jsonl
+ * (which keeps the last HISTORY_LIMIT results).
+ *
+ * Mode (config preflight.mode, or "preflight" in the profile config.json):
+ *   enforce - failures stop the launch with PreflightError
+ *   warn    - report only (default: the geo lookup goes to an external service that may be unreachable)
+ *   off     - skip the check
+ * PreflightError is not retried by default; a retry policy rule such as
+ * { "PreflightError": { "remediation": "rotate_proxy" } } retries with a fresh dynamic proxy instead.
+ */
+
+export const PREFLIGHT_MODES = ['enforce', 'warn', 'off'];
+
+const RESULT_FILE = 'preflight.json';
+const HISTORY_FILE = 'preflight_history.jsonl';
+const HISTORY_LIMIT = 100;
+export const PREFLIGHT_FILES = [RESULT_FILE, HISTORY_FILE];
+const GEO_TIMEOUT_MS = 8000;
+// Window size for mobile fingerprints without a usable screen size
+const DEFAULT_MOBILE_WINDOW = '450,900';
+
+// Country -> languages a local browser plausibly uses (countries not listed accept any language)
+const COUNTRY_LANGUAGES = {
+  US: ['en', 'es'], GB: ['en'], CA: ['en', 'fr'], AU: ['en'], NZ: ['en'], IE: ['en'], IN: ['en', 'hi'], SG: ['en', 'zh'],
+  VN: ['vi'], TH: ['th'], ID: ['id'], MY: ['ms', 'en'], PH: ['en', 'fil'], JP: ['ja'], KR: ['ko'],
+  CN: ['zh'], TW: ['zh'], HK: ['zh', 'en'], DE: ['de'], AT: ['de'], CH: ['de', 'fr', 'it'], FR: ['fr'],
+  BE: ['nl', 'fr'], NL: ['nl'], ES: ['es'], MX: ['es'], AR: ['es'], CO: ['es'], BR: ['pt'], PT: ['pt'],
+  IT: ['it'], PL: ['pl'], RU: ['ru'], UA: ['uk', 'ru'], TR: ['tr'], SE: ['sv'], NO: ['nb', 'no'], DK: ['da'],
+  FI: ['fi'], CZ: ['cs'], RO: ['ro'], HU: ['hu'], GR: ['el'], IL: ['he'], SA: ['ar'], AE: ['ar', 'en'], EG: ['ar']
+};
+
+const OS_PATTERNS = [
+  ['android', /android/i],
+  ['ios', /iphone|ipad|ipod|\bios\b/i],
+  ['windows', /windows|win32|win64/i],
+  ['mac', /mac ?os|macintosh|macintel|\bmac\b|\bapple\b/i], // Not "AppleWebKit"
+  ['chromeos', /\bcros\b|chrome ?os/i],
+  ['linux', /linux|ubuntu|x11/i]
+];
+
+const BROWSER_PATTERNS = [
+  ['edge', /edg(e|a|ios)?\//i, /\bedge\b/i],
+  ['opera', /opr\/|opera/i, /\bopera\b/i],
+  ['yandex', /yabrowser/i, /\byandex\b/i],
+  ['firefox', /firefox|fxios/i, /\bfirefox\b/i],
+  ['chrome', /chrome|crios/i, /\bchrome\b/i],
+  ['safari', /safari/i, /\bsafari\b/i]
+];
+
+function detectOs(text) {
+  if (!text) return null;
+  const match = OS_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+function detectBrowser(userAgent) {
+  if (!userAgent) return null;
+  const match = BROWSER_PATTERNS.find(([, uaPattern]) => uaPattern.test(userAgent));
+  return match ? match[0] : null;
+}
+
+function first(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Pull the fields the checks need out of a fingerprint (object, JSON string or opaque token).
+ * Missing fields are null and their checks are skipped.
+ * @param {object|string} fingerprint
+ */
+export function describeFingerprint(fingerprint) {
+  let fp = fingerprint;
+  if (typeof fp === 'string') {
+    try {
+      fp = JSON.parse(fp);
+    } catch (e) {
+      fp = {};
+    }
+  }
+  fp = fp && typeof fp === 'object' ? fp : {};
+  const nav = fp.navigator || {};
+  const screen = fp.screen || {};
+  const languages = first(nav.languages, fp.languages);
+  const userAgent = first(nav.userAgent, fp.userAgent, fp.ua) || null;
+  const width = parseInt(first(screen.width, fp.width));
+  const height = parseInt(first(screen.height, fp.height));
+  const touch = parseInt(first(nav.maxTouchPoints, fp.maxTouchPoints));
+
+  return {
+    userAgent,
+    platform: first(nav.platform, fp.platform) || null,
+    language: first(nav.language, Array.isArray(languages) ? languages[0] : null, fp.language, fp.lang) || null,
+    screen: width && height ? { width, height } : null,
+    maxTouchPoints: Number.isNaN(touch) ? null : touch,
+    mobile: userAgent ? /android|iphone|ipad|ipod|mobile/i.test(userAgent) : false
+  };
+}
+
+/**
+ * Country of the IP the browser will appear from, looked up through the proxy.
+ * @param {string|null} proxy - Normalized proxy URL (null = direct connection).
+ * @returns {Promise<{ip: string, country: string, countryCode: string, city: string, timezone: string}|{error: string}>}
+ */
+export async function lookupExitGeo(proxy) {
+  const request = { timeout: GEO_TIMEOUT_MS, url: 'https://ipwho.is/' };
+  if (proxy) {
+    let parsed;
+    try {
+      parsed = new URL(proxy);
+    } catch (e) {
+      return { error: `unreadable proxy '${proxy}'` };
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+      return { error: `${parsed.protocol.replace(':', '')} proxies cannot be checked before launch` };
+    }
+    // Plain HTTP through the proxy: axios does not tunnel HTTPS through HTTP proxies reliably
+    request.url = 'http://ipwho.is/';
+    request.proxy = {
+      protocol: parsed.protocol.replace(':', ''),
+      host: parsed.hostname,
+      port: parseInt(parsed.port) || (parsed.protocol === 'https:' ? 443 : 80),
+      auth: parsed.username ? { username: decodeURIComponent(parsed.username), password: decodeURIComponent(parsed.password) } : undefined
+    };
+  }
+  try {
+    const { data } = await axios.request(request);
+    if (!data || data.success === false || !data.country_code) {
+      return { error: data?.message || 'no country in the geo lookup response' };
+    }
+    return { ip: data.ip, country: data.country, countryCode: data.country_code, city: data.city, timezone: data.timezone?.id || null };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/**
+ * Compare fingerprint, exit geo and profile config.
+ * @param {object} input
+ * @param {ReturnType<typeof describeFingerprint>} input.fingerprint
+ * @param {object|null} input.geo - lookupExitGeo() result.
+ * @param {object} [input.profileConfig] - The profile's config.json.
+ * @returns {Array<{check: string, level: 'ok'|'warn'|'fail', message: string}>}
+ */
+export function checkConsistency({ fingerprint, geo, profileConfig = {} }) {
+  const checks = [];
+  const add = (check, level, message) => checks.push({ check, level, message });
+  const { userAgent, platform, language, screen, maxTouchPoints, mobile } = fingerprint;
+  const uaOs = detectOs(userAgent);
+
+  if (!userAgent) add('fingerprint', 'warn', 'Fingerprint has no readable user agent; fingerprint checks skipped');
+
+  // Profile tags vs fingerprint
+  const tags = Array.isArray(profileConfig.tags) ? profileConfig.tags : [];
+  const tagOs = tags.map(detectOs).find(Boolean);
+  if (tagOs && uaOs) {
+    add('tags_os', tagOs === uaOs ? 'ok' : 'fail', tagOs === uaOs
+      ? `Fingerprint OS matches the profile tags (${uaOs})`
+      : `Profile tags ask for ${tagOs} but the fingerprint is ${uaOs}`);
+  }
+  const tagBrowser = BROWSER_PATTERNS.find(([, , tagPattern]) => tags.some(tag => tagPattern.test(tag)))?.[0];
+  const uaBrowser = detectBrowser(userAgent);
+  if (tagBrowser && uaBrowser) {
+    add('tags_browser', tagBrowser === uaBrowser ? 'ok' : 'warn', tagBrowser === uaBrowser
+      ? `Fingerprint browser matches the profile tags (${uaBrowser})`
+      : `Profile tags ask for ${tagBrowser} but the user agent is ${uaBrowser}`);
+  }
+
+  // navigator.platform vs user agent ("Linux armv8l" is what Android reports)
+  const platformOs = detectOs(platform);
+  if (platformOs && uaOs) {
+    const consistent = platformOs === uaOs || (uaOs === 'android' && platformOs === 'linux') || (uaOs === 'ios' && platformOs === 'mac');
+    add('platform', consistent ? 'ok' : 'fail', consistent
+      ? `navigator.platform '${platform}' fits the ${uaOs} user agent`
+      : `navigator.platform '${platform}' contradicts the ${uaOs} user agent`);
+  }
+
+  // Mobile user agents need a phone-sized screen and touch support
+  if (userAgent && screen) {
+    const shortSide = Math.min(screen.width, screen.height);
+    if (mobile && shortSide > 1100) {
+      add('screen', 'fail', `Mobile user agent with a desktop screen (${screen.width}x${screen.height})`);
+    } else if (!mobile && screen.width < 800) {
+      add('screen', 'warn', `Desktop user agent with a small screen (${screen.width}x${screen.height})`);
+    } else {
+      add('screen', 'ok', `Screen ${screen.width}x${screen.height} fits a ${mobile ? 'mobile' : 'desktop'} user agent`);
+    }
+  }
+  if (mobile && maxTouchPoints === 0) {
+    add('touch', 'fail', 'Mobile user agent without touch support (maxTouchPoints 0)');
+  }
+
+  // Exit IP vs profile and language
+  if (!geo || geo.error) {
+    add('geo', 'warn', `Could not determine the exit IP's country${geo?.error ? `: ${geo.error}` : ''}`);
+  } else {
+    const country = geo.countryCode.toUpperCase();
+    if (profileConfig.country) {
+      const expected = String(profileConfig.country).toUpperCase();
+      add('country', expected === country ? 'ok' : 'fail', expected === country
+        ? `Exit IP ${geo.ip} is in ${country} as the profile requires`
+        : `Profile requires ${expected} but the exit IP ${geo.ip} is in ${country} (${geo.country})`);
+    }
+    if (language) {
+      const [lang, region] = language.toLowerCase().split(/[-_]/);
+      const local = COUNTRY_LANGUAGES[country];
+      const fits = (region && region.toUpperCase() === country) || (local ? local.includes(lang) : true);
+      add('language', fits ? 'ok' : 'warn', fits
+        ? `Browser language ${language} is plausible for ${country}`
+        : `Browser language ${language} is unusual for an IP in ${geo.country} (expected ${local.join('/')})`);
+    }
+  }
+  return checks;
+}
+
+function overallStatus(checks) {
+  if (checks.some(c => c.level === 'fail')) return 'fail';
+  if (checks.some(c => c.level === 'warn')) return 'warn';
+  return 'ok';
+}
+
+// Append one result to the history file, dropping the oldest beyond HISTORY_LIMIT
+async function appendHistory(file, result) {
+  const lines = await fs.pathExists(file) ? (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean) : [];
+  lines.push(JSON.stringify(result));
+  await fs.writeFile(file, lines.slice(-HISTORY_LIMIT).join('\n') + '\n');
+}
+
+/**
+ * Run the preflight check for a profile and store the result in its folder.
+ * @param {object} options
+ * @param {string} options.profileName
+ * @param {string} options.profilePath
+ * @param {object|string} options.fingerprint
+ * @param {string|null} [options.proxy] - Normalized proxy the launch will use.
+ * @param {string} [options.mode='warn'] - Global mode; the profile config's "preflight" wins.
+ * @param {boolean} [options.skip=false] - Skip the check whatever the mode (still returns the window size).
+ * @param {(proxy: string|null) => Promise<object>} [options.lookupGeo] - Geo lookup (default lookupExitGeo).
+ * @returns {Promise<{status: string, mode: string, checkedAt: string, checks: object[], geo: object|null, mobile: boolean, windowSize: string|null}>}
+ * @throws {PreflightError} In enforce mode when a check fails.
+ */
+export async function runPreflight({ profileName, profilePath, fingerprint, proxy = null, mode = 'warn', skip = false, lookupGeo = lookupExitGeo }) {
+  const configPath = path.join(profilePath, 'config.json');
+  const profileConfig = await fs.pathExists(configPath) ? await fs.readJson(configPath).catch(() => ({})) : {};
+  const effectiveMode = skip ? 'off' : profileConfig.preflight || mode;
+  if (!PREFLIGHT_MODES.includes(effectiveMode)) {
+    throw new Error(`Unknown preflight mode '${effectiveMode}' (expected: ${PREFLIGHT_MODES.join(', ')})`);
+  }
+
+  const described = describeFingerprint(fingerprint);
+  const { screen } = described;
+  const windowSize = described.mobile
+    ? (screen && Math.max(screen.width, screen.height) <= 1400 ? `${screen.width},${screen.height}` : DEFAULT_MOBILE_WINDOW)
+    : null;
+  if (effectiveMode === 'off') {
+    return { status: 'skipped', mode: effectiveMode, checkedAt: new Date().toISOString(), checks: [], geo: null, mobile: described.mobile, windowSize };
+  }
+
+  console.log(`[Preflight] Checking fingerprint, proxy and profile config for '${profileName}'...`);
+  const geo = await lookupGeo(proxy || null);
+  const checks = checkConsistency({ fingerprint: described, geo, profileConfig });
+  const result = {
+    status: overallStatus(checks),
+    mode: effectiveMode,
+    checkedAt: new Date().toISOString(),
+    profile: profileName,
+    proxy: proxy ? proxy.replace(/\/\/[^@/]*@/, '//***@') : null,
+    geo,
+    fingerprint: { userAgent: described.userAgent, platform: described.platform, language: described.language, screen },
+    checks,
+    mobile: described.mobile,
+    windowSize
+  };
+
+  for (const { level, message } of checks.filter(c => c.level !== 'ok')) {
+    console[level === 'fail' ? 'error' : 'warn'](`[Preflight] ${level.toUpperCase()}: ${message}`);
+  }
+  console.log(`[Preflight] ${result.status.toUpperCase()} (${checks.length} checks${geo && !geo.error ? `, exit IP ${geo.ip} ${geo.countryCode}` : ''})`);
+
+  await fs.ensureDir(profilePath);
+  await fs.writeJson(path.join(profilePath, RESULT_FILE), result, { spaces: 2 });
+  await appendHistory(path.join(profilePath, HISTORY_FILE), result);
+
+  if (result.status === 'fail' && effectiveMode === 'enforce') {
+    const failed = checks.filter(c => c.level === 'fail').map(c => c.message);
+    throw new PreflightError(`Preflight failed for '${profileName}': ${failed.join('; ')}`, { code: 'PREFLIGHT_FAILED' });
+  }
+  return result;
+}
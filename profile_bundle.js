@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import * as tar from 'tar';
+import { LOCK_FILE } from './profile_lock.js';
+import { getConfig } from './config.js';
+import { NAME_PATTERN } from './profile_templates.js';
+
+/**
+ * Profile Bundles
+ * Moves a profile between machines as one .tar.gz:
+ *
+ *   manifest.json        { format, version, profile, createdAt, userData, storage, contexts, files, checksum }
+ *   profile/             config.json, fingerprint.json, stats.json, history.json, agent_context.json
+ *                        (+ the rest of the user data dir with --include-user-data, caches left out)
+ *   storage.json         cookies + localStorage (Playwright storage state, taken from the running browser)
+ *   contexts/<file>      agent context files the profile was run with (data/contexts)
+ *
+ * Every file is listed in the manifest with its sha256; `checksum` is the sha256 of that list
+ * ("<sha256>  <path>" lines, like sha256sum). Import refuses a bundle when anything differs.
+ *
+ * Cookies are always re-applied from storage.json on import, even with the user data dir:
+ * Chromium encrypts its cookie database with a key tied to the machine.
+ *
+ *   node open.js --profile aaa --export-profile ./aaa.tar.gz [--include-user-data]
+ *   node open.js --import-profile ./aaa.tar.gz [--profile bbb] [--overwrite]
+ */
+
+export const BUNDLE_FORMAT = 'browser-control-profile';
+export const BUNDLE_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const STORAGE_FILE = 'storage.json';
+// Agent context files a profile was run with: [{ file, usedAt }]
+export const CONTEXTS_INDEX = 'contexts.json';
+
+// Always bundled (when present)
+const PROFILE_FILES = ['config.json', 'fingerprint.json', 'stats.json', 'history.json', 'agent_context.json'];
+
+// Never bundled: machine-local state and caches Chromium rebuilds on its own
+const SKIPPED_ROOT = new Set([LOCK_FILE, CONTEXTS_INDEX, 'runs', 'SingletonLock', 'SingletonSocket', 'SingletonCookie', 'lockfile', 'RunningChromeVersion']);
+const SKIPPED_DIRS = new Set([
+  'Cache', 'Code Cache', 'GPUCache', 'ShaderCache', 'GrShaderCache', 'GraphiteDawnCache', 'DawnCache',
+  'DawnGraphiteCache', 'DawnWebGPUCache', 'CacheStorage', 'ScriptCache', 'Crashpad', 'BrowserMetrics',
+  'component_crx_cache', 'optimization_guide_model_store'
+]);
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Checksum over a manifest file list.
+ * @param {Array<{path: string, sha256: string}>} files
+ */
+export function bundleChecksum(files) {
+  const lines = [...files].sort((a, b) => a.path.localeCompare(b.path)).map(f => `${f.sha256}  ${f.path}`);
+  return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+}
+
+// Regular files under dir as '/'-separated relative paths (symlinks are skipped)
+async function listFiles(dir, skip = () => false, prefix = '') {
+  const files = [];
+  if (!await fs.pathExists(dir)) return files;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (skip(rel, entry)) continue;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), skip, rel));
+    } else if (entry.isFile()) {
+      files.push(rel);
+    }
+  }
+  return files;
+}
+
+function skipUserData(rel, entry) {
+  if (!rel.includes('/') && SKIPPED_ROOT.has(rel)) return true;
+  return entry.isDirectory() && SKIPPED_DIRS.has(entry.name);
+}
+
+/**
+ * Remember that a profile ran with an agent context file, so its bundle carries it.
+ * @param {string} profilePath
+ * @param {string} contextFile
+ */
+export async function recordContextFile(profilePath, contextFile) {
+  const indexPath = path.join(profilePath, CONTEXTS_INDEX);
+  const file = path.resolve(contextFile);
+  let index = [];
+  try {
+    index = await fs.readJson(indexPath);
+  } catch (e) {
+    // First context for this profile
+  }
+  index = index.filter(entry => entry.file !== file);
+  index.push({ file, usedAt: new Date().toISOString() });
+  await fs.writeJson(indexPath, index, { spaces: 2 });
+}
+
+/**
+ * Write a profile bundle. Run it while the browser is closed (and the profile locked).
+ * @param {string} profilePath
+ * @param {string} outFile - Bundle to write (.tar.gz).
+ * @param {object} [options]
+ * @param {string} [options.profile] - Profile name recorded in the manifest (default: folder name).
+ * @param {{cookies: object[], origins: object[]}} [options.storage] - Storage state to include.
+ * @param {boolean} [options.includeUserData] - Also pack the Chromium user data dir (without caches).
+ * @returns {Promise<{file: string, profile: string, files: number, bytes: number, userData: boolean, cookies: number, origins: number, contexts: number, checksum: string}>}
+ */
+export async function exportProfileBundle(profilePath, outFile, options = {}) {
+  const profile = options.profile || path.basename(profilePath);
+  if (!NAME_PATTERN.test(profile)) throw new Error(`Cannot bundle profile '${profile}': names may only use letters, digits, _ and -`);
+  if (!await fs.pathExists(profilePath)) throw new Error(`Profile not found: ${profilePath}`);
+
+  const stage = await fs.mkdtemp(path.join(os.tmpdir(), 'profile-bundle-'));
+  try {
+    // Profile files (and the user data dir) are copied first, so the bundle is one consistent snapshot
+    const profileFiles = options.includeUserData
+      ? await listFiles(profilePath, skipUserData)
+      : (await Promise.all(PROFILE_FILES.map(async name => await fs.pathExists(path.join(profilePath, name)) ? name : null))).filter(Boolean);
+    for (const rel of profileFiles) {
+      await fs.copy(path.join(profilePath, rel), path.join(stage, 'profile', rel));
+    }
+
+    if (options.storage) {
+      await fs.writeJson(path.join(stage, STORAGE_FILE), options.storage);
+    }
+
+    let contexts = [];
+    try {
+      contexts = await fs.readJson(path.join(profilePath, CONTEXTS_INDEX));
+    } catch (e) {
+      // Never run with an agent context
+    }
+    const contextNames = [];
+    for (const { file } of contexts) {
+      const name = path.basename(file);
+      if (contextNames.includes(name) || !await fs.pathExists(file)) continue;
+      await fs.copy(file, path.join(stage, 'contexts', name));
+      contextNames.push(name);
+    }
+
+    const files = [];
+    for (const rel of await listFiles(stage)) {
+      const { size } = await fs.stat(path.join(stage, rel));
+      files.push({ path: rel, size, sha256: await sha256File(path.join(stage, rel)) });
+    }
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      profile,
+      createdAt: new Date().toISOString(),
+      userData: !!options.includeUserData,
+      storage: options.storage ? { cookies: (options.storage.cookies || []).length, origins: (options.storage.origins || []).length } : null,
+      contexts: contextNames,
+      files,
+      checksum: bundleChecksum(files)
+    };
+    await fs.writeJson(path.join(stage, MANIFEST_FILE), manifest, { spaces: 2 });
+
+    await fs.ensureDir(path.dirname(path.resolve(outFile)));
+    await tar.create({ gzip: true, portable: true, file: outFile, cwd: stage }, [MANIFEST_FILE, ...files.map(f => f.path)]);
+    const { size: bytes } = await fs.stat(outFile);
+    console.log(`[ProfileBundle] Exported '${profile}' to ${outFile} (${files.length} files, ${Math.round(bytes / 1024)} KB${manifest.userData ? ', with user data' : ''})`);
+    return {
+      file: path.resolve(outFile),
+      profile,
+      files: files.length,
+      bytes,
+      userData: manifest.userData,
+      cookies: manifest.storage ? manifest.storage.cookies : 0,
+      origins: manifest.storage ? manifest.storage.origins : 0,
+      contexts: contextNames.length,
+      checksum: manifest.checksum
+    };
+  } finally {
+    await fs.remove(stage).catch(() => {});
+  }
+}
+
+function checkManifest(manifest) {
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) throw new Error('Not a profile bundle (manifest.json missing or of another format)');
+  if (manifest.version > BUNDLE_VERSION) throw new Error(`Profile bundle version ${manifest.version} is newer than supported (${BUNDLE_VERSION})`);
+  if (!Array.isArray(manifest.files)) throw new Error('Profile bundle manifest has no file list');
+  // The name becomes the profile folder when the importer does not pick one
+  if (typeof manifest.profile !== 'string' || !NAME_PATTERN.test(manifest.profile)) {
+    throw new Error(`Profile bundle has an invalid profile name: ${JSON.stringify(manifest.profile)}`);
+  }
+  const unsafe = [...manifest.files.map(f => String(f.path)), ...(manifest.contexts || []).map(name => `contexts/${name}`)]
+    .find(rel => path.isAbsolute(rel) || rel.split(/[\\/]/).includes('..'));
+  if (unsafe) throw new Error(`Profile bundle lists a path outside the bundle: ${unsafe}`);
+  return manifest;
+}
+
+/**
+ * Read a bundle's manifest without unpacking it.
+ * @param {string} file
+ * @throws {Error} When the file is not a profile bundle.
+ */
+export async function readBundleManifest(file) {
+  if (!await fs.pathExists(file)) throw new Error(`Profile bundle not found: ${file}`);
+  const chunks = [];
+  try {
+    await tar.list({
+      file,
+      filter: p => p === MANIFEST_FILE,
+      onReadEntry: entry => entry.on('data', chunk => chunks.push(chunk))
+    });
+  } catch (e) {
+    throw new Error(`Profile bundle is not a readable .tar.gz: ${e.message}`);
+  }
+  let manifest = null;
+  try {
+    manifest = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+  } catch (e) {
+    throw new Error(`Profile bundle manifest is not valid JSON: ${e.message}`);
+  }
+  return checkManifest(manifest);
+}
+
+/**
+ * Unpack and verify a bundle into a profile folder. The caller holds the profile's lock.
+ * @param {string} file
+ * @param {string} profilePath
+ * @param {object} [options]
+ * @param {boolean} [options.overwrite] - Replace a profile that already has data.
+ * @param {string} [options.contextsDir] - Where agent context files go (default: <dataDir>/contexts).
+ * @returns {Promise<{profile: string, manifest: object, storage: object|null, files: number, userData: boolean, contexts: number}>}
+ *   `storage` is the bundled storage state, to be applied with a browser (cookie_import.js).
+ * @throws {Error} On a damaged or tampered bundle, or when the profile exists without `overwrite`.
+ */
+export async function importProfileBundle(file, profilePath, options = {}) {
+  const contextsDir = options.contextsDir || path.join(getConfig().paths.dataDir, 'contexts');
+  if (!await fs.pathExists(file)) throw new Error(`Profile bundle not found: ${file}`);
+
+  const stage = await fs.mkdtemp(path.join(os.tmpdir(), 'profile-bundle-'));
+  try {
+    try {
+      // Plain files and folders only: links could point outside the profile
+      await tar.extract({ file, cwd: stage, filter: (p, entry) => entry.type === 'File' || entry.type === 'Directory' });
+    } catch (e) {
+      throw new Error(`Profile bundle is not a readable .tar.gz: ${e.message}`);
+    }
+    let manifest = null;
+    try {
+      manifest = await fs.readJson(path.join(stage, MANIFEST_FILE));
+    } catch (e) {
+      // Reported by checkManifest
+    }
+    checkManifest(manifest);
+
+    // Exactly the files the manifest lists, with the listed content
+    const listed = new Map(manifest.files.map(f => [f.path, f]));
+    const present = (await listFiles(stage)).filter(rel => rel !== MANIFEST_FILE);
+    const extra = present.filter(rel => !listed.has(rel));
+    if (extra.length > 0) throw new Error(`Profile bundle contains files missing from its manifest: ${extra.slice(0, 5).join(', ')}`);
+    for (const entry of manifest.files) {
+      const target = path.join(stage, entry.path);
+      if (!await fs.pathExists(target)) throw new Error(`Profile bundle is missing ${entry.path}`);
+      if (await sha256File(target) !== entry.sha256) throw new Error(`Checksum mismatch for ${entry.path}: the bundle is damaged`);
+    }
+    if (bundleChecksum(manifest.files) !== manifest.checksum) throw new Error('Profile bundle checksum mismatch: the manifest was modified');
+
+    await fs.ensureDir(profilePath);
+    const existing = (await fs.readdir(profilePath)).filter(name => name !== LOCK_FILE);
+    if (existing.length > 0) {
+      if (!options.overwrite) throw new Error(`Profile '${path.basename(profilePath)}' already exists (import with overwrite to replace it)`);
+      console.log(`[ProfileBundle] Replacing existing profile data in ${profilePath}`);
+      for (const name of existing) await fs.remove(path.join(profilePath, name));
+    }
+    if (await fs.pathExists(path.join(stage, 'profile'))) {
+      await fs.copy(path.join(stage, 'profile'), profilePath);
+    }
+
+    // Context files keep their names; one already there is left alone
+    const contexts = [];
+    for (const name of manifest.contexts || []) {
+      const source = path.join(stage, 'contexts', name);
+      if (!await fs.pathExists(source)) continue;
+      const target = path.join(contextsDir, name);
+      await fs.copy(source, target, { overwrite: !!options.overwrite, errorOnExist: false });
+      contexts.push({ file: path.resolve(target), usedAt: manifest.createdAt });
+    }
+    if (contexts.length > 0) await fs.writeJson(path.join(profilePath, CONTEXTS_INDEX), contexts, { spaces: 2 });
+
+    const storagePath = path.join(stage, STORAGE_FILE);
+    const storage = await fs.pathExists(storagePath) ? await fs.readJson(storagePath) : null;
+    console.log(`[ProfileBundle] Imported '${manifest.profile}' into ${profilePath} (${manifest.files.length} files${manifest.userData ? ', with user data' : ''})`);
+    return {
+      profile: manifest.profile,
+      manifest,
+      storage,
+      files: manifest.files.length,
+      userData: !!manifest.userData,
+      contexts: contexts.length
+    };
+  } finally {
+    await fs.remove(stage).catch(() => {});
+  }
+}
@@ -0,0 +1,220 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { ProfileLockedError } from './errors.js';
+
+/**
+ * Profile Lock
+ * One browser per profile: two Chromium instances on one userDataDir corrupt it, and history.json /
+ * stats.json writes race. The holder writes <profile>/.lock ({ pid, hostname, instanceId, runId,
+ * acquiredAt, heartbeatAt }) with an exclusive create and refreshes heartbeatAt while it runs
+ * (temp file + rename, so readers never see a half-written lock).
+ *
+ * A lock is stale (and taken over) when its process is gone (same host) or its heartbeat is older
+ * than STALE_AFTER_MS (other hosts sharing the profiles folder, frozen processes). A lock file that
+ * cannot be read counts as busy: it has to be removed by hand.
+ *
+ * Each heartbeat first checks that the file on disk is still ours. When another process has taken
+ * the lock over, the heartbeat stops and `onLost` is called (agent runs stop).
+ *
+ *   const lock = await ProfileLock.acquire(profilePath, { profile: 'aaa', instanceId });
+ *   ...
+ *   await lock.release();
+ */
+
+export const LOCK_FILE = '.lock';
+const HEARTBEAT_MS = 15000;
+const STALE_AFTER_MS = 60000;
+
+// Locks held by this process, removed on exit even when release() is never reached
+const heldLocks = new Set();
+process.once('exit', () => {
+  for (const lock of heldLocks) {
+    try {
+      fs.removeSync(lock.lockPath);
+    } catch (e) {
+      // Nothing left to do at exit
+    }
+  }
+});
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM'; // Exists, owned by another user
+  }
+}
+
+/**
+ * Why a lock record no longer counts, or null while it is live.
+ * @param {object} holder - Lock file contents.
+ */
+export function staleReason(holder, now = Date.now()) {
+  if (!holder || !holder.pid) return null; // Unreadable: cannot tell who holds it, so it stays busy
+  if (holder.hostname === os.hostname() && !isProcessAlive(holder.pid)) return `process ${holder.pid} is gone`;
+  const heartbeat = Date.parse(holder.heartbeatAt || holder.acquiredAt);
+  if (!heartbeat || now - heartbeat > STALE_AFTER_MS) return `no heartbeat since ${holder.heartbeatAt || holder.acquiredAt}`;
+  return null;
+}
+
+async function readHolder(lockPath) {
+  try {
+    return await fs.readJson(lockPath);
+  } catch (e) {
+    return e.code === 'ENOENT' ? undefined : null; // undefined = no lock, null = unreadable
+  }
+}
+
+function isOwnedBy(holder, record) {
+  return !!holder && holder.pid === record.pid && holder.hostname === record.hostname && holder.acquiredAt === record.acquiredAt;
+}
+
+async function writeAtomic(lockPath, record) {
+  const temp = `${lockPath}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(record, null, 2));
+  try {
+    await fs.rename(temp, lockPath);
+  } catch (e) {
+    await fs.remove(temp).catch(() => {});
+    throw e;
+  }
+}
+
+export class ProfileLock {
+  constructor(lockPath, record) {
+    this.lockPath = lockPath;
+    this.record = record;
+    this.timer = null;
+    this.writing = null;
+    this.onLost = null; // (holder) => void, called once when another process has taken the lock
+  }
+
+  /**
+   * Take the profile's lock.
+   * @param {string} profilePath
+   * @param {object} [info] - Extra fields for the lock file (profile, instanceId, runId).
+   * @returns {Promise<ProfileLock>}
+   * @throws {ProfileLockedError} PROFILE_LOCKED with `holder` when another live process has it.
+   */
+  static async acquire(profilePath, info = {}) {
+    await fs.ensureDir(profilePath);
+    const lockPath = path.join(profilePath, LOCK_FILE);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const now = new Date().toISOString();
+      const record = { pid: process.pid, hostname: os.hostname(), ...info, acquiredAt: now, heartbeatAt: now };
+      try {
+        await fs.writeFile(lockPath, JSON.stringify(record, null, 2), { flag: 'wx' });
+        const lock = new ProfileLock(lockPath, record);
+        lock.startHeartbeat();
+        heldLocks.add(lock);
+        console.log(`[ProfileLock] Locked ${profilePath}`);
+        return lock;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+
+      const holder = await readHolder(lockPath);
+      if (holder === undefined) continue; // Released in the meantime
+      if (holder === null) {
+        throw new ProfileLockedError(`Profile lock ${lockPath} is unreadable; remove it if no browser uses the profile`, { code: 'PROFILE_LOCKED', holder: null });
+      }
+      const reason = staleReason(holder);
+      if (!reason) {
+        const who = [holder.instanceId, `pid ${holder.pid}`, holder.hostname].filter(Boolean).join(', ');
+        throw new ProfileLockedError(`Profile is in use (${who}, since ${holder.acquiredAt})`, { code: 'PROFILE_LOCKED', holder });
+      }
+
+      // Take over: move the stale file aside first so two processes cannot both remove a fresh lock
+      console.warn(`[ProfileLock] Removing stale lock on ${profilePath}: ${reason}`);
+      const aside = `${lockPath}.stale-${process.pid}-${Date.now()}`;
+      try {
+        await fs.rename(lockPath, aside);
+      } catch (e) {
+        continue; // Someone else took it over
+      }
+      const moved = await readHolder(aside);
+      if (moved && (moved.pid !== holder.pid || moved.acquiredAt !== holder.acquiredAt)) {
+        // Another process replaced the stale lock before our rename: put its lock back
+        await fs.rename(aside, lockPath).catch(() => {});
+        continue;
+      }
+      await fs.remove(aside).catch(() => {});
+    }
+    throw new ProfileLockedError(`Could not lock ${profilePath}`, { code: 'PROFILE_LOCKED', holder: await readHolder(lockPath) || null });
+  }
+
+  /**
+   * The live holder of a profile's lock, or null when the profile is free (or the lock is stale).
+   * An unreadable lock file yields { unreadable: true }.
+   * @param {string} profilePath
+   */
+  static async inspect(profilePath) {
+    const holder = await readHolder(path.join(profilePath, LOCK_FILE));
+    if (holder === null) return { unreadable: true };
+    return holder && !staleReason(holder) ? holder : null;
+  }
+
+  startHeartbeat() {
+    this.timer = setInterval(() => this.touch(), HEARTBEAT_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Refresh the heartbeat now (also recreates a missing file, e.g. after the profile folder was
+   * wiped). Resolves to false once the lock is lost.
+   */
+  touch() {
+    this.writing = Promise.resolve(this.writing).then(() => this._heartbeat())
+      .catch(e => {
+        console.warn(`[ProfileLock] Heartbeat failed: ${e.message}`);
+        return heldLocks.has(this);
+      });
+    return this.writing;
+  }
+
+  async _heartbeat() {
+    if (!heldLocks.has(this)) return false;
+    this.record.heartbeatAt = new Date().toISOString();
+    const holder = await readHolder(this.lockPath);
+    if (holder === undefined) {
+      try {
+        await fs.ensureDir(path.dirname(this.lockPath));
+        await fs.writeFile(this.lockPath, JSON.stringify(this.record, null, 2), { flag: 'wx' });
+        return true;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        return this._lost(await readHolder(this.lockPath));
+      }
+    }
+    if (!isOwnedBy(holder, this.record)) return this._lost(holder);
+    await writeAtomic(this.lockPath, this.record);
+    return true;
+  }
+
+  _lost(holder) {
+    heldLocks.delete(this);
+    clearInterval(this.timer);
+    const who = holder ? [holder.instanceId, `pid ${holder.pid}`, holder.hostname].filter(Boolean).join(', ') : 'an unreadable lock file';
+    console.error(`[ProfileLock] Lost the lock on ${path.dirname(this.lockPath)} to ${who}`);
+    if (this.onLost) this.onLost(holder || null);
+    return false;
+  }
+
+  /**
+   * Give the lock up (only removes the file while it is still ours).
+   */
+  async release() {
+    if (!heldLocks.has(this)) return;
+    heldLocks.delete(this);
+    clearInterval(this.timer);
+    await this.writing; // A heartbeat in flight would recreate the file after removal
+    const holder = await readHolder(this.lockPath);
+    if (isOwnedBy(holder, this.record)) {
+      await fs.remove(this.lockPath);
+      console.log(`[ProfileLock] Released ${path.dirname(this.lockPath)}`);
+    }
+  }
+}
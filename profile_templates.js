@@ -0,0 +1,248 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { DEFAULT_TAGS } from './fingerprint_pool.js';
+import { getConfig } from './config.js';
+
+/**
+ * Profile Templates
+ * Named presets for new profiles, stored as <dataDir>/templates/<name>.json:
+ *
+ *   {
+ *     "name": "us-shoppers",
+ *     "description": "...",
+ *     "tags": ["Microsoft Windows", "Chrome"],        fingerprint tags (config.json "tags")
+ *     "config": { "notes": "...", "blacklist": [], "proxy": "", "country": "US" },   other config.json fields
+ *     "context": { "agent_name": "Minh", ... },      default agent context
+ *     "proxyProvider": { "mode": "dynamic", "apiKey": "..." }   becomes the context's proxy_provider (apiKey -> api_key)
+ *   }
+ *
+ * A profile made from a template gets config.json (with "template": <name>) and, when the template
+ * has a context or proxy provider, agent_context.json, which runs use when no context is given.
+ * Clones copy those two files only: no fingerprint (a fresh one is assigned on first launch),
+ * stats, history or browser data.
+ *
+ *   const templates = new ProfileTemplates();
+ *   await templates.createProfiles('us-shoppers', 20);   // us-shoppers-1 ... us-shoppers-20
+ *   await templates.cloneProfile('us-shoppers-1', 'spare');
+ */
+
+export const PROFILE_CONTEXT_FILE = 'agent_context.json';
+export const NAME_PATTERN = /^[A-Za-z0-9_-]+$/; // Template and profile names
+const MAX_BULK = 500;
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a template before it is stored.
+ * @param {object} template
+ * @returns {string[]} Problems, empty when valid.
+ */
+export function validateTemplate(template) {
+  if (!isObject(template)) return ['Template must be an object'];
+  const problems = [];
+  if (!NAME_PATTERN.test(template.name || '')) problems.push('"name" is required (letters, digits, _ and - only)');
+  if (template.tags !== undefined && (!Array.isArray(template.tags) || template.tags.length === 0 || !template.tags.every(tag => typeof tag === 'string'))) {
+    problems.push('"tags" must be a non-empty list of strings');
+  }
+  for (const key of ['config', 'context', 'proxyProvider']) {
+    if (template[key] !== undefined && !isObject(template[key])) problems.push(`"${key}" must be an object`);
+  }
+  if (isObject(template.config) && template.config.tags !== undefined) problems.push('Set fingerprint tags with "tags", not "config.tags"');
+  return problems;
+}
+
+export class ProfileTemplates {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Template folder (default: <dataDir>/templates).
+   * @param {string} [options.profilesDir] - Default: config paths.profilesDir.
+   */
+  constructor(options = {}) {
+    const paths = getConfig().paths;
+    this.dir = options.dir || path.join(paths.dataDir, 'templates');
+    this.profilesDir = options.profilesDir || paths.profilesDir;
+  }
+
+  templatePath(name) {
+    if (!NAME_PATTERN.test(name || '')) throw new Error(`Invalid template name '${name}'`);
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  profilePath(name) {
+    if (!NAME_PATTERN.test(name || '')) throw new Error(`Invalid profile name '${name}' (letters, digits, _ and - only)`);
+    return path.join(this.profilesDir, name);
+  }
+
+  /**
+   * Every stored template, by name.
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    if (!await fs.pathExists(this.dir)) return [];
+    const templates = [];
+    for (const file of (await fs.readdir(this.dir)).filter(name => name.endsWith('.json')).sort()) {
+      try {
+        templates.push(await fs.readJson(path.join(this.dir, file)));
+      } catch (e) {
+        console.warn(`[Templates] Skipping unreadable template ${file}: ${e.message}`);
+      }
+    }
+    return templates;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<object|null>} The template, or null when there is none by that name.
+   */
+  async get(name) {
+    const file = this.templatePath(name);
+    return await fs.pathExists(file) ? fs.readJson(file) : null;
+  }
+
+  /**
+   * Store a template (replacing one with the same name).
+   * @param {object} template
+   * @throws {Error} When the template is invalid.
+   */
+  async save(template) {
+    const problems = validateTemplate(template);
+    if (problems.length > 0) throw new Error(`Invalid template: ${problems.join('; ')}`);
+    const stored = { ...template, updatedAt: new Date().toISOString() };
+    await fs.outputJson(this.templatePath(template.name), stored, { spaces: 2 });
+    console.log(`[Templates] Saved template '${template.name}'`);
+    return stored;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<boolean>} Whether there was a template to delete.
+   */
+  async remove(name) {
+    const file = this.templatePath(name);
+    if (!await fs.pathExists(file)) return false;
+    await fs.remove(file);
+    return true;
+  }
+
+  async _require(name) {
+    const template = await this.get(name);
+    if (!template) throw new Error(`Template '${name}' not found`);
+    return template;
+  }
+
+  // Claim the profile folder (mkdir fails when it exists, also against concurrent creators)
+  async _claim(name) {
+    const profilePath = this.profilePath(name);
+    await fs.ensureDir(this.profilesDir);
+    try {
+      await fs.mkdir(profilePath);
+    } catch (e) {
+      if (e.code === 'EEXIST') throw new Error(`Profile '${name}' already exists`);
+      throw e;
+    }
+    return profilePath;
+  }
+
+  async _writeProfile(profilePath, config, context) {
+    await fs.writeJson(path.join(profilePath, 'config.json'), config, { spaces: 2 });
+    if (context) await fs.writeJson(path.join(profilePath, PROFILE_CONTEXT_FILE), context, { spaces: 2 });
+  }
+
+  /**
+   * Create an empty profile, from a template when one is given.
+   * @param {string} name
+   * @param {object} [options]
+   * @param {string} [options.template]
+   * @returns {Promise<{name: string, template: string|null}>}
+   * @throws {Error} When the name is invalid or taken, or the template does not exist.
+   */
+  async createProfile(name, { template: templateName = null } = {}) {
+    const template = templateName ? await this._require(templateName) : null;
+    const profilePath = await this._claim(name);
+    if (template) await this._writeProfile(profilePath, ...profileFiles(template));
+    console.log(`[Templates] Created profile '${name}'${template ? ` from template '${template.name}'` : ''}`);
+    return { name, template: template ? template.name : null };
+  }
+
+  /**
+   * Create `count` profiles from a template, named <prefix>-1, <prefix>-2, ... (numbers already
+   * taken are skipped).
+   * @param {string} templateName
+   * @param {number} count
+   * @param {object} [options]
+   * @param {string} [options.prefix] - Default: the template name.
+   * @returns {Promise<Array<{name: string, template: string}>>}
+   */
+  async createProfiles(templateName, count, { prefix = templateName } = {}) {
+    const total = parseInt(count);
+    if (!(total >= 1 && total <= MAX_BULK)) throw new Error(`Profile count must be between 1 and ${MAX_BULK}`);
+    if (!NAME_PATTERN.test(prefix || '')) throw new Error(`Invalid profile name prefix '${prefix}'`);
+    const template = await this._require(templateName);
+    const [config, context] = profileFiles(template);
+
+    const created = [];
+    for (let n = 1; created.length < total; n++) {
+      const name = `${prefix}-${n}`;
+      let profilePath;
+      try {
+        profilePath = await this._claim(name);
+      } catch (e) {
+        if (/already exists/.test(e.message)) continue;
+        throw e;
+      }
+      await this._writeProfile(profilePath, config, context);
+      created.push({ name, template: template.name });
+    }
+    console.log(`[Templates] Created ${created.length} profiles from template '${template.name}' (${created[0].name} ... ${created[created.length - 1].name})`);
+    return created;
+  }
+
+  /**
+   * Copy a profile's configuration (config.json, agent_context.json) into a new profile. The
+   * clone starts without fingerprint, stats, history or browser data.
+   * @param {string} source
+   * @param {string} target
+   * @returns {Promise<{name: string, source: string, template: string|null}>}
+   * @throws {Error} When the source does not exist or the target is taken.
+   */
+  async cloneProfile(source, target) {
+    const sourcePath = this.profilePath(source);
+    if (!await fs.pathExists(sourcePath)) throw new Error(`Profile '${source}' not found`);
+    const configPath = path.join(sourcePath, 'config.json');
+    const contextPath = path.join(sourcePath, PROFILE_CONTEXT_FILE);
+    const config = await fs.pathExists(configPath) ? await fs.readJson(configPath) : { tags: DEFAULT_TAGS };
+    const context = await fs.pathExists(contextPath) ? await fs.readJson(contextPath) : null;
+
+    const targetPath = await this._claim(target);
+    await this._writeProfile(targetPath, config, context);
+    console.log(`[Templates] Cloned profile '${source}' to '${target}'`);
+    return { name: target, source, template: config.template || null };
+  }
+}
+
+/**
+ * A template's config.json and agent context (or null) for a new profile.
+ * @param {object} template
+ * @returns {[object, object|null]}
+ */
+export function profileFiles(template) {
+  const config = {
+    tags: template.tags || DEFAULT_TAGS,
+    notes: '',
+    proxy: '',
+    blacklist: [],
+    ...template.config,
+    template: template.name
+  };
+  const context = template.context || template.proxyProvider
+    ? { ...template.context, ...(template.proxyProvider ? { proxy_provider: proxyProviderContext(template.proxyProvider) } : {}) }
+    : null;
+  return [config, context];
+}
+
+// Templates spell the key apiKey like their other fields; the agent reads proxy_provider.api_key
+function proxyProviderContext({ apiKey, ...provider }) {
+  return apiKey !== undefined && provider.api_key === undefined ? { ...provider, api_key: apiKey } : provider;
+}
@@ -0,0 +1,609 @@
+/**
+ * Structured Prompt Parser
+ * Turns imperative prompts into action steps without calling the AI planner, in English or Vietnamese:
+ *
+ *   search for "lofi music", then click the first result, then watch 30-60 seconds
+ *   mở profile "aaa" vào youtube.com rồi tìm kiếm "nhạc lofi" rồi xem 2 phút
+ *   navigate url=grok.com -> visual_scan
+ *
+ * Grammar:
+ *   prompt     := clause (connector clause)*
+ *   connector  := then | and then | after that | afterwards | rồi | sau đó | tiếp theo | xong rồi | ; | ->
+ *                 "," and "and"/"và" only separate clauses when a verb, action name or profile follows
+ *   clause     := [profile-directive] [verb-phrase args | action-name key=value*]
+ *   args       := words and quoted strings ("...", '...', “...”); quotes are never split
+ *                 free text (search terms, text to type, element text) is quoted, or a bare term of
+ *                 at most a few words without articles ("search salt and pepper", "click login")
+ *
+ * Verb phrases are listed in VERBS; any registered action (including plugins) can also be called by
+ * name with key=value arguments. Matching ignores case, and Vietnamese diacritics when the input is
+ * typed without them ("tim kiem" == "tìm kiếm").
+ *
+ * parseStructuredPrompt() returns null as soon as one clause is not understood or the plan fails
+ * schema validation, so the caller can fall back to the AI planner.
+ */
+
+const QUOTES = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+
+const CONNECTORS = [
+  'and then', 'then', 'after that', 'afterwards',
+  'rồi', 'và rồi', 'sau đó', 'và sau đó', 'tiếp theo', 'xong rồi'
+];
+// Only split when the next words start a new clause ("search salt and pepper" stays one clause)
+const SOFT_CONNECTORS = ['and', 'và'];
+const LEADING_FILLERS = ['please', 'hãy', 'vui lòng', 'and', 'và'];
+
+const PROFILE_LEADS = ['open', 'use', 'switch to', 'with', 'mở', 'dùng', 'sử dụng', 'chọn', 'với'];
+
+// Words that may surround a duration or stand alone after watch/browse/wait/save/scan verbs
+const FILLERS = [
+  'for', 'about', 'around', 'roughly', 'approximately', 'the', 'a', 'an', 'it', 'in',
+  'video', 'videos', 'page', 'site', 'web', 'screen',
+  'trong', 'vòng', 'khoảng', 'tầm', 'chừng', 'một', 'cái', 'trang', 'màn hình'
+];
+
+const UNIT_SECONDS = {
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1, giay: 1,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60, phut: 60,
+  h: 3600, hour: 3600, hours: 3600, gio: 3600, tieng: 3600
+};
+const UNIT = `(${Object.keys(UNIT_SECONDS).join('|')}|%)`;
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const RANGE_PATTERN = new RegExp(`^${NUMBER}\\s*(?:-|–|~|to|den|toi)\\s*${NUMBER}\\s*${UNIT}?$`);
+const SINGLE_PATTERN = new RegExp(`^${NUMBER}\\s*${UNIT}?$`);
+
+// Unquoted free text is only taken as an argument when it is a short bare term ("salt and pepper",
+// "login"). Longer text, or text with articles, reads like a sentence and is left to the AI planner.
+const MAX_BARE_WORDS = 4;
+const DETERMINERS = [
+  'a', 'an', 'the', 'this', 'that', 'these', 'those', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'some', 'any',
+  'mot', 'cai', 'nhung', 'cac', 'nay', 'kia'
+];
+
+// Bare site names accepted by navigate
+const KNOWN_SITES = {
+  google: 'google.com',
+  youtube: 'youtube.com',
+  facebook: 'facebook.com',
+  tiktok: 'tiktok.com',
+  grok: 'grok.com',
+  chatgpt: 'chatgpt.com',
+  gmail: 'mail.google.com'
+};
+
+/**
+ * Lowercase and strip Vietnamese diacritics ("Tìm Kiếm" -> "tim kiem").
+ * @param {string} text
+ */
+export function foldText(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd');
+}
+
+/**
+ * Split a prompt into word, quoted and punctuation tokens.
+ * @param {string} text
+ * @returns {Array<{type: 'word'|'quoted'|'punct', value: string, key?: string}>|null} null on an unbalanced quote.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === ',' || ch === ';') {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+    } else if (text.startsWith('->', i) || text.startsWith('=>', i)) {
+      tokens.push({ type: 'punct', value: '->' });
+      i += 2;
+    } else if (QUOTES[ch]) {
+      const end = text.indexOf(QUOTES[ch], i + 1);
+      if (end === -1) return null;
+      tokens.push({ type: 'quoted', value: text.slice(i + 1, end) });
+      i = end + 1;
+    } else {
+      let end = i;
+      while (end < text.length && !/[\s,;]/.test(text[end]) && !text.startsWith('->', end)) {
+        // key="quoted value" stays one word
+        if (QUOTES[text[end]] && text[end - 1] === '=') {
+          const close = text.indexOf(QUOTES[text[end]], end + 1);
+          if (close === -1) return null;
+          end = close;
+        }
+        end++;
+      }
+      // Sentence punctuation is not part of the word ("youtube.com." -> "youtube.com")
+      const value = text.slice(i, end).replace(/(.)[.!?]+$/, '$1');
+      tokens.push({ type: 'word', value, key: foldText(value) });
+      i = end;
+    }
+  }
+  return tokens;
+}
+
+function wordMatches(token, phraseWord) {
+  if (!token || token.type !== 'word') return false;
+  const lower = token.value.toLowerCase();
+  if (lower === phraseWord) return true;
+  // Loose match only for input typed without diacritics
+  return lower === token.key && token.key === foldText(phraseWord);
+}
+
+/**
+ * Length (in tokens) of the longest phrase matching at tokens[start], or 0.
+ */
+function matchPhrase(tokens, start, phrases) {
+  let best = 0;
+  for (const phrase of phrases) {
+    const words = phrase.split(' ');
+    if (words.length > best && words.every((word, offset) => wordMatches(tokens[start + offset], word))) {
+      best = words.length;
+    }
+  }
+  return best;
+}
+
+function renderTokens(tokens) {
+  return tokens
+    .map(t => (t.type === 'punct' ? t.value : ' ' + t.value))
+    .join('')
+    .trim();
+}
+
+// Free text argument of search/type/click/...: quoted text, or a short bare term; null otherwise
+function bareText(args, maxWords = MAX_BARE_WORDS) {
+  if (args.length === 1 && args[0].type === 'quoted') return args[0].value.trim() || null;
+  if (args.length === 0 || args.length > maxWords) return null;
+  if (args.some(t => t.type !== 'word' || DETERMINERS.includes(t.key))) return null;
+  return renderTokens(args);
+}
+
+function withoutFillers(args) {
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const skip = matchPhrase(args, i, FILLERS);
+    if (skip) {
+      i += skip - 1;
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return rest;
+}
+
+/**
+ * Parse a duration such as "30 seconds", "30s", "30-60 giây", "2 phút" or "50%".
+ * @param {string} text
+ * @returns {{min: number, max: number}|{percent: number}|null}
+ */
+export function parseDuration(text) {
+  const folded = foldText(text).trim();
+  const range = folded.match(RANGE_PATTERN);
+  const single = range ? null : folded.match(SINGLE_PATTERN);
+  const match = range || single;
+  if (!match) return null;
+
+  const unit = range ? range[3] : single[2];
+  const min = parseFloat(match[1]);
+  const max = range ? parseFloat(range[2]) : min;
+  if (unit === '%') return { percent: min };
+  const factor = UNIT_SECONDS[unit] || 1;
+  return { min: Math.round(min * factor), max: Math.round(max * factor) };
+}
+
+// Duration argument of watch/browse/wait: undefined when absent, null when the words are not understood
+function durationArg(args) {
+  const rest = withoutFillers(args);
+  if (rest.length === 0) return undefined;
+  if (rest.some(t => t.type !== 'word')) return null;
+  return parseDuration(rest.map(t => t.value).join(' '));
+}
+
+const CLICK_TARGETS = [
+  { phrases: ['first result', 'the first result', 'result', 'kết quả đầu tiên', 'kết quả'], params: {} },
+  { phrases: ['video', 'a video', 'the video', 'first video', 'the first video', 'video đầu tiên'], params: { type: 'video' } },
+  { phrases: ['enter', 'the enter key', 'enter key', 'submit', 'phím enter', 'gửi'], params: { type: 'enter' } },
+  { phrases: ['verify', 'the captcha', 'captcha', 'xác minh'], params: { type: 'verify' } }
+];
+
+// Keys that only make sense as key presses ("press enter" stays a click on Enter)
+const KEY_NAMES = ['esc', 'escape', 'tab', 'space', 'backspace', 'delete', 'up', 'down', 'left', 'right', 'arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'home', 'end', 'pageup', 'pagedown'];
+const CHORD_PATTERN = /^(ctrl|control|cmd|command|meta|alt|option|shift|mod)\+\S+$/i;
+
+function isKeyToken(token) {
+  if (token.type !== 'word') return false;
+  return CHORD_PATTERN.test(token.value) || KEY_NAMES.includes(token.key) || /^f\d{1,2}$/i.test(token.value);
+}
+
+// Element reference: a lone CSS-looking word is a selector, a quoted string or short bare term visible text
+function elementTarget(args) {
+  if (args.length === 1 && args[0].type === 'word' && /^[#.[]/.test(args[0].value)) return { selector: args[0].value };
+  const text = bareText(args, 3);
+  return text ? { text } : null;
+}
+
+// Split args at the first separator word: "Vietnam in #country" -> [[Vietnam], [#country]]
+function splitAt(args, separators) {
+  const at = args.findIndex((token, i) => i > 0 && matchPhrase(args, i, separators) > 0);
+  if (at === -1) return null;
+  return [args.slice(0, at), args.slice(at + matchPhrase(args, at, separators))];
+}
+
+/**
+ * Verb phrases per action. build(args) turns the remaining tokens into params, or returns null
+ * when it does not understand them (the next matching verb is tried).
+ */
+const VERBS = [
+  {
+    action: 'press_keys',
+    phrases: ['press keys', 'press key', 'press', 'hit', 'shortcut', 'nhấn phím', 'bấm phím', 'nhấn tổ hợp phím', 'bấm tổ hợp phím', 'phím tắt', 'nhấn', 'bấm', 'ấn'],
+    build: args => {
+      // Enter counts as a key inside a sequence ("press tab tab enter"); alone it is the click verb's
+      const keys = args.length > 0 && args.every(t => isKeyToken(t) || (args.length > 1 && t.key === 'enter'));
+      return keys ? { keys: args.length === 1 ? args[0].value : args.map(t => t.value) } : null;
+    }
+  },
+  {
+    action: 'search',
+    phrases: ['search for', 'search', 'google', 'look up', 'find', 'tìm kiếm', 'tìm'],
+    build: args => {
+      const keyword = bareText(args);
+      return keyword ? { keyword } : null;
+    }
+  },
+  {
+    action: 'navigate',
+    phrases: ['go to', 'navigate to', 'open', 'visit', 'vào trang', 'vào', 'truy cập', 'mở trang', 'mở'],
+    build: args => {
+      if (args.length !== 1) return null;
+      const url = args[0].value.trim();
+      if (KNOWN_SITES[foldText(url)]) return { url: KNOWN_SITES[foldText(url)] };
+      return /^[^\s]+\.[a-z]{2,}|^https?:\/\/|^localhost/i.test(url) ? { url } : null;
+    }
+  },
+  {
+    action: 'click',
+    phrases: ['click on', 'click', 'press', 'tap', 'bấm vào', 'bấm', 'nhấn vào', 'nhấn', 'nhấp vào', 'nhấp', 'ấn vào', 'ấn'],
+    build: args => {
+      if (args.length === 0) return {};
+      for (const target of CLICK_TARGETS) {
+        if (matchPhrase(args, 0, target.phrases) === args.length) return { ...target.params };
+      }
+      return elementTarget(args);
+    }
+  },
+  {
+    action: 'hover',
+    phrases: ['hover over', 'hover on', 'hover', 'mouse over', 'rê chuột vào', 'rê chuột lên', 'di chuột vào', 'di chuột lên'],
+    build: elementTarget
+  },
+  {
+    action: 'select_option',
+    phrases: ['select', 'choose', 'pick', 'chọn'],
+    build: args => {
+      const parts = splitAt(args, ['in', 'from', 'trong', 'ở', 'tại']);
+      if (!parts || parts[0].length === 0 || parts[1].length === 0) return null;
+      const target = elementTarget(parts[1]);
+      const option = bareText(parts[0]);
+      if (!target || !option) return null;
+      return { ...(target.selector ? target : { label: target.text }), option };
+    }
+  },
+  {
+    action: 'scroll_to',
+    // Plain "scroll"/"cuộn" is browse (scroll for a while)
+    phrases: ['scroll to', 'scroll down to', 'scroll up to', 'scroll back to', 'cuộn tới', 'cuộn đến', 'cuộn xuống tới', 'cuộn xuống đến', 'cuộn lên tới', 'cuộn lên đến', 'kéo tới', 'kéo đến'],
+    build: args => {
+      const whole = phrases => args.length > 0 && matchPhrase(args, 0, phrases) === args.length;
+      if (whole(['top', 'the top', 'top of the page', 'đầu trang', 'đầu'])) return { position: 'top' };
+      if (whole(['bottom', 'the bottom', 'bottom of the page', 'the bottom of the page', 'end', 'cuối trang', 'cuối'])) return { position: 'bottom' };
+      const rest = withoutFillers(args);
+      const duration = rest.length === 1 ? parseDuration(rest[0].value) : null;
+      if (duration?.percent !== undefined) return { percent: Math.min(100, duration.percent) };
+      return elementTarget(args);
+    }
+  },
+  {
+    action: 'drag_and_drop',
+    phrases: ['drag', 'drag and drop', 'kéo thả', 'kéo'],
+    build: args => {
+      const parts = splitAt(args, ['to', 'onto', 'into', 'vào', 'tới', 'đến', 'sang']);
+      if (!parts || parts[0].length !== 1 || parts[1].length !== 1) return null;
+      const [source, target] = [parts[0][0].value, parts[1][0].value];
+      return /^[#.[]/.test(source) && /^[#.[]/.test(target) ? { source, target } : null;
+    }
+  },
+  {
+    action: 'type',
+    phrases: ['type', 'write', 'input', 'enter text', 'nhập', 'gõ', 'viết'],
+    build: args => {
+      const text = bareText(args);
+      return text ? { text } : null;
+    }
+  },
+  {
+    action: 'watch',
+    phrases: ['watch', 'view', 'xem video', 'xem'],
+    build: args => {
+      const duration = durationArg(args);
+      if (duration === undefined) return {};
+      if (duration === null) return null;
+      if ('percent' in duration) return { duration: `${duration.percent}%` };
+      return { duration: duration.min === duration.max ? duration.min : `${duration.min}-${duration.max}s` };
+    }
+  },
+  {
+    action: 'browse',
+    phrases: ['browse', 'read', 'scroll', 'lướt web', 'lướt', 'cuộn', 'đọc'],
+    build: args => {
+      const duration = durationArg(args);
+      if (duration === undefined) return {};
+      if (!duration || 'percent' in duration) return null;
+      // ~3s per scroll cycle
+      return { iterations: Math.max(1, Math.floor((duration.min + duration.max) / 2 / 3)) };
+    }
+  },
+  {
+    action: 'wait',
+    phrases: ['wait', 'pause', 'sleep', 'đợi', 'chờ', 'nghỉ'],
+    build: args => {
+      const duration = durationArg(args);
+      if (duration === undefined) return {};
+      if (!duration || 'percent' in duration) return null;
+      return { duration: Math.round((duration.min + duration.max) / 2) };
+    }
+  },
+  {
+    // "wait for 5 seconds" is not understood here and falls back to the wait verb
+    action: 'wait_for',
+    phrases: ['wait for', 'wait until', 'đợi đến khi', 'chờ đến khi', 'đợi cho đến khi', 'chờ cho đến khi', 'đợi tới khi', 'chờ tới khi'],
+    build: args => {
+      if (args.length === 1 && args[0].type === 'quoted') return { text: args[0].value };
+      if (args.length === 1 && /^[#.[]/.test(args[0].value)) return { selector: args[0].value };
+      if (args.length > 1 && /^[#.[]/.test(args[0].value) && matchPhrase(args, 1, ['disappears', 'is gone', 'biến mất']) === args.length - 1) {
+        return { selector: args[0].value, state: 'hidden' };
+      }
+      return null;
+    }
+  },
+  {
+    action: 'comment',
+    phrases: ['comment', 'leave a comment', 'bình luận'],
+    build: args => {
+      if (args.length === 0) return {};
+      const instruction = bareText(args);
+      return instruction ? { instruction } : null;
+    }
+  },
+  {
+    action: 'login',
+    phrases: ['login', 'log in', 'sign in', 'đăng nhập'],
+    build: args => {
+      const labels = ['as', 'with', 'email', 'password', 'pass', 'mật khẩu', 'và', 'and', 'bằng', 'tài khoản', 'recovery', 'khôi phục'];
+      const values = [];
+      for (let i = 0; i < args.length; i++) {
+        const skip = args[i].type === 'word' ? matchPhrase(args, i, labels) : 0;
+        if (skip) {
+          i += skip - 1;
+        } else if (args[i].type !== 'punct') {
+          values.push(args[i].value);
+        }
+      }
+      const [email, password, recoveryEmail] = values;
+      if (!email?.includes('@') || !password || values.length > 3) return null;
+      return recoveryEmail ? { email, password, recoveryEmail } : { email, password };
+    }
+  },
+  {
+    action: 'save_image',
+    phrases: ['save image', 'save the image', 'save images', 'download image', 'download the image', 'lưu ảnh', 'lưu hình ảnh', 'lưu hình', 'tải ảnh'],
+    build: args => {
+      const rest = withoutFillers(args).filter(t => !matchPhrase([t], 0, ['number', 'no', 'thứ', 'số']));
+      if (rest.length === 0) return {};
+      const match = rest.length === 1 && rest[0].value.match(/^#?(\d+)$/);
+      // Prompts count from 1, the action from 0
+      return match ? { index: Math.max(0, parseInt(match[1]) - 1) } : null;
+    }
+  },
+  {
+    action: 'fill_form',
+    phrases: ['fill form', 'fill the form', 'fill in', 'fill out', 'điền form', 'điền biểu mẫu', 'điền'],
+    build: args => {
+      const rest = [...args];
+      const submit = rest.length > 0 && matchPhrase(rest, rest.length - 1, ['submit', 'gửi']) > 0;
+      if (submit) rest.pop();
+      if (rest.length === 0 || !rest.every(isKeyValue)) return null;
+      const fields = {};
+      for (const { value } of rest) {
+        const eq = value.indexOf('=');
+        fields[value.slice(0, eq)] = coerceValue(value.slice(eq + 1));
+      }
+      return submit ? { fields, submit } : { fields };
+    }
+  },
+  {
+    action: 'screenshot',
+    phrases: ['take a screenshot of', 'take a screenshot', 'take screenshot', 'screenshot', 'chụp ảnh màn hình', 'chụp màn hình'],
+    build: args => {
+      if (args.length === 0) return {};
+      if (matchPhrase(args, 0, ['full page', 'the full page', 'the whole page', 'whole page', 'toàn trang', 'cả trang']) === args.length) return { mode: 'full' };
+      return args.length === 1 && /^[#.[]/.test(args[0].value) ? { selector: args[0].value } : null;
+    }
+  },
+  {
+    action: 'pdf',
+    phrases: ['save as pdf', 'save pdf', 'print to pdf', 'export pdf', 'lưu thành pdf', 'lưu pdf', 'xuất pdf', 'in ra pdf'],
+    build: args => (args.length === 0 ? {} : args.length === 1 ? { fileName: args[0].value } : null)
+  },
+  {
+    action: 'assert_text',
+    phrases: ['assert text', 'assert', 'expect text', 'expect', 'check that the page contains', 'check the page contains', 'page should contain', 'kiểm tra có chữ', 'kiểm tra trang có', 'kiểm tra có'],
+    build: args => (args.length === 1 && args[0].type === 'quoted' ? { text: args[0].value } : null)
+  },
+  {
+    action: 'assert_url',
+    phrases: ['assert url', 'expect url', 'check url', 'url should contain', 'url should match', 'kiểm tra url', 'kiểm tra đường dẫn'],
+    build: args => (args.length === 1 ? { url: args[0].value } : null)
+  },
+  {
+    action: 'open_tab',
+    phrases: ['open a new tab', 'open new tab', 'new tab', 'open tab', 'mở tab mới', 'mở thẻ mới', 'tab mới'],
+    build: args => {
+      if (args.length === 0) return {};
+      if (args.length !== 1) return null;
+      const url = args[0].value.trim();
+      if (KNOWN_SITES[foldText(url)]) return { url: KNOWN_SITES[foldText(url)] };
+      return /^[^\s]+\.[a-z]{2,}|^https?:\/\/|^localhost/i.test(url) ? { url } : null;
+    }
+  },
+  {
+    action: 'switch_tab',
+    phrases: ['switch to tab', 'switch to the tab', 'switch tab', 'go to tab', 'go back to tab', 'chuyển sang tab', 'chuyển qua tab', 'chuyển tab', 'quay lại tab'],
+    build: args => {
+      if (args.length !== 1) return null;
+      const value = args[0].value;
+      if (args[0].type === 'quoted') return { title: value };
+      // "tab 2" counts like people do (1 = first tab)
+      if (/^\d+$/.test(value)) return { index: Math.max(parseInt(value) - 1, 0) };
+      if (matchPhrase(args, 0, ['first', 'đầu', 'đầu tiên']) === 1) return { index: 0 };
+      if (matchPhrase(args, 0, ['last', 'cuối', 'cuối cùng']) === 1) return { index: -1 };
+      return { url: value };
+    }
+  },
+  {
+    action: 'close_tab',
+    phrases: ['close tab', 'close this tab', 'close the tab', 'close current tab', 'đóng tab', 'đóng tab này', 'đóng thẻ'],
+    build: args => (args.length === 0 ? {} : null)
+  },
+  {
+    action: 'close_other_tabs',
+    phrases: ['close other tabs', 'close all other tabs', 'close the other tabs', 'đóng các tab khác', 'đóng tab khác', 'đóng hết tab khác'],
+    build: args => (args.length === 0 ? {} : null)
+  },
+  {
+    action: 'extract',
+    phrases: ['extract', 'scrape', 'trích xuất', 'lấy dữ liệu', 'thu thập'],
+    build: args => {
+      const description = bareText(args);
+      return description ? { description } : null;
+    }
+  },
+  {
+    action: 'visual_scan',
+    phrases: ['visual scan', 'visual_scan', 'scan', 'quét màn hình', 'quét', 'phân tích màn hình'],
+    build: args => (withoutFillers(args).length === 0 ? {} : null)
+  }
+];
+
+const VERB_PHRASES = VERBS.flatMap(v => v.phrases);
+
+function isKeyValue(token) {
+  return token.type === 'word' && /^[A-Za-z_]\w*=/.test(token.value);
+}
+
+function coerceValue(raw, schema = {}) {
+  const value = raw.replace(/^(["'“‘])(.*)["'”’]$/s, '$2');
+  const types = [].concat(schema.type || 'string');
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (types.includes('boolean') && /^(true|false)$/.test(value)) return value === 'true';
+  return value;
+}
+
+// `<action_name> key=value ...` for any registered action, including plugins
+function parseActionCall(tokens, registry) {
+  const [head, ...args] = tokens;
+  if (head?.type !== 'word' || !registry.has(head.value) || !args.every(isKeyValue)) return null;
+  const properties = registry.getMeta(head.value).params?.properties || {};
+  const params = {};
+  for (const { value } of args) {
+    const eq = value.indexOf('=');
+    const key = value.slice(0, eq);
+    params[key] = coerceValue(value.slice(eq + 1), properties[key]);
+  }
+  return { action: head.value, params };
+}
+
+function profileDirective(tokens) {
+  const lead = matchPhrase(tokens, 0, PROFILE_LEADS);
+  if (!wordMatches(tokens[lead], 'profile')) return null;
+  const name = tokens[lead + 1];
+  if (!name || name.type === 'punct') return null;
+  return { profile: name.value.trim(), rest: tokens.slice(lead + 2) };
+}
+
+function startsClause(tokens, index, registry) {
+  const token = tokens[index];
+  if (!token || token.type !== 'word') return false;
+  return matchPhrase(tokens, index, CONNECTORS) > 0
+    || matchPhrase(tokens, index, VERB_PHRASES) > 0
+    || registry.has(token.value)
+    || profileDirective(tokens.slice(index)) !== null;
+}
+
+function splitClauses(tokens, registry) {
+  const clauses = [[]];
+  const current = () => clauses[clauses.length - 1];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const strong = token.type === 'punct' && token.value !== ',' ? 1 : matchPhrase(tokens, i, CONNECTORS);
+    const soft = token.value === ',' ? 1 : matchPhrase(tokens, i, SOFT_CONNECTORS);
+    if (strong || (soft && startsClause(tokens, i + soft, registry))) {
+      clauses.push([]);
+      i += (strong || soft) - 1;
+    } else {
+      current().push(token);
+    }
+  }
+  return clauses.filter(clause => clause.length > 0);
+}
+
+function parseClause(tokens, registry) {
+  const lead = matchPhrase(tokens, 0, LEADING_FILLERS);
+  tokens = tokens.slice(lead);
+  if (tokens.length === 0) return {};
+
+  const directive = profileDirective(tokens);
+  if (directive) {
+    const inner = directive.rest.length > 0 ? parseClause(directive.rest, registry) : {};
+    return inner && { ...inner, profile: directive.profile };
+  }
+
+  const call = parseActionCall(tokens, registry);
+  if (call) return { step: call };
+
+  // Longest verb phrase first; on a tie the verb listed first wins
+  const candidates = VERBS
+    .map(verb => ({ verb, length: registry.has(verb.action) ? matchPhrase(tokens, 0, verb.phrases) : 0 }))
+    .filter(candidate => candidate.length > 0)
+    .sort((a, b) => b.length - a.length);
+  for (const { verb, length } of candidates) {
+    const params = verb.build(tokens.slice(length));
+    if (params) return { step: { action: verb.action, params } };
+  }
+  return null;
+}
+
+/**
+ * Parse a structured prompt into a plan.
+ * @param {string} prompt
+ * @param {import('./action_registry.js').ActionRegistry} registry
+ * @returns {{profile?: string, actions: Array<{action: string, params: object}>}|null}
+ *   null when any part of the prompt is not understood (use the AI planner instead).
+ */
+export function parseStructuredPrompt(prompt, registry) {
+  if (typeof prompt !== 'string' || !prompt.trim()) return null;
+  const tokens = tokenize(prompt.normalize('NFC'));
+  if (!tokens) return null;
+
+  const plan = { actions: [] };
+  for (const clause of splitClauses(tokens, registry)) {
+    const parsed = parseClause(clause, registry);
+    if (!parsed) return null;
+    if (parsed.profile) plan.profile = parsed.profile;
+    if (parsed.step) plan.actions.push(parsed.step);
+  }
+
+  if (plan.actions.length === 0 || registry.validatePlan(plan.actions).length > 0) return null;
+  return plan;
+}
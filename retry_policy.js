@@ -0,0 +1,117 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Retry Policy
+ * Decides, per error class (or specific error code), how many browser attempts are
+ * allowed, how long to back off between them and what to fix before retrying.
+ *
+ * Remediations:
+ *   reload               - restart the browser with the same proxy and fingerprint
+ *   rotate_proxy         - fetch a fresh proxy from the dynamic provider, then restart
+ *   refresh_fingerprint  - delete the saved fingerprint so a new one is fetched, then restart
+ *   abort                - stop immediately
+ *
+ * Override any part with a JSON file (retry_policy.json in the project root, or --retry-policy <file>):
+ * {
+ *   "default": { "maxAttempts": 5 },
+ *   "errors": {
+ *     "ProxyError": { "maxAttempts": 6, "backoff": { "initialMs": 10000 } },
+ *     "CAPTCHA_DETECTED": { "remediation": "abort" }
+ *   }
+ * }
+ * Rules under "errors" are looked up by error code first, then by class name.
+ */
+
+export const REMEDIATIONS = ['reload', 'rotate_proxy', 'refresh_fingerprint', 'abort'];
+
+export const DEFAULT_POLICY_FILE = 'retry_policy.json';
+
+export const DEFAULT_RETRY_POLICY = {
+  default: {
+    maxAttempts: 3,
+    backoff: { initialMs: 0, factor: 2, maxMs: 30000 },
+    remediation: 'abort'
+  },
+  errors: {
+    BrowserCrashError: { remediation: 'reload', backoff: { initialMs: 2000 } },
+    NetworkError: { remediation: 'reload', backoff: { initialMs: 3000 } },
+    ProxyError: { remediation: 'rotate_proxy', backoff: { initialMs: 5000 } },
+    CaptchaError: { remediation: 'reload' },
+    FingerprintError: { remediation: 'refresh_fingerprint' },
+    PreflightError: { remediation: 'abort' },
+    ProfileLockedError: { remediation: 'abort' },
+    ActionError: { remediation: 'abort' },
+    // Specific codes
+    CAPTCHA_TIMEOUT: { remediation: 'abort' },
+    CAPTCHA_ERROR: { remediation: 'abort' },
+    NETWORK_ERROR_PAGE: { remediation: 'rotate_proxy', backoff: { initialMs: 5000 } }
+  }
+};
+
+function mergeRule(base = {}, override = {}) {
+  return {
+    ...base,
+    ...override,
+    backoff: { ...(base.backoff || {}), ...(override.backoff || {}) }
+  };
+}
+
+/**
+ * Merge a user policy over the defaults and check remediation names.
+ * @param {object} [overrides]
+ */
+export function buildRetryPolicy(overrides = {}) {
+  const policy = {
+    default: mergeRule(DEFAULT_RETRY_POLICY.default, overrides.default),
+    errors: { ...DEFAULT_RETRY_POLICY.errors }
+  };
+  for (const [key, rule] of Object.entries(overrides.errors || {})) {
+    policy.errors[key] = mergeRule(policy.errors[key], rule);
+  }
+
+  for (const [key, rule] of Object.entries({ default: policy.default, ...policy.errors })) {
+    if (rule.remediation && !REMEDIATIONS.includes(rule.remediation)) {
+      throw new Error(`Retry policy: '${key}' has unknown remediation '${rule.remediation}' (expected: ${REMEDIATIONS.join(', ')})`);
+    }
+  }
+  return policy;
+}
+
+/**
+ * Load the retry policy. An explicit file must exist; the default file is optional.
+ * @param {string} [filePath]
+ */
+export async function loadRetryPolicy(filePath) {
+  const resolved = path.resolve(filePath || DEFAULT_POLICY_FILE);
+  if (!await fs.pathExists(resolved)) {
+    if (filePath) throw new Error(`Retry policy file not found: ${resolved}`);
+    return buildRetryPolicy();
+  }
+  console.log(`[RetryPolicy] Loaded ${resolved}`);
+  return buildRetryPolicy(await fs.readJson(resolved));
+}
+
+/**
+ * Resolve the effective rule for an error: default <- class rule <- code rule.
+ * @param {object} policy
+ * @param {Error} error - Ideally already passed through classifyError().
+ * @returns {{maxAttempts: number, backoff: object, remediation: string}}
+ */
+export function resolveRetryRule(policy, error) {
+  let rule = mergeRule(policy.default, policy.errors[error?.name]);
+  if (error?.code && policy.errors[error.code]) {
+    rule = mergeRule(rule, policy.errors[error.code]);
+  }
+  return rule;
+}
+
+/**
+ * Exponential backoff delay before attempt `attempt + 1`.
+ * @param {object} rule
+ * @param {number} attempt - The attempt that just failed (1-based).
+ */
+export function backoffDelay(rule, attempt) {
+  const { initialMs = 0, factor = 2, maxMs = 30000 } = rule.backoff || {};
+  return Math.min(maxMs, initialMs * Math.pow(factor, Math.max(0, attempt - 1)));
+}
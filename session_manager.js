@@ -2,6 +2,7 @@ import axios from 'axios';
 import { getGpuUsage } from './gpu_monitor.js';
 import fs from 'fs-extra';
 import path from 'path';
+import { getConfig } from './config.js';
 
 /**
  * Session Manager for Generative Browser Sessions
@@ -9,7 +10,7 @@ import path from 'path';
  */
 
 export class SessionManager {
-  constructor(minDurationMinutes = 10, userGoal = null, aiModel = 'qwen:latest', agentContext = null, profileName = 'default') {
+  constructor(minDurationMinutes = 10, userGoal = null, aiModel = 'qwen:latest', agentContext = null, profileName = 'default', actionRegistry = null) {
     this.minDurationMs = minDurationMinutes * 60 * 1000;
     this.sessionId = null;
     this.startTime = null;
@@ -24,6 +25,7 @@ export class SessionManager {
     this.agentContext = agentContext; // NEW: Store agent context (interests, routine)
     this.profileName = profileName; // NEW: Profile name for loading blacklist
     this.blacklist = []; // NEW: Website blacklist
+    this.actionRegistry = actionRegistry; // Used to validate grounded steps against action schemas
     
     this.maxVisitsPerWeek = 3;
     this.maxVisitsPerDay = 1; // NEW: Daily limit
@@ -32,7 +34,7 @@ export class SessionManager {
     // Load history per profile
     this.loadHistory().catch(e => console.warn('[SessionManager] Failed to load history:', e.message));
     
-    this.aiUrl = 'http://localhost:5295/api/v1/localai/chat/completions';
+    this.aiUrl = getConfig().localAi.chatUrl;
     this.lastRefuelTime = 0;
     this.REFUEL_COOLDOWN_MS = 120000;
     this.taskQueue = [];
@@ -205,7 +207,7 @@ export class SessionManager {
   async loadHistory() {
     if (!this.profileName) return;
     try {
-      const historyPath = path.resolve('./profiles', this.profileName, 'history.json');
+      const historyPath = path.join(getConfig().paths.profilesDir, this.profileName, 'history.json');
       if (await fs.pathExists(historyPath)) {
         const data = await fs.readJson(historyPath);
         this.domainAccessHistory = data.domainAccessHistory || {};
@@ -219,7 +221,7 @@ export class SessionManager {
   async saveHistory() {
     if (!this.profileName) return;
     try {
-      const profileDir = path.resolve('./profiles', this.profileName);
+      const profileDir = path.join(getConfig().paths.profilesDir, this.profileName);
       await fs.ensureDir(profileDir);
       const historyPath = path.join(profileDir, 'history.json');
       await fs.writeJson(historyPath, { domainAccessHistory: this.domainAccessHistory }, { spaces: 2 });
@@ -294,121 +296,7 @@ async loadBlacklist() {
    * Scan page content to detect available elements (DYNAMIC - not domain-based)
    */
   async scanPageContent(page) {
-    console.log('[SessionManager] Scanning page content...');
-    
-    try {
-      const content = await page.evaluate(() => {
-        const bodyText = document.body.innerText;
-        
-        // Error Detection
-        const isErrorPage = 
-          bodyText.includes("This site can't be reached") ||
-          bodyText.includes("This page isn't working") ||
-          bodyText.includes("Không thể truy cập trang web này") ||
-          bodyText.includes("Trang này không hoạt động") ||
-          bodyText.includes("Không có kết nối Internet") ||
-          bodyText.includes("ERR_NAME_NOT_RESOLVED") ||
-          bodyText.includes("ERR_CONNECTION_TIMED_OUT") ||
-          bodyText.includes("ERR_CONNECTION_CLOSED") ||
-          bodyText.includes("ERR_CONNECTION_REFUSED") ||
-          bodyText.includes("ERR_CONNECTION_RESET") ||
-          bodyText.includes("ERR_PROXY_CONNECTION_FAILED") ||
-          bodyText.includes("ERR_TUNNEL_CONNECTION_FAILED") ||
-          bodyText.includes("ERR_SSL_PROTOCOL_ERROR") ||
-          bodyText.includes("ERR_SSL_VERSION_OR_CIPHER_MISMATCH") ||
-          bodyText.includes("ERR_CERT") ||
-          bodyText.includes("DNS_PROBE_FINISHED_NXDOMAIN") ||
-          bodyText.includes("DNS_PROBE_FINISHED_NO_INTERNET") ||
-          bodyText.includes("Windows Network Diagnostics") ||
-          bodyText.includes("500 Internal Server Error") ||
-          bodyText.includes("404 Not Found");
-          
-        const hasCaptcha = false;
-        
-        // Popup / Blocking Element Detection
-        const potentialPopups = [];
-        const dismissTerms = [
-          'not interested', 'no thanks', 'close', 'accept', 'agree', 'got it', 
-          'maybe later', 'dismiss', 'i agree', 'allow', 'ok', 'not now',
-          'no', 'reject', 'decline', 'cookie', 'consent', 'i understand'
-        ];
-        
-        const allInteractive = document.querySelectorAll('a[href], button, input[type="submit"], [role="button"]');
-        for (const el of allInteractive) {
-          const text = el.innerText?.trim() || el.textContent?.trim() || el.getAttribute('aria-label') || el.getAttribute('title') || '';
-          const lowerText = text.toLowerCase();
-          
-          if (dismissTerms.some(term => lowerText === term || (lowerText.length < 20 && lowerText.includes(term)))) {
-            const rect = el.getBoundingClientRect();
-            if (rect.width > 0 && rect.height > 0) {
-              potentialPopups.push({
-                text: text.substring(0, 40),
-                tag: el.tagName.toLowerCase()
-              });
-            }
-          }
-        }
-
-        // Extract Interactive Elements (links, buttons) for AI selection
-        const interactiveElements = [];
-        let count = 0;
-        for (const el of allInteractive) {
-          if (count >= 150) break; // Increased limitation for scanning
-          
-          const rect = el.getBoundingClientRect();
-          const text = el.innerText?.trim() || el.textContent?.trim() || el.getAttribute('aria-label') || el.getAttribute('title') || '';
-          
-          if (rect.width > 0 && rect.height > 0 && text.length > 0) {
-            interactiveElements.push({
-              text: text.substring(0, 100),
-              tag: el.tagName.toLowerCase(),
-              href: (el.tagName === 'A' ? el.href : null)
-            });
-            count++;
-          }
-        }
-        
-        // Video detection
-        const videos = document.querySelectorAll('video');
-        let interactiveVideoCount = 0;
-        for (const vid of videos) {
-          const rect = vid.getBoundingClientRect();
-          const isVisible = rect.width > 100 && rect.height > 100;
-          const isInteractive = !vid.muted || vid.controls;
-          if (isVisible && isInteractive) {
-            interactiveVideoCount++;
-          }
-        }
-        
-        return {
-          isErrorPage,
-          hasCaptcha,
-          potentialPopups,
-          interactiveElements, 
-          hasVideo: interactiveVideoCount > 0, 
-          videoCount: interactiveVideoCount,
-          hasArticles: document.querySelectorAll('article, .post, .article, [role="article"]').length > 0,
-          articleCount: document.querySelectorAll('article, .post, .article, [role="article"]').length,
-          hasForm: document.querySelectorAll('form').length > 0,
-          formCount: document.querySelectorAll('form').length,
-          linkCount: document.querySelectorAll('a[href]:not([href*="javascript"]):not([href="#"])').length,
-          hasSearchBox: document.querySelectorAll('input[type="search"], input[name*="search" i], input[placeholder*="search" i]').length > 0,
-          imageCount: document.querySelectorAll('img').length,
-          headingCount: document.querySelectorAll('h1, h2, h3').length,
-          hasCommentSection: document.querySelectorAll('[class*="comment" i], [id*="comment" i]').length > 0
-        };
-      });
-      
-      return content;
-    } catch (e) {
-      console.warn('[SessionManager] Page scan failed:', e.message);
-      return {
-        isErrorPage: true,
-        hasCaptcha: false,
-        interactiveElements: [],
-        hasVideo: false
-      };
-    }
+    return scanPageContent(page);
   }
 
   /**
@@ -525,7 +413,7 @@ async loadBlacklist() {
           // GROUNDING STEP: Convert Abstract Skeleton to Concrete Actions
           console.log('[SessionManager] Grounding Skeleton Action Chain:', skeletonHelper);
           const groundedChain = skeletonHelper.map(action => this._resolveActionParams(action, pageContent));
-          return groundedChain;
+          return this._dropInvalidSteps(groundedChain);
       }
       
       console.warn('[SessionManager] Failed to parse AI skeleton.');
@@ -766,6 +654,22 @@ async loadBlacklist() {
       return { action: 'browse', params: { iterations: 3 } };
   }
 
+  /**
+   * Remove grounded steps whose params don't match the action schema (reported, not executed)
+   */
+  _dropInvalidSteps(chain) {
+      if (!this.actionRegistry) return chain;
+      const valid = chain.filter(step => {
+          const problems = this.actionRegistry.validateStep(step);
+          if (problems.length > 0) {
+              console.warn(`[Grounding] Dropping invalid step '${step?.action}': ${problems.join('; ')}`);
+              return false;
+          }
+          return true;
+      });
+      return valid.length > 0 ? valid : null;
+  }
+
   _buildAIPrompt(context, contextHint, hasElements, elementList, potentialPopups = []) {
     const popupInfo = potentialPopups.length > 0 
       ? `\nSUSPECTED POPUPS/OVERLAYS DETECTED (Dismissal buttons):
@@ -893,3 +797,126 @@ CRITICAL RULES:
     return status;
   }
 }
+
+/**
+ * Scan page content to detect available elements (DYNAMIC - not domain-based).
+ * Also used outside sessions, e.g. to ground the extract action's AI mode.
+ * @param {import('playwright').Page} page
+ */
+export async function scanPageContent(page) {
+  console.log('[SessionManager] Scanning page content...');
+  
+  try {
+    const content = await page.evaluate(() => {
+      const bodyText = document.body.innerText;
+      
+      // Error Detection
+      const isErrorPage = 
+        bodyText.includes("This site can't be reached") ||
+        bodyText.includes("This page isn't working") ||
+        bodyText.includes("Không thể truy cập trang web này") ||
+        bodyText.includes("Trang này không hoạt động") ||
+        bodyText.includes("Không có kết nối Internet") ||
+        bodyText.includes("ERR_NAME_NOT_RESOLVED") ||
+        bodyText.includes("ERR_CONNECTION_TIMED_OUT") ||
+        bodyText.includes("ERR_CONNECTION_CLOSED") ||
+        bodyText.includes("ERR_CONNECTION_REFUSED") ||
+        bodyText.includes("ERR_CONNECTION_RESET") ||
+        bodyText.includes("ERR_PROXY_CONNECTION_FAILED") ||
+        bodyText.includes("ERR_TUNNEL_CONNECTION_FAILED") ||
+        bodyText.includes("ERR_SSL_PROTOCOL_ERROR") ||
+        bodyText.includes("ERR_SSL_VERSION_OR_CIPHER_MISMATCH") ||
+        bodyText.includes("ERR_CERT") ||
+        bodyText.includes("DNS_PROBE_FINISHED_NXDOMAIN") ||
+        bodyText.includes("DNS_PROBE_FINISHED_NO_INTERNET") ||
+        bodyText.includes("Windows Network Diagnostics") ||
+        bodyText.includes("500 Internal Server Error") ||
+        bodyText.includes("404 Not Found");
+        
+      const hasCaptcha = false;
+      
+      // Popup / Blocking Element Detection
+      const potentialPopups = [];
+      const dismissTerms = [
+        'not interested', 'no thanks', 'close', 'accept', 'agree', 'got it', 
+        'maybe later', 'dismiss', 'i agree', 'allow', 'ok', 'not now',
+        'no', 'reject', 'decline', 'cookie', 'consent', 'i understand'
+      ];
+      
+      const allInteractive = document.querySelectorAll('a[href], button, input[type="submit"], [role="button"]');
+      for (const el of allInteractive) {
+        const text = el.innerText?.trim() || el.textContent?.trim() || el.getAttribute('aria-label') || el.getAttribute('title') || '';
+        const lowerText = text.toLowerCase();
+        
+        if (dismissTerms.some(term => lowerText === term || (lowerText.length < 20 && lowerText.includes(term)))) {
+          const rect = el.getBoundingClientRect();
+          if (rect.width > 0 && rect.height > 0) {
+            potentialPopups.push({
+              text: text.substring(0, 40),
+              tag: el.tagName.toLowerCase()
+            });
+          }
+        }
+      }
+
+      // Extract Interactive Elements (links, buttons) for AI selection
+      const interactiveElements = [];
+      let count = 0;
+      for (const el of allInteractive) {
+        if (count >= 150) break; // Increased limitation for scanning
+        
+        const rect = el.getBoundingClientRect();
+        const text = el.innerText?.trim() || el.textContent?.trim() || el.getAttribute('aria-label') || el.getAttribute('title') || '';
+        
+        if (rect.width > 0 && rect.height > 0 && text.length > 0) {
+          interactiveElements.push({
+            text: text.substring(0, 100),
+            tag: el.tagName.toLowerCase(),
+            href: (el.tagName === 'A' ? el.href : null)
+          });
+          count++;
+        }
+      }
+      
+      // Video detection
+      const videos = document.querySelectorAll('video');
+      let interactiveVideoCount = 0;
+      for (const vid of videos) {
+        const rect = vid.getBoundingClientRect();
+        const isVisible = rect.width > 100 && rect.height > 100;
+        const isInteractive = !vid.muted || vid.controls;
+        if (isVisible && isInteractive) {
+          interactiveVideoCount++;
+        }
+      }
+      
+      return {
+        isErrorPage,
+        hasCaptcha,
+        potentialPopups,
+        interactiveElements, 
+        hasVideo: interactiveVideoCount > 0, 
+        videoCount: interactiveVideoCount,
+        hasArticles: document.querySelectorAll('article, .post, .article, [role="article"]').length > 0,
+        articleCount: document.querySelectorAll('article, .post, .article, [role="article"]').length,
+        hasForm: document.querySelectorAll('form').length > 0,
+        formCount: document.querySelectorAll('form').length,
+        linkCount: document.querySelectorAll('a[href]:not([href*="javascript"]):not([href="#"])').length,
+        hasSearchBox: document.querySelectorAll('input[type="search"], input[name*="search" i], input[placeholder*="search" i]').length > 0,
+        imageCount: document.querySelectorAll('img').length,
+        headingCount: document.querySelectorAll('h1, h2, h3').length,
+        hasCommentSection: document.querySelectorAll('[class*="comment" i], [id*="comment" i]').length > 0
+      };
+    });
+    
+    return content;
+  } catch (e) {
+    console.warn('[SessionManager] Page scan failed:', e.message);
+    return {
+      isErrorPage: true,
+      hasCaptcha: false,
+      interactiveElements: [],
+      hasVideo: false
+    };
+  }
+}
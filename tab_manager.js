@@ -0,0 +1,254 @@
+import { ActionError } from './errors.js';
+
+/**
+ * Tab Manager
+ * Tracks which tab the agent works in. Tabs the agent opens itself (open_tab) are expected;
+ * any other new tab (target=_blank links, window.open, pop-unders) goes through the policy:
+ *
+ *   follow - switch to the new tab (the old behaviour)
+ *   ignore - leave it open in the background and stay on the current tab
+ *   close  - close it right away
+ *
+ * Under every policy a new tab whose URL matches the blocklist (DEFAULT_TAB_BLOCKLIST plus
+ * config tabs.blocklist) is closed. When the current tab closes, the agent falls back to the
+ * tab that opened it, or the last open tab.
+ *
+ * Configure with tabs.newTabPolicy / tabs.blocklist (config.js), BROWSER_CONTROL_NEW_TABS,
+ * or --new-tabs <policy> on open.js.
+ */
+
+export const NEW_TAB_POLICIES = ['follow', 'ignore', 'close'];
+
+// Ad networks and pop-under redirectors (regexes, matched case-insensitively against the tab URL)
+export const DEFAULT_TAB_BLOCKLIST = [
+  'doubleclick\\.net',
+  'googlesyndication\\.com',
+  'googleadservices\\.com',
+  'adservice\\.',
+  'adnxs\\.com',
+  'popads\\.net',
+  'popcash\\.net',
+  'propellerads',
+  'adsterra',
+  'exoclick\\.com',
+  'clickadu\\.com',
+  'hilltopads',
+  'onclckmn\\.com',
+  'trafficjunky',
+  '[?&/]popunder'
+];
+
+// How long to wait for a new tab to leave about:blank before applying the policy to it
+const NEW_TAB_URL_TIMEOUT_MS = 5000;
+
+export class TabManager {
+  /**
+   * @param {import('playwright').BrowserContext} context
+   * @param {import('playwright').Page} page - The tab to start in.
+   * @param {object} [options]
+   * @param {string} [options.policy='follow'] - One of NEW_TAB_POLICIES.
+   * @param {string[]} [options.blocklist] - Extra URL regexes closed on sight.
+   * @param {(page: import('playwright').Page) => void} [options.onSwitch] - Called when the current tab changes.
+   */
+  constructor(context, page, { policy = 'follow', blocklist = [], onSwitch = null } = {}) {
+    if (!NEW_TAB_POLICIES.includes(policy)) {
+      throw new Error(`Unknown new tab policy '${policy}' (expected: ${NEW_TAB_POLICIES.join(', ')})`);
+    }
+    this.context = context;
+    this.policy = policy;
+    this.blocklist = [...DEFAULT_TAB_BLOCKLIST, ...blocklist].map(pattern => new RegExp(pattern, 'i'));
+    this.onSwitch = onSwitch;
+    this._opening = 0;
+    this._page = null;
+    this._watched = new WeakSet();
+    this._openers = new WeakMap(); // tab -> tab that was current when it opened
+    this.switchTo(page);
+  }
+
+  /** The tab actions run in. */
+  get page() {
+    return this._page;
+  }
+
+  /** Open tabs, in the order the browser lists them (the order index-based actions use). */
+  pages() {
+    return this.context.pages().filter(p => !p.isClosed());
+  }
+
+  indexOf(page) {
+    return this.pages().indexOf(page);
+  }
+
+  /** Start applying the new tab policy. */
+  attach() {
+    this.context.on('page', newPage => {
+      this._handleNewPage(newPage).catch(e => console.warn(`[TabManager] New tab handling failed: ${e.message}`));
+    });
+    return this;
+  }
+
+  isBlocked(url) {
+    return this.blocklist.some(pattern => pattern.test(url));
+  }
+
+  async _handleNewPage(newPage) {
+    if (this._opening > 0) return; // Opened by open_tab
+    this._watch(newPage);
+    this._openers.set(newPage, this._page);
+
+    // Pop-ups start as about:blank and navigate right after
+    if (newPage.url() === 'about:blank') {
+      await newPage.waitForURL(url => url.href !== 'about:blank', { timeout: NEW_TAB_URL_TIMEOUT_MS, waitUntil: 'commit' }).catch(() => {});
+    }
+    if (newPage.isClosed()) return;
+    const url = newPage.url();
+
+    if (this.isBlocked(url)) {
+      console.log(`[TabManager] Closing blocked tab: ${url}`);
+      await newPage.close().catch(() => {});
+      return;
+    }
+    switch (this.policy) {
+      case 'follow':
+        console.log(`[TabManager] New tab detected. Switching to: ${url}`);
+        this.switchTo(newPage);
+        break;
+      case 'ignore':
+        console.log(`[TabManager] New tab left in the background: ${url}`);
+        break;
+      case 'close':
+        console.log(`[TabManager] Closing unexpected tab: ${url}`);
+        await newPage.close().catch(() => {});
+        break;
+    }
+  }
+
+  // When the current tab goes away, continue in its opener or the last open tab
+  _watch(page) {
+    if (this._watched.has(page)) return;
+    this._watched.add(page);
+    page.on('close', () => {
+      if (page !== this._page) return;
+      const remaining = this.pages();
+      if (remaining.length === 0) return;
+      const opener = this._openers.get(page);
+      const next = opener && !opener.isClosed() ? opener : remaining[remaining.length - 1];
+      console.log(`[TabManager] Current tab closed. Now on: ${next.url()}`);
+      this.switchTo(next);
+    });
+  }
+
+  /**
+   * Make a tab the current one.
+   * @param {import('playwright').Page} page
+   */
+  switchTo(page) {
+    this._watch(page);
+    if (page === this._page) return page;
+    this._page = page;
+    if (this.onSwitch) this.onSwitch(page);
+    page.bringToFront().catch(() => {});
+    return page;
+  }
+
+  /**
+   * Open a tab as an expected tab (the new tab policy does not apply to it).
+   * @param {string} [url]
+   * @param {object} [options]
+   * @param {boolean} [options.switchTo=true] - Make it the current tab.
+   */
+  async open(url = null, { switchTo = true } = {}) {
+    const previous = this._page;
+    this._opening++;
+    let page;
+    try {
+      page = await this.context.newPage();
+    } finally {
+      this._opening--;
+    }
+    this._watch(page);
+    this._openers.set(page, previous);
+    if (url) await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    if (switchTo) this.switchTo(page);
+    return page;
+  }
+
+  /**
+   * Find a tab by index, URL regex or title (regex or substring, case-insensitive).
+   * @param {object} target
+   * @param {number} [target.index]
+   * @param {string} [target.url]
+   * @param {string} [target.title]
+   * @returns {Promise<import('playwright').Page>}
+   * @throws {ActionError} TAB_NOT_FOUND
+   */
+  async find({ index, url, title } = {}) {
+    const pages = this.pages();
+    if (index !== undefined && index !== null) {
+      const position = parseInt(index);
+      // Negative index counts from the end (-1 = last tab)
+      const page = pages[position < 0 ? pages.length + position : position];
+      if (!page) throw new ActionError(`TAB_NOT_FOUND: no tab ${index} (${pages.length} open)`, { code: 'TAB_NOT_FOUND' });
+      return page;
+    }
+    const urlPattern = url ? toPattern(url) : null;
+    const titlePattern = title ? toPattern(title) : null;
+    for (const page of pages) {
+      if (urlPattern && !urlPattern.test(page.url())) continue;
+      if (titlePattern && !titlePattern.test(await page.title().catch(() => ''))) continue;
+      return page;
+    }
+    throw new ActionError(`TAB_NOT_FOUND: no tab matching ${url ? `url /${url}/` : ''}${url && title ? ' and ' : ''}${title ? `title /${title}/` : ''}`, { code: 'TAB_NOT_FOUND' });
+  }
+
+  /**
+   * Close a tab (default: the current one). Closing the current tab moves to its opener or the last tab.
+   * @param {import('playwright').Page} [page]
+   */
+  async close(page = this._page) {
+    if (this.pages().length <= 1) {
+      throw new ActionError('Cannot close the last tab', { code: 'INVALID_PARAMS' });
+    }
+    await page.close();
+  }
+
+  /**
+   * Close every tab except the current one.
+   * @returns {Promise<number>} Number of tabs closed.
+   */
+  async closeOthers() {
+    const others = this.pages().filter(p => p !== this._page);
+    for (const page of others) {
+      await page.close().catch(() => {});
+    }
+    return others.length;
+  }
+
+  /** { index, url, title } of every open tab, with `current` on the active one. */
+  async describe() {
+    const tabs = [];
+    for (const [index, page] of this.pages().entries()) {
+      tabs.push({ index, url: page.url(), title: await page.title().catch(() => ''), current: page === this._page });
+    }
+    return tabs;
+  }
+}
+
+function toPattern(value) {
+  try {
+    return new RegExp(value, 'i');
+  } catch (e) {
+    return new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+}
+
+/**
+ * The run's tab manager from the action context. Outside a run (handler called directly) a
+ * throwaway one over the page's context is used, so switching only shows in the returned page.
+ * @param {import('playwright').Page} page
+ * @param {object} [ctx] - Action context.
+ * @returns {TabManager}
+ */
+export function tabsFor(page, ctx = {}) {
+  return ctx.tabs || new TabManager(page.context(), page);
+}
@@ -0,0 +1,114 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { ActionRegistry, loadActionRegistry, BUILTIN_ACTIONS_DIR } from './action_registry.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for action discovery and metadata: node test_action_registry.js
+
+// Write plugin modules into dir; each value is the module source
+async function writePlugins(dir, modules) {
+  await fs.ensureDir(dir);
+  for (const [file, source] of Object.entries(modules)) {
+    await fs.writeFile(path.join(dir, file), source);
+  }
+}
+
+// Registry loading logs a summary, override warnings and load errors; keep them for assertions
+async function quietly(fn) {
+  const logged = [];
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = (...args) => logged.push(args.join(' '));
+  try {
+    return { result: await fn(), logged };
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+await test('built-in actions are discovered with their metadata', async () => {
+  const { result: registry } = await quietly(() => loadActionRegistry());
+  for (const name of ['navigate', 'search', 'browse', 'wait', 'click', 'type']) {
+    assert.equal(typeof registry.get(name), 'function', name);
+    assert.equal(registry.getMeta(name).name, name);
+  }
+  assert.equal(registry.has('mouse_helper'), false); // helper module without meta
+  assert.deepEqual(Object.keys(registry.toHandlerMap()), registry.names());
+});
+
+await test('meta must name the action and come with a handler', () => {
+  const registry = new ActionRegistry();
+  assert.throws(() => registry.register({}, () => {}, 'x.js'), /Action from x\.js has no meta\.name/);
+  assert.throws(() => registry.register({ name: 'fly' }, null, 'x.js'), /Action 'fly' from x\.js has no handler function/);
+
+  registry.register({ name: 'fly' }, () => {});
+  assert.deepEqual(registry.getMeta('fly'), { description: '', params: { type: 'object', properties: {} }, returns: 'nothing', name: 'fly' });
+  assert.equal(registry.get('walk'), undefined);
+});
+
+await test('plugins are loaded after built-ins and override them', async (dir) => {
+  const plugins = path.join(dir, 'plugins', 'actions');
+  await writePlugins(plugins, {
+    'wait.js': "export const meta = { name: 'wait', description: 'Plugin wait' };\nexport default async function () { return 'plugin'; }\n",
+    'greet.js': "export const meta = { name: 'greet' };\nexport async function handler() { return 'hi'; }\n",
+    'helper.js': 'export const shared = 1;\n',
+    'broken.js': 'export const meta = {;\n',
+    'nameless.js': 'export const meta = { description: "no name" };\nexport default () => {};\n',
+    'notes.txt': 'ignored'
+  });
+
+  const { result: registry, logged } = await quietly(() => loadActionRegistry({ dirs: [BUILTIN_ACTIONS_DIR, plugins] }));
+  assert.equal(registry.getMeta('wait').description, 'Plugin wait');
+  assert.equal(await registry.get('wait')(), 'plugin');
+  assert.equal(await registry.get('greet')(), 'hi');
+  assert.equal(registry.has('helper'), false);
+  assert.equal(registry.names().at(-1), 'greet');
+
+  assert.ok(logged.some(line => /'wait' from .*wait\.js overrides actions\/wait\.js/.test(line)));
+  assert.ok(logged.some(line => /Failed to load .*broken\.js/.test(line)));
+  assert.ok(logged.some(line => /Failed to load .*nameless\.js: Action from .* has no meta\.name/.test(line)));
+});
+
+await test('duplicate names within plugins: the later file wins', async (dir) => {
+  await writePlugins(dir, {
+    'a.js': "export const meta = { name: 'ping' };\nexport default () => 'a';\n",
+    'b.js': "export const meta = { name: 'ping' };\nexport default () => 'b';\n"
+  });
+  const { result: registry, logged } = await quietly(() => loadActionRegistry({ dirs: [dir, path.join(dir, 'missing')] }));
+  assert.deepEqual(registry.names(), ['ping']);
+  assert.equal(registry.get('ping')(), 'b');
+  assert.ok(logged.some(line => line.includes("'ping' from")));
+});
+
+await test('prompt descriptions list params with type and requirement', () => {
+  const registry = new ActionRegistry();
+  registry.register({
+    name: 'search',
+    description: 'Search Google',
+    params: {
+      type: 'object',
+      properties: { keyword: { type: 'string', description: 'What to search' }, engine: { enum: ['google', 'bing'] } },
+      required: ['keyword']
+    }
+  }, () => {});
+  assert.deepEqual(registry.describeForPrompt(), [{
+    name: 'search',
+    description: 'Search Google',
+    params: { keyword: 'string, required - What to search', engine: 'any, optional, one of google/bing' },
+    returns: 'nothing'
+  }]);
+});
+
+await test('plans with unknown actions or bad params are rejected per step', () => {
+  const registry = new ActionRegistry();
+  registry.register({ name: 'wait', params: { type: 'object', properties: { duration: { type: 'integer' } }, additionalProperties: false } }, () => {});
+  assert.deepEqual(registry.validatePlan([{ action: 'wait', params: { duration: 2 } }]), []);
+  assert.deepEqual(registry.validatePlan([{ action: 'fly' }, { params: {} }, { action: 'wait', params: { seconds: 1 } }]), [
+    "steps[0] (fly): unknown action 'fly' (available: wait)",
+    'steps[1]: missing "action" name',
+    'steps[2] (wait): params.seconds is not a known param (expected: duration)'
+  ]);
+  assert.deepEqual(registry.validatePlan({ action: 'wait' }), ['plan must be a list of steps']);
+});
+
+finish('action registry');
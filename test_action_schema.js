@@ -0,0 +1,59 @@
+import assert from 'assert/strict';
+import { validateParams } from './action_schema.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for action param validation: node test_action_schema.js
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    keyword: { type: 'string', minLength: 2 },
+    count: { type: 'integer', minimum: 1, maximum: 10 },
+    ratio: { type: 'number' },
+    headless: { type: 'boolean' },
+    mode: { enum: ['fast', 'slow'] },
+    code: { type: 'string', pattern: '^[A-Z]{2}$' },
+    tags: { type: 'array', items: { type: 'string' } },
+    target: { type: ['string', 'object'] }
+  },
+  required: ['keyword'],
+  additionalProperties: false
+};
+
+await test('valid params, including untyped CLI strings', () => {
+  assert.deepEqual(validateParams({ keyword: 'cats', count: 3, ratio: 0.5, headless: true, mode: 'fast', code: 'US', tags: ['a'], target: {} }, SCHEMA), []);
+  assert.deepEqual(validateParams({ keyword: 'cats', count: '3', ratio: '-1.5', headless: 'false' }, SCHEMA), []);
+  assert.deepEqual(validateParams(undefined, null), []);
+});
+
+await test('problems are reported with their path', () => {
+  assert.deepEqual(validateParams({ count: 0 }, SCHEMA), ['params.keyword is required', 'params.count must be >= 1']);
+  assert.deepEqual(validateParams({ keyword: 'c', count: '2.5', ratio: '', headless: 'yes' }, SCHEMA), [
+    'params.keyword must be at least 2 characters',
+    'params.count must be integer (got string)',
+    'params.ratio must be number (got string)',
+    'params.headless must be boolean (got string)'
+  ]);
+  assert.deepEqual(validateParams({ keyword: 'cats', mode: 'medium', code: 'usa', tags: ['a', 1], target: 5 }, SCHEMA), [
+    'params.mode must be one of "fast", "slow" (got "medium")',
+    'params.code must match /^[A-Z]{2}$/',
+    'params.tags[1] must be string (got number)',
+    'params.target must be string or object (got number)'
+  ]);
+  assert.deepEqual(validateParams([], SCHEMA), ['params must be object (got array)']);
+});
+
+await test('unknown params and additionalProperties schemas', () => {
+  assert.deepEqual(validateParams({ keyword: 'cats', speed: 1 }, SCHEMA), [
+    'params.speed is not a known param (expected: keyword, count, ratio, headless, mode, code, tags, target)'
+  ]);
+  assert.deepEqual(validateParams({ x: 1 }, { type: 'object', additionalProperties: false }), ['params.x is not a known param (takes no params)']);
+  const fields = { type: 'object', additionalProperties: { type: 'string' } };
+  assert.deepEqual(validateParams({ email: 'a@b.c', age: 5 }, fields, 'params.fields'), ['params.fields.age must be string (got number)']);
+});
+
+await test('whole ${} references are accepted for any type', () => {
+  assert.deepEqual(validateParams({ keyword: '${item}', count: '${ n }', tags: '${list}' }, SCHEMA), []);
+  assert.deepEqual(validateParams({ keyword: 'cats', count: 'x${n}' }, SCHEMA), ['params.count must be integer (got string)']);
+});
+
+finish('action schema');
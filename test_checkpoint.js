@@ -0,0 +1,56 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { RunCheckpoint } from './checkpoint.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for run checkpoints: node test_checkpoint.js
+const STEPS = [{ action: 'navigate', params: { url: 'https://example.com' } }, { action: 'wait', params: {} }, { action: 'browse', params: {} }];
+
+await test('a run records progress and can be loaded to resume', async (dir) => {
+  const profilePath = path.join(dir, 'aaa');
+  const checkpoint = await RunCheckpoint.create(profilePath, 'aaa', STEPS);
+  assert.match(checkpoint.runId, /^run_\d+_[a-z0-9]+$/);
+  assert.equal(checkpoint.nextIndex, 0);
+  assert.equal(checkpoint.isComplete, false);
+  assert.equal(checkpoint.artifactsDir, path.join(profilePath, 'runs', checkpoint.runId, 'artifacts'));
+
+  await checkpoint.completeStep(0, [{ action: 'navigate', status: 'ok' }], 'https://example.com/', { page: 1 });
+  await checkpoint.completeStep(1, [], 'about:blank');
+  await checkpoint.fail(new Error('Browser crashed'));
+
+  const loaded = await RunCheckpoint.load(profilePath, checkpoint.runId);
+  assert.equal(loaded.nextIndex, 2);
+  assert.deepEqual(loaded.results, [{ action: 'navigate', status: 'ok' }]);
+  assert.equal(loaded.lastUrl, 'https://example.com/'); // about:blank does not replace it
+  assert.deepEqual(loaded.vars, { page: 1 });
+  assert.equal(loaded.data.status, 'failed');
+  assert.equal(loaded.data.error, 'Browser crashed');
+
+  await loaded.completeStep(2);
+  await loaded.finish();
+  const done = await RunCheckpoint.load(profilePath, checkpoint.runId);
+  assert.equal(done.isComplete, true);
+  assert.equal(done.data.status, 'completed');
+  assert.equal(done.data.error, null);
+  assert.equal(done.localFiles, false); // AI plans unless the caller says otherwise
+});
+
+await test('runs are found by id across profiles', async (dir) => {
+  const checkpoint = await RunCheckpoint.create(path.join(dir, 'bbb'), 'bbb', STEPS, { localFiles: true });
+  await fs.ensureDir(path.join(dir, 'aaa'));
+  assert.equal(await RunCheckpoint.findProfile(dir, checkpoint.runId), 'bbb');
+  assert.equal(await RunCheckpoint.findProfile(dir, 'run_0_missing'), null);
+  assert.equal(await RunCheckpoint.findProfile(path.join(dir, 'nowhere'), checkpoint.runId), null);
+  await assert.rejects(RunCheckpoint.load(path.join(dir, 'aaa'), checkpoint.runId), /No checkpoint for run/);
+  assert.equal((await RunCheckpoint.load(path.join(dir, 'bbb'), checkpoint.runId)).localFiles, true);
+});
+
+await test('saving recreates a run folder removed between attempts', async (dir) => {
+  const checkpoint = await RunCheckpoint.create(dir, 'aaa', STEPS);
+  await fs.remove(path.join(dir, 'runs'));
+  await checkpoint.completeStep(0);
+  assert.equal((await RunCheckpoint.load(dir, checkpoint.runId)).nextIndex, 1);
+});
+
+finish('checkpoint');
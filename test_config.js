@@ -0,0 +1,84 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadConfig, getConfig, configure, DEFAULT_CONFIG, PROJECT_ROOT } from './config.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for config layering and type coercion: node test_config.js
+// (a browser-control.config.json in the project root is picked up unless a test names another file)
+const load = (argv = [], env = {}, overrides = {}) => loadConfig({ argv, env, overrides });
+
+await test('defaults are finalized', async (dir) => {
+  const empty = path.join(dir, 'empty.json');
+  await fs.writeJson(empty, {});
+  const config = load(['--config', empty]);
+  assert.equal(config.webManager.port, DEFAULT_CONFIG.webManager.port);
+  assert.equal(config.webManager.url, `http://localhost:${DEFAULT_CONFIG.webManager.port}`);
+  assert.equal(config.localAi.chatUrl, 'http://localhost:5295/api/v1/localai/chat/completions');
+  assert.equal(config.paths.profilesDir, path.join(PROJECT_ROOT, 'profiles'));
+  assert.equal(config.fingerprint.serviceKey, '');
+  assert.equal(config.preflight.mode, 'warn');
+});
+
+await test('layers apply in order: file, inline JSON, env vars, flags, overrides', async (dir) => {
+  const file = path.join(dir, 'config.json');
+  await fs.writeJson(file, { webManager: { port: 3100, host: 'file-host' }, localAi: { baseUrl: 'http://file:1/' }, paths: { dataDir: dir } });
+  const env = {
+    BROWSER_CONTROL_CONFIG: file,
+    BROWSER_CONTROL_CONFIG_JSON: JSON.stringify({ webManager: { port: 3200 }, fingerprint: { serviceKey: 'inline' } }),
+    BROWSER_CONTROL_PORT: '3300',
+    BROWSER_CONTROL_SERVICE_KEY: ''
+  };
+  const config = load(['--webManager.host', 'flag-host'], env, { localAi: { chatPath: '/chat' } });
+  assert.equal(config.webManager.port, 3300);
+  assert.equal(config.webManager.host, 'flag-host');
+  assert.equal(config.webManager.url, 'http://flag-host:3300');
+  assert.equal(config.localAi.chatUrl, 'http://file:1/chat');
+  assert.equal(config.fingerprint.serviceKey, 'inline'); // Empty env vars are ignored
+  assert.equal(config.fingerprint.pool.size, DEFAULT_CONFIG.fingerprint.pool.size); // Untouched nested defaults stay
+  assert.equal(config.paths.dataDir, dir);
+  assert.equal(load(['--webManager.port', '3400'], env).webManager.port, 3400);
+
+  assert.throws(() => load([], { BROWSER_CONTROL_CONFIG: path.join(dir, 'missing.json') }), /Config file not found/);
+  assert.throws(() => load([], { BROWSER_CONTROL_CONFIG_JSON: '{' }), /not valid JSON/);
+});
+
+await test('env and flag strings take the type of the default', () => {
+  const config = load(
+    ['--fingerprint.pool.enabled', 'false', '--tabs.blocklist', 'ads\\.example, tracker'],
+    { BROWSER_CONTROL_FINGERPRINT_POOL_SIZE: '8', BROWSER_CONTROL_PORT: '3100' }
+  );
+  assert.equal(config.fingerprint.pool.enabled, false);
+  assert.equal(config.fingerprint.pool.size, 8);
+  assert.equal(config.webManager.port, 3100);
+  assert.deepEqual(config.tabs.blocklist, ['ads\\.example', 'tracker']);
+
+  assert.equal(load([], { BROWSER_CONTROL_FINGERPRINT_POOL: 'yes' }).fingerprint.pool.enabled, true);
+  assert.equal(load(['--fingerprint.pool.enabled']).fingerprint.pool.enabled, true);
+  assert.equal(load(['--fingerprint.pool.enabled', '0']).fingerprint.pool.enabled, false);
+  assert.deepEqual(load(['--fingerprint.pool.tagSets', '[["Apple Mac","Safari"]]']).fingerprint.pool.tagSets, [['Apple Mac', 'Safari']]);
+  assert.equal(load(['--paths.dataDir', '123']).paths.dataDir, path.join(PROJECT_ROOT, '123'));
+  assert.equal(load(['--webManager.url', 'http://proxy/']).webManager.url, 'http://proxy');
+});
+
+await test('values that do not fit the default type are rejected', () => {
+  assert.throws(() => load([], { BROWSER_CONTROL_FINGERPRINT_POOL: 'maybe' }), /fingerprint.pool.enabled must be true or false/);
+  assert.throws(() => load([], { BROWSER_CONTROL_FINGERPRINT_POOL_SIZE: 'five' }), /fingerprint.pool.size must be a number/);
+  assert.throws(() => load(['--fingerprint.pool.tagSets', 'Apple Mac,Safari']), /JSON list of lists/);
+  assert.throws(() => load(['--tabs.blocklist', '[oops']), /not a valid JSON list/);
+});
+
+await test('only entry points read flags from the process argv', () => {
+  const argv = process.argv;
+  process.argv = [...argv, '--config', 'host-app.json', '--webManager.port', '3101'];
+  try {
+    assert.equal(loadConfig({ env: {} }).webManager.port, load().webManager.port);
+    assert.equal(configure({}, { argv: ['--webManager.port', '3102'] }).webManager.port, 3102);
+    assert.equal(getConfig().webManager.port, 3102);
+    assert.equal(configure({ webManager: { port: 3103 } }).webManager.port, 3103);
+  } finally {
+    process.argv = argv;
+  }
+});
+
+finish('config');
@@ -0,0 +1,91 @@
+import assert from 'assert/strict';
+import { loadActionRegistry } from './action_registry.js';
+import { isControlStep, blockVariables, validateCondition, validateControlStep, evaluateCondition, describeStep } from './control_flow.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for control step validation and conditions: node test_control_flow.js
+const registry = await loadActionRegistry();
+const validate = step => registry.validateStep(step);
+
+// Just enough of a Playwright page for conditions
+function fakePage({ url = 'https://example.com/', visible = [], text = '' } = {}) {
+  return {
+    url: () => url,
+    locator: selector => ({
+      first: () => ({ isVisible: async () => visible.includes(selector) }),
+      innerText: async () => text
+    })
+  };
+}
+
+await test('control steps and the variables their blocks define', () => {
+  assert.equal(isControlStep({ action: 'if' }), true);
+  assert.equal(isControlStep({ action: 'click' }), false);
+  assert.equal(isControlStep({ action: 'toString' }), false);
+  assert.deepEqual(blockVariables({ action: 'for_each', as: 'link' }, 'steps'), ['link', 'index']);
+  assert.deepEqual(blockVariables({ action: 'repeat', indexAs: 'n' }, 'steps'), ['n']);
+  assert.deepEqual(blockVariables({ action: 'try' }, 'catch'), ['error']);
+  assert.deepEqual(blockVariables({ action: 'if' }, 'then'), []);
+});
+
+await test('conditions', () => {
+  assert.deepEqual(validateCondition({ visible: '#banner', url: 'watch\\?v=' }, 'condition'), []);
+  assert.deepEqual(validateCondition({ not: { any: [{ text: 'Sign in' }, { hidden: '.x' }] } }, 'condition'), []);
+  assert.deepEqual(validateCondition('${flag}', 'condition'), []);
+  assert.deepEqual(validateCondition({}, 'until'), ['until must be an object with one of visible, hidden, url, text, not, all, any']);
+  assert.deepEqual(validateCondition({ shown: '#x', text: ' ', all: [], url: '(' }, 'condition'), [
+    'condition.shown is not a known condition (known: visible, hidden, url, text, not, all, any)',
+    'condition.text must be a non-empty string',
+    'condition.all must be a non-empty list of conditions',
+    'condition.url is not a valid pattern: Invalid regular expression: /(/: Unterminated group'
+  ]);
+  assert.deepEqual(validateCondition({ any: [{ nope: 1 }] }, 'condition'), ['condition.any[0].nope is not a known condition (known: visible, hidden, url, text, not, all, any)']);
+});
+
+await test('valid control steps', () => {
+  assert.deepEqual(validate({ action: 'if', condition: { visible: '#banner' }, then: [{ action: 'click', params: { selector: '#close' } }], else: [] }), []);
+  assert.deepEqual(validate({ action: 'repeat', times: '3', steps: [{ action: 'browse', params: {} }] }), []);
+  assert.deepEqual(validate({ action: 'repeat', until: { text: 'The end' }, indexAs: 'page', steps: [{ action: 'browse' }] }), []);
+  assert.deepEqual(validate({ action: 'for_each', items: { selector: 'a', attribute: 'href', limit: 3 }, as: 'link', steps: [{ action: 'navigate', params: { url: '${link}' } }] }), []);
+  assert.deepEqual(validate({ action: 'for_each', items: '${links}', steps: [{ action: 'browse' }] }), []);
+  assert.deepEqual(validate({ action: 'try', steps: [{ action: 'browse' }], catch: [] }), []);
+});
+
+await test('invalid control steps report every problem', () => {
+  assert.deepEqual(validate({ action: 'if', then: [], otherwise: [] }), [
+    "'otherwise' is not allowed on 'if' (allowed: condition, then, else)",
+    "'condition' is required",
+    "'then' must be a non-empty list of steps"
+  ]);
+  assert.deepEqual(validate({ action: 'repeat', steps: [{ action: 'fly' }] }), [
+    `steps[0] (fly): unknown action 'fly' (available: ${registry.names().join(', ')})`,
+    "'times' or 'until' is required"
+  ]);
+  assert.deepEqual(validate({ action: 'repeat', times: 0, steps: [{ action: 'browse' }] }), ["'times' must be a positive integer"]);
+  assert.deepEqual(validate({ action: 'for_each', items: { selector: 'a', limit: 0 }, as: '1x', steps: [{ action: 'browse' }] }), [
+    'items.limit must be a positive integer',
+    "'as' must be a variable name (letters, digits, _)"
+  ]);
+  assert.deepEqual(validate({ action: 'for_each', items: 'a,b', steps: [{ action: 'browse' }] }), ['items must be a list, a "${name}" reference or { selector, attribute?, limit? }']);
+  assert.deepEqual(validateControlStep({ action: 'try', steps: [{ action: 'if', condition: {}, then: [{ action: 'browse' }] }] }, validate), [
+    'steps[0] (if): condition must be an object with one of visible, hidden, url, text, not, all, any'
+  ]);
+});
+
+await test('conditions are evaluated against the page', async () => {
+  const page = fakePage({ url: 'https://www.youtube.com/watch?v=1', visible: ['#player'], text: 'Subscribe to Lofi Girl' });
+  assert.equal(await evaluateCondition(page, { visible: '#player', url: 'watch\\?v=' }), true);
+  assert.equal(await evaluateCondition(page, { hidden: '#player' }), false);
+  assert.equal(await evaluateCondition(page, { text: 'lofi girl' }), true);
+  assert.equal(await evaluateCondition(page, { not: { visible: '#ad' } }), true);
+  assert.equal(await evaluateCondition(page, { any: [{ visible: '#ad' }, { url: 'YOUTUBE' }] }), true);
+  assert.equal(await evaluateCondition(page, { all: [{ visible: '#ad' }, { url: 'youtube' }] }), false);
+  assert.equal(await evaluateCondition(page, { text: '${name}' }, { name: 'Subscribe' }), true);
+});
+
+await test('step descriptions', () => {
+  assert.equal(describeStep({ action: 'repeat', times: 2, steps: [{ action: 'browse' }] }), '[REPEAT] {"times":2} steps: 1 step(s)');
+  assert.equal(describeStep({ action: 'click', params: { selector: '#a' } }), '[CLICK] {"selector":"#a"}');
+});
+
+finish('control flow');
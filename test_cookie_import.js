@@ -0,0 +1,89 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { parseCookieImport, loadCookieImport } from './cookie_import.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for cookie / storage import parsing: node test_cookie_import.js
+await test('Playwright cookies pass through', () => {
+  const { cookies, origins, skipped } = parseCookieImport([
+    { name: 'sid', value: 'abc', domain: '.example.com', path: '/app', expires: 1900000000.5, httpOnly: true, secure: true, sameSite: 'None' },
+    { name: 'pref', value: 'dark', url: 'https://example.com' }
+  ]);
+  assert.deepEqual(cookies, [
+    { name: 'sid', value: 'abc', expires: 1900000000, httpOnly: true, secure: true, domain: '.example.com', path: '/app', sameSite: 'None' },
+    { name: 'pref', value: 'dark', expires: -1, httpOnly: false, secure: false, url: 'https://example.com' }
+  ]);
+  assert.deepEqual(origins, []);
+  assert.equal(skipped, 0);
+});
+
+await test('EditThisCookie exports are mapped to Playwright fields', () => {
+  const { cookies } = parseCookieImport(JSON.stringify([
+    { name: 'a', value: '1', domain: 'example.com', hostOnly: false, expirationDate: 1900000000, sameSite: 'no_restriction', secure: true },
+    { name: 'b', value: '2', domain: '.example.com', hostOnly: true, session: true, expirationDate: 1900000000, sameSite: 'no_restriction' },
+    { name: 'c', value: '3', domain: 'example.com', sameSite: 'unspecified' }
+  ]));
+  assert.equal(cookies[0].domain, '.example.com');
+  assert.equal(cookies[0].expires, 1900000000);
+  assert.equal(cookies[0].sameSite, 'None');
+  assert.equal(cookies[1].domain, 'example.com');
+  assert.equal(cookies[1].expires, -1);
+  assert.equal(cookies[1].sameSite, 'Lax'); // SameSite=None needs Secure
+  assert.equal(cookies[2].sameSite, undefined);
+});
+
+await test('Netscape cookies.txt with HttpOnly lines', () => {
+  const text = [
+    '# Netscape HTTP Cookie File',
+    '',
+    'example.com\tTRUE\t/\tTRUE\t1900000000\tsid\tabc',
+    '#HttpOnly_shop.example.com\tFALSE\t/cart\tFALSE\t0\ttoken\tx\ty',
+    'broken line'
+  ].join('\r\n');
+  const { cookies, origins } = parseCookieImport('\uFEFF' + text);
+  assert.deepEqual(cookies, [
+    { name: 'sid', value: 'abc', expires: 1900000000, httpOnly: false, secure: true, domain: '.example.com', path: '/' },
+    { name: 'token', value: 'x\ty', expires: -1, httpOnly: true, secure: false, domain: 'shop.example.com', path: '/cart' }
+  ]);
+  assert.deepEqual(origins, []);
+});
+
+await test('storage state with list and object storages', () => {
+  const { cookies, origins } = parseCookieImport({
+    cookies: [{ name: 'sid', value: 'abc', domain: 'example.com' }],
+    origins: [
+      { origin: 'https://example.com/some/page', localStorage: [{ name: 'theme', value: 'dark' }], sessionStorage: { cart: { items: 2 } } }
+    ]
+  });
+  assert.equal(cookies.length, 1);
+  assert.deepEqual(origins, [{
+    origin: 'https://example.com',
+    localStorage: [{ name: 'theme', value: 'dark' }],
+    sessionStorage: [{ name: 'cart', value: '{"items":2}' }]
+  }]);
+  assert.deepEqual(parseCookieImport({ origins: { 'https://a.example': { localStorage: { k: 'v' } } } }).origins[0].localStorage, [{ name: 'k', value: 'v' }]);
+});
+
+await test('unusable cookies are skipped and counted', () => {
+  const { cookies, skipped } = parseCookieImport([{ name: 'ok', value: '', domain: 'example.com' }, { value: 'no name' }, { name: 'nowhere', value: 'x' }, null]);
+  assert.deepEqual(cookies.map(c => c.name), ['ok']);
+  assert.equal(skipped, 3);
+});
+
+await test('malformed input is rejected', async (dir) => {
+  assert.throws(() => parseCookieImport('   '), /empty/);
+  assert.throws(() => parseCookieImport('[{"name": "a",'), /not valid JSON/);
+  assert.throws(() => parseCookieImport('just some text'), /No cookies found/);
+  assert.throws(() => parseCookieImport({ foo: 1 }), /Unsupported cookie import/);
+  assert.throws(() => parseCookieImport(42), /Unsupported cookie import/);
+  assert.throws(() => parseCookieImport({ cookies: 'sid=abc' }), /must be an array/);
+  assert.throws(() => parseCookieImport({ origins: [{ origin: 'not a url' }] }), /Invalid storage origin/);
+  await assert.rejects(loadCookieImport(path.join(dir, 'missing.json')), /not found/);
+
+  const file = path.join(dir, 'cookies.txt');
+  await fs.writeFile(file, 'example.com\tFALSE\t/\tFALSE\t0\tsid\tabc\n');
+  assert.equal((await loadCookieImport(file)).cookies[0].name, 'sid');
+});
+
+finish('cookie import');
@@ -0,0 +1,96 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { EventChannel, readEvents } from './events.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for the NDJSON run event stream: node test_events.js
+
+// Feed chunks through a PassThrough and collect what readEvents reports
+async function collect(chunks) {
+  const stream = new PassThrough();
+  const events = [];
+  const invalid = [];
+  readEvents(stream, event => events.push(event), line => invalid.push(line));
+  const ended = new Promise(resolve => stream.on('end', resolve));
+  for (const chunk of chunks) stream.write(chunk);
+  stream.end();
+  await ended;
+  return { events, invalid };
+}
+
+await test('events are written as one JSON line each with the context fields', async (dir) => {
+  const file = path.join(dir, 'events.ndjson');
+  const fd = fs.openSync(file, 'w');
+  try {
+    const channel = new EventChannel(String(fd));
+    assert.equal(channel.enabled, true);
+    channel.setContext({ runId: 'run_1', profile: 'aaa' });
+    channel.send('run_started', { mode: 'workflow', steps: 2 });
+    channel.send('run_finished', { success: true, attempts: 1 });
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const lines = (await fs.readFile(file, 'utf8')).split('\n');
+  assert.equal(lines.length, 3);
+  assert.equal(lines[2], '');
+  const started = JSON.parse(lines[0]);
+  assert.equal(started.type, 'run_started');
+  assert.equal(started.runId, 'run_1');
+  assert.equal(started.profile, 'aaa');
+  assert.equal(started.steps, 2);
+  assert.ok(!isNaN(Date.parse(started.ts)));
+  assert.equal(JSON.parse(lines[1]).success, true);
+});
+
+await test('without a usable fd the channel only dispatches in-process', () => {
+  const channel = new EventChannel();
+  assert.equal(channel.enabled, false);
+  assert.equal(new EventChannel('').enabled, false);
+  assert.equal(new EventChannel('abc').enabled, false);
+
+  const seen = [];
+  channel.on('event', event => seen.push(event.type));
+  channel.on('healed', event => seen.push(`healed:${event.index}`));
+  channel.send('healed', { index: 3 });
+  channel.send('error', { message: 'no error listener, still no throw' });
+  assert.deepEqual(seen, ['healed', 'healed:3', 'error']);
+  assert.throws(() => channel.send('exploded'), /Unknown event type 'exploded'/);
+});
+
+await test('a closed fd disables the stream instead of throwing', async (dir) => {
+  const fd = fs.openSync(path.join(dir, 'closed.ndjson'), 'w');
+  fs.closeSync(fd);
+  const channel = new EventChannel(fd);
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    channel.send('run_started', {});
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(channel.enabled, false);
+});
+
+await test('lines split across chunks are reassembled', async () => {
+  const { events, invalid } = await collect(['{"type":"run_sta', 'rted","n":1}\n{"type":"result"}', '\n\n', '{"type":"run_finished"}']);
+  assert.deepEqual(events, [{ type: 'run_started', n: 1 }, { type: 'result' }, { type: 'run_finished' }]);
+  assert.deepEqual(invalid, []);
+});
+
+await test('multi-byte characters split between chunks survive', async () => {
+  const bytes = Buffer.from('{"type":"result","data":"Tìm kiếm 🎵"}\n');
+  const cut = bytes.indexOf(Buffer.from('🎵')) + 2;
+  const { events } = await collect([bytes.subarray(0, cut), bytes.subarray(cut)]);
+  assert.deepEqual(events, [{ type: 'result', data: 'Tìm kiếm 🎵' }]);
+});
+
+await test('invalid lines are reported and skipped', async () => {
+  const { events, invalid } = await collect(['not json\n  \n{"type":"error"}\n{"type":\n']);
+  assert.deepEqual(events, [{ type: 'error' }]);
+  assert.deepEqual(invalid, ['not json', '{"type":']);
+});
+
+finish('events');
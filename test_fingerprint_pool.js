@@ -0,0 +1,112 @@
+import assert from 'assert/strict';
+import { FingerprintPool, tagKey, fingerprintId } from './fingerprint_pool.js';
+import { FingerprintError } from './errors.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for the fingerprint pool against a stubbed fetch: node test_fingerprint_pool.js
+const TAGS = ['Microsoft Windows', 'Chrome'];
+const MAC = ['Apple Mac', 'Chrome'];
+
+// Stub service: a new fingerprint per call (or the values given), counting calls per tag set
+function stubFetch(values = null) {
+  const calls = [];
+  const fetch = async (tags) => {
+    calls.push(tags);
+    if (values) {
+      const value = values[calls.length - 1];
+      if (value instanceof Error) throw value;
+      if (value !== undefined) return value;
+      throw new Error('stub exhausted');
+    }
+    return { navigator: { userAgent: `UA ${tags.join(' ')} #${calls.length}` } };
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+await test('tag keys ignore order and case', async () => {
+  assert.equal(tagKey(['Microsoft Windows', 'Chrome']), tagKey(['chrome', 'microsoft windows']));
+  assert.equal(tagKey(['Microsoft Windows', 'Chrome']), 'chrome+microsoft-windows');
+  assert.notEqual(tagKey(TAGS), tagKey(MAC));
+  assert.equal(fingerprintId({ a: 1 }), fingerprintId({ a: 1 }));
+});
+
+await test('fill tops every tag set up to the pool size', async (dir) => {
+  const fetch = stubFetch();
+  const pool = new FingerprintPool({ dir, size: 3, tagSets: [TAGS, MAC], fetch });
+  assert.equal(await pool.fillAll(), 6);
+  assert.equal(await pool.count(TAGS), 3);
+  assert.equal(await pool.count(MAC), 3);
+  assert.equal(await pool.fill(TAGS), 0); // Already full: no fetch
+  assert.equal(fetch.calls.length, 6);
+  assert.deepEqual((await pool.stats()).tagSets.map(t => t.available), [3, 3]);
+});
+
+await test('concurrent fillAll calls share one fill', async (dir) => {
+  const fetch = stubFetch();
+  const pool = new FingerprintPool({ dir, size: 2, tagSets: [TAGS], fetch });
+  const [a, b] = await Promise.all([pool.fillAll(), pool.fillAll()]);
+  assert.equal(a, 2);
+  assert.equal(b, 2);
+  assert.equal(fetch.calls.length, 2);
+});
+
+await test('assign takes a pooled fingerprint and records the owner', async (dir) => {
+  const pool = new FingerprintPool({ dir, size: 2, tagSets: [TAGS], fetch: stubFetch() });
+  await pool.fill(TAGS);
+  const first = await pool.assign('alice', TAGS);
+  const second = await pool.assign('bob', TAGS);
+  assert.equal(first.source, 'pool');
+  assert.notEqual(first.id, second.id);
+  assert.notDeepEqual(first.fingerprint, second.fingerprint);
+  assert.equal(await pool.count(TAGS), 0);
+  assert.equal(await pool.ownerOf(first.id), 'alice');
+  assert.equal(await pool.ownerOf(second.id), 'bob');
+  assert.equal(await pool.ownerOf('unknown'), null);
+  assert.deepEqual((await pool.assignments('bob')).map(a => a.id), [second.id]);
+  assert.equal((await pool.assignments()).length, 2);
+});
+
+await test('assigned fingerprints are never handed out again', async (dir) => {
+  const same = { navigator: { userAgent: 'the only one' } };
+  const fetch = stubFetch([same, same, same, same]);
+  const pool = new FingerprintPool({ dir, size: 2, tagSets: [TAGS], fetch });
+  assert.equal(await pool.fill(TAGS), 1); // Second copy is a duplicate of the pooled one
+  const assigned = await pool.assign('alice', TAGS);
+  assert.equal(assigned.id, fingerprintId(same));
+  assert.equal(await pool.fill(TAGS), 0); // Service repeats an assigned fingerprint: dropped
+  assert.equal(await pool.count(TAGS), 0);
+  await assert.rejects(pool.assign('bob', TAGS), err => err instanceof FingerprintError && err.code === 'FINGERPRINT_FETCH_FAILED');
+  assert.equal(await pool.ownerOf(assigned.id), 'alice');
+});
+
+await test('empty pool falls back to fetching directly', async (dir) => {
+  const fetch = stubFetch();
+  const pool = new FingerprintPool({ dir, size: 2, tagSets: [TAGS], fetch });
+  const assigned = await pool.assign('alice', MAC);
+  assert.equal(assigned.source, 'service');
+  assert.deepEqual(fetch.calls, [MAC]);
+  assert.equal(await pool.ownerOf(assigned.id), 'alice');
+});
+
+await test('fetch failures stop the fill and fail an empty assign', async (dir) => {
+  const fetch = stubFetch([{ n: 1 }, new Error('service unreachable')]);
+  const pool = new FingerprintPool({ dir, size: 3, tagSets: [TAGS], fetch });
+  assert.equal(await pool.fill(TAGS), 1);
+  assert.equal((await pool.assign('alice', TAGS)).source, 'pool');
+  await assert.rejects(pool.assign('bob', TAGS), err => err.code === 'FINGERPRINT_FETCH_FAILED' && /stub exhausted/.test(err.message));
+});
+
+await test('pools sharing a folder never assign the same fingerprint twice', async (dir) => {
+  const filler = new FingerprintPool({ dir, size: 4, tagSets: [TAGS], fetch: stubFetch() });
+  await filler.fill(TAGS);
+  const failingFetch = stubFetch([]);
+  const a = new FingerprintPool({ dir, size: 4, tagSets: [TAGS], fetch: failingFetch });
+  const b = new FingerprintPool({ dir, size: 4, tagSets: [TAGS], fetch: failingFetch });
+  const results = await Promise.all([a.assign('p1', TAGS), b.assign('p2', TAGS), a.assign('p3', TAGS), b.assign('p4', TAGS)]);
+  assert.equal(new Set(results.map(r => r.id)).size, 4);
+  assert.ok(results.every(r => r.source === 'pool'));
+  assert.equal(failingFetch.calls.length, 0);
+});
+
+finish('fingerprint pool');
@@ -0,0 +1,42 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Shared harness for the test_*.js scripts (plain node, no test runner):
+ *
+ *   await test('does the thing', async (dir) => { ... });   // dir: fresh temp folder, removed afterwards
+ *   finish('widget');                                        // summary, exit code 1 on failures
+ */
+
+let failures = 0;
+
+/**
+ * Run one test with its own temp directory, reporting PASS/FAIL instead of throwing.
+ * @param {string} name
+ * @param {(dir: string) => any} fn
+ */
+export async function test(name, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'browser-control-test-'));
+  try {
+    await fn(dir);
+    console.log(`PASS: ${name}`);
+  } catch (e) {
+    failures++;
+    console.error(`FAIL: ${name}\n  ${e.message}`);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+/**
+ * Print the summary; exits with code 1 when any test failed.
+ * @param {string} suite - e.g. 'prompt parser'.
+ */
+export function finish(suite) {
+  if (failures > 0) {
+    console.error(`\n${failures} test(s) failed`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${suite} tests passed`);
+}
@@ -0,0 +1,85 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { checkConsistency, describeFingerprint, runPreflight } from './preflight.js';
+import { PreflightError } from './errors.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for the preflight consistency check (no network: the geo lookup is stubbed): node test_preflight.js
+const WINDOWS_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+const ANDROID_UA = 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+const WINDOWS_FP = { navigator: { userAgent: WINDOWS_UA, platform: 'Win32', language: 'en-US', maxTouchPoints: 0 }, screen: { width: 1920, height: 1080 } };
+const ANDROID_FP = { navigator: { userAgent: ANDROID_UA, platform: 'Linux armv8l', language: 'vi-VN', maxTouchPoints: 5 }, screen: { width: 412, height: 915 } };
+const US_GEO = { ip: '1.2.3.4', country: 'United States', countryCode: 'US', city: 'Dallas', timezone: 'America/Chicago' };
+const VN_GEO = { ip: '5.6.7.8', country: 'Vietnam', countryCode: 'VN', city: 'Hanoi', timezone: 'Asia/Ho_Chi_Minh' };
+
+const levels = checks => Object.fromEntries(checks.map(c => [c.check, c.level]));
+
+await test('a consistent desktop profile passes every check', () => {
+  const checks = checkConsistency({
+    fingerprint: describeFingerprint(WINDOWS_FP),
+    geo: US_GEO,
+    profileConfig: { tags: ['Microsoft Windows', 'Chrome'], country: 'us' }
+  });
+  assert.deepEqual(levels(checks), { tags_os: 'ok', tags_browser: 'ok', platform: 'ok', screen: 'ok', country: 'ok', language: 'ok' });
+});
+
+await test('Android fingerprints may report a Linux platform', () => {
+  const checks = checkConsistency({ fingerprint: describeFingerprint(JSON.stringify(ANDROID_FP)), geo: VN_GEO, profileConfig: { tags: ['Android'] } });
+  assert.deepEqual(levels(checks), { tags_os: 'ok', platform: 'ok', screen: 'ok', language: 'ok' });
+});
+
+await test('contradictions fail and oddities warn', () => {
+  const fingerprint = describeFingerprint({ ...ANDROID_FP, navigator: { ...ANDROID_FP.navigator, platform: 'Win32', maxTouchPoints: 0, language: 'en-US' }, screen: { width: 2560, height: 1440 } });
+  const checks = checkConsistency({ fingerprint, geo: VN_GEO, profileConfig: { tags: ['Microsoft Windows', 'Firefox'], country: 'US' } });
+  assert.deepEqual(levels(checks), { tags_os: 'fail', tags_browser: 'warn', platform: 'fail', screen: 'fail', touch: 'fail', country: 'fail', language: 'warn' });
+
+  const small = checkConsistency({ fingerprint: describeFingerprint({ ...WINDOWS_FP, screen: { width: 640, height: 480 } }), geo: US_GEO });
+  assert.equal(levels(small).screen, 'warn');
+});
+
+await test('missing data skips checks instead of failing them', () => {
+  assert.deepEqual(checkConsistency({ fingerprint: describeFingerprint('opaque-token'), geo: null }), [
+    { check: 'fingerprint', level: 'warn', message: 'Fingerprint has no readable user agent; fingerprint checks skipped' },
+    { check: 'geo', level: 'warn', message: "Could not determine the exit IP's country" }
+  ]);
+  const checks = checkConsistency({ fingerprint: describeFingerprint(WINDOWS_FP), geo: { error: 'timeout' }, profileConfig: { country: 'US' } });
+  assert.equal(levels(checks).geo, 'warn');
+  assert.equal(levels(checks).country, undefined);
+});
+
+await test('modes: warn reports, enforce throws, off and skip do not look up the exit IP', async (dir) => {
+  let lookups = 0;
+  const lookupGeo = async () => { lookups++; return US_GEO; };
+  const base = { profileName: 'p', profilePath: dir, fingerprint: ANDROID_FP, lookupGeo };
+  await fs.writeJson(path.join(dir, 'config.json'), { tags: ['Microsoft Windows', 'Chrome'] });
+
+  const warned = await runPreflight(base);
+  assert.equal(warned.mode, 'warn');
+  assert.equal(warned.status, 'fail');
+  assert.equal(warned.windowSize, '412,915');
+  assert.deepEqual(await fs.readJson(path.join(dir, 'preflight.json')), JSON.parse(JSON.stringify(warned)));
+  await assert.rejects(runPreflight({ ...base, mode: 'enforce' }), err => err instanceof PreflightError && err.code === 'PREFLIGHT_FAILED');
+  assert.equal(lookups, 2);
+
+  assert.equal((await runPreflight({ ...base, mode: 'off' })).status, 'skipped');
+  await fs.writeJson(path.join(dir, 'config.json'), { tags: ['Microsoft Windows'], preflight: 'enforce' });
+  const skipped = await runPreflight({ ...base, skip: true });
+  assert.equal(skipped.status, 'skipped');
+  assert.equal(skipped.windowSize, '412,915');
+  assert.equal(lookups, 2);
+  await assert.rejects(runPreflight({ ...base, mode: 'bogus', profilePath: path.join(dir, 'other') }), /Unknown preflight mode/);
+});
+
+await test('history keeps only the latest results', async (dir) => {
+  const historyFile = path.join(dir, 'preflight_history.jsonl');
+  await fs.writeFile(historyFile, Array.from({ length: 120 }, (_, i) => JSON.stringify({ n: i })).join('\n') + '\n');
+  await runPreflight({ profileName: 'p', profilePath: dir, fingerprint: WINDOWS_FP, lookupGeo: async () => US_GEO });
+
+  const lines = (await fs.readFile(historyFile, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 100);
+  assert.equal(lines[0].n, 21);
+  assert.equal(lines[99].profile, 'p');
+});
+
+finish('preflight');
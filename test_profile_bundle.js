@@ -0,0 +1,117 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import * as tar from 'tar';
+import { exportProfileBundle, importProfileBundle, readBundleManifest, recordContextFile, bundleChecksum, CONTEXTS_INDEX } from './profile_bundle.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for profile bundles (export, verify, import; no browser): node test_profile_bundle.js
+const STORAGE = { cookies: [{ name: 'sid', value: 'abc', domain: '.example.com', path: '/' }], origins: [] };
+
+// A profile folder with the files a bundle carries, plus a context file it ran with
+async function makeProfile(dir, name = 'alice') {
+  const profilePath = path.join(dir, 'profiles', name);
+  await fs.outputJson(path.join(profilePath, 'config.json'), { tags: ['Microsoft Windows', 'Chrome'], notes: 'n' });
+  await fs.outputJson(path.join(profilePath, 'fingerprint.json'), { navigator: { userAgent: 'UA' } });
+  await fs.outputFile(path.join(profilePath, 'Default', 'Cookies'), 'sqlite');
+  await fs.outputFile(path.join(profilePath, '.lock'), '{}');
+  const contextFile = path.join(dir, 'context.json');
+  await fs.writeJson(contextFile, { agent_name: 'Minh' });
+  await recordContextFile(profilePath, contextFile);
+  return profilePath;
+}
+
+// Rewrite a bundle with a changed manifest or files; the overall checksum is recomputed unless `resign` is false
+async function repack(bundle, dir, edit, { resign = true } = {}) {
+  const stage = path.join(dir, 'repack');
+  await fs.emptyDir(stage);
+  await tar.extract({ file: bundle, cwd: stage });
+  const manifest = await fs.readJson(path.join(stage, 'manifest.json'));
+  await edit(manifest, stage);
+  if (resign) manifest.checksum = bundleChecksum(manifest.files);
+  await fs.writeJson(path.join(stage, 'manifest.json'), manifest);
+  const out = path.join(dir, `repacked-${Date.now()}.tar.gz`);
+  await tar.create({ gzip: true, file: out, cwd: stage }, await fs.readdir(stage));
+  return out;
+}
+
+await test('export and import round trip', async (dir) => {
+  const profilePath = await makeProfile(dir);
+  const bundle = path.join(dir, 'alice.tar.gz');
+  const exported = await exportProfileBundle(profilePath, bundle, { storage: STORAGE });
+  assert.equal(exported.profile, 'alice');
+  assert.equal(exported.files, 4); // config, fingerprint, storage, one context
+  assert.equal(exported.cookies, 1);
+  assert.equal(exported.userData, false);
+
+  const manifest = await readBundleManifest(bundle);
+  assert.equal(manifest.profile, 'alice');
+  assert.deepEqual(manifest.contexts, ['context.json']);
+
+  const target = path.join(dir, 'profiles', 'bob');
+  const contextsDir = path.join(dir, 'contexts');
+  const imported = await importProfileBundle(bundle, target, { contextsDir });
+  assert.equal(imported.profile, 'alice');
+  assert.deepEqual(imported.storage, STORAGE);
+  assert.deepEqual((await fs.readdir(target)).sort(), ['config.json', CONTEXTS_INDEX, 'fingerprint.json']);
+  assert.deepEqual(await fs.readJson(path.join(target, 'config.json')), await fs.readJson(path.join(profilePath, 'config.json')));
+  assert.deepEqual(await fs.readJson(path.join(contextsDir, 'context.json')), { agent_name: 'Minh' });
+
+  await assert.rejects(importProfileBundle(bundle, target, { contextsDir }), /already exists/);
+  await importProfileBundle(bundle, target, { contextsDir, overwrite: true });
+});
+
+await test('user data is only packed on request, without locks', async (dir) => {
+  const profilePath = await makeProfile(dir);
+  const bundle = path.join(dir, 'full.tar.gz');
+  await exportProfileBundle(profilePath, bundle, { includeUserData: true });
+  const paths = (await readBundleManifest(bundle)).files.map(f => f.path);
+  assert.ok(paths.includes('profile/Default/Cookies'));
+  assert.ok(!paths.includes('profile/.lock'));
+  assert.ok(!paths.includes(`profile/${CONTEXTS_INDEX}`));
+  await assert.rejects(exportProfileBundle(profilePath, bundle, { profile: 'bad name' }), /Cannot bundle profile/);
+});
+
+await test('damaged and tampered bundles are refused', async (dir) => {
+  const profilePath = await makeProfile(dir);
+  const bundle = path.join(dir, 'alice.tar.gz');
+  await exportProfileBundle(profilePath, bundle);
+  const importInto = file => importProfileBundle(file, path.join(dir, 'profiles', `x${Date.now()}`), { contextsDir: path.join(dir, 'contexts') });
+
+  const edited = await repack(bundle, dir, async (manifest, stage) => {
+    await fs.writeJson(path.join(stage, 'profile', 'config.json'), { tags: ['Android'] });
+  });
+  await assert.rejects(importInto(edited), /Checksum mismatch for profile\/config.json/);
+
+  const extra = await repack(bundle, dir, async (manifest, stage) => {
+    await fs.outputFile(path.join(stage, 'profile', 'evil.txt'), 'x');
+  });
+  await assert.rejects(importInto(extra), /missing from its manifest/);
+
+  const forged = await repack(bundle, dir, async (manifest) => { manifest.checksum = 'f'.repeat(64); }, { resign: false });
+  await assert.rejects(importInto(forged), /the manifest was modified/);
+
+  const notBundle = path.join(dir, 'not.tar.gz');
+  await fs.writeFile(notBundle, 'plain text');
+  await assert.rejects(readBundleManifest(notBundle), /Not a profile bundle/);
+  await assert.rejects(readBundleManifest(path.join(dir, 'missing.tar.gz')), /not found/);
+});
+
+await test('manifests naming unsafe profiles or paths are refused', async (dir) => {
+  const profilePath = await makeProfile(dir);
+  const bundle = path.join(dir, 'alice.tar.gz');
+  await exportProfileBundle(profilePath, bundle);
+
+  for (const profile of ['../../x', 'a/b', '.hidden', '', 42, undefined]) {
+    const bad = await repack(bundle, dir, async (manifest) => { manifest.profile = profile; });
+    await assert.rejects(readBundleManifest(bad), /invalid profile name/, `profile ${JSON.stringify(profile)}`);
+  }
+  const escaping = await repack(bundle, dir, async (manifest) => { manifest.files[0].path = '../outside.json'; });
+  await assert.rejects(readBundleManifest(escaping), /outside the bundle/);
+  const context = await repack(bundle, dir, async (manifest) => { manifest.contexts = ['../../etc/passwd']; });
+  await assert.rejects(readBundleManifest(context), /outside the bundle/);
+  const newer = await repack(bundle, dir, async (manifest) => { manifest.version = 99; });
+  await assert.rejects(readBundleManifest(newer), /newer than supported/);
+});
+
+finish('profile bundle');
@@ -0,0 +1,82 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { ProfileLock, LOCK_FILE, staleReason } from './profile_lock.js';
+import { ProfileLockedError } from './errors.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for profile locking within one process: node test_profile_lock.js
+const ago = ms => new Date(Date.now() - ms).toISOString();
+const otherHolder = (fields = {}) => ({ pid: process.ppid, hostname: os.hostname(), instanceId: 'other', acquiredAt: ago(1000), heartbeatAt: ago(1000), ...fields });
+const readLock = dir => fs.readJson(path.join(dir, LOCK_FILE));
+
+await test('stale reasons', () => {
+  assert.equal(staleReason(otherHolder()), null);
+  assert.match(staleReason(otherHolder({ heartbeatAt: ago(120000) })), /no heartbeat/);
+  assert.equal(staleReason(otherHolder({ hostname: 'elsewhere', pid: 999999999 })), null); // Other hosts: heartbeat only
+  assert.match(staleReason(otherHolder({ pid: 999999999 })), /process 999999999 is gone/);
+  assert.equal(staleReason(null), null); // Unreadable counts as busy
+});
+
+await test('a held profile is busy until released', async (dir) => {
+  const lock = await ProfileLock.acquire(dir, { profile: 'p', instanceId: 'one' });
+  const holder = await readLock(dir);
+  assert.equal(holder.pid, process.pid);
+  assert.equal(holder.instanceId, 'one');
+  assert.equal((await ProfileLock.inspect(dir)).instanceId, 'one');
+
+  await assert.rejects(ProfileLock.acquire(dir, { instanceId: 'two' }), err => err instanceof ProfileLockedError && err.code === 'PROFILE_LOCKED' && err.holder.instanceId === 'one');
+  await lock.release();
+  assert.equal(await fs.pathExists(path.join(dir, LOCK_FILE)), false);
+  assert.equal(await ProfileLock.inspect(dir), null);
+  await (await ProfileLock.acquire(dir)).release();
+});
+
+await test('stale locks are taken over, unreadable ones are not', async (dir) => {
+  const lockPath = path.join(dir, LOCK_FILE);
+  await fs.writeJson(lockPath, otherHolder({ pid: 999999999 }));
+  assert.equal(await ProfileLock.inspect(dir), null);
+  const lock = await ProfileLock.acquire(dir, { instanceId: 'new' });
+  assert.equal((await readLock(dir)).instanceId, 'new');
+  await lock.release();
+
+  await fs.writeFile(lockPath, '{"pid": 12');
+  assert.deepEqual(await ProfileLock.inspect(dir), { unreadable: true });
+  await assert.rejects(ProfileLock.acquire(dir), /unreadable/);
+  assert.equal(await fs.readFile(lockPath, 'utf8'), '{"pid": 12');
+});
+
+await test('heartbeats refresh our lock atomically and recreate a removed one', async (dir) => {
+  const lock = await ProfileLock.acquire(dir);
+  const { acquiredAt, heartbeatAt } = await readLock(dir);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await lock.touch(), true);
+  const touched = await readLock(dir);
+  assert.equal(touched.acquiredAt, acquiredAt);
+  assert.notEqual(touched.heartbeatAt, heartbeatAt);
+  assert.deepEqual(await fs.readdir(dir), [LOCK_FILE]); // No temp files left behind
+
+  await fs.remove(path.join(dir, LOCK_FILE));
+  assert.equal(await lock.touch(), true);
+  assert.equal((await readLock(dir)).acquiredAt, acquiredAt);
+  await lock.release();
+});
+
+await test('a heartbeat that finds another holder gives the lock up', async (dir) => {
+  const lock = await ProfileLock.acquire(dir);
+  const lost = [];
+  lock.onLost = holder => lost.push(holder);
+  const taker = otherHolder({ instanceId: 'taker' });
+  await fs.writeJson(path.join(dir, LOCK_FILE), taker);
+
+  assert.equal(await lock.touch(), false);
+  assert.deepEqual(lost, [taker]);
+  assert.deepEqual(await readLock(dir), taker); // Left alone
+  assert.equal(await lock.touch(), false);
+  assert.equal(lost.length, 1);
+  await lock.release();
+  assert.deepEqual(await readLock(dir), taker);
+});
+
+finish('profile lock');
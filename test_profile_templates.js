@@ -0,0 +1,101 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { ProfileTemplates, PROFILE_CONTEXT_FILE, validateTemplate, profileFiles } from './profile_templates.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for profile templates, cloning and bulk creation: node test_profile_templates.js
+const TEMPLATE = {
+  name: 'shoppers',
+  description: 'US shopping profiles',
+  tags: ['Apple Mac', 'Chrome'],
+  config: { notes: 'warmed up weekly', blacklist: ['ads.example.com'], country: 'US' },
+  context: { agent_name: 'Minh', role: 'shopper' },
+  proxyProvider: { mode: 'dynamic', provider: 'tmproxy', apiKey: 'key' }
+};
+
+// Each test gets templates and profiles in its own temp dir
+const withTemplates = fn => dir => fn(new ProfileTemplates({ dir: path.join(dir, 'templates'), profilesDir: path.join(dir, 'profiles') }));
+
+const readProfile = async (templates, name, file = 'config.json') => fs.readJson(path.join(templates.profilesDir, name, file));
+
+await test('templates are validated, stored, listed and removed', withTemplates(async (templates) => {
+  assert.deepEqual(validateTemplate(TEMPLATE), []);
+  assert.equal(validateTemplate({ name: 'bad name' }).length, 1);
+  assert.equal(validateTemplate({ name: 'x', tags: [], config: [] }).length, 2);
+  assert.equal(validateTemplate({ name: 'x', config: { tags: ['Chrome'] } }).length, 1);
+  await assert.rejects(templates.save({ name: '../escape' }), /Invalid template/);
+
+  await templates.save(TEMPLATE);
+  assert.equal((await templates.get('shoppers')).description, TEMPLATE.description);
+  assert.equal(await templates.get('missing'), null);
+  assert.deepEqual((await templates.list()).map(t => t.name), ['shoppers']);
+  assert.equal(await templates.remove('shoppers'), true);
+  assert.equal(await templates.remove('shoppers'), false);
+  assert.deepEqual(await templates.list(), []);
+}));
+
+await test('profiles from a template get its config and agent context', withTemplates(async (templates) => {
+  await templates.save(TEMPLATE);
+  assert.deepEqual(await templates.createProfile('alice', { template: 'shoppers' }), { name: 'alice', template: 'shoppers' });
+
+  const config = await readProfile(templates, 'alice');
+  assert.deepEqual(config.tags, TEMPLATE.tags);
+  assert.equal(config.notes, 'warmed up weekly');
+  assert.deepEqual(config.blacklist, ['ads.example.com']);
+  assert.equal(config.country, 'US');
+  assert.equal(config.template, 'shoppers');
+  const context = await readProfile(templates, 'alice', PROFILE_CONTEXT_FILE);
+  assert.equal(context.agent_name, 'Minh');
+  assert.deepEqual(context.proxy_provider, { mode: 'dynamic', provider: 'tmproxy', api_key: 'key' });
+
+  await assert.rejects(templates.createProfile('alice', { template: 'shoppers' }), /already exists/);
+  await assert.rejects(templates.createProfile('bob', { template: 'missing' }), /not found/);
+  assert.equal(await fs.pathExists(path.join(templates.profilesDir, 'bob')), false);
+}));
+
+await test('proxy providers keep an api_key given in agent context form', () => {
+  const [, context] = profileFiles({ name: 'x', proxyProvider: { mode: 'dynamic', api_key: 'snake', apiKey: 'camel' } });
+  assert.deepEqual(context, { proxy_provider: { mode: 'dynamic', api_key: 'snake' } });
+  assert.equal(profileFiles({ name: 'x' })[1], null);
+});
+
+await test('profiles without a template start empty', withTemplates(async (templates) => {
+  await templates.createProfile('plain');
+  assert.deepEqual(await fs.readdir(path.join(templates.profilesDir, 'plain')), []);
+  await assert.rejects(templates.createProfile('no/slashes'), /Invalid profile name/);
+}));
+
+await test('bulk creation numbers profiles and skips taken names', withTemplates(async (templates) => {
+  await templates.save(TEMPLATE);
+  await templates.createProfile('shoppers-2');
+  const created = await templates.createProfiles('shoppers', 3);
+  assert.deepEqual(created.map(p => p.name), ['shoppers-1', 'shoppers-3', 'shoppers-4']);
+  assert.equal(await fs.pathExists(path.join(templates.profilesDir, 'shoppers-2', 'config.json')), false); // Left alone
+  assert.equal((await readProfile(templates, 'shoppers-4')).template, 'shoppers');
+
+  const prefixed = await templates.createProfiles('shoppers', 2, { prefix: 'us' });
+  assert.deepEqual(prefixed.map(p => p.name), ['us-1', 'us-2']);
+  await assert.rejects(templates.createProfiles('shoppers', 0), /between 1 and/);
+  await assert.rejects(templates.createProfiles('shoppers', 2, { prefix: 'a b' }), /Invalid profile name prefix/);
+  await assert.rejects(templates.createProfiles('missing', 2), /not found/);
+}));
+
+await test('clones copy configuration but no fingerprint, stats, history or browser data', withTemplates(async (templates) => {
+  await templates.save(TEMPLATE);
+  await templates.createProfile('source', { template: 'shoppers' });
+  const sourcePath = path.join(templates.profilesDir, 'source');
+  await fs.writeJson(path.join(sourcePath, 'fingerprint.json'), { id: 'taken' });
+  await fs.writeJson(path.join(sourcePath, 'stats.json'), { launches: 4 });
+  await fs.writeJson(path.join(sourcePath, 'history.json'), []);
+  await fs.outputFile(path.join(sourcePath, 'Default', 'Cookies'), 'db');
+
+  assert.deepEqual(await templates.cloneProfile('source', 'copy'), { name: 'copy', source: 'source', template: 'shoppers' });
+  assert.deepEqual((await fs.readdir(path.join(templates.profilesDir, 'copy'))).sort(), [PROFILE_CONTEXT_FILE, 'config.json']);
+  assert.deepEqual(await readProfile(templates, 'copy'), await readProfile(templates, 'source'));
+
+  await assert.rejects(templates.cloneProfile('source', 'copy'), /already exists/);
+  await assert.rejects(templates.cloneProfile('nobody', 'other'), /not found/);
+}));
+
+finish('profile template');
@@ -0,0 +1,170 @@
+import assert from 'assert/strict';
+import { loadActionRegistry } from './action_registry.js';
+import { parseStructuredPrompt, parseDuration, tokenize } from './prompt_parser.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for the structured prompt parser: node test_prompt_parser.js
+const registry = await loadActionRegistry();
+
+const parse = prompt => parseStructuredPrompt(prompt, registry);
+
+await test('tokenizer keeps quoted strings whole', () => {
+  const tokens = tokenize('search for "cats, then dogs" then wait');
+  assert.deepEqual(tokens.map(t => t.type), ['word', 'word', 'quoted', 'word', 'word']);
+  assert.equal(tokens[2].value, 'cats, then dogs');
+  assert.equal(tokenize('search "unbalanced'), null);
+});
+
+await test('durations', () => {
+  assert.deepEqual(parseDuration('30 seconds'), { min: 30, max: 30 });
+  assert.deepEqual(parseDuration('30s'), { min: 30, max: 30 });
+  assert.deepEqual(parseDuration('30-60 giây'), { min: 30, max: 60 });
+  assert.deepEqual(parseDuration('30 đến 60 giây'), { min: 30, max: 60 });
+  assert.deepEqual(parseDuration('2 phút'), { min: 120, max: 120 });
+  assert.deepEqual(parseDuration('1 to 2 minutes'), { min: 60, max: 120 });
+  assert.deepEqual(parseDuration('50%'), { percent: 50 });
+  assert.deepEqual(parseDuration('1.5 minutes'), { min: 90, max: 90 });
+  assert.equal(parseDuration('a while'), null);
+});
+
+await test('legacy ", then" prompts', () => {
+  assert.deepEqual(parse("search for 'lofi music', then click first result, then read 30 seconds"), {
+    actions: [
+      { action: 'search', params: { keyword: 'lofi music' } },
+      { action: 'click', params: {} },
+      { action: 'browse', params: { iterations: 10 } }
+    ]
+  });
+});
+
+await test('English connectors, quoting and durations', () => {
+  assert.deepEqual(parse('Go to youtube.com and search "lo-fi, chill" then click the first video after that watch 30-60 seconds; wait 5s'), {
+    actions: [
+      { action: 'navigate', params: { url: 'youtube.com' } },
+      { action: 'search', params: { keyword: 'lo-fi, chill' } },
+      { action: 'click', params: { type: 'video' } },
+      { action: 'watch', params: { duration: '30-60s' } },
+      { action: 'wait', params: { duration: 5 } }
+    ]
+  });
+});
+
+await test('"and" inside an argument does not split', () => {
+  assert.deepEqual(parse('search salt and pepper'), {
+    actions: [{ action: 'search', params: { keyword: 'salt and pepper' } }]
+  });
+});
+
+await test('Vietnamese connectors and verbs', () => {
+  assert.deepEqual(parse('mở profile "aaa" vào youtube rồi tìm kiếm "nhạc lofi" sau đó bấm vào video đầu tiên rồi xem 2 phút'), {
+    profile: 'aaa',
+    actions: [
+      { action: 'navigate', params: { url: 'youtube.com' } },
+      { action: 'search', params: { keyword: 'nhạc lofi' } },
+      { action: 'click', params: { type: 'video' } },
+      { action: 'watch', params: { duration: 120 } }
+    ]
+  });
+});
+
+await test('Vietnamese without diacritics', () => {
+  assert.deepEqual(parse('tim kiem meo con roi luot web 30-60 giay roi doi 10 giay'), {
+    actions: [
+      { action: 'search', params: { keyword: 'meo con' } },
+      { action: 'browse', params: { iterations: 15 } },
+      { action: 'wait', params: { duration: 10 } }
+    ]
+  });
+});
+
+await test('click targets', () => {
+  assert.deepEqual(parse('press enter').actions, [{ action: 'click', params: { type: 'enter' } }]);
+  assert.deepEqual(parse('click "Sign in"').actions, [{ action: 'click', params: { text: 'Sign in' } }]);
+  assert.deepEqual(parse('click #submit').actions, [{ action: 'click', params: { selector: '#submit' } }]);
+});
+
+await test('remaining built-in actions', () => {
+  assert.deepEqual(parse('login as me@example.com password "p@ss word"').actions, [
+    { action: 'login', params: { email: 'me@example.com', password: 'p@ss word' } }
+  ]);
+  assert.deepEqual(parse('type "hello world" then comment "say something nice" then save image 2 then quét màn hình').actions, [
+    { action: 'type', params: { text: 'hello world' } },
+    { action: 'comment', params: { instruction: 'say something nice' } },
+    { action: 'save_image', params: { index: 1 } },
+    { action: 'visual_scan', params: {} }
+  ]);
+  assert.deepEqual(parse('điền email=me@example.com name="Nguyen Van A" gửi').actions, [
+    { action: 'fill_form', params: { fields: { email: 'me@example.com', name: 'Nguyen Van A' }, submit: true } }
+  ]);
+});
+
+await test('interaction actions', () => {
+  assert.deepEqual(parse('press ctrl+l then press enter').actions, [
+    { action: 'press_keys', params: { keys: 'ctrl+l' } },
+    { action: 'click', params: { type: 'enter' } }
+  ]);
+  assert.deepEqual(parse('press tab tab enter').actions, [{ action: 'press_keys', params: { keys: ['tab', 'tab', 'enter'] } }]);
+  assert.deepEqual(parse('rê chuột vào "Sản phẩm" rồi chọn "Mới nhất" trong "Sắp xếp"').actions, [
+    { action: 'hover', params: { text: 'Sản phẩm' } },
+    { action: 'select_option', params: { label: 'Sắp xếp', option: 'Mới nhất' } }
+  ]);
+  assert.deepEqual(parse('scroll to the bottom of the page; scroll to 50%; scroll to #comments').actions, [
+    { action: 'scroll_to', params: { position: 'bottom' } },
+    { action: 'scroll_to', params: { percent: 50 } },
+    { action: 'scroll_to', params: { selector: '#comments' } }
+  ]);
+  assert.deepEqual(parse('wait for 5s then wait for "Done" then đợi đến khi .spinner biến mất').actions, [
+    { action: 'wait', params: { duration: 5 } },
+    { action: 'wait_for', params: { text: 'Done' } },
+    { action: 'wait_for', params: { selector: '.spinner', state: 'hidden' } }
+  ]);
+  assert.deepEqual(parse('go to example.com then expect "Example Domain" then assert url example\\.com').actions, [
+    { action: 'navigate', params: { url: 'example.com' } },
+    { action: 'assert_text', params: { text: 'Example Domain' } },
+    { action: 'assert_url', params: { url: 'example\\.com' } }
+  ]);
+  assert.deepEqual(parse('chụp màn hình toàn trang rồi screenshot #cart then save as pdf "order.pdf"').actions, [
+    { action: 'screenshot', params: { mode: 'full' } },
+    { action: 'screenshot', params: { selector: '#cart' } },
+    { action: 'pdf', params: { fileName: 'order.pdf' } }
+  ]);
+  assert.deepEqual(parse('open new tab gmail.com then switch to tab 1 rồi chuyển sang tab "Inbox" then close other tabs, then close tab').actions, [
+    { action: 'open_tab', params: { url: 'gmail.com' } },
+    { action: 'switch_tab', params: { index: 0 } },
+    { action: 'switch_tab', params: { title: 'Inbox' } },
+    { action: 'close_other_tabs', params: {} },
+    { action: 'close_tab', params: {} }
+  ]);
+  assert.deepEqual(parse('drag #card-1 to #done').actions, [{ action: 'drag_and_drop', params: { source: '#card-1', target: '#done' } }]);
+});
+
+await test('action name with key=value arguments', () => {
+  assert.deepEqual(parse('navigate url=grok.com -> save_image selector="img.main" index=0 -> watch duration=45 skipAds=false').actions, [
+    { action: 'navigate', params: { url: 'grok.com' } },
+    { action: 'save_image', params: { selector: 'img.main', index: 0 } },
+    { action: 'watch', params: { duration: 45, skipAds: false } }
+  ]);
+});
+
+await test('unquoted free text is only a short bare term', () => {
+  assert.deepEqual(parse('search lofi hip hop').actions, [{ action: 'search', params: { keyword: 'lofi hip hop' } }]);
+  assert.deepEqual(parse('click login').actions, [{ action: 'click', params: { text: 'login' } }]);
+  assert.deepEqual(parse('watch 1.5 minutes').actions, [{ action: 'watch', params: { duration: 90 } }]);
+  assert.equal(parse('find a funny cat video and leave a nice comment'), null);
+  assert.equal(parse('click the login button'), null);
+  assert.equal(parse('search for the best lofi music of all time'), null);
+  assert.equal(parse('type hello there my old friend'), null);
+  assert.equal(parse('tìm kiếm một video mèo hài hước'), null);
+});
+
+await test('unparseable prompts return null (AI fallback)', () => {
+  assert.equal(parse('make me a funny video about cats'), null);
+  assert.equal(parse('vào grok tạo hình con mèo rồi lưu ảnh'), null);
+  assert.equal(parse('search for cats then dance'), null);
+  assert.equal(parse('watch a cute cat video'), null);
+  assert.equal(parse('navigate url=grok.com bogus=1'), null);
+  assert.equal(parse('open profile aaa'), null);
+  assert.equal(parse(''), null);
+});
+
+finish('prompt parser');
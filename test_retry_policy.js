@@ -0,0 +1,74 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { buildRetryPolicy, loadRetryPolicy, resolveRetryRule, backoffDelay, DEFAULT_RETRY_POLICY } from './retry_policy.js';
+import { classifyError, ProxyError, BrowserCrashError, CaptchaError, NetworkError, ActionError } from './errors.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for error classification and the retry policy: node test_retry_policy.js
+await test('raw errors are classified by message', () => {
+  const crash = classifyError(new Error('Target page, context or browser has been closed'));
+  assert.ok(crash instanceof BrowserCrashError);
+  assert.equal(crash.code, 'BROWSER_CRASHED');
+  assert.equal(crash.cause.message, crash.message);
+
+  const captcha = classifyError(new Error('CAPTCHA_TIMEOUT'));
+  assert.ok(captcha instanceof CaptchaError);
+  assert.equal(captcha.code, 'CAPTCHA_TIMEOUT');
+  assert.ok(classifyError(new Error('net::ERR_PROXY_CONNECTION_FAILED at https://x')) instanceof ProxyError);
+  assert.ok(classifyError(new Error('net::ERR_NAME_NOT_RESOLVED')) instanceof NetworkError);
+
+  const typed = new ActionError('NO_VIDEO_FOUND');
+  assert.equal(classifyError(typed), typed);
+  assert.equal(typed.code, 'NO_VIDEO_FOUND');
+  assert.equal(new ActionError('Could not click').code, 'ACTION_FAILED');
+  const plain = classifyError('boom');
+  assert.equal(plain.constructor, Error);
+  assert.equal(plain.message, 'boom');
+});
+
+await test('rules resolve default, then class, then code', () => {
+  const policy = buildRetryPolicy();
+  assert.deepEqual(resolveRetryRule(policy, new Error('odd')), DEFAULT_RETRY_POLICY.default);
+
+  const proxy = resolveRetryRule(policy, new ProxyError('dead'));
+  assert.equal(proxy.remediation, 'rotate_proxy');
+  assert.equal(proxy.maxAttempts, 3);
+  assert.deepEqual(proxy.backoff, { initialMs: 5000, factor: 2, maxMs: 30000 });
+
+  assert.equal(resolveRetryRule(policy, new CaptchaError('CAPTCHA_DETECTED')).remediation, 'reload');
+  assert.equal(resolveRetryRule(policy, new CaptchaError('CAPTCHA_TIMEOUT')).remediation, 'abort');
+  assert.equal(resolveRetryRule(policy, new NetworkError('x', { code: 'NETWORK_ERROR_PAGE' })).remediation, 'rotate_proxy');
+});
+
+await test('overrides merge into the defaults', () => {
+  const policy = buildRetryPolicy({
+    default: { maxAttempts: 5 },
+    errors: { ProxyError: { maxAttempts: 6, backoff: { maxMs: 8000 } }, NO_VIDEO_FOUND: { remediation: 'reload' } }
+  });
+  assert.equal(resolveRetryRule(policy, new Error('x')).maxAttempts, 5);
+  assert.equal(resolveRetryRule(policy, new Error('x')).remediation, 'abort');
+  const proxy = resolveRetryRule(policy, new ProxyError('dead'));
+  assert.equal(proxy.maxAttempts, 6);
+  assert.deepEqual(proxy.backoff, { initialMs: 5000, factor: 2, maxMs: 8000 });
+  assert.equal(resolveRetryRule(policy, new ActionError('NO_VIDEO_FOUND')).remediation, 'reload');
+  assert.equal(resolveRetryRule(policy, new ActionError('other')).remediation, 'abort');
+
+  assert.throws(() => buildRetryPolicy({ errors: { ProxyError: { remediation: 'pray' } } }), /unknown remediation 'pray'/);
+  assert.throws(() => buildRetryPolicy({ default: { remediation: 'pray' } }), /'default' has unknown remediation/);
+});
+
+await test('backoff grows exponentially up to the cap', () => {
+  const rule = { backoff: { initialMs: 1000, factor: 3, maxMs: 5000 } };
+  assert.deepEqual([1, 2, 3, 4].map(attempt => backoffDelay(rule, attempt)), [1000, 3000, 5000, 5000]);
+  assert.equal(backoffDelay({}, 4), 0);
+});
+
+await test('policy files: explicit ones must exist', async (dir) => {
+  const file = path.join(dir, 'policy.json');
+  await fs.writeJson(file, { default: { maxAttempts: 1 } });
+  assert.equal((await loadRetryPolicy(file)).default.maxAttempts, 1);
+  await assert.rejects(loadRetryPolicy(path.join(dir, 'missing.json')), /Retry policy file not found/);
+});
+
+finish('retry policy');
@@ -0,0 +1,44 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { resolveFiles } from './actions/upload.js';
+import { configure } from './config.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for which local files the upload action may attach: node test_upload.js
+
+// Artifacts and uploads folders with one file each, plus a "private" file outside both
+async function setup(dir) {
+  configure({ paths: { uploadsDir: path.join(dir, 'uploads') } });
+  const ctx = { artifactsDir: path.join(dir, 'artifacts') };
+  await fs.outputFile(path.join(dir, 'artifacts', 'downloads', 'report.pdf'), 'pdf');
+  await fs.outputFile(path.join(dir, 'uploads', 'avatar.png'), 'png');
+  await fs.outputFile(path.join(dir, 'secret.txt'), 'secret');
+  return ctx;
+}
+
+await test('relative paths come from the artifacts folder, then the uploads folder', async (dir) => {
+  const ctx = await setup(dir);
+  assert.deepEqual(await resolveFiles(['downloads/report.pdf', 'avatar.png'], ctx), [
+    path.join(dir, 'artifacts', 'downloads', 'report.pdf'),
+    path.join(dir, 'uploads', 'avatar.png')
+  ]);
+  await assert.rejects(resolveFiles('missing.png', ctx), /file not found: missing\.png/);
+  await assert.rejects(resolveFiles([], ctx), /at least one file is required/);
+});
+
+await test('relative paths cannot leave those folders', async (dir) => {
+  const ctx = await setup(dir);
+  await assert.rejects(resolveFiles('../secret.txt', ctx), /outside the artifacts and uploads folders/);
+  await assert.rejects(resolveFiles('../../secret.txt', ctx), /outside the artifacts and uploads folders/);
+});
+
+await test('absolute paths only from steps the user wrote', async (dir) => {
+  const ctx = await setup(dir);
+  const secret = path.join(dir, 'secret.txt');
+  await assert.rejects(resolveFiles(secret, ctx), /only allowed in workflow files and CLI actions/);
+  await assert.rejects(resolveFiles(secret, { ...ctx, localFiles: false }), /only allowed/);
+  assert.deepEqual(await resolveFiles(secret, { ...ctx, localFiles: true }), [secret]);
+});
+
+finish('upload');
@@ -0,0 +1,99 @@
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadActionRegistry } from './action_registry.js';
+import { interpolate, parseWorkflow, validateWorkflow, parseVarArgs, loadWorkflow } from './workflow.js';
+import { test, finish } from './test_helpers.js';
+
+// Unit tests for workflow loading and ${} interpolation: node test_workflow.js
+const registry = await loadActionRegistry();
+
+await test('interpolation keeps the type of whole references', () => {
+  const vars = { keyword: 'lofi', count: 3, user: { email: 'a@b.c' }, tags: ['x', 'y'] };
+  assert.equal(interpolate('${count}', vars), 3);
+  assert.deepEqual(interpolate('${ tags }', vars), ['x', 'y']);
+  assert.equal(interpolate('${user.email}', vars), 'a@b.c');
+  assert.equal(interpolate('search ${keyword} x${count} ${tags}', vars), 'search lofi x3 ["x","y"]');
+  assert.deepEqual(interpolate({ list: ['${keyword}', 1], nested: { n: '${count}' } }, vars), { list: ['lofi', 1], nested: { n: 3 } });
+  assert.equal(interpolate('$keyword {keyword}', vars), '$keyword {keyword}');
+});
+
+await test('undefined variables fail unless they are runtime names', () => {
+  assert.throws(() => interpolate('${missing}', {}, 'steps[0].params.q'), /undefined variable 'missing' in steps\[0\]\.params\.q/);
+  assert.throws(() => interpolate('a ${user.name}', { user: {} }), /undefined variable 'user.name'/);
+  const runtime = new Set(['item']);
+  assert.equal(interpolate('${item}', {}, 'x', runtime), '${item}');
+  assert.equal(interpolate('go ${item.url}', {}, 'x', runtime), 'go ${item.url}');
+});
+
+await test('documents are normalized with shorthand steps, options and overrides', () => {
+  const workflow = parseWorkflow(`
+name: search
+profile: \${who}
+variables:
+  keyword: cats
+  who: aaa
+steps:
+  - browse
+  - search: { keyword: "\${keyword}" }
+  - action: wait
+    params: { duration: 2 }
+    timeout: "1.5"
+    onError: continue
+    retries: -1
+    saveAs: waited
+  - action: type
+    params: { text: "\${waited}" }
+`, { keyword: 'dogs' });
+  assert.equal(workflow.name, 'search');
+  assert.equal(workflow.profile, 'aaa');
+  assert.deepEqual(workflow.steps, [
+    { action: 'browse', params: {} },
+    { action: 'search', params: { keyword: 'dogs' } },
+    { action: 'wait', params: { duration: 2 }, timeout: 1.5, onError: 'continue', retries: 0, saveAs: 'waited' },
+    { action: 'type', params: { text: '${waited}' } }
+  ]);
+  assert.deepEqual(parseWorkflow('{"steps": ["browse"]}').steps, [{ action: 'browse', params: {} }]);
+  assert.deepEqual(parseWorkflow([{ action: 'browse' }]).name, 'workflow');
+});
+
+await test('invalid documents and steps are rejected', () => {
+  assert.throws(() => parseWorkflow({ steps: [] }), /non-empty list/);
+  assert.throws(() => parseWorkflow('42'), /must be an object/);
+  assert.throws(() => parseWorkflow({ steps: [{ params: {}, timeout: 5 }] }), /steps\[0\] is missing an "action"/);
+  assert.throws(() => parseWorkflow({ steps: [{ action: 'wait', timeout: 0 }] }), /timeout must be a positive/);
+  assert.throws(() => parseWorkflow({ steps: [{ action: 'wait', onError: 'explode' }] }), /onError must be one of/);
+  assert.throws(() => parseWorkflow({ steps: [{ action: 'wait', saveAs: 'not valid' }] }), /saveAs must be a variable name/);
+  assert.throws(() => parseWorkflow({ steps: [{ action: 'repeat', times: 2, steps: 'browse' }] }), /steps must be a list of steps/);
+
+  assert.deepEqual(validateWorkflow(parseWorkflow({ steps: ['browse', { search: { keyword: 'x' } }] }), registry), []);
+  const problems = validateWorkflow(parseWorkflow({ steps: ['fly', { wait: { seconds: 5 } }] }), registry);
+  assert.equal(problems.length, 2);
+  assert.match(problems[0], /fly/);
+  assert.match(problems[1], /seconds/);
+});
+
+await test('control step blocks see their loop variables', () => {
+  const { steps } = parseWorkflow({
+    variables: { urls: ['https://a.example', 'https://b.example'] },
+    steps: [{ action: 'for_each', items: '${urls}', as: 'url', steps: [{ navigate: { url: '${url}' } }] }]
+  });
+  assert.deepEqual(steps[0].items, ['https://a.example', 'https://b.example']);
+  assert.deepEqual(steps[0].steps, [{ action: 'navigate', params: { url: '${url}' } }]);
+  assert.throws(() => parseWorkflow({ steps: [{ navigate: { url: '${url}' } }] }), /undefined variable 'url'/);
+});
+
+await test('--var and --var-json arguments', async (dir) => {
+  assert.deepEqual(parseVarArgs(undefined), {});
+  assert.deepEqual(parseVarArgs('q=a=b'), { q: 'a=b' });
+  assert.deepEqual(parseVarArgs(['n=5', ' k =x']), { n: '5', k: 'x' });
+  assert.deepEqual(parseVarArgs(['n=5', 'list=["a"]', 's="x"'], { json: true }), { n: 5, list: ['a'], s: 'x' });
+  assert.throws(() => parseVarArgs('novalue'), /Invalid --var 'novalue'/);
+  assert.throws(() => parseVarArgs('n=five', { json: true }), /Invalid --var-json 'n'/);
+
+  const file = path.join(dir, 'flow.yaml');
+  await fs.writeFile(file, 'steps:\n  - search: { keyword: "${q}" }\n');
+  assert.deepEqual((await loadWorkflow(file, { q: 'cats' })).steps, [{ action: 'search', params: { keyword: 'cats' } }]);
+});
+
+finish('workflow');
@@ -1,12 +1,16 @@
 import axios from 'axios';
 import path from 'path';
 import fs from 'fs-extra';
+import { getConfig } from './config.js';
 
-const LOCAL_AI_URL = 'http://localhost:5295/api/v1/localai/generate';
-const SCREENSHOT_DIR = path.resolve(process.cwd(), 'screenshots');
-
-// Ensure screenshot directory exists
-fs.ensureDirSync(SCREENSHOT_DIR);
+/**
+ * Screenshot directory from the current config, created on first use.
+ */
+function screenshotDir() {
+  const dir = getConfig().paths.screenshotsDir;
+  fs.ensureDirSync(dir);
+  return dir;
+}
 
 /**
  * Capture screenshot and analyze it using LLaVA model.
@@ -16,7 +20,7 @@ fs.ensureDirSync(SCREENSHOT_DIR);
 export async function analyzeScreen(page, prompt = "Describe the current state of this web page and list any visible buttons or inputs.") {
   try {
     const timestamp = Date.now();
-    const screenshotPath = path.join(SCREENSHOT_DIR, `screen_${timestamp}.jpg`);
+    const screenshotPath = path.join(screenshotDir(), `screen_${timestamp}.jpg`);
     
     console.log('Waiting for page to stabilize (networkidle)...');
     try {
@@ -37,7 +41,7 @@ export async function analyzeScreen(page, prompt = "Describe the current state o
       images: [screenshotPath] // Local AI accepts local file paths
     };
 
-    const response = await axios.post(LOCAL_AI_URL, payload, {
+    const response = await axios.post(getConfig().localAi.generateUrl, payload, {
       headers: { 'Content-Type': 'application/json' },
       timeout: 60000 // Vision models can be slow
     });
@@ -69,7 +73,7 @@ export async function analyzeScreen(page, prompt = "Describe the current state o
 export async function diagnoseAndSuggest(page, goal, error) {
   try {
     const timestamp = Date.now();
-    const screenshotPath = path.join(SCREENSHOT_DIR, `error_${timestamp}.jpg`);
+    const screenshotPath = path.join(screenshotDir(), `error_${timestamp}.jpg`);
     
     console.log('Capturing error state screenshot...');
     await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80 });
@@ -85,7 +89,7 @@ Analyze this screenshot.
 {
   "explanation": "Brief explanation",
   "suggestedAction": {
-    "action": "click" | "browse" | "search", 
+    "action": "click" | "hover" | "select_option" | "press_keys" | "scroll_to" | "browse" | "search", 
     "params": { "selector": "actual visible selector" }
   }
 }
@@ -100,7 +104,7 @@ If no solution is visible, return null. DO NOT ADD ANY TEXT OUTSIDE THE JSON.`;
       images: [screenshotPath]
     };
 
-    const response = await axios.post(LOCAL_AI_URL, payload, {
+    const response = await axios.post(getConfig().localAi.generateUrl, payload, {
       headers: { 'Content-Type': 'application/json' },
       timeout: 60000 
     });
@@ -153,7 +157,7 @@ If no solution is visible, return null. DO NOT ADD ANY TEXT OUTSIDE THE JSON.`;
 export async function generateContextAwareComment(page, title, userInstruction = "") {
   try {
     const timestamp = Date.now();
-    const screenshotPath = path.join(SCREENSHOT_DIR, `comment_context_${timestamp}.jpg`);
+    const screenshotPath = path.join(screenshotDir(), `comment_context_${timestamp}.jpg`);
     
     console.log('Capturing video frame for comment generation...');
     try {
@@ -178,7 +182,7 @@ export async function generateContextAwareComment(page, title, userInstruction =
     
     let visualDescription = "";
     try {
-      const visionResponse = await axios.post(LOCAL_AI_URL, visionPayload, { headers: { 'Content-Type': 'application/json' }, timeout: 60000 });
+      const visionResponse = await axios.post(getConfig().localAi.generateUrl, visionPayload, { headers: { 'Content-Type': 'application/json' }, timeout: 60000 });
       if (visionResponse.data && visionResponse.data.response) {
         visualDescription = visionResponse.data.response.trim();
         console.log(`Visual Description: "${visualDescription}"`);
@@ -215,7 +219,7 @@ Instructions:
     };
 
     try {
-      const textResponse = await axios.post(LOCAL_AI_URL, textPayload, { headers: { 'Content-Type': 'application/json' }, timeout: 60000 }); // Increased timeout
+      const textResponse = await axios.post(getConfig().localAi.generateUrl, textPayload, { headers: { 'Content-Type': 'application/json' }, timeout: 60000 }); // Increased timeout
       if (textResponse.data && textResponse.data.response) {
          // Cleanup thinking tags <think>...</think> if present in R1 output
          let comment = textResponse.data.response.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
@@ -5,20 +5,57 @@ import { spawn } from 'child_process';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseWorkflow, parseWorkflowText } from '../workflow.js';
+import { readEvents } from '../events.js';
+import { configure, ENV_VARS } from '../config.js';
+import { parseCookieImport } from '../cookie_import.js';
+import { FingerprintPool } from '../fingerprint_pool.js';
+import { ProfileLock } from '../profile_lock.js';
+import { ProfileTemplates } from '../profile_templates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const PORT = 3000;
+// Config flags given to the server (--webManager.port 3100 ...) are read here, not by the library
+const config = configure({}, { argv: process.argv.slice(2) });
+const PORT = config.webManager.port;
 
 // Path Config
 const PROJECT_ROOT = path.join(__dirname, '..');
-const PROFILES_DIR = path.join(PROJECT_ROOT, 'profiles');
+const PROFILES_DIR = config.paths.profilesDir;
+const DATA_DIR = config.paths.dataDir;
 const OPEN_SCRIPT = path.join(PROJECT_ROOT, 'open.js');
+const RESULTS_DIR = path.join(DATA_DIR, 'results');
+const IMPORTS_DIR = path.join(DATA_DIR, 'imports');
+const EXPORTS_DIR = path.join(DATA_DIR, 'exports');
+
+// Pre-fetched fingerprints for new profiles, topped up in the background (see fingerprint_pool.js)
+const fingerprintPool = config.fingerprint.pool.enabled ? new FingerprintPool() : null;
+
+// Presets for new profiles: <dataDir>/templates (see profile_templates.js)
+const profileTemplates = new ProfileTemplates();
+
+// Child processes get this server's resolved config as one layer, so CLI flags given to the
+// server (ports, directories, AI endpoint) also apply to every open.js it spawns
+function childEnv() {
+    const env = { ...process.env, BROWSER_CONTROL_CONFIG_JSON: JSON.stringify(config) };
+    for (const name of [...Object.keys(ENV_VARS), 'BROWSER_CONTROL_CONFIG']) {
+        delete env[name];
+    }
+    return env;
+}
+
+// open.js writes NDJSON run events to this fd (see events.js)
+const EVENTS_FD = 3;
+
+// Cookie imports can be far larger than the default 100kb JSON limit, so that route parses its own body
+const COOKIE_IMPORT_LIMIT = '10mb';
+const COOKIE_IMPORT_PATH = /^\/api\/cookies\/[^/]+\/?$/;
+const jsonBody = bodyParser.json();
 
 app.use(cors());
-app.use(bodyParser.json());
+app.use((req, res, next) => (req.method === 'POST' && COOKIE_IMPORT_PATH.test(req.path) ? next() : jsonBody(req, res, next)));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Root Health Check
@@ -30,7 +67,7 @@ app.get('/', (req, res) => {
 app.get('/api/profiles', async (req, res) => {
     try {
         if (!await fs.pathExists(PROFILES_DIR)) {
-            await fs.mkdir(PROFILES_DIR);
+            await fs.ensureDir(PROFILES_DIR);
         }
         const entries = await fs.readdir(PROFILES_DIR, { withFileTypes: true });
         const profiles = [];
@@ -52,9 +89,23 @@ app.get('/api/profiles', async (req, res) => {
 });
 
 // API: Create Profile
+// Body: { name, template? } for one profile, or { template, count, prefix? } for `count` profiles
+// from a template (named <prefix>-1, <prefix>-2, ...)
 app.post('/api/profiles', async (req, res) => {
     try {
-        const { name } = req.body;
+        const { name, template, count, prefix } = req.body;
+
+        if (count !== undefined) {
+            if (!template) return res.status(400).json({ error: 'Bulk creation needs a template' });
+            try {
+                if (!await profileTemplates.get(template)) return res.status(404).json({ error: `Template '${template}' not found` });
+                const created = await profileTemplates.createProfiles(template, count, { prefix: prefix || template });
+                return res.json({ success: true, created });
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+        }
+
         if (!name) return res.status(400).json({ error: 'Name required' });
         
         const safeName = name.replace(/[^a-zA-Z0-9_-]/g, '');
@@ -63,6 +114,16 @@ app.post('/api/profiles', async (req, res) => {
         if (await fs.pathExists(profilePath)) {
             return res.status(409).json({ error: 'Profile exists' });
         }
+
+        if (template) {
+            try {
+                if (!await profileTemplates.get(template)) return res.status(404).json({ error: `Template '${template}' not found` });
+                await profileTemplates.createProfile(safeName, { template });
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+            return res.json({ success: true, name: safeName, template });
+        }
         
         await fs.mkdir(profilePath);
         res.json({ success: true, name: safeName });
@@ -71,6 +132,59 @@ app.post('/api/profiles', async (req, res) => {
     }
 });
 
+// API: Clone Profile - copies config.json and the agent context; the clone gets a fresh
+// fingerprint on first launch and starts with clean browser data
+// Body: { name: <new profile> }
+app.post('/api/profiles/:name/clone', async (req, res) => {
+    const source = req.params.name;
+    const target = req.body.name;
+    if (!target) return res.status(400).json({ error: 'Name required' });
+    try {
+        if (!await fs.pathExists(path.join(PROFILES_DIR, source))) return res.status(404).json({ error: 'Profile not found' });
+        if (await fs.pathExists(path.join(PROFILES_DIR, target))) return res.status(409).json({ error: 'Profile exists' });
+        res.json({ success: true, ...await profileTemplates.cloneProfile(source, target) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// API: Profile Templates (named presets of config, fingerprint tags, agent context and proxy provider)
+app.get('/api/templates', async (req, res) => {
+    try {
+        res.json(await profileTemplates.list());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/templates/:name', async (req, res) => {
+    try {
+        const template = await profileTemplates.get(req.params.name);
+        if (!template) return res.status(404).json({ error: 'Template not found' });
+        res.json(template);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Body: the template ({ name, description, tags, config, context, proxyProvider }); replaces one with the same name
+app.post('/api/templates', async (req, res) => {
+    try {
+        res.json({ success: true, template: await profileTemplates.save(req.body) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/templates/:name', async (req, res) => {
+    try {
+        if (!await profileTemplates.remove(req.params.name)) return res.status(404).json({ error: 'Template not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
 // --- LOG STREAMING (SSE) ---
 let logClients = [];
 
@@ -104,6 +218,132 @@ function broadcastLog(message, type = 'log', instanceId = null) {
     });
 }
 
+function broadcastPacket(data) {
+    const packet = JSON.stringify(data);
+    logClients.forEach(client => {
+        client.res.write(`data: ${packet}\n\n`);
+    });
+}
+
+// --- RUN EVENTS (NDJSON from open.js on fd 3) ---
+const runs = new Map(); // instanceId -> run record
+const browserProcesses = new Map(); // instanceId -> child process (while running)
+const activeProfiles = new Map(); // profile -> instanceId launched from here (until the process exits)
+
+// Profile names in URLs and request bodies map to folders: no separators or dot names
+function isSafeProfileName(name) {
+    return typeof name === 'string' && !!name && path.basename(name) === name && !name.startsWith('.');
+}
+
+// Who is using a profile: the live lock holder (any process, see profile_lock.js), or an
+// instance launched from here that has not taken the lock yet. Null when the profile is free.
+async function profileHolder(profile) {
+    const holder = await ProfileLock.inspect(path.join(PROFILES_DIR, profile));
+    if (holder) return holder;
+    const instanceId = activeProfiles.get(profile);
+    if (!instanceId) return null;
+    const run = runs.get(instanceId);
+    return { profile, instanceId, pid: browserProcesses.get(instanceId)?.pid, status: run?.status || 'starting', acquiredAt: run?.startedAt || null };
+}
+
+function sendProfileBusy(res, profile, holder) {
+    res.status(409).json({ error: `Profile '${profile}' is already in use${holder.instanceId ? ` by ${holder.instanceId}` : ''}`, holder });
+}
+
+// Give a stopping instance this long to flush results and close the browser before killing it
+const STOP_KILL_TIMEOUT_MS = 30000;
+
+async function saveRunRecord(run) {
+    try {
+        await fs.ensureDir(RESULTS_DIR);
+        await fs.writeJson(path.join(RESULTS_DIR, `${run.instanceId}.json`), run, { spaces: 2 });
+    } catch (e) {
+        console.error(`[Runs] Failed to store results for ${run.instanceId}:`, e.message);
+    }
+}
+
+// `result` event kind -> run record field (each kind keeps its own field)
+const RUN_RESULT_FIELDS = {
+    actions: 'results',
+    cookies: 'cookies',
+    cookie_import: 'cookieImport',
+    preflight: 'preflight',
+    profile_export: 'profileExport',
+    profile_import: 'profileImport',
+    session: 'session'
+};
+
+function handleRunEvent(instanceId, profile, event) {
+    let run = runs.get(instanceId);
+    if (!run) {
+        run = { instanceId, profile, runId: null, status: 'starting', startedAt: event.ts, finishedAt: null, steps: [], actionCount: 0, lastAction: '', results: [], cookies: null, errors: [] };
+        runs.set(instanceId, run);
+    }
+    if (event.runId) run.runId = event.runId;
+
+    // Raw event for clients that want the full protocol
+    broadcastPacket({ type: 'event', instanceId, event });
+
+    const status = { type: 'status', instanceId, profile: event.profile || profile };
+    switch (event.type) {
+        case 'run_started':
+            run.status = 'running';
+            run.steps = event.steps || [];
+            broadcastPacket({ ...status, status: 'running', actionCount: event.resumeFrom || 0, lastAction: `Started (${event.mode})` });
+            break;
+        case 'action_started':
+            run.lastAction = event.action;
+            broadcastPacket({ ...status, status: 'running', lastAction: `${event.action} (step ${event.index + 1})` });
+            break;
+        case 'action_finished':
+            run.actionCount++;
+            broadcastPacket({ ...status, actionCount: run.actionCount, lastAction: `${event.action}: ${event.status}` });
+            break;
+        case 'healed':
+            broadcastLog(`Self-healed '${event.action}' with '${event.remedial?.action}'`, 'log', instanceId);
+            break;
+        case 'captcha':
+            broadcastPacket({ ...status, status: 'captcha', lastAction: event.code });
+            break;
+        case 'error':
+            run.errors.push({ name: event.name, code: event.code, message: event.message, fatal: event.fatal });
+            if (event.fatal) {
+                run.status = 'failed';
+                broadcastPacket({ ...status, status: 'error', lastAction: event.code || event.message });
+            }
+            break;
+        case 'result':
+            if (!RUN_RESULT_FIELDS[event.kind]) {
+                console.warn(`[Runs] Ignoring unknown result kind '${event.kind}' from ${instanceId}`);
+                break;
+            }
+            run[RUN_RESULT_FIELDS[event.kind]] = event.kind === 'actions' ? event.data || [] : event.data;
+            saveRunRecord(run);
+            break;
+        case 'run_finished':
+            run.status = event.success ? 'completed' : 'failed';
+            run.finishedAt = event.ts;
+            if (event.assertions) run.assertions = event.assertions;
+            broadcastPacket({ ...status, status: run.status, lastAction: event.success ? 'Finished' : `Failed: ${event.error || 'unknown error'}` });
+            saveRunRecord(run);
+            break;
+    }
+}
+
+// API: Run state and results (from the event stream)
+app.get('/api/runs', (req, res) => {
+    res.json([...runs.values()].map(({ cookies, ...run }) => run));
+});
+
+app.get('/api/runs/:instanceId', async (req, res) => {
+    const { instanceId } = req.params;
+    if (runs.has(instanceId)) return res.json(runs.get(instanceId));
+
+    const stored = path.join(RESULTS_DIR, `${path.basename(instanceId)}.json`);
+    if (await fs.pathExists(stored)) return res.json(await fs.readJson(stored));
+    res.status(404).json({ error: 'Run not found' });
+});
+
 // API: Browser Status Updates
 app.post('/api/browser-status', (req, res) => {
     const statusData = req.body;
@@ -118,8 +358,17 @@ app.post('/api/browser-status', (req, res) => {
 // API: Launch Profile
 app.post('/api/launch', async (req, res) => {
     console.log('>>> Received /api/launch request:', req.body);
-    const { profile, url, prompt, headless, sessionMode, proxy } = req.body;
+    const { profile, url, prompt, headless, sessionMode, proxy, workflow, variables, resume } = req.body;
     if (!profile) return res.status(400).json({ error: 'Profile required' });
+    if (!isSafeProfileName(profile)) return res.status(400).json({ error: 'Invalid profile name' });
+
+    let holder;
+    try {
+        holder = await profileHolder(profile);
+    } catch (error) {
+        return res.status(500).json({ error: error.message });
+    }
+    if (holder) return sendProfileBusy(res, profile, holder);
 
     console.log(`Launching profile: ${profile}...`);
     broadcastLog(`Launching profile: ${profile}...`, 'log');
@@ -132,7 +381,35 @@ app.post('/api/launch', async (req, res) => {
         args.push('--proxy', proxy);
     }
     
-    if (prompt) {
+    if (resume) {
+        // Continue a checkpointed run (profiles/<profile>/runs/<runId>) from its failed step
+        args.push('--resume', resume);
+    } else if (workflow) {
+        // Inline workflow document (object or JSON/YAML text): check it parses, then hand it over as a file
+        try {
+            const doc = typeof workflow === 'string' ? parseWorkflowText(workflow) : workflow;
+            parseWorkflow(doc, variables || {});
+
+            const workflowDir = path.join(DATA_DIR, 'workflows');
+            await fs.ensureDir(workflowDir);
+            const safeName = String(doc.name || 'workflow').replace(/[^a-zA-Z0-9_-]/g, '');
+            const workflowFile = path.join(workflowDir, `${safeName || 'workflow'}_${Date.now()}.json`);
+            await fs.writeJson(workflowFile, doc, { spaces: 2 });
+            console.log(`[Launch] Workflow saved to: ${workflowFile}`);
+            args.push('--workflow', workflowFile);
+
+            // Strings as they are; numbers, booleans, lists and objects keep their type as JSON
+            for (const [key, value] of Object.entries(variables || {})) {
+                if (typeof value === 'string') {
+                    args.push('--var', `${key}=${value}`);
+                } else {
+                    args.push('--var-json', `${key}=${JSON.stringify(value)}`);
+                }
+            }
+        } catch (e) {
+            return res.status(400).json({ error: `Invalid workflow: ${e.message}` });
+        }
+    } else if (prompt) {
         args.push('--prompt', prompt);
         // Enable session mode by default for prompts (continuous actions)
         if (sessionMode !== false) {
@@ -153,7 +430,7 @@ app.post('/api/launch', async (req, res) => {
     // Handle Context Object (Write to temp file)
     if (req.body.context) {
         try {
-            const contextDir = path.join(PROJECT_ROOT, 'data', 'contexts');
+            const contextDir = path.join(DATA_DIR, 'contexts');
             await fs.ensureDir(contextDir);
             const contextFile = path.join(contextDir, `${req.body.context.agent_name || 'agent'}_${Date.now()}.json`);
             await fs.writeJson(contextFile, req.body.context, { spaces: 2 });
@@ -172,14 +449,24 @@ app.post('/api/launch', async (req, res) => {
     // Generate unique instance ID for tracking
     const instanceId = `browser-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     args.push('--instance-id', instanceId);
+    args.push('--events-fd', String(EVENTS_FD));
     
     console.log(`[Launch] Instance ID: ${instanceId}`);
 
-    // Use pipe for stdio so we can capture it
+    // Use pipe for stdio so we can capture it; fd 3 carries the NDJSON event stream
     const subprocess = spawn(process.execPath, args, {
         cwd: PROJECT_ROOT,
+        env: childEnv(),
         detached: false, // Don't detach so we can capture output easily
-        shell: false
+        shell: false,
+        stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+    });
+
+    browserProcesses.set(instanceId, subprocess);
+    activeProfiles.set(profile, instanceId);
+
+    readEvents(subprocess.stdio[EVENTS_FD], (event) => handleRunEvent(instanceId, profile, event), (line) => {
+        console.warn(`[BROWSER ${instanceId}] Ignoring malformed event: ${line.substring(0, 200)}`);
     });
     
     subprocess.stdout.on('data', (data) => {
@@ -200,6 +487,8 @@ app.post('/api/launch', async (req, res) => {
     });
 
     subprocess.on('close', (code) => {
+        browserProcesses.delete(instanceId);
+        if (activeProfiles.get(profile) === instanceId) activeProfiles.delete(profile);
         console.log(`[Browser Process ${instanceId}] Exited with code ${code}`);
         broadcastLog(`Browser closed (Code: ${code})`, 'error', instanceId);
         
@@ -221,52 +510,247 @@ app.post('/api/launch', async (req, res) => {
     res.json({ success: true, message: 'Browser launched', pid: subprocess.pid, instanceId });
 });
 
+// API: Stop a running instance gracefully (finishes the current step, writes results, closes the browser)
+app.post('/api/stop/:instanceId', (req, res) => {
+    const { instanceId } = req.params;
+    const subprocess = browserProcesses.get(instanceId);
+    if (!subprocess) return res.status(404).json({ error: 'Instance not running' });
+
+    console.log(`[Stop] Stopping ${instanceId}...`);
+    broadcastLog('Stop requested', 'log', instanceId);
+
+    // SIGTERM is a hard kill on Windows, so use the stdin control line there
+    // (only one of the two: open.js treats a second stop request as "exit now")
+    if (process.platform === 'win32') {
+        subprocess.stdin.write(JSON.stringify({ type: 'stop', reason: 'Stopped from web manager' }) + '\n');
+    } else {
+        subprocess.kill('SIGTERM');
+    }
+
+    const killTimer = setTimeout(() => {
+        if (browserProcesses.has(instanceId)) {
+            console.warn(`[Stop] ${instanceId} did not exit in time. Killing.`);
+            subprocess.kill('SIGKILL');
+        }
+    }, STOP_KILL_TIMEOUT_MS);
+    subprocess.once('close', () => clearTimeout(killTimer));
+
+    res.json({ success: true, instanceId });
+});
+
 // API: Export Cookies (Calls open_fix.js --export-cookies)
-app.get('/api/cookies/:profile', (req, res) => {
-    const { profile } = req.params;
-    if (!profile) return res.status(400).json({ error: 'Profile required' });
+app.get('/api/cookies/:profile', async (req, res) => {
+    try {
+        const { profile } = req.params;
+        if (!isSafeProfileName(profile)) return res.status(400).json({ error: 'Invalid profile name' });
 
-    console.log(`Exporting cookies for: ${profile}...`);
-    
-    const child = spawn(process.execPath, ['open.js', '--profile', profile, '--export-cookies'], {
-        cwd: PROJECT_ROOT,
-        shell: false
-    });
+        const holder = await profileHolder(profile);
+        if (holder) return sendProfileBusy(res, profile, holder);
 
-    let output = '';
+        console.log(`Exporting cookies for: ${profile}...`);
     
-    child.stdout.on('data', (data) => {
-        output += data.toString();
-    });
+        const child = spawn(process.execPath, ['open.js', '--profile', profile, '--export-cookies', '--events-fd', String(EVENTS_FD)], {
+            cwd: PROJECT_ROOT,
+            env: childEnv(),
+            shell: false,
+            stdio: ['ignore', 'ignore', 'inherit', 'pipe']
+        });
 
-    child.on('close', (code) => {
-        if (code !== 0) {
-            return res.status(500).json({ error: 'Process execution failed' });
-        }
-        
-        try {
-            // Parse custom markers
-            const startMarker = '__COOKIES_START__';
-            const endMarker = '__COOKIES_END__';
-            
-            const startIndex = output.indexOf(startMarker);
-            const endIndex = output.indexOf(endMarker);
-            
-            if (startIndex === -1 || endIndex === -1) {
-                return res.status(500).json({ error: 'No cookie data pattern found in output' });
+        let cookies = null;
+        let lastError = null;
+
+        readEvents(child.stdio[EVENTS_FD], (event) => {
+            if (event.type === 'result' && event.kind === 'cookies') cookies = event.data;
+            if (event.type === 'error') lastError = event.message;
+        });
+
+        child.on('close', (code) => {
+            if (code !== 0) {
+                return res.status(500).json({ error: lastError ? `Process execution failed: ${lastError}` : 'Process execution failed' });
+            }
+            if (!cookies) {
+                return res.status(500).json({ error: 'No cookie result event received' });
             }
-            
-            const jsonStr = output.substring(startIndex + startMarker.length, endIndex).trim();
-            const cookies = JSON.parse(jsonStr);
             res.json(cookies);
-            
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API: Import Cookies / Storage (Calls open.js --import-cookies)
+// Body: cookie JSON (Playwright or EditThisCookie), a storage state { cookies, origins },
+// or a Netscape cookies.txt sent as text/plain. Responds with the import summary.
+app.post('/api/cookies/:profile', bodyParser.json({ limit: COOKIE_IMPORT_LIMIT }), bodyParser.text({ type: 'text/*', limit: COOKIE_IMPORT_LIMIT }), async (req, res) => {
+    try {
+        const { profile } = req.params;
+        if (!isSafeProfileName(profile)) return res.status(400).json({ error: 'Invalid profile name' });
+        const body = req.body;
+        const isText = typeof body === 'string';
+
+        let parsed;
+        try {
+            parsed = parseCookieImport(body);
         } catch (e) {
-            console.error('Parse error:', e);
-            res.status(500).json({ error: 'Failed to parse cookie data' });
+            return res.status(400).json({ error: e.message });
         }
+        if (parsed.cookies.length === 0 && parsed.origins.length === 0) {
+            return res.status(400).json({ error: 'Nothing to import' });
+        }
+
+        const holder = await profileHolder(profile);
+        if (holder) return sendProfileBusy(res, profile, holder);
+
+        // Hand the original input to the child as a file (cookies.txt stays cookies.txt)
+        const importFile = path.join(IMPORTS_DIR, `${profile}_${Date.now()}.${isText ? 'txt' : 'json'}`);
+        await fs.ensureDir(IMPORTS_DIR);
+        await fs.writeFile(importFile, isText ? body : JSON.stringify(body));
+
+        console.log(`Importing ${parsed.cookies.length} cookies and ${parsed.origins.length} storage origins into: ${profile}...`);
+
+        const child = spawn(process.execPath, ['open.js', '--profile', profile, '--import-cookies', importFile, '--events-fd', String(EVENTS_FD)], {
+            cwd: PROJECT_ROOT,
+            env: childEnv(),
+            shell: false,
+            stdio: ['ignore', 'ignore', 'inherit', 'pipe']
+        });
+
+        let summary = null;
+        let lastError = null;
+
+        readEvents(child.stdio[EVENTS_FD], (event) => {
+            if (event.type === 'result' && event.kind === 'cookie_import') summary = event.data;
+            if (event.type === 'error') lastError = event.message;
+        });
+
+        child.on('close', async (code) => {
+            await fs.remove(importFile).catch(() => {});
+            if (code !== 0) {
+                return res.status(500).json({ error: lastError ? `Process execution failed: ${lastError}` : 'Process execution failed' });
+            }
+            if (!summary) {
+                return res.status(500).json({ error: 'No import result event received' });
+            }
+            res.json({ success: true, profile, ...summary });
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Spawn open.js for a one-off profile task and collect its `result` event of the given kind
+function runProfileTask(args, kind) {
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, ['open.js', ...args, '--events-fd', String(EVENTS_FD)], {
+            cwd: PROJECT_ROOT,
+            env: childEnv(),
+            shell: false,
+            stdio: ['ignore', 'ignore', 'inherit', 'pipe']
+        });
+
+        let result = null;
+        let lastError = null;
+        readEvents(child.stdio[EVENTS_FD], (event) => {
+            if (event.type === 'result' && event.kind === kind) result = event.data;
+            if (event.type === 'error') lastError = event.message;
+        });
+        child.on('error', (err) => resolve({ code: -1, result, lastError: err.message }));
+        child.on('close', (code) => resolve({ code, result, lastError }));
+    });
+}
+
+// API: Export a profile bundle (Calls open.js --export-profile, see profile_bundle.js)
+// Query: userData=1 also packs the browser user data dir. Responds with the .tar.gz.
+app.get('/api/profiles/:name/export', async (req, res) => {
+    const { name } = req.params;
+    if (!isSafeProfileName(name)) return res.status(400).json({ error: 'Invalid profile name' });
+    if (!await fs.pathExists(path.join(PROFILES_DIR, name))) return res.status(404).json({ error: 'Profile not found' });
+
+    const holder = await profileHolder(name);
+    if (holder) return sendProfileBusy(res, name, holder);
+
+    const includeUserData = ['1', 'true'].includes(String(req.query.userData));
+    const bundleFile = path.join(EXPORTS_DIR, `${name}_${Date.now()}.tar.gz`);
+    await fs.ensureDir(EXPORTS_DIR);
+    console.log(`Exporting profile bundle for: ${name}${includeUserData ? ' (with user data)' : ''}...`);
+
+    const args = ['--profile', name, '--export-profile', bundleFile];
+    if (includeUserData) args.push('--include-user-data');
+    const { code, result, lastError } = await runProfileTask(args, 'profile_export');
+
+    if (code !== 0 || !result) {
+        await fs.remove(bundleFile).catch(() => {});
+        return res.status(500).json({ error: lastError ? `Export failed: ${lastError}` : 'Export failed' });
+    }
+    res.download(bundleFile, `${name}.tar.gz`, () => {
+        fs.remove(bundleFile).catch(() => {});
     });
 });
 
+// API: Import a profile bundle (Calls open.js --import-profile)
+// Body: the .tar.gz from /export (application/gzip or application/octet-stream). The bundle is
+// imported as :name; overwrite=1 replaces a profile that already has data.
+app.post('/api/profiles/:name/import', bodyParser.raw({ type: ['application/gzip', 'application/x-gzip', 'application/octet-stream'], limit: '2gb' }), async (req, res) => {
+    const { name } = req.params;
+    if (!isSafeProfileName(name)) return res.status(400).json({ error: 'Invalid profile name' });
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Send the profile bundle as the request body (Content-Type: application/gzip)' });
+    }
+
+    const overwrite = ['1', 'true'].includes(String(req.query.overwrite));
+    const profilePath = path.join(PROFILES_DIR, name);
+    if (!overwrite && await fs.pathExists(profilePath) && (await fs.readdir(profilePath)).some(file => file !== '.lock')) {
+        return res.status(409).json({ error: `Profile '${name}' already exists (use ?overwrite=1 to replace it)` });
+    }
+
+    const holder = await profileHolder(name);
+    if (holder) return sendProfileBusy(res, name, holder);
+
+    const bundleFile = path.join(IMPORTS_DIR, `${name}_${Date.now()}.tar.gz`);
+    await fs.ensureDir(IMPORTS_DIR);
+    await fs.writeFile(bundleFile, req.body);
+    console.log(`Importing profile bundle into: ${name}...`);
+
+    const args = ['--profile', name, '--import-profile', bundleFile];
+    if (overwrite) args.push('--overwrite');
+    const { code, result, lastError } = await runProfileTask(args, 'profile_import');
+    await fs.remove(bundleFile).catch(() => {});
+
+    if (!result) {
+        // Nothing was unpacked: the bundle itself was rejected
+        return res.status(400).json({ error: lastError || 'Invalid profile bundle' });
+    }
+    if (code !== 0) {
+        return res.status(500).json({ error: `Profile files were imported, but applying cookies failed${lastError ? `: ${lastError}` : ''}`, ...result });
+    }
+    res.json({ success: true, ...result });
+});
+
+// API: Fingerprint Pool status (available per tag set, assignments)
+app.get('/api/fingerprint-pool', async (req, res) => {
+    try {
+        const pool = fingerprintPool || new FingerprintPool();
+        res.json({ enabled: !!fingerprintPool, ...await pool.stats(), assignments: await pool.assignments(req.query.profile || null) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API: Latest preflight result of a profile (written before each launch, see preflight.js)
+app.get('/api/preflight/:profile', async (req, res) => {
+    const { profile } = req.params;
+    if (!isSafeProfileName(profile)) return res.status(400).json({ error: 'Invalid profile name' });
+    try {
+        const resultPath = path.join(PROFILES_DIR, profile, 'preflight.json');
+        if (!await fs.pathExists(resultPath)) {
+            return res.status(404).json({ error: 'No preflight result for this profile' });
+        }
+        res.json(await fs.readJson(resultPath));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // API: Get Profile Config
 app.get('/api/profile-config/:name', async (req, res) => {
     try {
@@ -294,7 +778,7 @@ app.get('/api/profile-config/:name', async (req, res) => {
 app.post('/api/profile-config/:name', async (req, res) => {
     try {
         const { name } = req.params;
-        const { tags, notes, proxy, resetFingerprint, blacklist } = req.body;
+        const { tags, notes, proxy, resetFingerprint, blacklist, country, preflight } = req.body;
         
         const profilePath = path.join(PROFILES_DIR, name);
         const configPath = path.join(profilePath, 'config.json');
@@ -309,6 +793,14 @@ app.post('/api/profile-config/:name', async (req, res) => {
             proxy: proxy || '',
             blacklist: blacklist || []
         };
+        // Keep the template the profile was made from (profile_templates.js)
+        if (await fs.pathExists(configPath)) {
+            const { template } = await fs.readJson(configPath).catch(() => ({}));
+            if (template) config.template = template;
+        }
+        // Optional preflight settings: exit IP country the profile must use, per-profile mode
+        if (country) config.country = country;
+        if (preflight) config.preflight = preflight;
         
         await fs.writeJson(configPath, config, { spaces: 2 });
         
@@ -329,7 +821,7 @@ app.post('/api/profile-config/:name', async (req, res) => {
 // API: Get Global Settings
 app.get('/api/global-settings', async (req, res) => {
     try {
-        const settingsPath = path.join(PROJECT_ROOT, 'data', 'global_settings.json');
+        const settingsPath = path.join(DATA_DIR, 'global_settings.json');
         
         let settings = { blacklist: [], maxVisitsPerWeek: 3 };
         if (await fs.pathExists(settingsPath)) {
@@ -345,9 +837,9 @@ app.get('/api/global-settings', async (req, res) => {
 app.post('/api/global-settings', async (req, res) => {
     try {
         const { blacklist, maxVisitsPerWeek } = req.body;
-        const settingsPath = path.join(PROJECT_ROOT, 'data', 'global_settings.json');
+        const settingsPath = path.join(DATA_DIR, 'global_settings.json');
         
-        await fs.ensureDir(path.join(PROJECT_ROOT, 'data'));
+        await fs.ensureDir(DATA_DIR);
         await fs.writeJson(settingsPath, { 
             blacklist: blacklist || [], 
             maxVisitsPerWeek: maxVisitsPerWeek || 3 
@@ -361,5 +853,6 @@ app.post('/api/global-settings', async (req, res) => {
 
 // Start Server
 app.listen(PORT, () => {
-    console.log(`Web Manager running at http://localhost:${PORT}`);
+    console.log(`Web Manager running at ${config.webManager.url}`);
+    if (fingerprintPool) fingerprintPool.startFiller();
 });
@@ -0,0 +1,269 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { CONTROL_STEPS, isControlStep, blockVariables } from './control_flow.js';
+
+/**
+ * Declarative Workflow Loader
+ * Loads JSON/YAML step documents, resolves ${} variables and validates steps
+ * against the action registry before any browser is launched.
+ *
+ * Document shape:
+ * {
+ *   "name": "search-and-watch",
+ *   "profile": "aaa",                       // optional
+ *   "variables": { "keyword": "lofi music" },
+ *   "steps": [
+ *     { "action": "search", "params": { "keyword": "${keyword}" } },
+ *     { "action": "click", "params": { "type": "video" }, "timeout": 30, "onError": "retry", "retries": 2 },
+ *     { "action": "watch", "params": { "duration": "60-90s" }, "onError": "continue" }
+ *   ]
+ * }
+ *
+ * Steps may also be control steps (if / repeat / for_each / try, see control_flow.js) and any
+ * action step can store its result with "saveAs": "name" for later "${name}" references.
+ * References to such runtime variables are left in place and resolved when the step runs.
+ */
+
+export const ON_ERROR_POLICIES = ['heal', 'retry', 'continue', 'abort'];
+
+const VARIABLE_PATTERN = /\$\{\s*([a-zA-Z_][\w.]*)\s*\}/g;
+const SINGLE_VARIABLE_PATTERN = /^\$\{\s*([a-zA-Z_][\w.]*)\s*\}$/;
+const IDENTIFIER_PATTERN = /^[a-zA-Z_]\w*$/;
+
+/**
+ * Resolve a dotted variable path ("user.email") against the variable scope.
+ */
+function lookupVariable(name, variables) {
+  return name.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) return undefined;
+    return value[key];
+  }, variables);
+}
+
+/**
+ * Replace ${name} references inside strings, arrays and objects.
+ * A string that is exactly one reference keeps the variable's original type.
+ * @param {*} value
+ * @param {object} variables
+ * @param {string} [location] - Used in error messages (e.g. "steps[2].params.keyword").
+ * @param {Set<string>} [runtimeNames] - Variables only known at run time (loop items, saveAs);
+ *   references to them are left unresolved instead of failing.
+ */
+export function interpolate(value, variables = {}, location = 'value', runtimeNames = new Set()) {
+  const isRuntime = name => runtimeNames.has(name.split('.')[0]);
+
+  if (typeof value === 'string') {
+    const single = value.match(SINGLE_VARIABLE_PATTERN);
+    if (single) {
+      const resolved = lookupVariable(single[1], variables);
+      if (resolved === undefined) {
+        if (isRuntime(single[1])) return value;
+        throw new Error(`Workflow: undefined variable '${single[1]}' in ${location}`);
+      }
+      return resolved;
+    }
+
+    return value.replace(VARIABLE_PATTERN, (reference, name) => {
+      const resolved = lookupVariable(name, variables);
+      if (resolved === undefined) {
+        if (isRuntime(name)) return reference;
+        throw new Error(`Workflow: undefined variable '${name}' in ${location}`);
+      }
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolate(item, variables, `${location}[${i}]`, runtimeNames));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolate(item, variables, `${location}.${key}`, runtimeNames);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Parse raw workflow text. JSON is tried first, then YAML.
+ * @param {string} text
+ */
+export function parseWorkflowText(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+  return YAML.parse(text);
+}
+
+/**
+ * Normalize one raw step (shorthand, interpolation, step options). Control steps are normalized
+ * recursively; names they define for their blocks are added to `runtimeNames` of those blocks.
+ * @param {*} rawStep
+ * @param {string} location
+ * @param {object} variables
+ * @param {Set<string>} runtimeNames - Runtime variable names visible to this step (saveAs adds to it).
+ */
+function normalizeStep(rawStep, location, variables, runtimeNames) {
+  // Shorthand: "- browse" or "- { search: { keyword: x } }"
+  if (typeof rawStep === 'string') {
+    rawStep = { action: rawStep };
+  } else if (rawStep && !rawStep.action && Object.keys(rawStep).length === 1) {
+    const [action] = Object.keys(rawStep);
+    rawStep = { action, params: rawStep[action] || {} };
+  }
+  if (!rawStep || typeof rawStep.action !== 'string') {
+    throw new Error(`Workflow: ${location} is missing an "action" name`);
+  }
+
+  const action = rawStep.action.trim();
+  if (isControlStep({ action })) {
+    return normalizeControlStep({ ...rawStep, action }, location, variables, runtimeNames);
+  }
+
+  const step = {
+    action,
+    params: interpolate(rawStep.params || {}, variables, `${location}.params`, runtimeNames)
+  };
+
+  if (rawStep.timeout !== undefined) {
+    const timeout = parseFloat(rawStep.timeout);
+    if (isNaN(timeout) || timeout <= 0) {
+      throw new Error(`Workflow: ${location}.timeout must be a positive number of seconds`);
+    }
+    step.timeout = timeout;
+  }
+
+  if (rawStep.onError !== undefined) {
+    if (!ON_ERROR_POLICIES.includes(rawStep.onError)) {
+      throw new Error(`Workflow: ${location}.onError must be one of ${ON_ERROR_POLICIES.join(', ')}`);
+    }
+    step.onError = rawStep.onError;
+  }
+
+  if (rawStep.retries !== undefined) {
+    step.retries = Math.max(0, parseInt(rawStep.retries) || 0);
+  }
+
+  if (rawStep.saveAs !== undefined) {
+    if (!IDENTIFIER_PATTERN.test(rawStep.saveAs)) {
+      throw new Error(`Workflow: ${location}.saveAs must be a variable name (letters, digits, _)`);
+    }
+    step.saveAs = rawStep.saveAs;
+    runtimeNames.add(rawStep.saveAs);
+  }
+
+  return step;
+}
+
+function normalizeControlStep(rawStep, location, variables, runtimeNames) {
+  const step = {};
+  // Fields such as repeat.until may use the loop index
+  const fieldNames = new Set([...runtimeNames, ...blockVariables(rawStep, 'steps')]);
+  for (const [key, value] of Object.entries(rawStep)) {
+    if (key === 'action' || key === 'as' || key === 'indexAs') {
+      step[key] = value;
+    } else if (CONTROL_STEPS[rawStep.action].blocks.includes(key)) {
+      if (!Array.isArray(value)) {
+        throw new Error(`Workflow: ${location}.${key} must be a list of steps`);
+      }
+      const blockNames = new Set([...runtimeNames, ...blockVariables(rawStep, key)]);
+      step[key] = value.map((child, i) => normalizeStep(child, `${location}.${key}[${i}]`, variables, blockNames));
+    } else {
+      step[key] = interpolate(value, variables, `${location}.${key}`, fieldNames);
+    }
+  }
+  return step;
+}
+
+/**
+ * Normalize a workflow document into { name, profile, variables, steps }.
+ * Steps are interpolated with the document variables merged with `overrides`.
+ * @param {object|string} doc - Parsed document or raw JSON/YAML text.
+ * @param {object} [overrides] - Variables that take precedence over the document (e.g. from --var).
+ */
+export function parseWorkflow(doc, overrides = {}) {
+  if (typeof doc === 'string') {
+    doc = parseWorkflowText(doc);
+  }
+  if (Array.isArray(doc)) {
+    doc = { steps: doc };
+  }
+  if (!doc || typeof doc !== 'object') {
+    throw new Error('Workflow: document must be an object with a "steps" list');
+  }
+  if (!Array.isArray(doc.steps) || doc.steps.length === 0) {
+    throw new Error('Workflow: "steps" must be a non-empty list');
+  }
+
+  const variables = { ...(doc.variables || {}), ...overrides };
+
+  const runtimeNames = new Set();
+  const steps = doc.steps.map((rawStep, index) => normalizeStep(rawStep, `steps[${index}]`, variables, runtimeNames));
+
+  return {
+    name: doc.name || 'workflow',
+    profile: doc.profile ? interpolate(doc.profile, variables, 'profile') : null,
+    variables,
+    steps
+  };
+}
+
+/**
+ * Check every step against the action registry (known action + param schema).
+ * @param {{steps: Array<{action: string, params: object}>}} workflow
+ * @param {import('./action_registry.js').ActionRegistry} registry
+ * @returns {string[]} List of problems (empty when valid).
+ */
+export function validateWorkflow(workflow, registry) {
+  return registry.validatePlan(workflow.steps);
+}
+
+/**
+ * Parse "--var key=value" CLI arguments (minimist gives a string or an array).
+ * @param {string|string[]} rawVars
+ * @param {object} [options]
+ * @param {boolean} [options.json] - Values are JSON ("--var-json key=<json>", for numbers, lists and objects).
+ */
+export function parseVarArgs(rawVars, { json = false } = {}) {
+  const variables = {};
+  if (!rawVars) return variables;
+  const flag = json ? '--var-json' : '--var';
+  for (const pair of [].concat(rawVars)) {
+    const eq = String(pair).indexOf('=');
+    if (eq === -1) {
+      throw new Error(`Invalid ${flag} '${pair}', expected key=value`);
+    }
+    const key = String(pair).slice(0, eq).trim();
+    const value = String(pair).slice(eq + 1);
+    if (!json) {
+      variables[key] = value;
+      continue;
+    }
+    try {
+      variables[key] = JSON.parse(value);
+    } catch (e) {
+      throw new Error(`Invalid ${flag} '${key}': ${e.message}`);
+    }
+  }
+  return variables;
+}
+
+/**
+ * Load a workflow file (.json, .yaml or .yml).
+ * @param {string} filePath
+ * @param {object} [overrides]
+ */
+export async function loadWorkflow(filePath, overrides = {}) {
+  const resolved = path.resolve(filePath);
+  if (!await fs.pathExists(resolved)) {
+    throw new Error(`Workflow file not found: ${resolved}`);
+  }
+  const text = await fs.readFile(resolved, 'utf8');
+  return parseWorkflow(parseWorkflowText(text), overrides);
+}